@@ -3,10 +3,124 @@
  * Shared between Chrome Extension and Desktop Application
  */
 
+import { AnalysisCancelledError } from './level-analyzer.js';
+
 export class AudioAnalyzer {
+  // Effective bit depth (sample histogram) constants
+  static BIT_DEPTH_CONFIG = {
+    MAX_SAMPLES: 20000000,          // Larger files are sampled in evenly spaced blocks
+    BLOCK_SAMPLES: 65536,           // Samples per block (also the cancellation / UI update interval)
+    MIN_NON_ZERO_SAMPLES: 1000,     // Fewer non-zero samples than this: inconclusive
+    HISTOGRAM_HALF_RANGE: 32768,    // Histogram covers codes -32768..32768 at the effective depth
+    MIN_EXPECTED_COUNT: 50,         // Average hits per code needed before an empty code counts as missing
+    MISSING_CODE_THRESHOLD: 0.05    // Fraction of missing codes that flags digital gain after quantization
+  };
+
+  // WAVE format tags (wFormatTag in the fmt chunk)
+  static WAVE_FORMAT = {
+    PCM: 0x0001,
+    IEEE_FLOAT: 0x0003,
+    EXTENSIBLE: 0xFFFE
+  };
+
+  // WAVE_FORMAT_EXTENSIBLE sub-format GUIDs share this tail; the first 2 bytes hold the format tag
+  static KSDATAFORMAT_GUID_TAIL = '-0000-0010-8000-00aa00389b71';
+
+  // Largest size a 32-bit RIFF size field can hold; RF64/BW64 write this and carry the real size in ds64
+  static RIFF_MAX_SIZE = 0xFFFFFFFF;
+
+  // Container IDs for WAVE files: plain RIFF, EBU RF64 (Tech 3306) and ITU BW64 (BS.2088)
+  static WAVE_CONTAINERS = ['RIFF', 'RF64', 'BW64'];
+
+  // Speaker positions by channel mask bit (dwChannelMask, in bit order)
+  static SPEAKER_POSITIONS = [
+    'FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'FLC', 'FRC', 'BC',
+    'SL', 'SR', 'TC', 'TFL', 'TFC', 'TFR', 'TBL', 'TBC', 'TBR'
+  ];
+
+  // LIST/INFO sub-chunk IDs and the metadata keys they're reported under
+  static INFO_FIELDS = {
+    INAM: 'title',
+    IART: 'artist',
+    IPRD: 'product',
+    ICMT: 'comment',
+    ICRD: 'creationDate',
+    IENG: 'engineer',
+    ITCH: 'technician',
+    ISFT: 'software',
+    ICOP: 'copyright',
+    IGNR: 'genre',
+    IKEY: 'keywords',
+    ISBJ: 'subject',
+    ISRC: 'source',
+    ITRK: 'track'
+  };
+
+  // iXML elements (path below BWFXML) and the metadata keys they're reported under
+  static IXML_FIELDS = {
+    PROJECT: 'project',
+    SCENE: 'scene',
+    TAKE: 'take',
+    TAPE: 'tape',
+    CIRCLED: 'circled',
+    NOTE: 'note',
+    FILE_UID: 'fileUid',
+    'SPEED/TIMECODE_RATE': 'timecodeRate',
+    'SPEED/TIMECODE_FLAG': 'timecodeFlag'
+  };
+
+  // MPEG audio sample rates by version
+  static MPEG_SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000]
+  };
+
+  // MPEG audio bitrates (kbps) by bitrate index, per version and layer (MPEG-2/2.5 Layer III uses V2L2)
+  static MPEG_BITRATES = {
+    V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  };
+
+  // AAC sample rates by AudioSpecificConfig sampling frequency index
+  static AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+  // AAC profiles by MPEG-4 audio object type
+  static AAC_PROFILES = {
+    1: 'AAC Main',
+    2: 'AAC LC',
+    3: 'AAC SSR',
+    4: 'AAC LTP',
+    5: 'HE-AAC',
+    23: 'AAC LD',
+    29: 'HE-AAC v2',
+    39: 'AAC ELD'
+  };
+
+  // MP4 sample entry formats (stsd) and the codecs they hold
+  static MP4_CODECS = {
+    mp4a: 'AAC',
+    alac: 'ALAC',
+    Opus: 'Opus',
+    fLaC: 'FLAC',
+    'ac-3': 'AC-3',
+    'ec-3': 'E-AC-3'
+  };
+
   constructor() {
     this.audioContext = null;
     this.audioBuffer = null;
+    this.cancelled = false;
+  }
+
+  /**
+   * Stops a running effective bit depth scan (it throws AnalysisCancelledError)
+   */
+  cancelAnalysis() {
+    this.cancelled = true;
   }
 
   /**
@@ -17,20 +131,26 @@ export class AudioAnalyzer {
     return file.actualSize || file.size;
   }
 
-  async analyzeFile(file) {
+  /**
+   * Reads a file's properties from its headers, decoding it only when the headers can't be parsed
+   * @param {object} file - File (or object with name, size and arrayBuffer()) to analyze
+   * @param {object} [options]
+   * @param {boolean} [options.analyzeBitDepth=false] - Scan integer PCM WAV samples for the effective bit depth
+   * @returns {Promise<object>} File properties
+   */
+  async analyzeFile(file, { analyzeBitDepth = false } = {}) {
+    this.cancelled = false;
     const arrayBuffer = await file.arrayBuffer();
 
     // For WAV files, parse headers first for accurate bit depth
     if (file.name.toLowerCase().endsWith('.wav')) {
       const view = new DataView(arrayBuffer);
-      const wavInfo = this.parseWavHeaders(view);
+      const wavInfo = this.parseWavHeaders(view, this.getActualFileSize(file));
 
       let fileType = this.getFileType(file.name);
       if (fileType === 'WAV') {
-        if (wavInfo.audioFormat === 1) {
-          fileType = 'WAV (PCM)';
-        } else if (typeof wavInfo.audioFormat === 'number') {
-          fileType = `WAV (Compressed - Format ${wavInfo.audioFormat})`;
+        if (typeof wavInfo.audioFormat === 'number') {
+          fileType = AudioAnalyzer.getWavFormatLabel(wavInfo);
         } else {
           // WAV header parsing failed - check actual file type from header
           const detectedType = this.detectFileTypeFromHeader(view);
@@ -56,7 +176,7 @@ export class AudioAnalyzer {
 
       // Only return here if we successfully parsed WAV headers
       if (fileType.startsWith('WAV')) {
-        return {
+        const results = {
           fileType: fileType,
           sampleRate: wavInfo.sampleRate,
           channels: wavInfo.channels,
@@ -64,6 +184,24 @@ export class AudioAnalyzer {
           duration: wavInfo.duration,
           fileSize: this.getActualFileSize(file)
         };
+
+        if (wavInfo.wavFormat) {
+          results.bitrate = wavInfo.wavFormat.byteRate * 8 / 1000;
+          results.wavFormat = wavInfo.wavFormat;
+          results.container = wavInfo.container;
+          results.chunkIntegrity = wavInfo.chunkIntegrity;
+          results.metadata = wavInfo.metadata;
+        }
+
+        // Integer PCM: check how many of the declared bits the samples actually use (reads every sample
+        // up to BIT_DEPTH_CONFIG.MAX_SAMPLES, so only when requested)
+        if (analyzeBitDepth && wavInfo.audioFormat === AudioAnalyzer.WAVE_FORMAT.PCM) {
+          results.bitDepthAnalysis = await this.analyzeEffectiveBitDepth(
+            view, wavInfo.wavFormat.containerBitDepth, wavInfo.bitDepth
+          );
+        }
+
+        return results;
       }
 
       // For misnamed files (e.g., M4A with .wav extension), continue to Web Audio API decoding
@@ -88,13 +226,18 @@ export class AudioAnalyzer {
       // Clear the detected file type for next analysis
       this._detectedFileType = null;
 
+      // The decoder resamples to the context rate and keeps encoder delay/padding, so prefer the headers
+      const streamInfo = AudioAnalyzer.parseStreamInfo(new DataView(arrayBuffer), this.getActualFileSize(file));
+
       return {
         fileType: fileType,
-        sampleRate: this.audioBuffer.sampleRate,
-        channels: this.audioBuffer.numberOfChannels,
-        duration: this.audioBuffer.duration,
+        sampleRate: streamInfo?.sampleRate ?? this.audioBuffer.sampleRate,
+        channels: streamInfo?.channels ?? this.audioBuffer.numberOfChannels,
+        duration: streamInfo?.durationExact ? streamInfo.duration : this.audioBuffer.duration,
         fileSize: this.getActualFileSize(file),
-        bitDepth: this.estimateBitDepth(arrayBuffer, file.name, fileType)
+        bitDepth: this.estimateBitDepth(arrayBuffer, file.name, fileType, streamInfo),
+        bitrate: streamInfo?.bitrate ?? 'Unknown',
+        streamInfo
       };
     } catch (error) {
       // Clear detected file type on error
@@ -113,13 +256,11 @@ export class AudioAnalyzer {
 
     // For .wav files, check if they're actually WAV or misnamed
     if (fileName.toLowerCase().endsWith('.wav')) {
-      const wavInfo = this.parseWavHeaders(view);
+      const wavInfo = this.parseWavHeaders(view, fileSize);
 
       // If WAV parsing succeeded, it's a real WAV file
-      if (wavInfo.audioFormat === 1) {
-        fileType = 'WAV (PCM)';
-      } else if (typeof wavInfo.audioFormat === 'number') {
-        fileType = `WAV (Compressed - Format ${wavInfo.audioFormat})`;
+      if (typeof wavInfo.audioFormat === 'number') {
+        fileType = AudioAnalyzer.getWavFormatLabel(wavInfo);
       } else {
         // WAV parsing failed - check actual file type from header
         const detectedType = this.detectFileTypeFromHeader(view);
@@ -130,7 +271,7 @@ export class AudioAnalyzer {
         }
       }
 
-      return {
+      const results = {
         fileType: fileType,
         sampleRate: wavInfo.sampleRate,
         channels: wavInfo.channels,
@@ -138,61 +279,79 @@ export class AudioAnalyzer {
         duration: wavInfo.duration,
         fileSize: fileSize
       };
+      if (wavInfo.container) {
+        results.bitrate = wavInfo.wavFormat.byteRate * 8 / 1000;
+        results.container = wavInfo.container;
+        results.chunkIntegrity = wavInfo.chunkIntegrity;
+        results.metadata = wavInfo.metadata;
+      }
+      return results;
     } else {
-      // Non-WAV file
+      // Non-WAV file: whatever the container headers carry
+      const streamInfo = AudioAnalyzer.parseStreamInfo(view, fileSize);
+      if (!streamInfo) {
+        return {
+          fileType: fileType,
+          sampleRate: 'Unknown',
+          bitDepth: 'Unknown',
+          channels: 'Unknown',
+          duration: 'Unknown',
+          fileSize: fileSize
+        };
+      }
+
       return {
         fileType: fileType,
-        sampleRate: 'Unknown',
-        bitDepth: 'Unknown',
-        channels: 'Unknown',
-        duration: 'Unknown',
-        fileSize: fileSize
+        sampleRate: streamInfo.sampleRate ?? 'Unknown',
+        bitDepth: this.estimateBitDepth(arrayBuffer, fileName, fileType, streamInfo),
+        channels: streamInfo.channels ?? 'Unknown',
+        duration: streamInfo.duration ?? 'Unknown',
+        bitrate: streamInfo.bitrate ?? 'Unknown',
+        fileSize: fileSize,
+        streamInfo
       };
     }
   }
 
-  parseWavHeaders(view) {
+  /**
+   * Parses WAV headers (RIFF, RF64 or BW64) for format, bit depth, channels and duration
+   * @param {DataView} view View over the WAV file (may be a partial download).
+   * @param {number} [fileSize] Full file size in bytes, when the view holds only part of the file.
+   * @returns {object} sampleRate, channels, bitDepth, duration, audioFormat, wavFormat (fmt chunk details)
+   *   container (RIFF/RF64/BW64 sizes and compliance issues), chunkIntegrity (see inspectChunks) and
+   *   metadata (see parseMetadata); 'Unknown' values if parsing fails.
+   */
+  parseWavHeaders(view, fileSize = view.byteLength) {
     try {
-      // Check for RIFF header
-      const riffHeader = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
-      if (riffHeader !== 'RIFF') {
-        throw new Error('Not a valid WAV file');
-      }
-
-      // Check for WAVE format
-      const waveHeader = String.fromCharCode(view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11));
-      if (waveHeader !== 'WAVE') {
+      // Check for RIFF/RF64/BW64 header with WAVE format
+      const header = AudioAnalyzer.parseRiffHeader(view);
+      if (!header) {
         throw new Error('Not a valid WAV file');
       }
 
       // Find fmt chunk
-      let offset = 12;
-      while (offset < view.byteLength - 8) {
-        const chunkId = String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
-        const chunkSize = view.getUint32(offset + 4, true);
-
-        if (chunkId === 'fmt ') {
-          const audioFormat = view.getUint16(offset + 8, true);
-          const channels = view.getUint16(offset + 10, true);
-          const sampleRate = view.getUint32(offset + 12, true);
-          const bitsPerSample = view.getUint16(offset + 22, true);
-
-          // Calculate duration from data chunk
-          const duration = this.calculateWavDuration(view, sampleRate, channels, bitsPerSample);
-
-          return {
-            sampleRate: sampleRate,
-            channels: channels,
-            bitDepth: bitsPerSample,
-            duration: duration,
-            audioFormat: audioFormat
-          };
-        }
-
-        offset += 8 + chunkSize;
+      const fmtChunk = AudioAnalyzer.findChunk(view, 'fmt ', header);
+      if (!fmtChunk) {
+        throw new Error('fmt chunk not found');
       }
+      const fmt = AudioAnalyzer.parseFmtChunk(view, fmtChunk.offset + 8, fmtChunk.size);
+      const container = AudioAnalyzer.getContainerInfo(view, header, fileSize);
+      const chunkIntegrity = AudioAnalyzer.inspectChunks(view, fileSize);
+
+      // Calculate duration from data chunk (samples are stored in containerBitDepth-sized slots)
+      const duration = this.calculateWavDuration(view, fmt.sampleRate, fmt.channels, fmt.containerBitDepth, container);
 
-      throw new Error('fmt chunk not found');
+      return {
+        sampleRate: fmt.sampleRate,
+        channels: fmt.channels,
+        bitDepth: fmt.validBitDepth,
+        duration: duration,
+        audioFormat: fmt.audioFormat,
+        wavFormat: fmt,
+        container,
+        chunkIntegrity,
+        metadata: AudioAnalyzer.parseMetadata(view, chunkIntegrity.chunks, fmt.sampleRate)
+      };
     } catch (error) {
       console.error('Error parsing WAV headers:', error);
       return {
@@ -205,28 +364,1287 @@ export class AudioAnalyzer {
     }
   }
 
-  calculateWavDuration(view, sampleRate, channels, bitsPerSample) {
-    try {
-      // Find data chunk
-      let offset = 12;
-      while (offset < view.byteLength - 8) {
-        const chunkId = String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
-        const chunkSize = view.getUint32(offset + 4, true);
-
-        if (chunkId === 'data') {
-          const bytesPerSample = bitsPerSample / 8;
-          const totalSamples = chunkSize / (channels * bytesPerSample);
-          return totalSamples / sampleRate;
-        }
+  /**
+   * Parses a WAVE fmt chunk, including the WAVE_FORMAT_EXTENSIBLE extension.
+   * Extensible files carry their real format in a sub-format GUID, a valid-bits count that may be
+   * smaller than the sample container (e.g. 20 bits in 24) and a speaker channel mask.
+   * @param {DataView} view View over the WAV file.
+   * @param {number} offset Offset of the chunk body (just past the chunk ID and size).
+   * @param {number} chunkSize Size of the chunk body in bytes.
+   * @returns {object} audioFormat (the effective format tag: 1 = integer PCM, 3 = IEEE float), formatTag
+   *   (as written), sampleFormat ('pcm'|'float'|'compressed'), extensible, subFormat (GUID string or null),
+   *   channels, sampleRate, byteRate, blockAlign, containerBitDepth, validBitDepth, channelMask (or null)
+   *   and speakerPositions (e.g. ['FL', 'FR']).
+   */
+  static parseFmtChunk(view, offset, chunkSize) {
+    const { PCM, IEEE_FLOAT, EXTENSIBLE } = AudioAnalyzer.WAVE_FORMAT;
+
+    const formatTag = view.getUint16(offset, true);
+    const channels = view.getUint16(offset + 2, true);
+    const sampleRate = view.getUint32(offset + 4, true);
+    const byteRate = view.getUint32(offset + 8, true);
+    const blockAlign = view.getUint16(offset + 12, true);
+    const containerBitDepth = view.getUint16(offset + 14, true);
+
+    let audioFormat = formatTag;
+    let validBitDepth = containerBitDepth;
+    let subFormat = null;
+    let channelMask = null;
 
-        offset += 8 + chunkSize;
+    // Extension: cbSize (2), wValidBitsPerSample (2), dwChannelMask (4), SubFormat GUID (16)
+    const extensible = formatTag === EXTENSIBLE && chunkSize >= 40 && offset + 40 <= view.byteLength;
+    if (extensible) {
+      const validBits = view.getUint16(offset + 18, true);
+      if (validBits > 0 && validBits <= containerBitDepth) {
+        validBitDepth = validBits;
       }
-      return 'Unknown';
+      channelMask = view.getUint32(offset + 20, true);
+      subFormat = AudioAnalyzer.formatGuid(view, offset + 24);
+
+      // Standard KSDATAFORMAT sub-formats map back to a plain format tag
+      if (subFormat.endsWith(AudioAnalyzer.KSDATAFORMAT_GUID_TAIL) && subFormat.startsWith('0000')) {
+        audioFormat = parseInt(subFormat.slice(4, 8), 16);
+      }
+    }
+
+    let sampleFormat = 'compressed';
+    if (audioFormat === PCM) sampleFormat = 'pcm';
+    else if (audioFormat === IEEE_FLOAT) sampleFormat = 'float';
+
+    const speakerPositions = channelMask === null ? [] : AudioAnalyzer.SPEAKER_POSITIONS
+      .filter((position, bit) => (channelMask & (1 << bit)) !== 0);
+
+    return {
+      audioFormat,
+      formatTag,
+      sampleFormat,
+      extensible,
+      subFormat,
+      channels,
+      sampleRate,
+      byteRate,
+      blockAlign,
+      containerBitDepth,
+      validBitDepth,
+      channelMask,
+      speakerPositions
+    };
+  }
+
+  /**
+   * Formats a little-endian Windows GUID as its canonical string (e.g. 00000001-0000-0010-8000-00aa00389b71)
+   * @param {DataView} view View holding the GUID.
+   * @param {number} offset Offset of the 16 GUID bytes.
+   * @returns {string} Lower-case GUID string.
+   */
+  static formatGuid(view, offset) {
+    const hex = (value, digits) => value.toString(16).padStart(digits, '0');
+    const tail = [];
+    for (let i = 8; i < 16; i++) {
+      tail.push(hex(view.getUint8(offset + i), 2));
+    }
+    return [
+      hex(view.getUint32(offset, true), 8),
+      hex(view.getUint16(offset + 4, true), 4),
+      hex(view.getUint16(offset + 6, true), 4),
+      tail.slice(0, 2).join(''),
+      tail.slice(2).join('')
+    ].join('-');
+  }
+
+  /**
+   * File type label for a parsed WAV: integer and float PCM (plain or extensible) are uncompressed
+   * @param {object} wavInfo Parsed WAV headers (audioFormat and formatTag).
+   * @returns {string} e.g. 'WAV (PCM)', 'WAV (IEEE Float)', 'WAV (Compressed - Format 2)'
+   */
+  static getWavFormatLabel(wavInfo) {
+    if (wavInfo.audioFormat === AudioAnalyzer.WAVE_FORMAT.PCM) return 'WAV (PCM)';
+    if (wavInfo.audioFormat === AudioAnalyzer.WAVE_FORMAT.IEEE_FLOAT) return 'WAV (IEEE Float)';
+    return `WAV (Compressed - Format ${wavInfo.audioFormat})`;
+  }
+
+  /**
+   * Duration from the data chunk size (the ds64 size for RF64/BW64; the bytes present after the data
+   * chunk header when a plain RIFF file has outgrown its 32-bit size fields)
+   * @param {DataView} view View over the WAV file.
+   * @param {number} sampleRate Sample rate in Hz.
+   * @param {number} channels Channel count.
+   * @param {number} bitsPerSample Bits per sample container.
+   * @param {object} [container] Container info from getContainerInfo.
+   * @returns {number|string} Duration in seconds, or 'Unknown'.
+   */
+  calculateWavDuration(view, sampleRate, channels, bitsPerSample, container = null) {
+    try {
+      const dataSize = container?.dataSize ?? AudioAnalyzer.findChunk(view, 'data', AudioAnalyzer.parseRiffHeader(view))?.size;
+      if (dataSize === undefined || dataSize === null) {
+        return 'Unknown';
+      }
+
+      const bytesPerSample = bitsPerSample / 8;
+      const totalSamples = dataSize / (channels * bytesPerSample);
+      return totalSamples / sampleRate;
     } catch (error) {
       return 'Unknown';
     }
   }
 
+  /**
+   * Reads the container header of a WAVE file. RF64 and BW64 files put a ds64 chunk first, holding the
+   * 64-bit RIFF and data sizes (their 32-bit size fields read 0xFFFFFFFF) plus a table of other large chunks.
+   * @param {DataView} view View over the WAV file.
+   * @returns {object|null} { format: 'RIFF'|'RF64'|'BW64', riffSize, ds64: { riffSize, dataSize, sampleCount,
+   *   chunkSizes } | null } or null if this is not a WAVE file.
+   */
+  static parseRiffHeader(view) {
+    if (view.byteLength < 12) {
+      return null;
+    }
+
+    const format = AudioAnalyzer.readChunkId(view, 0);
+    if (!AudioAnalyzer.WAVE_CONTAINERS.includes(format) || AudioAnalyzer.readChunkId(view, 8) !== 'WAVE') {
+      return null;
+    }
+
+    const header = { format, riffSize: view.getUint32(4, true), ds64: null };
+
+    // ds64: riffSize (8), dataSize (8), sampleCount (8), table length (4), then { chunk ID (4), size (8) } entries
+    if (format !== 'RIFF' && view.byteLength >= 48 && AudioAnalyzer.readChunkId(view, 12) === 'ds64') {
+      const ds64Size = view.getUint32(16, true);
+      const chunkSizes = {};
+      const tableLength = view.getUint32(44, true);
+      for (let i = 0; i < tableLength; i++) {
+        const entry = 48 + i * 12;
+        if (entry + 12 > Math.min(view.byteLength, 20 + ds64Size)) break;
+        chunkSizes[AudioAnalyzer.readChunkId(view, entry)] = AudioAnalyzer.readUint64(view, entry + 4);
+      }
+
+      header.ds64 = {
+        riffSize: AudioAnalyzer.readUint64(view, 20),
+        dataSize: AudioAnalyzer.readUint64(view, 28),
+        sampleCount: AudioAnalyzer.readUint64(view, 36),
+        chunkSizes
+      };
+      header.riffSize = header.ds64.riffSize;
+    }
+
+    return header;
+  }
+
+  /**
+   * Finds a chunk in a WAVE file, taking oversized chunk sizes from the ds64 chunk (RF64/BW64)
+   * @param {DataView} view View over the WAV file.
+   * @param {string} chunkId Four-character chunk ID (e.g. 'fmt ', 'data').
+   * @param {object} header Header from parseRiffHeader.
+   * @returns {object|null} { offset, size } (offset of the chunk header), or null if not found in the view.
+   */
+  static findChunk(view, chunkId, header) {
+    let offset = 12;
+    while (offset <= view.byteLength - 8) {
+      const id = AudioAnalyzer.readChunkId(view, offset);
+      let size = view.getUint32(offset + 4, true);
+
+      // RF64/BW64: a size of 0xFFFFFFFF means "see ds64"
+      if (size === AudioAnalyzer.RIFF_MAX_SIZE && header?.ds64) {
+        size = id === 'data' ? header.ds64.dataSize : (header.ds64.chunkSizes[id] ?? size);
+      }
+
+      if (id === chunkId) {
+        return { offset, size };
+      }
+
+      offset += 8 + size + (size % 2);
+    }
+    return null;
+  }
+
+  /**
+   * Describes the container of a WAVE file and whether it can hold its size: a plain RIFF file over
+   * 4 GB has overflowed its 32-bit size fields and should have been written as RF64/BW64.
+   * @param {DataView} view View over the WAV file (may be a partial download).
+   * @param {object} header Header from parseRiffHeader.
+   * @param {number} fileSize Full file size in bytes.
+   * @returns {object} { format, riffSize, dataSize (audio bytes actually in the file; null if no data chunk
+   *   is in view), oversized, issues }
+   */
+  static getContainerInfo(view, header, fileSize) {
+    const issues = [];
+    const dataChunk = AudioAnalyzer.findChunk(view, 'data', header);
+    let dataSize = dataChunk ? dataChunk.size : null;
+
+    const oversized = header.format === 'RIFF' && fileSize - 8 > AudioAnalyzer.RIFF_MAX_SIZE;
+    if (oversized) {
+      issues.push(`File is ${(fileSize / 2 ** 30).toFixed(2)} GB but uses a plain RIFF header (RF64/BW64 required over 4 GB)`);
+      // The data size field has wrapped; the audio runs to the end of the file
+      if (dataChunk) {
+        dataSize = fileSize - (dataChunk.offset + 8);
+      }
+    }
+
+    // A truncated file holds less audio than its data chunk declares
+    if (dataChunk && dataChunk.offset + 8 + dataSize > fileSize) {
+      dataSize = Math.max(0, fileSize - (dataChunk.offset + 8));
+    }
+
+    if (header.format !== 'RIFF' && !header.ds64) {
+      issues.push(`${header.format} file has no ds64 chunk`);
+    }
+
+    return {
+      format: header.format,
+      riffSize: header.riffSize,
+      dataSize,
+      oversized,
+      issues
+    };
+  }
+
+  /**
+   * Walks the chunks of a WAVE file and checks them against the actual file size. Reports truncation
+   * (a chunk or the RIFF chunk claiming more bytes than the file has), trailing bytes after the RIFF
+   * chunk, unpadded odd-sized chunks, invalid chunk IDs and malformed ordering (missing, repeated or
+   * out-of-order fmt/data chunks). For partial downloads the walk stops at the end of the view; sizes
+   * are still checked against the full file size.
+   * @param {DataView} view View over the WAV file (may be a partial download).
+   * @param {number} [fileSize] Full file size in bytes (actualSize for partial downloads).
+   * @returns {object|null} { chunks: [{ id, offset, size, padded }], complete, declaredSize, actualSize,
+   *   truncated, missingBytes, trailingBytes, issues: [{ severity: 'fail'|'warning', message }] },
+   *   or null if this is not a WAVE file.
+   */
+  static inspectChunks(view, fileSize = view.byteLength) {
+    const header = AudioAnalyzer.parseRiffHeader(view);
+    if (!header) {
+      return null;
+    }
+
+    const chunks = [];
+    const issues = [];
+    const fail = (message) => issues.push({ severity: 'fail', message });
+    const warn = (message) => issues.push({ severity: 'warning', message });
+
+    // A plain RIFF file over 4 GB has wrapped size fields (reported by getContainerInfo); trust the file size
+    const oversized = header.format === 'RIFF' && fileSize - 8 > AudioAnalyzer.RIFF_MAX_SIZE;
+    const declaredSize = oversized ? fileSize : header.riffSize + 8;
+
+    let complete = true;
+    let truncatedChunk = null;
+    let offset = 12;
+    while (offset < declaredSize && offset < fileSize) {
+      if (offset + 8 > Math.min(declaredSize, fileSize)) {
+        warn(`${Math.min(declaredSize, fileSize) - offset} stray bytes at offset ${offset}, too short for a chunk`);
+        break;
+      }
+      if (offset + 8 > view.byteLength) {
+        complete = false;
+        break;
+      }
+
+      const id = AudioAnalyzer.readChunkId(view, offset);
+      if (!AudioAnalyzer.isValidChunkId(view, offset)) {
+        fail(`Invalid chunk ID at offset ${offset}; the chunk list is malformed`);
+        complete = false;
+        break;
+      }
+
+      let size = view.getUint32(offset + 4, true);
+      if (size === AudioAnalyzer.RIFF_MAX_SIZE && header.ds64) {
+        size = id === 'data' ? header.ds64.dataSize : (header.ds64.chunkSizes[id] ?? size);
+      } else if (oversized && id === 'data') {
+        size = fileSize - (offset + 8);
+      }
+
+      // Odd-sized chunks are followed by a pad byte; some writers leave it out
+      const end = offset + 8 + size;
+      let padded = true;
+      if (size % 2 === 1 && AudioAnalyzer.isValidChunkId(view, end) && !AudioAnalyzer.isValidChunkId(view, end + 1)) {
+        padded = false;
+        warn(`Odd-sized '${id}' chunk at offset ${offset} has no pad byte`);
+      }
+
+      chunks.push({ id, offset, size, padded });
+
+      if (end > fileSize) {
+        truncatedChunk = { id, size, present: Math.max(0, fileSize - (offset + 8)) };
+        break;
+      }
+      if (end > declaredSize) {
+        fail(`'${id}' chunk at offset ${offset} extends past the end of the RIFF chunk`);
+      }
+
+      offset = end + (size % 2 === 1 && padded ? 1 : 0);
+    }
+
+    const truncated = declaredSize > fileSize || truncatedChunk !== null;
+    const missingBytes = truncatedChunk
+      ? truncatedChunk.size - truncatedChunk.present
+      : Math.max(0, declaredSize - fileSize);
+    if (truncatedChunk) {
+      fail(`File truncated: '${truncatedChunk.id}' chunk declares ${truncatedChunk.size} bytes but only ${truncatedChunk.present} are present`);
+    } else if (truncated) {
+      fail(`File truncated: header declares ${declaredSize} bytes but the file is ${fileSize} bytes`);
+    }
+
+    // An odd-sized RIFF chunk may be followed by its pad byte
+    const trailingBytes = Math.max(0, fileSize - declaredSize - (oversized ? 0 : header.riffSize % 2));
+    if (trailingBytes > 0) {
+      warn(`${trailingBytes} bytes of trailing data after the RIFF chunk`);
+    }
+
+    // Ordering: one fmt chunk, then one data chunk (only what the walk has seen)
+    const ids = chunks.map(chunk => chunk.id);
+    const walkedAll = complete && !truncated;
+    for (const required of ['fmt ', 'data']) {
+      const count = ids.filter(id => id === required).length;
+      if (count > 1) {
+        fail(`${count} '${required}' chunks`);
+      } else if (count === 0 && (walkedAll || (required === 'fmt ' && ids.includes('data')))) {
+        fail(`No '${required}' chunk`);
+      }
+    }
+    if (ids.includes('fmt ') && ids.indexOf('data') !== -1 && ids.indexOf('data') < ids.indexOf('fmt ')) {
+      fail(`'data' chunk comes before the 'fmt ' chunk`);
+    }
+
+    return {
+      chunks,
+      complete,
+      declaredSize,
+      actualSize: fileSize,
+      truncated,
+      missingBytes,
+      trailingBytes,
+      issues
+    };
+  }
+
+  /**
+   * Extracts embedded metadata from the bext (Broadcast WAV), iXML and LIST/INFO chunks. Only chunks
+   * inside the view are read, so metadata written after the audio is missed in partial downloads.
+   * @param {DataView} view View over the WAV file.
+   * @param {Array} chunks Chunks from inspectChunks.
+   * @param {number} [sampleRate] Sample rate, to convert the bext time reference to seconds.
+   * @returns {object|null} { bext, ixml, info } (each null when the chunk is absent), or null if the
+   *   file has none of them.
+   */
+  static parseMetadata(view, chunks, sampleRate = null) {
+    const metadata = { bext: null, ixml: null, info: null };
+    const inView = (chunk) => chunk.offset + 8 + chunk.size <= view.byteLength;
+
+    for (const chunk of chunks) {
+      if (!inView(chunk)) continue;
+      const body = chunk.offset + 8;
+
+      if (chunk.id === 'bext' && !metadata.bext) {
+        metadata.bext = AudioAnalyzer.parseBextChunk(view, body, chunk.size, sampleRate);
+      } else if (chunk.id === 'iXML' && !metadata.ixml) {
+        metadata.ixml = AudioAnalyzer.parseIxmlChunk(view, body, chunk.size);
+      } else if (chunk.id === 'LIST' && chunk.size >= 4 && AudioAnalyzer.readChunkId(view, body) === 'INFO') {
+        metadata.info = { ...metadata.info, ...AudioAnalyzer.parseInfoList(view, body + 4, chunk.size - 4) };
+      }
+    }
+
+    return metadata.bext || metadata.ixml || metadata.info ? metadata : null;
+  }
+
+  /**
+   * Parses a Broadcast WAV bext chunk (EBU Tech 3285, versions 0-2)
+   * @param {DataView} view View holding the chunk.
+   * @param {number} offset Offset of the chunk body.
+   * @param {number} size Chunk body size.
+   * @param {number} [sampleRate] Sample rate, to convert the time reference to seconds.
+   * @returns {object|null} Description, originator, origination date/time, time reference, UMID, loudness
+   *   (version 2) and coding history; null if the chunk is too short.
+   */
+  static parseBextChunk(view, offset, size, sampleRate = null) {
+    // Fixed part runs to the coding history at byte 602
+    if (size < 348) {
+      return null;
+    }
+
+    const version = view.getUint16(offset + 346, true);
+    const timeReference = AudioAnalyzer.readUint64(view, offset + 338);
+
+    // UMID (64 bytes from 348, version 1+), unset when all zero
+    let umid = null;
+    if (version >= 1 && size >= 412) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset + 348, 64);
+      const length = bytes[11] === 0x13 ? 32 : 64; // Basic UMIDs declare 0x13 bytes following the header
+      if (bytes.some(byte => byte !== 0)) {
+        umid = Array.from(bytes.slice(0, length), byte => byte.toString(16).padStart(2, '0')).join('');
+      }
+    }
+
+    // Loudness values are stored as value x 100 (version 2+); 0x7FFF means not set
+    const loudness = (position) => {
+      if (version < 2 || size < 422) return null;
+      const value = view.getInt16(offset + position, true);
+      return value === 0x7FFF ? null : value / 100;
+    };
+
+    return {
+      description: AudioAnalyzer.readText(view, offset, 256),
+      originator: AudioAnalyzer.readText(view, offset + 256, 32),
+      originatorReference: AudioAnalyzer.readText(view, offset + 288, 32),
+      originationDate: AudioAnalyzer.readText(view, offset + 320, 10),
+      originationTime: AudioAnalyzer.readText(view, offset + 330, 8),
+      timeReference,
+      timeReferenceSeconds: sampleRate > 0 ? timeReference / sampleRate : null,
+      version,
+      umid,
+      loudnessValue: loudness(412),
+      loudnessRange: loudness(414),
+      maxTruePeakLevel: loudness(416),
+      maxMomentaryLoudness: loudness(418),
+      maxShortTermLoudness: loudness(420),
+      codingHistory: size > 602 ? AudioAnalyzer.readText(view, offset + 602, size - 602) : ''
+    };
+  }
+
+  /**
+   * Parses the production fields of an iXML chunk (scene, take, tape, project, notes, timecode and
+   * track names). The XML is matched by element name rather than parsed, so this also runs outside
+   * the browser.
+   * @param {DataView} view View holding the chunk.
+   * @param {number} offset Offset of the chunk body.
+   * @param {number} size Chunk body size.
+   * @returns {object} Fields from IXML_FIELDS that are present, plus trackNames ([] without a TRACK_LIST).
+   */
+  static parseIxmlChunk(view, offset, size) {
+    const xml = new TextDecoder('utf-8').decode(new Uint8Array(view.buffer, view.byteOffset + offset, size));
+    const element = (name, within = xml) => {
+      const match = within.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+      return match ? AudioAnalyzer.decodeXmlText(match[1]) : null;
+    };
+
+    const ixml = {};
+    for (const [path, key] of Object.entries(AudioAnalyzer.IXML_FIELDS)) {
+      const [parent, name] = path.includes('/') ? path.split('/') : [null, path];
+      const scope = parent ? element(parent) : xml;
+      const value = scope === null ? null : element(name, scope);
+      if (value !== null && value !== '') {
+        ixml[key] = key === 'circled' ? value.toUpperCase() === 'TRUE' : value;
+      }
+    }
+
+    const trackList = element('TRACK_LIST') ?? '';
+    ixml.trackNames = [...trackList.matchAll(/<TRACK>([\s\S]*?)<\/TRACK>/g)]
+      .map(track => element('NAME', track[1]))
+      .filter(name => name);
+
+    return ixml;
+  }
+
+  /**
+   * Parses the sub-chunks of a LIST/INFO chunk
+   * @param {DataView} view View holding the chunk.
+   * @param {number} offset Offset of the first sub-chunk (after the 'INFO' type).
+   * @param {number} size Size of the sub-chunks.
+   * @returns {object} Values keyed by INFO_FIELDS name (unknown IDs keep their four-character ID).
+   */
+  static parseInfoList(view, offset, size) {
+    const info = {};
+    const end = offset + size;
+    while (offset + 8 <= end) {
+      const id = AudioAnalyzer.readChunkId(view, offset);
+      const length = Math.min(view.getUint32(offset + 4, true), end - offset - 8);
+      const value = AudioAnalyzer.readText(view, offset + 8, length);
+      if (value) {
+        info[AudioAnalyzer.INFO_FIELDS[id] ?? id.trim()] = value;
+      }
+      offset += 8 + length + (length % 2);
+    }
+    return info;
+  }
+
+  /**
+   * Reads a fixed-length, NUL-padded text field (UTF-8, falling back to Latin-1 byte values)
+   * @param {DataView} view View holding the text.
+   * @param {number} offset Offset of the field.
+   * @param {number} length Field length in bytes.
+   * @returns {string} The text up to the first NUL, trimmed.
+   */
+  static readText(view, offset, length) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, Math.min(length, view.byteLength - offset));
+    const end = bytes.indexOf(0);
+    const text = bytes.subarray(0, end === -1 ? bytes.length : end);
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(text).trim();
+    } catch {
+      return String.fromCharCode(...text).trim();
+    }
+  }
+
+  /**
+   * Decodes the XML entities and CDATA of an element's text content
+   * @param {string} text Raw element content.
+   * @returns {string} Decoded, trimmed text.
+   */
+  static decodeXmlText(text) {
+    const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+    if (cdata) {
+      return cdata[1].trim();
+    }
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  /**
+   * Whether four bytes form a plausible chunk ID (printable ASCII)
+   * @param {DataView} view View holding the ID.
+   * @param {number} offset Offset of the ID.
+   * @returns {boolean}
+   */
+  static isValidChunkId(view, offset) {
+    if (offset + 4 > view.byteLength) {
+      return false;
+    }
+    for (let i = 0; i < 4; i++) {
+      const code = view.getUint8(offset + i);
+      if (code < 0x20 || code > 0x7E) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Reads a four-character chunk ID
+   * @param {DataView} view View holding the ID.
+   * @param {number} offset Offset of the ID.
+   * @returns {string} e.g. 'RIFF', 'fmt '
+   */
+  static readChunkId(view, offset) {
+    return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+  }
+
+  /**
+   * Reads an unsigned 64-bit integer (exact up to 2^53, far beyond any real file)
+   * @param {DataView} view View holding the value.
+   * @param {number} offset Offset of the value.
+   * @param {boolean} [littleEndian] False for big-endian values (MP4 boxes).
+   * @returns {number} The value.
+   */
+  static readUint64(view, offset, littleEndian = true) {
+    const low = view.getUint32(offset + (littleEndian ? 0 : 4), littleEndian);
+    const high = view.getUint32(offset + (littleEndian ? 4 : 0), littleEndian);
+    return low + high * 2 ** 32;
+  }
+
+  /**
+   * Reads stream properties from the headers of a FLAC, MP3, MP4/M4A or Ogg (Vorbis/Opus) file, without
+   * decoding: FLAC STREAMINFO, MP3 Xing/Info, VBRI and LAME headers, MP4 mdhd/stsd/esds boxes and Ogg
+   * identification headers.
+   * @param {DataView} view View over the file (may be a partial download).
+   * @param {number} [fileSize] Full file size in bytes, when the view holds only part of the file.
+   * @returns {object|null} { format, codec, sampleRate, channels, bitDepth (lossless only), bitrate (kbps),
+   *   bitrateMode ('CBR'|'VBR'|'ABR'|null), duration (seconds), durationExact, encoder }, with null for
+   *   anything the headers don't carry; or null if the format isn't recognized.
+   */
+  static parseStreamInfo(view, fileSize = view.byteLength) {
+    if (view.byteLength < 12) {
+      return null;
+    }
+
+    try {
+      const magic = AudioAnalyzer.readChunkId(view, 0);
+      if (magic === 'fLaC') {
+        return AudioAnalyzer.parseFlacStreamInfo(view, fileSize);
+      }
+      if (magic === 'OggS') {
+        return AudioAnalyzer.parseOggHeaders(view, fileSize);
+      }
+      if (AudioAnalyzer.readChunkId(view, 4) === 'ftyp') {
+        return AudioAnalyzer.parseMp4Boxes(view, fileSize);
+      }
+      if (magic.startsWith('ID3') || AudioAnalyzer.parseMpegHeader(view, 0)) {
+        return AudioAnalyzer.parseMpegAudio(view, fileSize);
+      }
+    } catch (error) {
+      console.error('Error parsing stream headers:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Stream info with every property defaulted to null (see parseStreamInfo)
+   * @param {object} fields Properties the headers carry.
+   * @returns {object} Stream info.
+   */
+  static createStreamInfo(fields) {
+    return {
+      format: null,
+      codec: null,
+      sampleRate: null,
+      channels: null,
+      bitDepth: null,
+      bitrate: null,
+      bitrateMode: null,
+      duration: null,
+      durationExact: false,
+      encoder: null,
+      ...fields
+    };
+  }
+
+  /**
+   * Parses FLAC metadata blocks: STREAMINFO for the stream properties and exact length, VORBIS_COMMENT
+   * for the encoder
+   * @param {DataView} view View over the FLAC file.
+   * @param {number} fileSize Full file size in bytes.
+   * @returns {object|null} Stream info, or null without a STREAMINFO block.
+   */
+  static parseFlacStreamInfo(view, fileSize) {
+    let streamInfo = null;
+    let encoder = null;
+    let isLast = false;
+    let offset = 4;
+
+    while (!isLast && offset + 4 <= view.byteLength) {
+      const blockHeader = view.getUint8(offset);
+      isLast = (blockHeader & 0x80) !== 0;
+      const blockType = blockHeader & 0x7F;
+      const length = (view.getUint8(offset + 1) << 16) | (view.getUint8(offset + 2) << 8) | view.getUint8(offset + 3);
+      const body = offset + 4;
+
+      if (blockType === 0 && length >= 18 && body + 18 <= view.byteLength) {
+        // 20 bits sample rate, 3 bits channels - 1, 5 bits bits per sample - 1, 36 bits total samples
+        const packed = view.getUint32(body + 10, false);
+        streamInfo = {
+          sampleRate: packed >>> 12,
+          channels: ((packed >>> 9) & 0x07) + 1,
+          bitDepth: ((packed >>> 4) & 0x1F) + 1,
+          totalSamples: (packed & 0x0F) * 2 ** 32 + view.getUint32(body + 14, false)
+        };
+      } else if (blockType === 4 && length >= 4 && body + 4 <= view.byteLength) {
+        // VORBIS_COMMENT opens with the (little-endian) length-prefixed vendor string
+        encoder = AudioAnalyzer.readText(view, body + 4, Math.min(view.getUint32(body, true), length - 4)) || null;
+      }
+
+      offset = body + length;
+    }
+
+    if (!streamInfo) {
+      return null;
+    }
+
+    // Total samples is 0 when the encoder didn't know the length up front
+    const { sampleRate, channels, bitDepth, totalSamples } = streamInfo;
+    const duration = totalSamples > 0 && sampleRate > 0 ? totalSamples / sampleRate : null;
+
+    // Audio frames follow the last metadata block
+    const audioBytes = isLast ? fileSize - offset : 0;
+
+    return AudioAnalyzer.createStreamInfo({
+      format: 'FLAC',
+      codec: 'FLAC',
+      sampleRate,
+      channels,
+      bitDepth,
+      bitrate: duration && audioBytes > 0 ? audioBytes * 8 / duration / 1000 : null,
+      bitrateMode: 'VBR',
+      duration,
+      durationExact: duration !== null,
+      encoder
+    });
+  }
+
+  /**
+   * Parses an MPEG audio frame header
+   * @param {DataView} view View holding the frame.
+   * @param {number} offset Offset of the 4-byte frame header.
+   * @returns {object|null} { version (1, 2 or 2.5), layer, bitrate (kbps), sampleRate, channels,
+   *   samplesPerFrame, frameLength (bytes) }, or null if this isn't a valid frame header.
+   */
+  static parseMpegHeader(view, offset) {
+    if (offset + 4 > view.byteLength) {
+      return null;
+    }
+
+    const header = view.getUint32(offset, false);
+    const versionBits = (header >>> 19) & 0x03;
+    const layerBits = (header >>> 17) & 0x03;
+    const bitrateIndex = (header >>> 12) & 0x0F;
+    const sampleRateIndex = (header >>> 10) & 0x03;
+
+    // Frame sync, then no reserved version/layer/sample rate and no free-format or bad bitrate
+    if ((header >>> 21) !== 0x7FF || versionBits === 1 || layerBits === 0 ||
+        bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      return null;
+    }
+
+    const version = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 2.5);
+    const layer = 4 - layerBits;
+    const table = version === 1 ? `V1L${layer}` : (layer === 1 ? 'V2L1' : 'V2L2');
+    const bitrate = AudioAnalyzer.MPEG_BITRATES[table][bitrateIndex];
+    const sampleRate = AudioAnalyzer.MPEG_SAMPLE_RATES[version][sampleRateIndex];
+    const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+    const padding = (header >>> 9) & 0x01;
+    const frameLength = layer === 1
+      ? (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4
+      : Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+
+    return {
+      version,
+      layer,
+      bitrate,
+      sampleRate,
+      channels: ((header >>> 6) & 0x03) === 3 ? 1 : 2,
+      samplesPerFrame,
+      frameLength
+    };
+  }
+
+  /**
+   * Parses MPEG audio (MP3): skips an ID3v2 tag, reads the first frame header, then the Xing/Info or
+   * VBRI header in that frame for the frame count (exact length) and VBR bitrate, and the LAME
+   * extension for the encoder, VBR method and encoder delay/padding. Without them the file is
+   * taken as CBR and its length estimated from the file size.
+   * @param {DataView} view View over the MP3 file.
+   * @param {number} fileSize Full file size in bytes.
+   * @returns {object|null} Stream info, or null if no frame is found.
+   */
+  static parseMpegAudio(view, fileSize) {
+    // ID3v2 tag: 10-byte header with a syncsafe size, plus a footer when flagged
+    let offset = 0;
+    if (AudioAnalyzer.readChunkId(view, 0).startsWith('ID3')) {
+      const size = ((view.getUint8(6) & 0x7F) << 21) | ((view.getUint8(7) & 0x7F) << 14) |
+        ((view.getUint8(8) & 0x7F) << 7) | (view.getUint8(9) & 0x7F);
+      offset = 10 + size + ((view.getUint8(5) & 0x10) ? 10 : 0);
+    }
+
+    // First frame: a valid header followed by another one (unless the view ends first)
+    let frame = null;
+    const scanEnd = Math.min(view.byteLength - 4, offset + 64 * 1024);
+    for (; offset < scanEnd; offset++) {
+      frame = AudioAnalyzer.parseMpegHeader(view, offset);
+      const next = frame ? offset + frame.frameLength : 0;
+      if (frame && (next + 4 > view.byteLength || AudioAnalyzer.parseMpegHeader(view, next))) {
+        break;
+      }
+      frame = null;
+    }
+    if (!frame) {
+      return null;
+    }
+
+    // An ID3v1 tag takes the last 128 bytes (only visible when the whole file is in view)
+    const hasId3v1 = view.byteLength >= fileSize && fileSize >= 128 &&
+      AudioAnalyzer.readChunkId(view, fileSize - 128).startsWith('TAG');
+    const audioBytes = fileSize - offset - (hasId3v1 ? 128 : 0);
+
+    let frames = null;
+    let bytes = null;
+    let bitrateMode = 'CBR';
+    let encoder = null;
+    let encoderDelay = 0;
+    let encoderPadding = 0;
+
+    // Xing/Info sits after the side information, VBRI at a fixed 32 bytes
+    const sideInfoLength = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+    const xing = offset + 4 + sideInfoLength;
+    const vbri = offset + 4 + 32;
+    const xingId = xing + 8 <= view.byteLength ? AudioAnalyzer.readChunkId(view, xing) : '';
+
+    if (xingId === 'Xing' || xingId === 'Info') {
+      // 'Info' is LAME's name for the same header in a CBR file
+      bitrateMode = xingId === 'Xing' ? 'VBR' : 'CBR';
+      const flags = view.getUint32(xing + 4, false);
+      let position = xing + 8;
+      if (flags & 0x01) {
+        frames = view.getUint32(position, false);
+        position += 4;
+      }
+      if (flags & 0x02) {
+        bytes = view.getUint32(position, false);
+        position += 4;
+      }
+      if (flags & 0x04) position += 100; // Seek table
+      if (flags & 0x08) position += 4; // Quality
+
+      // LAME tag: version string, VBR method, ..., 12-bit encoder delay and 12-bit padding at 21-23
+      if (position + 24 <= view.byteLength && AudioAnalyzer.readChunkId(view, position) === 'LAME') {
+        encoder = AudioAnalyzer.readText(view, position, 9);
+        const method = view.getUint8(position + 9) & 0x0F;
+        if (method === 1 || method === 8) bitrateMode = 'CBR';
+        else if (method === 2 || method === 9) bitrateMode = 'ABR';
+        else if (method >= 3 && method <= 6) bitrateMode = 'VBR';
+
+        const delayPadding = (view.getUint8(position + 21) << 16) | (view.getUint8(position + 22) << 8) | view.getUint8(position + 23);
+        encoderDelay = delayPadding >>> 12;
+        encoderPadding = delayPadding & 0xFFF;
+      }
+    } else if (vbri + 18 <= view.byteLength && AudioAnalyzer.readChunkId(view, vbri) === 'VBRI') {
+      bitrateMode = 'VBR';
+      bytes = view.getUint32(vbri + 10, false);
+      frames = view.getUint32(vbri + 14, false);
+    }
+
+    let duration;
+    let bitrate = frame.bitrate;
+    if (frames) {
+      duration = (frames * frame.samplesPerFrame - encoderDelay - encoderPadding) / frame.sampleRate;
+      if (bitrateMode !== 'CBR') {
+        bitrate = (bytes || audioBytes) * 8 / (frames * frame.samplesPerFrame / frame.sampleRate) / 1000;
+      }
+    } else {
+      duration = audioBytes * 8 / (frame.bitrate * 1000);
+    }
+
+    return AudioAnalyzer.createStreamInfo({
+      format: 'MP3',
+      codec: frame.layer === 3 ? 'MP3' : `MPEG-${frame.version} Layer ${frame.layer === 1 ? 'I' : 'II'}`,
+      sampleRate: frame.sampleRate,
+      channels: frame.channels,
+      bitrate,
+      bitrateMode,
+      duration,
+      durationExact: frames !== null && frames > 0,
+      encoder
+    });
+  }
+
+  /**
+   * Parses the boxes of an MP4/M4A file for its sound track: mdhd (timescale and duration), stsd (codec,
+   * channels, sample rate), esds (AAC profile and bitrate) and alac (ALAC bit depth). A moov box written
+   * after the audio isn't found in partial downloads.
+   * @param {DataView} view View over the MP4 file.
+   * @param {number} fileSize Full file size in bytes.
+   * @returns {object|null} Stream info, or null if no sound track is found.
+   */
+  static parseMp4Boxes(view, fileSize) {
+    const containers = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+    const tracks = [];
+    let track = null;
+    let mdatSize = null;
+
+    const walk = (start, end) => {
+      let offset = start;
+      while (offset + 8 <= Math.min(end, view.byteLength)) {
+        let size = view.getUint32(offset, false);
+        const type = AudioAnalyzer.readChunkId(view, offset + 4);
+        let headerSize = 8;
+        if (size === 1) {
+          if (offset + 16 > view.byteLength) break;
+          size = AudioAnalyzer.readUint64(view, offset + 8, false);
+          headerSize = 16;
+        } else if (size === 0) {
+          size = end - offset; // Box runs to the end of its parent (or the file)
+        }
+        if (size < headerSize) break;
+        const body = offset + headerSize;
+
+        if (type === 'trak') {
+          track = {};
+          tracks.push(track);
+        }
+
+        if (containers.includes(type)) {
+          walk(body, offset + size);
+        } else if (type === 'mdat') {
+          mdatSize = size - headerSize;
+        } else if (track && type === 'hdlr' && body + 12 <= view.byteLength) {
+          track.handler = AudioAnalyzer.readChunkId(view, body + 8);
+        } else if (track && type === 'mdhd' && body + (view.getUint8(body) === 1 ? 32 : 20) <= view.byteLength) {
+          const version = view.getUint8(body);
+          track.timescale = view.getUint32(body + (version === 1 ? 20 : 12), false);
+          track.duration = version === 1
+            ? AudioAnalyzer.readUint64(view, body + 24, false)
+            : view.getUint32(body + 16, false);
+        } else if (track && type === 'stsd' && body + 44 <= view.byteLength) {
+          Object.assign(track, AudioAnalyzer.parseMp4SampleEntry(view, body + 8));
+        }
+
+        offset += size;
+      }
+    };
+    walk(0, fileSize);
+
+    const sound = tracks.find(t => t.handler === 'soun' && t.format) ?? tracks.find(t => t.format);
+    if (!sound) {
+      return null;
+    }
+
+    const duration = sound.timescale > 0 && sound.duration > 0 ? sound.duration / sound.timescale : null;
+    let bitrate = sound.avgBitrate > 0 ? sound.avgBitrate / 1000 : null;
+    if (bitrate === null && duration) {
+      bitrate = (mdatSize ?? fileSize) * 8 / duration / 1000;
+    }
+
+    let bitrateMode = null;
+    if (sound.avgBitrate > 0 && sound.maxBitrate > 0) {
+      bitrateMode = sound.avgBitrate === sound.maxBitrate ? 'CBR' : 'VBR';
+    }
+
+    return AudioAnalyzer.createStreamInfo({
+      format: 'MP4',
+      codec: sound.profile ?? AudioAnalyzer.MP4_CODECS[sound.format] ?? sound.format.trim(),
+      sampleRate: sound.sampleRate,
+      channels: sound.channels,
+      // Lossy sample entries carry a nominal 16-bit sample size
+      bitDepth: sound.bitDepth ?? (['alac', 'fLaC'].includes(sound.format) ? sound.sampleSize : null),
+      bitrate,
+      bitrateMode,
+      duration,
+      durationExact: duration !== null
+    });
+  }
+
+  /**
+   * Parses the first audio sample entry of an stsd box, with its esds or alac configuration
+   * @param {DataView} view View holding the box.
+   * @param {number} offset Offset of the sample entry.
+   * @returns {object} { format, channels, sampleSize, sampleRate, and from the configuration: profile, avgBitrate,
+   *   maxBitrate (esds) or bitDepth (alac) }
+   */
+  static parseMp4SampleEntry(view, offset) {
+    const entrySize = view.getUint32(offset, false);
+    const entry = {
+      format: AudioAnalyzer.readChunkId(view, offset + 4),
+      channels: view.getUint16(offset + 24, false),
+      sampleSize: view.getUint16(offset + 26, false),
+      sampleRate: view.getUint16(offset + 32, false) // 16.16 fixed point; configurations below are exact
+    };
+
+    // QuickTime sound description versions 1 and 2 add 16 and 36 bytes before the child boxes
+    const soundVersion = view.getUint16(offset + 16, false);
+    let child = offset + 36 + (soundVersion === 1 ? 16 : soundVersion === 2 ? 36 : 0);
+    const end = Math.min(offset + entrySize, view.byteLength);
+
+    while (child + 8 <= end) {
+      const size = view.getUint32(child, false);
+      const type = AudioAnalyzer.readChunkId(view, child + 4);
+      if (size < 8) break;
+
+      if (type === 'esds') {
+        Object.assign(entry, AudioAnalyzer.parseEsds(view, child + 8, Math.min(child + size, end)));
+      } else if (type === 'alac' && child + 8 + 28 <= end) {
+        // ALACSpecificConfig after the full box header
+        const config = child + 12;
+        entry.bitDepth = view.getUint8(config + 5);
+        entry.channels = view.getUint8(config + 9);
+        entry.avgBitrate = view.getUint32(config + 16, false);
+        entry.sampleRate = view.getUint32(config + 20, false);
+      }
+      child += size;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Parses an esds box: ES_Descriptor > DecoderConfigDescriptor (object type, bitrates) >
+   * DecoderSpecificInfo (AudioSpecificConfig: object type, sample rate, channels)
+   * @param {DataView} view View holding the box.
+   * @param {number} offset Offset of the box body.
+   * @param {number} end End of the box.
+   * @returns {object} { profile, avgBitrate, maxBitrate, sampleRate, channels } as far as present.
+   */
+  static parseEsds(view, offset, end) {
+    const config = {};
+    let position = offset + 4; // Full box header
+
+    while (position + 2 <= end) {
+      const tag = view.getUint8(position++);
+      // Descriptor lengths use up to four 7-bit bytes
+      let length = 0;
+      for (let i = 0; i < 4 && position < end; i++) {
+        const byte = view.getUint8(position++);
+        length = (length << 7) | (byte & 0x7F);
+        if (!(byte & 0x80)) break;
+      }
+      const body = position;
+
+      if (tag === 0x03) {
+        // ES_ID, then flags for the optional stream dependence, URL and OCR fields
+        const flags = view.getUint8(body + 2);
+        position = body + 3;
+        if (flags & 0x80) position += 2;
+        if (flags & 0x40) position += 1 + view.getUint8(position);
+        if (flags & 0x20) position += 2;
+      } else if (tag === 0x04 && body + 13 <= end) {
+        const objectType = view.getUint8(body);
+        if (objectType === 0x69 || objectType === 0x6B) {
+          config.profile = 'MP3';
+        }
+        config.maxBitrate = view.getUint32(body + 5, false);
+        config.avgBitrate = view.getUint32(body + 9, false);
+        position = body + 13;
+      } else if (tag === 0x05 && body + 2 <= end) {
+        const first = view.getUint8(body);
+        const second = view.getUint8(body + 1);
+        const objectType = first >> 3;
+        const frequencyIndex = ((first & 0x07) << 1) | (second >> 7);
+        const channelConfig = (second >> 3) & 0x0F;
+        config.profile = config.profile ?? AudioAnalyzer.AAC_PROFILES[objectType] ?? 'AAC';
+        if (AudioAnalyzer.AAC_SAMPLE_RATES[frequencyIndex]) {
+          config.sampleRate = AudioAnalyzer.AAC_SAMPLE_RATES[frequencyIndex];
+        }
+        if (channelConfig > 0) {
+          config.channels = channelConfig === 7 ? 8 : channelConfig;
+        }
+        break;
+      } else {
+        position = body + length;
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Parses the identification and comment headers of an Ogg Vorbis or Opus stream. The exact length
+   * comes from the granule position of the last page when the whole file is in view; otherwise it's
+   * estimated from the nominal bitrate (Vorbis only).
+   * @param {DataView} view View over the Ogg file.
+   * @param {number} fileSize Full file size in bytes.
+   * @returns {object|null} Stream info, or null for other Ogg codecs.
+   */
+  static parseOggHeaders(view, fileSize) {
+    const pageBody = (page) => page + 27 + view.getUint8(page + 26);
+    const pageEnd = (page) => {
+      let end = pageBody(page);
+      for (let i = 0; i < view.getUint8(page + 26); i++) {
+        end += view.getUint8(page + 27 + i);
+      }
+      return end;
+    };
+    const serial = view.getUint32(14, true);
+    const packet = pageBody(0);
+    if (packet + 19 > view.byteLength) {
+      return null;
+    }
+
+    let stream;
+    if (view.getUint8(packet) === 0x01 && AudioAnalyzer.readText(view, packet + 1, 6) === 'vorbis') {
+      const nominal = view.getInt32(packet + 20, true);
+      const maximum = view.getInt32(packet + 16, true);
+      const minimum = view.getInt32(packet + 24, true);
+      stream = {
+        codec: 'Vorbis',
+        channels: view.getUint8(packet + 11),
+        sampleRate: view.getUint32(packet + 12, true),
+        nominalBitrate: nominal > 0 ? nominal / 1000 : null,
+        bitrateMode: nominal > 0 && nominal === maximum && nominal === minimum ? 'CBR' : 'VBR',
+        preSkip: 0,
+        vendorOffset: 7 // After '\x03vorbis'
+      };
+    } else if (AudioAnalyzer.readText(view, packet, 8) === 'OpusHead') {
+      // Opus always decodes at 48 kHz; granule positions count 48 kHz samples including the pre-skip
+      stream = {
+        codec: 'Opus',
+        channels: view.getUint8(packet + 9),
+        sampleRate: 48000,
+        nominalBitrate: null,
+        bitrateMode: 'VBR',
+        preSkip: view.getUint16(packet + 10, true),
+        vendorOffset: 8 // After 'OpusTags'
+      };
+    } else {
+      return null;
+    }
+
+    // Comment header on the next page: length-prefixed vendor string
+    let encoder = null;
+    const commentPage = pageEnd(0);
+    if (commentPage + 27 <= view.byteLength && AudioAnalyzer.readChunkId(view, commentPage) === 'OggS') {
+      const vendor = pageBody(commentPage) + stream.vendorOffset;
+      if (vendor + 4 <= view.byteLength) {
+        encoder = AudioAnalyzer.readText(view, vendor + 4, view.getUint32(vendor, true)) || null;
+      }
+    }
+
+    // Last page of this stream with a granule position (-1 marks pages without a finished packet)
+    let duration = null;
+    if (view.byteLength >= fileSize) {
+      for (let offset = view.byteLength - 27; offset > 0; offset--) {
+        if (AudioAnalyzer.readChunkId(view, offset) !== 'OggS' || view.getUint32(offset + 14, true) !== serial) continue;
+        if (view.getUint32(offset + 6, true) === 0xFFFFFFFF && view.getUint32(offset + 10, true) === 0xFFFFFFFF) continue;
+        duration = Math.max(0, AudioAnalyzer.readUint64(view, offset + 6) - stream.preSkip) / stream.sampleRate;
+        break;
+      }
+    }
+
+    const durationExact = duration !== null;
+    if (!durationExact && stream.nominalBitrate) {
+      duration = fileSize * 8 / (stream.nominalBitrate * 1000);
+    }
+
+    return AudioAnalyzer.createStreamInfo({
+      format: 'Ogg',
+      codec: stream.codec,
+      sampleRate: stream.sampleRate,
+      channels: stream.channels,
+      bitrate: durationExact && duration > 0 ? fileSize * 8 / duration / 1000 : stream.nominalBitrate,
+      bitrateMode: stream.bitrateMode,
+      duration,
+      durationExact,
+      encoder
+    });
+  }
+
+  /**
+   * Determines the effective bit depth of integer PCM WAV data from its samples.
+   * Low-order bits that are zero in every sample were never used (e.g. 16-bit audio padded to 24 bits).
+   * A histogram of the sample codes around zero also reveals missing codes: regularly empty codes
+   * where the signal spends most of its time mean digital gain was applied after quantization.
+   * Reads the raw bytes, so results do not depend on how the browser decodes or resamples the file.
+   * Yields to the UI between blocks and stops with AnalysisCancelledError after cancelAnalysis().
+   * @param {DataView} view View over the WAV file (may be a partial download).
+   * @param {number} bitsPerSample Bits per sample container from the fmt chunk.
+   * @param {number} [declaredBitDepth] Declared valid bits (WAVE_FORMAT_EXTENSIBLE), if fewer than the container.
+   * @returns {Promise<object|null>} Declared and effective bit depth, unused low bits and missing-code stats,
+   *   or null if the data chunk cannot be read.
+   */
+  async analyzeEffectiveBitDepth(view, bitsPerSample, declaredBitDepth = bitsPerSample) {
+    const {
+      MAX_SAMPLES, BLOCK_SAMPLES, MIN_NON_ZERO_SAMPLES, HISTOGRAM_HALF_RANGE,
+      MIN_EXPECTED_COUNT, MISSING_CODE_THRESHOLD
+    } = AudioAnalyzer.BIT_DEPTH_CONFIG;
+
+    if (![8, 16, 24, 32].includes(bitsPerSample)) {
+      return null;
+    }
+    const bytesPerSample = bitsPerSample / 8;
+
+    // Find data chunk (clamped to the bytes actually present)
+    const dataChunk = AudioAnalyzer.findChunk(view, 'data', AudioAnalyzer.parseRiffHeader(view));
+    const dataStart = dataChunk ? dataChunk.offset + 8 : -1;
+    const dataEnd = dataChunk ? Math.min(dataStart + dataChunk.size, view.byteLength) : -1;
+    if (dataStart < 0) {
+      return null;
+    }
+
+    const totalSamples = Math.floor((dataEnd - dataStart) / bytesPerSample);
+
+    // Reads one block of samples into blockData and returns how many were read
+    const blockData = new Int32Array(BLOCK_SAMPLES);
+    const readBlock = (block) => {
+      const first = block * BLOCK_SAMPLES;
+      const count = Math.min(BLOCK_SAMPLES, totalSamples - first);
+      let position = dataStart + first * bytesPerSample;
+      switch (bytesPerSample) {
+        case 1:
+          for (let i = 0; i < count; i++, position++) {
+            blockData[i] = view.getUint8(position) - 128;
+          }
+          break;
+        case 2:
+          for (let i = 0; i < count; i++, position += 2) {
+            blockData[i] = view.getInt16(position, true);
+          }
+          break;
+        case 3:
+          for (let i = 0; i < count; i++, position += 3) {
+            blockData[i] = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+          }
+          break;
+        default:
+          for (let i = 0; i < count; i++, position += 4) {
+            blockData[i] = view.getInt32(position, true);
+          }
+      }
+      return count;
+    };
+
+    // Evenly spaced blocks when the file is too large to read every sample
+    const numBlocks = Math.ceil(totalSamples / BLOCK_SAMPLES);
+    const blockStride = Math.max(1, Math.ceil(totalSamples / MAX_SAMPLES));
+    const forEachBlock = async (visit) => {
+      for (let block = 0; block < numBlocks; block += blockStride) {
+        // Allow UI to update (and a cancel request to arrive)
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.cancelled) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'bit-depth');
+        }
+        visit(readBlock(block));
+      }
+    };
+
+    // 1. Low-order bits used by any sample
+    let usedBits = 0;
+    let samplesAnalyzed = 0;
+    let nonZeroSamples = 0;
+    await forEachBlock((count) => {
+      samplesAnalyzed += count;
+      for (let i = 0; i < count; i++) {
+        const sample = blockData[i];
+        if (sample !== 0) {
+          nonZeroSamples++;
+          usedBits |= sample;
+        }
+      }
+    });
+
+    if (nonZeroSamples < MIN_NON_ZERO_SAMPLES) {
+      return {
+        declaredBitDepth,
+        effectiveBitDepth: null,
+        unusedBits: null,
+        samplesAnalyzed,
+        nonZeroSamples,
+        conclusive: false,
+        missingCodes: null
+      };
+    }
+
+    let unusedBits = 0;
+    while (unusedBits < bitsPerSample - 1 && (usedBits & (1 << unusedBits)) === 0) {
+      unusedBits++;
+    }
+    const effectiveBitDepth = bitsPerSample - unusedBits;
+
+    // 2. Histogram of codes near zero at the effective depth (digital silence left out)
+    const histogram = new Uint32Array(2 * HISTOGRAM_HALF_RANGE + 1);
+    await forEachBlock((count) => {
+      for (let i = 0; i < count; i++) {
+        const sample = blockData[i];
+        if (sample === 0) continue;
+        const code = sample >> unusedBits;
+        if (code >= -HISTOGRAM_HALF_RANGE && code <= HISTOGRAM_HALF_RANGE) {
+          histogram[code + HISTOGRAM_HALF_RANGE]++;
+        }
+      }
+    });
+
+    // Check the codes holding the central half of the non-zero samples
+    let range = 0;
+    let covered = 0;
+    while (range < HISTOGRAM_HALF_RANGE && covered < nonZeroSamples / 2) {
+      range++;
+      covered += histogram[HISTOGRAM_HALF_RANGE - range] + histogram[HISTOGRAM_HALF_RANGE + range];
+    }
+
+    let missingCodes = null;
+    const codesChecked = 2 * range;
+    if (codesChecked > 0 && covered / codesChecked >= MIN_EXPECTED_COUNT) {
+      let emptyCodes = 0;
+      for (let code = 1; code <= range; code++) {
+        if (histogram[HISTOGRAM_HALF_RANGE + code] === 0) emptyCodes++;
+        if (histogram[HISTOGRAM_HALF_RANGE - code] === 0) emptyCodes++;
+      }
+      const percentage = (emptyCodes / codesChecked) * 100;
+      missingCodes = {
+        detected: percentage >= MISSING_CODE_THRESHOLD * 100,
+        percentage,
+        codesChecked
+      };
+    }
+
+    return {
+      declaredBitDepth,
+      effectiveBitDepth,
+      unusedBits,
+      samplesAnalyzed,
+      nonZeroSamples,
+      conclusive: true,
+      missingCodes
+    };
+  }
+
   /**
    * Detect actual file type from file header bytes (magic numbers)
    * Returns null if file type cannot be determined from header
@@ -239,9 +1657,8 @@ export class AudioAnalyzer {
         bytes.push(view.getUint8(i));
       }
 
-      // RIFF/WAV: 'RIFF' + size + 'WAVE'
-      if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46 &&
-          bytes[8] === 0x57 && bytes[9] === 0x41 && bytes[10] === 0x56 && bytes[11] === 0x45) {
+      // RIFF/WAV: 'RIFF' (or 'RF64'/'BW64') + size + 'WAVE'
+      if (view.byteLength >= 12 && AudioAnalyzer.parseRiffHeader(view)) {
         return 'WAV';
       }
 
@@ -291,7 +1708,23 @@ export class AudioAnalyzer {
     return typeMap[extension] || extension.toUpperCase();
   }
 
-  estimateBitDepth(arrayBuffer, filename, actualFileType) {
+  /**
+   * Bit depth of a non-WAV file: the stream's own bit depth for lossless codecs (FLAC, ALAC), otherwise
+   * 'Compressed (variable)' for lossy formats or 'Unknown'
+   * @param {ArrayBuffer} arrayBuffer File contents.
+   * @param {string} filename File name, for the extension.
+   * @param {string} [actualFileType] Detected file type label, used instead of the extension.
+   * @param {object|null} [streamInfo] Stream info from parseStreamInfo, if already parsed.
+   * @returns {number|string} Bits per sample, or a label.
+   */
+  estimateBitDepth(arrayBuffer, filename, actualFileType, streamInfo = AudioAnalyzer.parseStreamInfo(new DataView(arrayBuffer))) {
+    if (streamInfo?.bitDepth) {
+      return streamInfo.bitDepth;
+    }
+    if (streamInfo) {
+      return 'Compressed (variable)';
+    }
+
     // If actual file type is provided, use that instead of filename extension
     if (actualFileType) {
       // Extract the base type (e.g., "M4A" from "M4A (wrong extension)")
@@ -3,6 +3,9 @@
  * Header-only analysis for processing large numbers of files efficiently
  */
 
+import { AudioAnalyzer } from './audio-analyzer.js';
+import { CriteriaValidator } from './criteria-validator.js';
+
 export class StreamingAudioAnalyzer {
   /**
    * Analyze only file headers (first ~100KB) for quick batch processing
@@ -33,6 +36,13 @@ export class StreamingAudioAnalyzer {
       Object.assign(result, this.parseMp3Headers(view, file.size));
     } else if (file.name.toLowerCase().endsWith('.flac')) {
       Object.assign(result, this.parseFlacHeaders(view, file.size));
+    } else if (['.m4a', '.aac', '.mp4', '.ogg', '.opus'].some(ext => file.name.toLowerCase().endsWith(ext))) {
+      Object.assign(result, this.parseStreamHeaders(view, file.size) ?? {
+        sampleRate: 'Unknown',
+        bitDepth: 'Unknown',
+        channels: 'Unknown',
+        duration: 'Unknown'
+      });
     } else {
       // Unknown format - set defaults
       result.sampleRate = 'Unknown';
@@ -46,54 +56,38 @@ export class StreamingAudioAnalyzer {
 
   parseWavHeaders(view, fileSize) {
     try {
-      // Check for RIFF header
-      const riffHeader = String.fromCharCode(
-        view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3)
-      );
-      if (riffHeader !== 'RIFF') {
-        throw new Error('Not a valid WAV file');
-      }
-
-      // Check for WAVE format
-      const waveHeader = String.fromCharCode(
-        view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11)
-      );
-      if (waveHeader !== 'WAVE') {
+      // Check for RIFF/RF64/BW64 header with WAVE format
+      const header = AudioAnalyzer.parseRiffHeader(view);
+      if (!header) {
         throw new Error('Not a valid WAV file');
       }
 
       // Find fmt chunk
-      let offset = 12;
-      while (offset < view.byteLength - 8) {
-        const chunkId = String.fromCharCode(
-          view.getUint8(offset), view.getUint8(offset + 1),
-          view.getUint8(offset + 2), view.getUint8(offset + 3)
-        );
-        const chunkSize = view.getUint32(offset + 4, true);
-
-        if (chunkId === 'fmt ') {
-          const audioFormat = view.getUint16(offset + 8, true);
-          const channels = view.getUint16(offset + 10, true);
-          const sampleRate = view.getUint32(offset + 12, true);
-          const bitsPerSample = view.getUint16(offset + 22, true);
-          const byteRate = view.getUint32(offset + 16, true);
-
-          // Calculate duration from full file size and byte rate
-          // Subtract ~44 bytes for typical WAV header
-          const audioDataSize = fileSize - 44;
-          const duration = byteRate > 0 ? audioDataSize / byteRate : 'Unknown';
-
-          return {
-            sampleRate,
-            channels,
-            bitDepth: bitsPerSample,
-            duration: typeof duration === 'number' ? duration : 'Unknown',
-            audioFormat,
-            formatType: audioFormat === 1 ? 'WAV (PCM)' : `WAV (Format ${audioFormat})`
-          };
-        }
+      const fmtChunk = AudioAnalyzer.findChunk(view, 'fmt ', header);
+      if (fmtChunk) {
+        // Same fmt parsing as AudioAnalyzer (extensible sub-format, valid bits, channel mask)
+        const fmt = AudioAnalyzer.parseFmtChunk(view, fmtChunk.offset + 8, fmtChunk.size);
+        const { byteRate } = fmt;
+        const container = AudioAnalyzer.getContainerInfo(view, header, fileSize);
+        const chunkIntegrity = AudioAnalyzer.inspectChunks(view, fileSize);
+
+        // RF64/BW64 carry the real data size in ds64; otherwise estimate it from the full file size,
+        // subtracting ~44 bytes for a typical WAV header
+        const audioDataSize = header.ds64 ? (container.dataSize ?? header.ds64.dataSize) : fileSize - 44;
+        const duration = byteRate > 0 ? audioDataSize / byteRate : 'Unknown';
 
-        offset += 8 + chunkSize;
+        return {
+          sampleRate: fmt.sampleRate,
+          channels: fmt.channels,
+          bitDepth: fmt.validBitDepth,
+          duration: typeof duration === 'number' ? duration : 'Unknown',
+          audioFormat: fmt.audioFormat,
+          formatType: AudioAnalyzer.getWavFormatLabel(fmt),
+          wavFormat: fmt,
+          container,
+          chunkIntegrity,
+          metadata: AudioAnalyzer.parseMetadata(view, chunkIntegrity.chunks, fmt.sampleRate)
+        };
       }
 
       throw new Error('fmt chunk not found');
@@ -108,7 +102,37 @@ export class StreamingAudioAnalyzer {
     }
   }
 
-  parseMp3Headers(view) {
+  /**
+   * Reads stream properties from FLAC, MP3, MP4/M4A or Ogg headers (see AudioAnalyzer.parseStreamInfo).
+   * MP4 files with their moov box after the audio have nothing to read in the header chunk.
+   * @param {DataView} view View over the start of the file.
+   * @param {number} fileSize Full file size in bytes.
+   * @returns {Object|null} sampleRate, channels, bitDepth, duration, bitrate (kbps) and streamInfo,
+   *   or null if the headers aren't recognized.
+   */
+  parseStreamHeaders(view, fileSize) {
+    const streamInfo = AudioAnalyzer.parseStreamInfo(view, fileSize);
+    if (!streamInfo) {
+      return null;
+    }
+
+    return {
+      sampleRate: streamInfo.sampleRate ?? 'Unknown',
+      channels: streamInfo.channels ?? 'Unknown',
+      bitDepth: streamInfo.bitDepth ?? 'Compressed (variable)',
+      duration: streamInfo.duration ?? 'Unknown',
+      bitrate: streamInfo.bitrate ?? 'Unknown',
+      streamInfo
+    };
+  }
+
+  parseMp3Headers(view, fileSize = view.byteLength) {
+    // Xing/VBRI/LAME headers give the exact length and real bitrate; fall back to the first frame header
+    const streamHeaders = this.parseStreamHeaders(view, fileSize);
+    if (streamHeaders) {
+      return streamHeaders;
+    }
+
     try {
       // Look for MP3 frame header
       let offset = 0;
@@ -156,7 +180,13 @@ export class StreamingAudioAnalyzer {
     }
   }
 
-  parseFlacHeaders(view) {
+  parseFlacHeaders(view, fileSize = view.byteLength) {
+    // STREAMINFO gives the exact length; the fallback reads only the first block's stream properties
+    const streamHeaders = this.parseStreamHeaders(view, fileSize);
+    if (streamHeaders) {
+      return streamHeaders;
+    }
+
     try {
       // Check for fLaC marker
       const flacMarker = String.fromCharCode(
@@ -263,7 +293,7 @@ export class BatchProcessor {
           file: file, // Keep File object for playback
           analysis,
           validation,
-          status: this.getOverallStatus(validation)
+          status: this.getOverallStatus(validation, currentCriteria?.severity)
         };
 
       } catch (error) {
@@ -299,12 +329,14 @@ export class BatchProcessor {
     return results;
   }
 
-  getOverallStatus(validation) {
-    const statuses = Object.values(validation).map(v => v.status);
-
-    if (statuses.includes('fail')) return 'fail';
-    if (statuses.includes('warning')) return 'warning';
-    return 'pass';
+  /**
+   * Overall status of a file's validation results (info-level criteria don't count)
+   * @param {Object} validation - Validation results keyed by criterion
+   * @param {Object} [severity] - Per-criterion severity from the preset, e.g. { duration: 'fail' }
+   * @returns {string} 'pass', 'warning' or 'fail'
+   */
+  getOverallStatus(validation, severity = null) {
+    return CriteriaValidator.getOverallStatus(validation, severity);
   }
 
   cancel() {
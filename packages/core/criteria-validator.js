@@ -20,8 +20,8 @@ export class CriteriaValidator {
 
     // Handle WAV variations when WAV is the target
     if (targetType === 'wav' || targetType === 'WAV') {
-      if (actualType === 'WAV (PCM)' || actualType === 'WAV') {
-        // Perfect WAV match
+      if (actualType === 'WAV (PCM)' || actualType === 'WAV (IEEE Float)' || actualType === 'WAV') {
+        // Perfect WAV match (integer or floating-point PCM)
         result.matches = true;
         result.status = 'pass';
         return result;
@@ -80,6 +80,29 @@ export class CriteriaValidator {
       };
     }
 
+    // Container compliance (e.g. a plain RIFF file over 4 GB, which can't hold its own sizes)
+    if (results.container?.issues?.length > 0) {
+      validationResults.container = {
+        matches: false,
+        target: 'RIFF under 4 GB, or RF64/BW64',
+        actual: results.container.format,
+        status: 'fail',
+        issue: results.container.issues.join('; ')
+      };
+    }
+
+    // Chunk integrity (truncated uploads, trailing garbage, malformed chunk lists)
+    const chunkIssues = results.chunkIntegrity?.issues ?? [];
+    if (chunkIssues.length > 0) {
+      validationResults.chunkIntegrity = {
+        matches: false,
+        target: 'Complete, well-formed chunk list',
+        actual: results.chunkIntegrity.chunks.map(chunk => chunk.id.trim()).join(', '),
+        status: chunkIssues.some(issue => issue.severity === 'fail') ? 'fail' : 'warning',
+        issue: chunkIssues.map(issue => issue.message).join('; ')
+      };
+    }
+
     if (!metadataOnly) {
       // Sample Rate Validation (Exact Match)
       const sampleRates = toArray(criteria.sampleRate).map(sr => parseInt(sr)).filter(sr => !isNaN(sr));
@@ -183,7 +206,88 @@ export class CriteriaValidator {
       }
     }
 
-    return validationResults;
+    // Bitrate Validation (Minimum kbps - only if specified in criteria)
+    // Read from the stream headers, so metadata-only results are checked too when the headers gave a bitrate
+    if (criteria.minBitrate && (!metadataOnly || typeof results.bitrate === 'number')) {
+      const minBitrate = parseInt(criteria.minBitrate);
+      const bitrate = results.bitrate;
+
+      let status;
+      let matches;
+
+      // Handle Unknown bitrate as warning
+      if (bitrate === 'Unknown' || typeof bitrate !== 'number') {
+        matches = false;
+        status = 'warning';
+      } else {
+        // VBR averages land a little either side of the nominal rate, so round to whole kbps
+        matches = Math.round(bitrate) >= minBitrate;
+        status = matches ? 'pass' : 'fail';
+      }
+
+      validationResults.bitrate = {
+        matches: matches,
+        target: `${minBitrate} kbps minimum`,
+        actual: typeof bitrate === 'number' ? Math.round(bitrate) : 'Unknown',
+        status: status
+      };
+    }
+
+    return this.applySeverity(validationResults, criteria.severity);
+  }
+
+  /**
+   * Applies a preset's per-criterion severity to validation results
+   * A criterion that doesn't pass is reported with the severity configured for it: 'fail', 'warning' or
+   * 'info' (shown, but doesn't affect the overall status). The 'unknown' entry applies to properties that
+   * couldn't be read from the file. Criteria without a configured severity keep their own status.
+   * @param {object} validation - Validation results keyed by criterion
+   * @param {object} [severity] - Severity per criterion, e.g. { duration: 'fail', unknown: 'info' }
+   * @returns {object} Validation results with adjusted statuses (a copy when severity is given)
+   */
+  static applySeverity(validation, severity) {
+    if (!severity) {
+      return validation;
+    }
+
+    const adjusted = {};
+    for (const [criterion, entry] of Object.entries(validation)) {
+      adjusted[criterion] = { ...entry, status: this.resolveSeverity(criterion, entry, severity) };
+    }
+    return adjusted;
+  }
+
+  /**
+   * Status of a single validation entry under a preset's per-criterion severity (see applySeverity)
+   * @param {string} criterion - Criterion key (e.g. 'sampleRate', 'noiseFloor')
+   * @param {object} entry - Validation entry for the criterion
+   * @param {object} [severity] - Severity per criterion
+   * @returns {string} 'pass'|'warning'|'fail'|'info'
+   */
+  static resolveSeverity(criterion, entry, severity) {
+    if (!severity || !entry || entry.status === 'pass' || entry.status === 'info') {
+      return entry?.status;
+    }
+
+    if (entry.actual === 'Unknown' && severity.unknown) {
+      return severity.unknown;
+    }
+    return severity[criterion] ?? entry.status;
+  }
+
+  /**
+   * Overall status of a file's validation results (info-level criteria don't count)
+   * @param {object} validation - Validation results keyed by criterion
+   * @param {object} [severity] - Per-criterion severity, for results it hasn't been applied to yet
+   * @returns {string} 'pass', 'warning' or 'fail'
+   */
+  static getOverallStatus(validation, severity = null) {
+    const statuses = Object.entries(validation)
+      .map(([criterion, entry]) => this.resolveSeverity(criterion, entry, severity));
+
+    if (statuses.includes('fail')) return 'fail';
+    if (statuses.includes('warning')) return 'warning';
+    return 'pass';
   }
 
   static formatDuration(seconds) {
@@ -349,4 +453,580 @@ export class CriteriaValidator {
       longestSegment: longestSegment
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Validates mains hum / tonal noise severity against preset thresholds (pass/warning/fail)
+   * @param {object} tonalNoise - Tonal noise analysis results
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, severity: string } or null if no validation needed
+   */
+  static validateTonalNoise(tonalNoise, preset) {
+    // Skip if preset doesn't define tonal noise thresholds
+    if (preset.tonalNoiseWarningSeverity === undefined && preset.tonalNoiseFailSeverity === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if no non-speech audio could be analyzed
+    if (!tonalNoise?.analyzed) {
+      return null;
+    }
+
+    const severityRank = { none: 0, minor: 1, moderate: 2, severe: 3 };
+    const rank = severityRank[tonalNoise.severity] ?? 0;
+
+    let status = 'pass';
+    if (preset.tonalNoiseFailSeverity !== undefined && rank >= severityRank[preset.tonalNoiseFailSeverity]) {
+      status = 'fail';
+    } else if (preset.tonalNoiseWarningSeverity !== undefined && rank >= severityRank[preset.tonalNoiseWarningSeverity]) {
+      status = 'warning';
+    }
+
+    // Describe the loudest tonal component
+    let message = 'No tonal noise';
+    const strongestTone = (tonalNoise.tones || []).reduce(
+      (loudest, tone) => (!loudest || tone.levelDb > loudest.levelDb ? tone : loudest), null
+    );
+    if (tonalNoise.mainsHum && (!strongestTone || tonalNoise.mainsHum.levelDb >= strongestTone.levelDb)) {
+      message = `${tonalNoise.mainsHum.fundamental} Hz hum at ${tonalNoise.mainsHum.levelDb.toFixed(1)} dB (${tonalNoise.severity})`;
+    } else if (strongestTone) {
+      message = `Tone at ${Math.round(strongestTone.frequency)} Hz, ${strongestTone.levelDb.toFixed(1)} dB (${tonalNoise.severity})`;
+    }
+
+    return {
+      status,
+      message,
+      severity: tonalNoise.severity
+    };
+  }
+
+  /**
+   * Validates per-channel DC offset against preset thresholds (pass/warning/fail)
+   * @param {object} dcOffset - DC offset analysis results
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, offsetPercent: number } or null if no validation needed
+   */
+  static validateDcOffset(dcOffset, preset) {
+    // Skip if preset doesn't define DC offset thresholds
+    if (preset.maxDcOffsetWarning === undefined && preset.maxDcOffsetFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if no DC offset data
+    if (!dcOffset?.perChannel || dcOffset.perChannel.length === 0) {
+      return null;
+    }
+
+    // Worst channel decides (thresholds are % of full scale)
+    const worst = dcOffset.perChannel.reduce(
+      (max, ch) => (Math.abs(ch.offsetPercent) > Math.abs(max.offsetPercent) ? ch : max)
+    );
+    const offsetPercent = Math.abs(worst.offsetPercent);
+
+    let status = 'pass';
+    if (preset.maxDcOffsetFail !== undefined && offsetPercent > preset.maxDcOffsetFail) {
+      status = 'fail';
+    } else if (preset.maxDcOffsetWarning !== undefined && offsetPercent > preset.maxDcOffsetWarning) {
+      status = 'warning';
+    }
+
+    const channelLabel = dcOffset.perChannel.length > 1 ? ` (${worst.channelName})` : '';
+    return {
+      status,
+      message: `${offsetPercent.toFixed(2)}% DC offset${channelLabel}`,
+      offsetPercent
+    };
+  }
+
+  /**
+   * Validates that a file uses the bit depth it declares (pass/warning/fail)
+   * Fails when the samples use fewer bits than the header claims (e.g. 16-bit padded to 24-bit);
+   * warns when missing codes show digital gain was applied after quantization.
+   * @param {object} bitDepthAnalysis - Effective bit depth analysis results
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, effectiveBitDepth: number } or null if no validation needed
+   */
+  static validateEffectiveBitDepth(bitDepthAnalysis, preset) {
+    // Skip if preset doesn't require the declared bit depth to be used
+    if (!preset.requireEffectiveBitDepth) {
+      return null; // No validation needed
+    }
+
+    // Skip if there were too few non-zero samples to tell
+    if (!bitDepthAnalysis?.conclusive) {
+      return null;
+    }
+
+    const { declaredBitDepth, effectiveBitDepth, missingCodes } = bitDepthAnalysis;
+
+    if (effectiveBitDepth < declaredBitDepth) {
+      return {
+        status: 'fail',
+        message: `Effective ${effectiveBitDepth}-bit in ${declaredBitDepth}-bit container`,
+        effectiveBitDepth
+      };
+    }
+
+    if (missingCodes?.detected) {
+      return {
+        status: 'warning',
+        message: `${missingCodes.percentage.toFixed(1)}% missing codes (gain applied after quantization)`,
+        effectiveBitDepth
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `${effectiveBitDepth}-bit`,
+      effectiveBitDepth
+    };
+  }
+
+  /**
+   * Validates net speech duration (voice activity, not file length) against preset minimums (pass/warning/fail)
+   * @param {object} voiceActivity - Voice activity analysis results
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, netSpeechDuration: number } or null if no validation needed
+   */
+  static validateNetSpeech(voiceActivity, preset) {
+    // Skip if preset doesn't define net speech minimums
+    if (preset.minNetSpeechWarning === undefined && preset.minNetSpeechFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if no voice activity data
+    if (!voiceActivity || typeof voiceActivity.netSpeechDuration !== 'number') {
+      return null;
+    }
+
+    const netSpeech = voiceActivity.netSpeechDuration;
+
+    let status = 'pass';
+    if (preset.minNetSpeechFail !== undefined && netSpeech < preset.minNetSpeechFail) {
+      status = 'fail';
+    } else if (preset.minNetSpeechWarning !== undefined && netSpeech < preset.minNetSpeechWarning) {
+      status = 'warning';
+    }
+
+    const minimum = status === 'fail' ? preset.minNetSpeechFail : (preset.minNetSpeechWarning ?? preset.minNetSpeechFail);
+    let message = `${CriteriaValidator.formatDuration(netSpeech)} net speech (${Math.round(voiceActivity.speechRatio * 100)}%)`;
+    if (status !== 'pass') {
+      message += `, ${CriteriaValidator.formatDuration(minimum)} minimum`;
+    }
+
+    return {
+      status,
+      message,
+      netSpeechDuration: netSpeech
+    };
+  }
+
+  /**
+   * Validates pitch range (expressiveness) against preset minimums (pass/warning/fail)
+   * @param {object} pitch - Pitch analysis results
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, rangeSemitones: number } or null if no validation needed
+   */
+  static validatePitchRange(pitch, preset) {
+    // Skip if preset doesn't define pitch range minimums
+    if (preset.minPitchRangeWarning === undefined && preset.minPitchRangeFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if there was too little voiced speech to track
+    if (!pitch?.analyzed) {
+      return null;
+    }
+
+    const range = pitch.rangeSemitones;
+
+    let status = 'pass';
+    if (preset.minPitchRangeFail !== undefined && range < preset.minPitchRangeFail) {
+      status = 'fail';
+    } else if (preset.minPitchRangeWarning !== undefined && range < preset.minPitchRangeWarning) {
+      status = 'warning';
+    }
+
+    let message = `${range.toFixed(1)} st pitch range around ${Math.round(pitch.medianF0Hz)} Hz`;
+    if (status !== 'pass') {
+      const minimum = status === 'fail' ? preset.minPitchRangeFail : preset.minPitchRangeWarning;
+      message += ` (${minimum} st minimum)`;
+    }
+
+    return {
+      status,
+      message,
+      rangeSemitones: range
+    };
+  }
+
+  /**
+   * Validates sibilance against preset maximums (pass/warning/fail)
+   * Both the event rate (per minute of speech) and the loudest burst are checked; the worse one decides.
+   * @param {object} sibilance - Sibilance analysis results
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, eventsPerMinute: number, peakRatioDb: number } or null if no validation needed
+   */
+  static validateSibilance(sibilance, preset) {
+    // Skip if preset doesn't define sibilance thresholds
+    if (preset.maxSibilanceRateWarning === undefined && preset.maxSibilanceRateFail === undefined &&
+        preset.maxSibilancePeakWarning === undefined && preset.maxSibilancePeakFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if there was too little speech (or bandwidth) to measure
+    if (!sibilance?.analyzed) {
+      return null;
+    }
+
+    const { eventsPerMinute, peakRatioDb } = sibilance;
+    const exceeds = (value, limit) => limit !== undefined && value !== null && value > limit;
+
+    let status = 'pass';
+    if (exceeds(eventsPerMinute, preset.maxSibilanceRateFail) || exceeds(peakRatioDb, preset.maxSibilancePeakFail)) {
+      status = 'fail';
+    } else if (exceeds(eventsPerMinute, preset.maxSibilanceRateWarning) || exceeds(peakRatioDb, preset.maxSibilancePeakWarning)) {
+      status = 'warning';
+    }
+
+    let message = `${eventsPerMinute.toFixed(1)} sibilant bursts/min`;
+    if (peakRatioDb !== null) {
+      message += `, peak ${peakRatioDb > 0 ? '+' : ''}${peakRatioDb.toFixed(1)} dB vs speech`;
+    }
+
+    return {
+      status,
+      message,
+      eventsPerMinute,
+      peakRatioDb
+    };
+  }
+
+  /**
+   * Validates the sample peak level against preset maximums (pass/warning/fail)
+   * @param {object} result - Analysis results (uses peakDb)
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, peakDb: number } or null if no validation needed
+   */
+  static validatePeakLevel(result, preset) {
+    // Skip if preset doesn't define peak maximums
+    if (preset.maxPeakWarning === undefined && preset.maxPeakFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if no level data (or the file is silent)
+    if (typeof result?.peakDb !== 'number' || !isFinite(result.peakDb)) {
+      return null;
+    }
+
+    const peakDb = result.peakDb;
+
+    let status = 'pass';
+    if (preset.maxPeakFail !== undefined && peakDb > preset.maxPeakFail) {
+      status = 'fail';
+    } else if (preset.maxPeakWarning !== undefined && peakDb > preset.maxPeakWarning) {
+      status = 'warning';
+    }
+
+    let message = `${peakDb.toFixed(1)} dBFS peak`;
+    if (status !== 'pass') {
+      const maximum = status === 'fail' ? preset.maxPeakFail : preset.maxPeakWarning;
+      message += ` (${maximum} dBFS maximum)`;
+    }
+
+    return {
+      status,
+      message,
+      peakDb
+    };
+  }
+
+  /**
+   * Validates the noise floor against preset maximums (pass/warning/fail)
+   * @param {object} result - Analysis results (uses noiseFloorDb)
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, noiseFloorDb: number } or null if no validation needed
+   */
+  static validateNoiseFloor(result, preset) {
+    // Skip if preset doesn't define noise floor maximums
+    if (preset.maxNoiseFloorWarning === undefined && preset.maxNoiseFloorFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if no noise floor data
+    if (typeof result?.noiseFloorDb !== 'number' || Number.isNaN(result.noiseFloorDb)) {
+      return null;
+    }
+
+    const noiseFloorDb = result.noiseFloorDb;
+
+    // A digitally silent floor is as quiet as it gets
+    if (noiseFloorDb === -Infinity) {
+      return { status: 'pass', message: 'Digital silence noise floor', noiseFloorDb };
+    }
+
+    let status = 'pass';
+    if (preset.maxNoiseFloorFail !== undefined && noiseFloorDb > preset.maxNoiseFloorFail) {
+      status = 'fail';
+    } else if (preset.maxNoiseFloorWarning !== undefined && noiseFloorDb > preset.maxNoiseFloorWarning) {
+      status = 'warning';
+    }
+
+    let message = `${noiseFloorDb.toFixed(1)} dB noise floor`;
+    if (status !== 'pass') {
+      const maximum = status === 'fail' ? preset.maxNoiseFloorFail : preset.maxNoiseFloorWarning;
+      message += ` (${maximum} dB maximum)`;
+    }
+
+    return {
+      status,
+      message,
+      noiseFloorDb
+    };
+  }
+
+  /**
+   * Validates the median RT60 reverb time against preset maximums (pass/warning/fail)
+   * @param {object} reverbInfo - Reverb verdict (time, label, confidence)
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, rt60: number } or null if no validation needed
+   */
+  static validateReverb(reverbInfo, preset) {
+    // Skip if preset doesn't define RT60 maximums
+    if (preset.maxRt60Warning === undefined && preset.maxRt60Fail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if no decay could be measured
+    if (!reverbInfo || typeof reverbInfo.time !== 'number' || reverbInfo.confidence === 'none' || reverbInfo.label === 'N/A') {
+      return null;
+    }
+
+    const rt60 = reverbInfo.time;
+
+    let status = 'pass';
+    if (preset.maxRt60Fail !== undefined && rt60 > preset.maxRt60Fail) {
+      status = 'fail';
+    } else if (preset.maxRt60Warning !== undefined && rt60 > preset.maxRt60Warning) {
+      status = 'warning';
+    }
+
+    let message = `${rt60.toFixed(2)}s RT60 (${reverbInfo.label})`;
+    if (status !== 'pass') {
+      const maximum = status === 'fail' ? preset.maxRt60Fail : preset.maxRt60Warning;
+      message += `, ${maximum}s maximum`;
+    }
+
+    return {
+      status,
+      message,
+      rt60
+    };
+  }
+
+  /**
+   * Validates the share of hard-clipped samples against preset maximums (pass/warning/fail)
+   * @param {object} clippingAnalysis - Clipping analysis results
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, clippedPercentage: number } or null if no validation needed
+   */
+  static validateClipping(clippingAnalysis, preset) {
+    // Skip if preset doesn't define clipping maximums
+    if (preset.maxClippedPercentWarning === undefined && preset.maxClippedPercentFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if no clipping data
+    if (!clippingAnalysis || typeof clippingAnalysis.clippedPercentage !== 'number') {
+      return null;
+    }
+
+    const { clippedPercentage, clippingEventCount } = clippingAnalysis;
+
+    let status = 'pass';
+    if (preset.maxClippedPercentFail !== undefined && clippedPercentage > preset.maxClippedPercentFail) {
+      status = 'fail';
+    } else if (preset.maxClippedPercentWarning !== undefined && clippedPercentage > preset.maxClippedPercentWarning) {
+      status = 'warning';
+    }
+
+    let message = `${clippedPercentage.toFixed(3)}% clipped`;
+    if (clippingEventCount) {
+      message += ` (${clippingEventCount} event${clippingEventCount === 1 ? '' : 's'})`;
+    }
+    if (status !== 'pass') {
+      const maximum = status === 'fail' ? preset.maxClippedPercentFail : preset.maxClippedPercentWarning;
+      message += `, ${maximum}% maximum`;
+    }
+
+    return {
+      status,
+      message,
+      clippedPercentage
+    };
+  }
+
+  /**
+   * Validates mic bleed (share of blocks with confirmed cross-talk) against preset maximums (pass/warning/fail)
+   * @param {object} micBleed - Mic bleed analysis results (stereo files only)
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, bleedPercentage: number } or null if no validation needed
+   */
+  static validateMicBleed(micBleed, preset) {
+    // Skip if preset doesn't define bleed maximums
+    if (preset.maxMicBleedWarning === undefined && preset.maxMicBleedFail === undefined) {
+      return null; // No validation needed
+    }
+
+    // Skip if bleed wasn't analyzed (mono or non-conversational files)
+    if (typeof micBleed?.new?.percentageConfirmedBleed !== 'number') {
+      return null;
+    }
+
+    const bleedPercentage = micBleed.new.percentageConfirmedBleed;
+
+    let status = 'pass';
+    if (preset.maxMicBleedFail !== undefined && bleedPercentage > preset.maxMicBleedFail) {
+      status = 'fail';
+    } else if (preset.maxMicBleedWarning !== undefined && bleedPercentage > preset.maxMicBleedWarning) {
+      status = 'warning';
+    }
+
+    let message = `${bleedPercentage.toFixed(1)}% confirmed bleed`;
+    if (status !== 'pass') {
+      const maximum = status === 'fail' ? preset.maxMicBleedFail : preset.maxMicBleedWarning;
+      message += ` (${maximum}% maximum)`;
+    }
+
+    return {
+      status,
+      message,
+      bleedPercentage
+    };
+  }
+
+  /**
+   * Validates leading (head) and trailing (tail) silence against preset ranges (pass/warning/fail)
+   * Each range is [min, max] in seconds; outside the fail range fails, outside the warning range warns.
+   * Head and tail are checked separately; the worse one decides.
+   * @param {object} result - Analysis results (uses leadingSilence and trailingSilence)
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'warning'|'fail', message: string, leadingSilence: number, trailingSilence: number } or null if no validation needed
+   */
+  static validateSilence(result, preset) {
+    const ranges = {
+      head: { value: result?.leadingSilence, warning: preset.leadingSilenceRangeWarning, fail: preset.leadingSilenceRangeFail },
+      tail: { value: result?.trailingSilence, warning: preset.trailingSilenceRangeWarning, fail: preset.trailingSilenceRangeFail }
+    };
+
+    // Skip if preset doesn't define any silence range
+    if (Object.values(ranges).every(range => !range.warning && !range.fail)) {
+      return null; // No validation needed
+    }
+
+    // Skip if no silence data
+    if (typeof result?.leadingSilence !== 'number' || typeof result?.trailingSilence !== 'number') {
+      return null;
+    }
+
+    const outside = (value, range) => Array.isArray(range) && (value < range[0] || value > range[1]);
+    const rank = { pass: 0, warning: 1, fail: 2 };
+
+    let status = 'pass';
+    const issues = [];
+    for (const [name, { value, warning, fail }] of Object.entries(ranges)) {
+      let rangeStatus = 'pass';
+      let range = null;
+      if (outside(value, fail)) {
+        rangeStatus = 'fail';
+        range = fail;
+      } else if (outside(value, warning)) {
+        rangeStatus = 'warning';
+        range = warning;
+      }
+
+      if (range) {
+        issues.push(`${name} ${value.toFixed(1)}s outside ${range[0]}-${range[1]}s`);
+      }
+      if (rank[rangeStatus] > rank[status]) {
+        status = rangeStatus;
+      }
+    }
+
+    let message = `${result.leadingSilence.toFixed(1)}s head, ${result.trailingSilence.toFixed(1)}s tail silence`;
+    if (issues.length > 0) {
+      message += ` (${issues.join(', ')})`;
+    }
+
+    return {
+      status,
+      message,
+      leadingSilence: result.leadingSilence,
+      trailingSilence: result.trailingSilence
+    };
+  }
+
+  /**
+   * Validates embedded metadata against the fields a preset requires (pass/fail)
+   * Fields are paths into the extracted metadata, e.g. 'bext.originator', 'ixml.scene' or 'info.title'.
+   * A field listed in metadataPatterns must also match that regular expression; a pattern that doesn't
+   * compile fails its field rather than the whole analysis.
+   * @param {object|null} metadata - Metadata from AudioAnalyzer.parseMetadata ({ bext, ixml, info })
+   * @param {object} preset - Selected preset configuration
+   * @returns {object|null} { status: 'pass'|'fail', message: string, missing: string[], mismatched: string[],
+   *   invalidPatterns: string[] } or null if no validation needed
+   */
+  static validateMetadata(metadata, preset) {
+    const patterns = preset.metadataPatterns ?? {};
+    const fields = [...new Set([...(preset.requiredMetadata ?? []), ...Object.keys(patterns)])];
+
+    // Skip if preset doesn't require any metadata
+    if (fields.length === 0) {
+      return null; // No validation needed
+    }
+
+    // Compile each pattern once; a malformed one is reported against its field
+    const compiled = {};
+    const invalidPatterns = [];
+    for (const [field, pattern] of Object.entries(patterns)) {
+      try {
+        compiled[field] = new RegExp(pattern);
+      } catch (error) {
+        invalidPatterns.push(field);
+      }
+    }
+
+    const missing = [];
+    const mismatched = [];
+    for (const field of fields) {
+      const value = field.split('.').reduce((node, key) => node?.[key], metadata);
+      if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        missing.push(field);
+      } else if (compiled[field] && !compiled[field].test(String(value))) {
+        mismatched.push(`${field} "${value}" doesn't match ${patterns[field]}`);
+      }
+    }
+
+    if (missing.length > 0 || mismatched.length > 0 || invalidPatterns.length > 0) {
+      const issues = [];
+      if (missing.length > 0) {
+        issues.push(`Missing ${missing.join(', ')}`);
+      }
+      const invalid = invalidPatterns.map(field => `${field}: invalid pattern in preset (${patterns[field]})`);
+      return {
+        status: 'fail',
+        message: [...issues, ...mismatched, ...invalid].join('; '),
+        missing,
+        mismatched,
+        invalidPatterns
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `${fields.length} required metadata field${fields.length === 1 ? '' : 's'} present`,
+      missing,
+      mismatched,
+      invalidPatterns
+    };
+  }
+}
@@ -17,8 +17,8 @@ export class AudioAnalyzerEngine {
     this.googleDrive = new GoogleDriveHandler();
   }
 
-  async analyzeFile(file) {
-    return await this.audioAnalyzer.analyzeFile(file);
+  async analyzeFile(file, options) {
+    return await this.audioAnalyzer.analyzeFile(file, options);
   }
 
   async analyzeAdvanced(audioBuffer, progressCallback) {
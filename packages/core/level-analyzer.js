@@ -23,7 +23,9 @@ export class LevelAnalyzer {
     BLOCK_LOOP: 50,        // Stereo/bleed/overlap: check every 50 blocks (~13s @ 250ms blocks)
     ONSET_LOOP: 100,       // Reverb: check every 100 onsets
     CHUNK_LOOP: 1000,      // Silence: check every 1K chunks (~1s)
-    SEGMENT_LOOP: 1        // Consistency: check every segment (~15s)
+    SEGMENT_LOOP: 1,       // Consistency: check every segment (~15s)
+    FFT_FRAME_LOOP: 1,     // Tonal noise/bandwidth/spectral balance: check every FFT frame
+    CORRELATION_LOOP: 1    // Channel sync: check every cross-correlation window
   };
 
   // Noise floor analysis constants
@@ -39,7 +41,8 @@ export class LevelAnalyzer {
   static SILENCE_CONFIG = {
     CHUNK_SIZE_MS: 50,      // Chunk size for silence detection (50ms)
     MIN_SOUND_DURATION_MS: 150,  // Minimum duration for a sound to not be considered a tick (150ms)
-    SILENCE_THRESHOLD_RATIO: 0.25  // Silence threshold: 25% of way between noise floor and peak
+    SILENCE_THRESHOLD_RATIO: 0.25, // Silence threshold: 25% of way between noise floor and peak
+    DIGITAL_SILENCE_THRESHOLD_DB: -60 // Threshold used instead when the noise floor is digital silence
   };
 
   // Reverb analysis constants
@@ -47,16 +50,55 @@ export class LevelAnalyzer {
     MIN_DB_ABOVE_NOISE: 10, // Minimum dB above noise floor for onset detection
     ONSET_THRESHOLD: 1.5,   // Threshold for RMS rise to detect onset
     ONSET_WINDOW_SIZE: 1024, // Window size for onset detection
-    DECAY_WINDOW_SIZE_MS: 20, // Decay window size in milliseconds
-    DECAY_THRESHOLD_DB: -25 // Decay threshold in dB
+    DECAY_WINDOW_SIZE_MS: 10, // Decay envelope window size in milliseconds
+    PEAK_SEARCH_MS: 100,    // Look this far past an onset for the level peak the decay starts from
+    MAX_DECAY_MS: 3000,     // Longest decay followed from one peak
+    DECAY_THRESHOLD_DB: -25, // Deepest point of the RT60 fit (T20: -5 to -25 dB below the peak)
+    FIT_START_DB: -5,       // RT60 fit starts this far below the peak, past the direct sound
+    MIN_FIT_RANGE_DB: 10,   // Shallowest usable fit when the noise floor cuts a decay short
+    MIN_FIT_POINTS: 3,      // Fewer envelope windows in the fit range means the decay was a cliff
+    NOISE_MARGIN_DB: 10,    // Decays are only followed to this far above the noise floor
+    REBOUND_DB: 3,          // A rise this far above the decay so far means a new sound started
+    EDT_DB: -10,            // Early decay time: first 10 dB of the decay, scaled to 60 dB
+    BOXY_DRR_DB: 8,         // A short decay below this direct-to-reverberant ratio sounds boxy, not dry
+    HIGH_CONFIDENCE_DECAYS: 10,  // Decays needed for high confidence
+    MEDIUM_CONFIDENCE_DECAYS: 3, // Decays needed for medium confidence
+    MAX_CONFIDENT_SPREAD: 0.5,   // RT60 interquartile range / median allowed for high confidence
+    MIN_CONFIDENT_SPREAD_SECONDS: 0.05, // ...but never tighter than a few envelope windows
+    HISTOGRAM_BIN_SECONDS: 0.1,  // RT60 histogram bin width
+    HISTOGRAM_MAX_SECONDS: 2     // Last histogram bin collects everything above this
   };
 
-  // Stereo/mic bleed analysis constants
+  // Stereo separation analysis constants
   static STEREO_CONFIG = {
+    BLOCK_SIZE_MS: 250,           // Block size for analysis (250ms)
+    DOMINANCE_RATIO_THRESHOLD: 1.1, // How much louder one channel must be to be dominant
+    SILENCE_THRESHOLD: 0.001,     // RMS threshold for silence
+    MONO_RATIO: 0.9,              // Share of active blocks balanced (or on one side) that makes a file mono
+    CONVERSATIONAL_MIN_RATIO: 0.1, // Share of active blocks each side must dominate for conversational stereo
+    POLARITY_MIN_CORRELATION: 0.5, // Blocks with |correlation| below this say nothing about polarity
+    POLARITY_INVERTED_RATIO: 0.5  // Fraction of correlated blocks that must be negative to flag inversion
+  };
+
+  // Mic bleed analysis constants
+  static MIC_BLEED_CONFIG = {
     BLOCK_SIZE_MS: 250,           // Block size for analysis (250ms)
     DOMINANCE_RATIO_THRESHOLD: 1.5, // How much louder one channel must be to be dominant
     SILENCE_THRESHOLD: 0.001,     // RMS threshold for silence
-    SEPARATION_THRESHOLD: 15      // dB separation threshold for mic bleed concern
+    SEPARATION_THRESHOLD: 15,     // dB separation threshold for mic bleed concern
+    CORRELATION_THRESHOLD: 0.3,   // Cross-correlation that confirms a concerning block as bleed
+    SEGMENT_MERGE_SECONDS: 1.0    // Confirmed blocks closer than this are grouped into one segment
+  };
+
+  // Normalization check constants
+  static NORMALIZATION_CONFIG = {
+    TARGET_DB: -6.0,              // Expected peak level after normalization
+    TOLERANCE_DB: 0.1             // Peak within this of the target counts as normalized
+  };
+
+  // DC offset constants
+  static DC_OFFSET_CONFIG = {
+    FLAG_THRESHOLD_DB: -50          // Channel mean at or above this (~0.3% of full scale) is flagged
   };
 
   // Clipping analysis constants
@@ -69,6 +111,221 @@ export class LevelAnalyzer {
     MAX_CLIPPED_SAMPLES_PER_CHANNEL: 20000000 // Emergency brake for extreme files
   };
 
+  // Loudness analysis constants (ITU-R BS.1770-4 / EBU R128 / EBU Tech 3342)
+  static LOUDNESS_CONFIG = {
+    BLOCK_SIZE_MS: 100,             // Sub-block resolution (100ms hop for all windows)
+    MOMENTARY_WINDOW_MS: 400,       // Momentary loudness / gating block length (400ms)
+    SHORT_TERM_WINDOW_MS: 3000,     // Short-term loudness window (3s)
+    ABSOLUTE_GATE_LUFS: -70,        // Absolute gate for integrated loudness and LRA
+    RELATIVE_GATE_LU: -10,          // Relative gate for integrated loudness
+    LRA_RELATIVE_GATE_LU: -20,      // Relative gate for loudness range
+    LRA_LOW_PERCENTILE: 0.10,       // Loudness range lower percentile
+    LRA_HIGH_PERCENTILE: 0.95,      // Loudness range upper percentile
+    CHANNEL_WEIGHTS: [1.0, 1.0, 1.0, 0.0, 1.41, 1.41] // L, R, C, LFE (excluded), Ls, Rs
+  };
+
+  // Dynamic range / compression detection constants (see docs/dynamic-range-analysis-plan.md)
+  static DYNAMIC_RANGE_CONFIG = {
+    BLOCK_SIZE_MS: 400,             // Block length for the RMS distribution
+    ABSOLUTE_GATE_DB: -60,          // Blocks below this RMS level are treated as silence
+    RELATIVE_GATE_DB: -20,          // ...as are blocks this far below the mean of the remaining blocks
+    LOUD_BLOCK_FRACTION: 0.2,       // DR figure uses the RMS of the loudest 20% of blocks
+    NATURAL_PLR_DB: 12,             // PLR above this: natural dynamics
+    HEAVILY_LIMITED_PLR_DB: 8       // PLR at or below this: heavily compressed / limited
+  };
+
+  // Channel sync (cross-correlation lag tracking) constants
+  static CHANNEL_SYNC_CONFIG = {
+    ANALYSIS_RATE: 8000,            // Channels are decimated to ~8 kHz before correlating
+    WINDOW_SEC: 1,                  // Correlation window length
+    HOP_SEC: 10,                    // Spacing between windows (grows for very long files)
+    MAX_WINDOWS: 600,               // Upper bound on windows per file
+    MAX_LAG_MS: 250,                // Largest offset searched in either direction
+    MIN_LEVEL_DB: -50,              // Both channels must be above this RMS level in a window
+    MIN_CORRELATION: 0.3,           // Windows with a weaker correlation peak are ignored
+    INITIAL_WINDOWS: 3,             // Valid windows used for the initial offset
+    MIN_WINDOWS_FOR_DRIFT: 3,       // Valid windows needed before drift is estimated
+    DRIFT_THRESHOLD_MS_PER_MIN: 0.5, // Drift above this flags mismatched recorder clocks
+    JUMP_THRESHOLD_MS: 10           // Lag this far off the drift trend marks a jump segment
+  };
+
+  // Level consistency timeline constants
+  static CONSISTENCY_CONFIG = {
+    SEGMENT_SEC: 15,                // Timeline resolution
+    MIN_SEGMENT_SEC: 5,             // A trailing partial segment shorter than this is dropped
+    FRAME_MS: 50,                   // RMS frame length within a segment
+    NOISE_PERCENTILE: 0.05,         // Segment noise floor: 5th percentile of frame levels
+    SPEECH_ACTIVITY_DB: 15,         // Frames this far above the segment noise floor count as speech
+    MIN_SPEECH_FRAMES: 20,          // Segments with fewer speech frames (~1s) have no speech level
+    GAIN_CHANGE_DB: 6,              // Speech level step between neighbouring segments
+    ROOM_TONE_SHIFT_DB: 6,          // Noise floor step between neighbouring segments
+    MIC_DRIFT_DB: 6,                // Gradual speech level change across the whole file
+    EVENT_PENALTY: 10,              // Score deduction per gain change / room-tone shift
+    DRIFT_PENALTY: 20,              // Score deduction per drifting channel
+    CONSISTENT_SCORE: 85,           // Score at or above this: consistent
+    MINOR_VARIATION_SCORE: 60       // Score at or above this: minor variations
+  };
+
+  // Voice activity detection constants
+  static VOICE_ACTIVITY_CONFIG = {
+    FRAME_MS: 20,                   // Frame length for the speech / non-speech decision
+    SPEECH_MARGIN_DB: 15,           // Frames this far above the channel noise floor count as speech
+    FALLBACK_THRESHOLD_DB: -60,     // Speech threshold when a channel has no measurable noise floor
+    MAX_GAP_MS: 300,                // Pauses shorter than this are bridged (gaps between words)
+    MIN_SEGMENT_MS: 100,            // Shorter bursts are dropped (clicks, ticks)
+    MAX_SEGMENTS: 5000,             // Safety limit for segments listed per channel (totals stay exact)
+    // Non-speech events (breaths, mouth noise) in the pauses between phrases
+    SPEECH_REFERENCE_PERCENTILE: 0.95, // Speech level: this percentile of the frames above the speech threshold
+    SPEECH_CORE_RANGE_DB: 20,       // Frames within this of the speech level are speech proper; breaths sit lower
+    MIN_PAUSE_MS: 250,              // Gaps in speech proper shorter than this are within words (fricatives, stops)
+    EVENT_MARGIN_DB: 6,             // Frames this far above the noise floor in a pause are events
+    EVENT_GUARD_MS: 80,             // Frames this close to speech proper are its onset / decay, not events
+    EVENT_MAX_GAP_MS: 20,           // Dips this short do not split an event
+    MOUTH_NOISE_MAX_MS: 60,         // Events up to this long are lip smacks / mouth clicks
+    BREATH_MIN_MS: 150,             // Breaths last between these durations...
+    BREATH_MAX_MS: 1500,
+    BREATH_MIN_ZCR_HZ: 1000,        // ...and are noise-like (zero crossings per second; voiced hum sits far lower)
+    MAX_EVENTS: 5000                // Safety limit for events listed (counts stay exact)
+  };
+
+  // Pitch (F0) tracking / expressiveness constants
+  static PITCH_CONFIG = {
+    ANALYSIS_RATE: 8000,            // Mono mix is decimated to ~8 kHz before pitch tracking
+    FRAME_MS: 40,                   // Difference-function window (over two periods of the lowest F0)
+    HOP_MS: 20,                     // Spacing between candidate frames
+    MIN_F0_HZ: 60,                  // Lowest pitch searched
+    MAX_F0_HZ: 500,                 // Highest pitch searched
+    YIN_THRESHOLD: 0.15,            // Normalised difference dip below this marks a voiced frame
+    MAX_FRAMES: 6000,               // Upper bound on speech frames analysed (spread evenly over the file)
+    MIN_VOICED_FRAMES: 50,          // Fewer voiced frames (~1s) are not enough to judge
+    RANGE_LOW_PERCENTILE: 0.05,     // Pitch and level ranges span the 5th...
+    RANGE_HIGH_PERCENTILE: 0.95,    // ...to 95th percentile
+    OCTAVE_ERROR_SEMITONES: 12,     // Frames more than an octave from the median are tracking errors
+    MONOTONE_RANGE_SEMITONES: 4     // Pitch range below this flags a monotone delivery
+  };
+
+  // Click, pop and dropout detection constants
+  static TRANSIENT_CONFIG = {
+    BLOCK_MS: 10,                   // Block length for the local second-difference level
+    REFERENCE_BLOCKS: 1,            // Blocks either side whose median (with the own block) is the local level
+    CLICK_THRESHOLD_RATIO: 8,       // Second difference this many times the local level is an impulse
+    CLICK_MIN_LEVEL_DB: -50,        // ...and at least this large (ignores noise-floor fizz)
+    CLICK_MERGE_MS: 2,              // Flagged samples closer than this form one event
+    STEP_RATIO: 0.5,                // Level jump left behind (vs peak second difference) marking a discontinuity
+    POP_CUTOFF_HZ: 60,              // Plosive pops carry their energy below this
+    POP_FRAME_MS: 5,                // Frame length for the low-frequency envelope
+    POP_BASELINE_MS: 50,            // Low-frequency level before a pop is averaged over this
+    POP_RISE_DB: 15,                // Jump above the baseline needed for a pop
+    POP_MIN_LEVEL_DB: -30,          // Low-frequency level a pop must reach
+    POP_LF_RATIO: 0.5,              // Share of the frame energy that must sit below the cutoff
+    POP_HOLD_MS: 100,               // Longest pop; no new pop starts within this of the last onset
+    DROPOUT_MIN_MS: 2,              // Shortest run of exact zeros inside speech counted as a dropout
+    DROPOUT_CONTEXT_MS: 5,          // Audio either side of the run must be at speech level
+    FAULT_WEIGHT: 5,                // Discontinuities and dropouts count this many events towards severity
+    SEVERITY_EVENTS_PER_MINUTE: {   // Weighted events per minute (files under a minute count as one minute)
+      severe: 10,
+      moderate: 3
+    },
+    MAX_EVENTS_PER_CHANNEL: 5000,   // Safety limit for events stored per channel (counts stay exact)
+    MAX_TOTAL_EVENTS: 10000         // Total events stored across all channels
+  };
+
+  // Mains hum / tonal noise detection constants
+  static TONAL_NOISE_CONFIG = {
+    TARGET_RESOLUTION_HZ: 3,        // FFT size is the power of two giving at most this bin spacing
+    QUIET_MARGIN_DB: 6,             // Frames within this of the noise floor count as non-speech
+    MAX_FRAMES: 100,                // Upper bound on frames averaged into the spectrum
+    MIN_FREQUENCY_HZ: 40,           // Ignore peaks below this (DC / rumble)
+    MAX_FREQUENCY_HZ: 16000,        // Ignore peaks above this (or 90% of Nyquist)
+    BASELINE_BINS: 24,              // Bins either side used for the local spectral baseline
+    BASELINE_GUARD_BINS: 3,         // Bins either side of the peak left out of the baseline
+    MIN_PROMINENCE_DB: 10,          // Peak must stand this far above the local baseline
+    MAINS_FREQUENCIES: [50, 60],    // Mains fundamentals
+    MAINS_HARMONICS: 8,             // Harmonics checked per fundamental (incl. fundamental)
+    MAINS_TOLERANCE_HZ: 3,          // Allowed deviation of a harmonic from k * fundamental
+    MAX_TONES: 10,                  // Other tonal peaks reported
+    SEVERITY_LEVELS_DB: {           // Level (dBFS) of the strongest tonal component
+      severe: -50,
+      moderate: -65,
+      minor: -Infinity
+    }
+  };
+
+  // Spectral bandwidth / provenance constants
+  static BANDWIDTH_CONFIG = {
+    TARGET_RESOLUTION_HZ: 25,       // FFT size is the power of two giving at most this bin spacing
+    MAX_FRAMES: 100,                // Upper bound on frames averaged into the spectrum
+    BAND_HZ: 100,                   // Spectrum is summarised in bands of this width
+    TRANSITION_HZ: 1000,            // Widest filter transition still counted as a cutoff
+    CLIFF_DB: 20,                   // Drop across the transition needed to call it a cutoff
+    FULL_BAND_RATIO: 0.88,          // Cutoffs above this fraction of Nyquist are the file's own anti-alias filter
+    LOSSY_MIN_CUTOFF_HZ: 15000,     // Encoder lowpass range of MP3/AAC (the "16 kHz shelf" and up)
+    LOSSY_MAX_CUTOFF_HZ: 20500,
+    STANDARD_SAMPLE_RATES: [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000, 88200, 96000, 176400, 192000]
+  };
+
+  // Low-frequency rumble / proximity-effect constants
+  static SPECTRAL_BALANCE_CONFIG = {
+    TARGET_RESOLUTION_HZ: 5,        // FFT size is the power of two giving at most this bin spacing
+    MAX_FRAMES: 100,                // Upper bound on frames averaged per region (speech / non-speech)
+    MIN_FRAMES: 5,                  // Fewer frames than this leave a region unmeasured
+    SUB_BAND_HZ: [20, 80],          // Rumble band: desk bumps, traffic, HVAC, handling noise
+    SPEECH_BAND_HZ: [100, 8000],    // Reference band (capped at Nyquist)
+    LOW_MID_BAND_HZ: [150, 400],    // Proximity-effect buildup ("boom", "mud")
+    PRESENCE_BAND_HZ: [1000, 4000], // Compared with the low-mids; roughly pitch-independent for natural voices
+    RUMBLE_SPEECH_DB: -20,          // Sub band within this of the speech band during speech is rumble
+    RUMBLE_NON_SPEECH_DB: 10,       // Sub band this far above the speech band in pauses is rumble...
+    RUMBLE_MIN_LEVEL_DB: -65,       // ...when it is also loud enough to hear
+    BOOM_DB: 18                     // Low-mids this far above presence is boomy (natural speech sits near 10 dB)
+  };
+
+  // Sibilance / harshness constants
+  static SIBILANCE_CONFIG = {
+    BAND_HZ: [5000, 10000],         // Sibilance band (upper edge capped below Nyquist)
+    MIN_BAND_WIDTH_HZ: 1000,        // Narrower usable band than this (low sample rates) is not analyzed
+    FRAME_MS: 10,                   // Frame length for band / full-band levels
+    EVENT_THRESHOLD_DB: 0,          // Band level at or above the average speech level marks a sibilant burst
+    MERGE_MS: 30,                   // Bursts closer than this are one event
+    MIN_SPEECH_FRAMES: 100,         // Less speech than this (1s) is not analyzed
+    MAX_EVENTS: 5000,               // Upper bound on stored events (counts stay exact)
+    SEVERITY_EVENTS_PER_MINUTE: {   // Events per minute of speech for each severity (overridable, see OPTION_SECTIONS)
+      severe: 30,
+      moderate: 10
+    }
+  };
+
+  // Noise-reduction / gating artifact constants
+  static PROCESSING_ARTIFACT_CONFIG = {
+    FRAME_MS: 10,                   // Frame length for the gate (floor level) analysis
+    GATE_CLOSED_DB: -95,            // Pause frames at or below this are a closed gate (digital or dithered silence)
+    GATE_STEP_DB: 20,               // A jump this large into or out of a closed frame is a gate snap
+    MIN_CLOSED_MS: 50,              // A pause is gated when the gate stays closed at least this long
+    MIN_PAUSES: 3,                  // Fewer pauses than this leave gating undecided
+    GATED_PAUSE_RATIO: 0.5,         // Share of gated pauses that flags gate pumping
+    SPEECH_GUARD_MS: 50,            // Spectral frames keep this far from speech (onsets, decays)
+    FFT_FRAME_MS: 20,               // Spectral frame length for the musical-noise check
+    BAND_HZ: [150, 8000],           // Band checked for musical noise (upper edge capped below Nyquist)
+    MIN_NOISE_FRAMES: 20,           // Fewer open pause frames than this leave musical noise undecided
+    MAX_NOISE_FRAMES: 400,          // Upper bound on pause frames analyzed
+    MUSICAL_NOISE_FLATNESS: 0.3     // Normalized flatness below this is musical noise (stationary noise sits near 0.56)
+  };
+
+  // True-peak measurement constants (ITU-R BS.1770-4 Annex 2)
+  static TRUE_PEAK_CONFIG = {
+    CHUNK_SIZE: 100,                // Samples per chunk; quiet chunks skip interpolation entirely
+    // 48-tap 4x interpolation filter split into 4 polyphase branches of 12 taps
+    PHASE_COEFFICIENTS: [
+      [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625,
+        0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+      [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250,
+        0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+      [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500,
+        0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+      [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500,
+        0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750]
+    ]
+  };
+
   // Progress stage allocation for smooth 0-100% progress
   // Base analysis (always runs): 0-40%
   static PROGRESS_STAGES = {
@@ -79,16 +336,70 @@ export class LevelAnalyzer {
     NORMALIZATION_START: 0.35,
     NORMALIZATION_END: 0.40,
     // Experimental analysis (optional): 40-100%
-    REVERB_START: 0.40,
-    REVERB_END: 0.65,
-    SILENCE_START: 0.65,
-    SILENCE_END: 0.80,
-    CLIPPING_START: 0.80,
+    LOUDNESS_START: 0.40,
+    LOUDNESS_END: 0.50,
+    DYNAMIC_RANGE_START: 0.50,
+    DYNAMIC_RANGE_END: 0.53,
+    REVERB_START: 0.53,
+    REVERB_END: 0.62,
+    CONSISTENCY_START: 0.62,
+    CONSISTENCY_END: 0.66,
+    VOICE_ACTIVITY_START: 0.66,
+    VOICE_ACTIVITY_END: 0.68,
+    PITCH_START: 0.68,
+    PITCH_END: 0.70,
+    TONAL_NOISE_START: 0.70,
+    TONAL_NOISE_END: 0.73,
+    BANDWIDTH_START: 0.73,
+    BANDWIDTH_END: 0.75,
+    SPECTRAL_BALANCE_START: 0.75,
+    SPECTRAL_BALANCE_END: 0.77,
+    SIBILANCE_START: 0.77,
+    SIBILANCE_END: 0.79,
+    PROCESSING_ARTIFACTS_START: 0.79,
+    PROCESSING_ARTIFACTS_END: 0.81,
+    TRANSIENTS_START: 0.81,
+    TRANSIENTS_END: 0.84,
+    SILENCE_START: 0.84,
+    SILENCE_END: 0.87,
+    CLIPPING_START: 0.87,
     CLIPPING_END: 1.0
   };
 
-  constructor() {
+  // Option sections accepted by the constructor and analyzeAudioBuffer, and the configs they override
+  static OPTION_SECTIONS = {
+    silence: 'SILENCE_CONFIG',
+    reverb: 'REVERB_CONFIG',
+    stereo: 'STEREO_CONFIG',
+    micBleed: 'MIC_BLEED_CONFIG',
+    clipping: 'CLIPPING_CONFIG',
+    normalization: 'NORMALIZATION_CONFIG',
+    sibilance: 'SIBILANCE_CONFIG'
+  };
+
+  /**
+   * @param {object} [options] Threshold overrides by section (see OPTION_SECTIONS), e.g.
+   *   `{ normalization: { TARGET_DB: -3 }, clipping: { HARD_CLIPPING_THRESHOLD: 0.999 } }`.
+   *   Keys match the static configs; anything not given keeps its default.
+   */
+  constructor(options = {}) {
     this.analysisInProgress = false;
+    this.options = options || {};
+    this.callOptions = null;
+  }
+
+  /**
+   * Effective config for an option section: the static defaults, overridden by the constructor
+   * options and then by the options of the analyzeAudioBuffer call in progress.
+   * @param {string} section Option section name (a key of OPTION_SECTIONS).
+   * @returns {object} Merged config.
+   */
+  getConfig(section) {
+    return {
+      ...LevelAnalyzer[LevelAnalyzer.OPTION_SECTIONS[section]],
+      ...this.options[section],
+      ...this.callOptions?.[section]
+    };
   }
 
   /**
@@ -102,7 +413,16 @@ export class LevelAnalyzer {
     return stageStart + (stageProgress * (stageEnd - stageStart));
   }
 
-  async analyzeAudioBuffer(audioBuffer, progressCallback = null, includeExperimental = false) {
+  /**
+   * Runs the level analysis (peak, noise floor, normalization, DC offset) and, when requested, the
+   * experimental analyses.
+   * @param {AudioBuffer} audioBuffer Decoded audio.
+   * @param {function} progressCallback Optional progress callback.
+   * @param {boolean} includeExperimental Whether to run the experimental analyses.
+   * @param {object} [options] Threshold overrides for this call only, over the constructor options.
+   * @returns {Promise<object>} Analysis results.
+   */
+  async analyzeAudioBuffer(audioBuffer, progressCallback = null, includeExperimental = false, options = null) {
     const sampleRate = audioBuffer.sampleRate;
     const channels = audioBuffer.numberOfChannels;
     const length = audioBuffer.length;
@@ -114,73 +434,89 @@ export class LevelAnalyzer {
     }
 
     this.analysisInProgress = true;
+    this.callOptions = options;
 
     try {
-      // 1. Peak Level Analysis
+      // 1. Peak Level Analysis (sample peak and 4x-oversampled true peak)
       if (progressCallback) progressCallback('Analyzing peak levels...', LevelAnalyzer.PROGRESS_STAGES.PEAK_START);
-      let globalPeak = 0;
-      let peakFound = false; // Flag to break outer loop
-
-      for (let channel = 0; channel < channels; channel++) {
-        const data = channelData[channel];
-        for (let i = 0; i < length; i++) {
-          const sample = Math.abs(data[i]);
-          if (sample > globalPeak) {
-            globalPeak = sample;
-          }
-
-          // EMERGENCY BRAKE: If peak is already 1.0, no need to scan further.
-          if (globalPeak >= 0.99999) { // Use a very close value to 1.0 for float precision
-            peakFound = true;
-            break; // Break inner loop
-          }
-
-          // Update progress every 10000 samples
-          if (i % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.SAMPLE_LOOP === 0) {
-            if (!this.analysisInProgress) {
-              throw new AnalysisCancelledError('Analysis cancelled', 'peak-levels');
-            }
-            const stageProgress = (channel * length + i) / (channels * length);
-            const scaledProgress = this.scaleProgress(stageProgress, LevelAnalyzer.PROGRESS_STAGES.PEAK_START, LevelAnalyzer.PROGRESS_STAGES.PEAK_END);
-            if (progressCallback) progressCallback('Analyzing peak levels...', scaledProgress);
-
-            // Allow UI to update
-            if (i % 100000 === 0) {
-              await new Promise(resolve => setTimeout(resolve, 1));
-            }
-          }
-        }
-        if (peakFound) { // Break outer loop if peak found
-          break;
-        }
-      }
-
-      const peakDb = globalPeak > 0 ? 20 * Math.log10(globalPeak) : -Infinity;
+      const peakAnalysis = await this.analyzePeakLevels(channelData, channels, length, sampleRate, progressCallback);
+      const peakDb = peakAnalysis.peakDb;
 
       // 2. Noise Floor Analysis (histogram-based, always included)
       if (progressCallback) progressCallback('Analyzing noise floor...', LevelAnalyzer.PROGRESS_STAGES.NOISE_FLOOR_START);
       const noiseFloorAnalysis = await this.analyzeNoiseFloor(channelData, channels, length, progressCallback);
 
-      // 3. Normalization Check
+      // 3. Normalization and DC Offset Check
       if (progressCallback) progressCallback('Checking normalization...', LevelAnalyzer.PROGRESS_STAGES.NORMALIZATION_START);
       const normalizationStatus = this.checkNormalization(peakDb);
+      const dcOffset = this.analyzeDcOffset(channelData, channels, length);
 
       // Base results (always included)
       const results = {
         peakDb: peakDb,
+        truePeakDb: peakAnalysis.truePeakDb,
+        truePeakPerChannel: peakAnalysis.perChannel,
         noiseFloorDb: noiseFloorAnalysis.overall,
         noiseFloorPerChannel: noiseFloorAnalysis.perChannel,
         hasDigitalSilence: noiseFloorAnalysis.hasDigitalSilence,
         digitalSilencePercentage: noiseFloorAnalysis.digitalSilencePercentage,
-        normalizationStatus: normalizationStatus
+        normalizationStatus: normalizationStatus,
+        dcOffset: dcOffset
       };
 
       // Experimental analysis (only when requested)
       if (includeExperimental) {
+        // Loudness (EBU R128)
+        if (progressCallback) progressCallback('Measuring loudness...', LevelAnalyzer.PROGRESS_STAGES.LOUDNESS_START);
+        const loudness = await this.analyzeLoudness(channelData, channels, length, sampleRate, progressCallback);
+
+        // Dynamic Range (crest factor / PLR / compression verdict)
+        if (progressCallback) progressCallback('Analyzing dynamic range...', LevelAnalyzer.PROGRESS_STAGES.DYNAMIC_RANGE_START);
+        const dynamicRange = await this.analyzeDynamicRange(
+          channelData, channels, length, sampleRate,
+          peakDb, peakAnalysis.truePeakDb, loudness.integratedLufs, progressCallback
+        );
+
         // Reverb Estimation
         if (progressCallback) progressCallback('Estimating reverb...', LevelAnalyzer.PROGRESS_STAGES.REVERB_START);
         const reverbAnalysisResults = await this.estimateReverb(channelData, channels, length, sampleRate, noiseFloorAnalysis.overall, progressCallback);
-        const reverbInfo = this.interpretReverb(reverbAnalysisResults.overallMedianRt60);
+        const reverbInfo = this.interpretReverb(reverbAnalysisResults.overallMedianRt60, reverbAnalysisResults);
+
+        // Level Consistency Timeline
+        if (progressCallback) progressCallback('Checking level consistency...', LevelAnalyzer.PROGRESS_STAGES.CONSISTENCY_START);
+        const consistency = await this.analyzeConsistency(channelData, channels, length, sampleRate, progressCallback);
+
+        // Voice Activity (speech segments and net speech duration)
+        if (progressCallback) progressCallback('Detecting speech...', LevelAnalyzer.PROGRESS_STAGES.VOICE_ACTIVITY_START);
+        const voiceActivity = await this.analyzeVoiceActivity(channelData, channels, length, sampleRate, noiseFloorAnalysis, progressCallback);
+
+        // Pitch (F0) and Expressiveness
+        if (progressCallback) progressCallback('Tracking pitch...', LevelAnalyzer.PROGRESS_STAGES.PITCH_START);
+        const pitch = await this.analyzePitch(channelData, channels, length, sampleRate, voiceActivity, progressCallback);
+
+        // Mains Hum / Tonal Noise
+        if (progressCallback) progressCallback('Detecting hum and tonal noise...', LevelAnalyzer.PROGRESS_STAGES.TONAL_NOISE_START);
+        const tonalNoise = await this.analyzeTonalNoise(channelData, channels, length, sampleRate, noiseFloorAnalysis.overall, progressCallback);
+
+        // Spectral Bandwidth (upsampled / lossy-transcoded sources)
+        if (progressCallback) progressCallback('Estimating bandwidth...', LevelAnalyzer.PROGRESS_STAGES.BANDWIDTH_START);
+        const bandwidth = await this.analyzeBandwidth(channelData, channels, length, sampleRate, progressCallback);
+
+        // Low-Frequency Rumble / Proximity Effect
+        if (progressCallback) progressCallback('Checking low-frequency balance...', LevelAnalyzer.PROGRESS_STAGES.SPECTRAL_BALANCE_START);
+        const spectralBalance = await this.analyzeSpectralBalance(channelData, channels, length, sampleRate, voiceActivity, progressCallback);
+
+        // Sibilance / Harshness
+        if (progressCallback) progressCallback('Measuring sibilance...', LevelAnalyzer.PROGRESS_STAGES.SIBILANCE_START);
+        const sibilance = await this.analyzeSibilance(channelData, channels, length, sampleRate, voiceActivity, progressCallback);
+
+        // Noise-Reduction / Gating Artifacts
+        if (progressCallback) progressCallback('Checking for noise-reduction artifacts...', LevelAnalyzer.PROGRESS_STAGES.PROCESSING_ARTIFACTS_START);
+        const processingArtifacts = await this.analyzeProcessingArtifacts(channelData, channels, length, sampleRate, voiceActivity, progressCallback);
+
+        // Clicks, Pops, Discontinuities and Dropouts
+        if (progressCallback) progressCallback('Detecting clicks and dropouts...', LevelAnalyzer.PROGRESS_STAGES.TRANSIENTS_START);
+        const transients = await this.analyzeTransients(channelData, channels, length, sampleRate, voiceActivity, progressCallback);
 
         // Silence Analysis
         if (progressCallback) progressCallback('Analyzing silence...', LevelAnalyzer.PROGRESS_STAGES.SILENCE_START);
@@ -191,8 +527,19 @@ export class LevelAnalyzer {
         const clippingAnalysis = await this.analyzeClipping(audioBuffer, sampleRate, progressCallback);
 
         // Add experimental results
+        results.loudness = loudness;
+        results.dynamicRange = dynamicRange;
         results.reverbInfo = reverbInfo; // This is the interpreted text
         results.reverbAnalysis = reverbAnalysisResults; // This is the raw data including per-channel
+        results.consistency = consistency;
+        results.voiceActivity = voiceActivity;
+        results.pitch = pitch;
+        results.tonalNoise = tonalNoise;
+        results.bandwidth = bandwidth;
+        results.spectralBalance = spectralBalance;
+        results.sibilance = sibilance;
+        results.processingArtifacts = processingArtifacts;
+        results.transients = transients;
         results.leadingSilence = leadingSilence;
         results.trailingSilence = trailingSilence;
         results.longestSilence = longestSilence;
@@ -205,53 +552,183 @@ export class LevelAnalyzer {
       return results;
     } finally {
       this.analysisInProgress = false;
+      this.callOptions = null;
+    }
+  }
+
+  /**
+   * Measures sample peak and 4x-oversampled true peak (ITU-R BS.1770-4 Annex 2) per channel.
+   * The whole file is scanned so intersample overs are never missed; chunks whose samples are
+   * too quiet to raise the current true peak skip the interpolation filter.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Overall peakDb / truePeakDb (dBFS / dBTP) and per-channel results
+   *   including the sample position and time of each channel's true peak.
+   */
+  async analyzePeakLevels(channelData, channels, length, sampleRate, progressCallback = null) {
+    const { CHUNK_SIZE, PHASE_COEFFICIENTS } = LevelAnalyzer.TRUE_PEAK_CONFIG;
+    const phases = PHASE_COEFFICIENTS.length;
+    const taps = PHASE_COEFFICIENTS[0].length;
+    // Output n of branch p estimates the signal at n - taps/2 + (p + 0.5) / phases
+    const groupDelay = taps / 2;
+    // Largest gain of any branch: an output can never exceed this times its largest input
+    const maxBranchGain = PHASE_COEFFICIENTS.reduce(
+      (max, coefficients) => Math.max(max, coefficients.reduce((sum, c) => sum + Math.abs(c), 0)), 0
+    );
+    // Run the filter taps - 1 samples past the end so its tail covers the last samples
+    const outputLength = length + taps - 1;
+    const channelNames = ['left', 'right', 'center', 'LFE', 'surroundLeft', 'surroundRight'];
+    const toDb = (amplitude) => amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+
+    const perChannel = [];
+    let globalPeak = 0;
+    let globalTruePeak = 0;
+
+    for (let channel = 0; channel < channels; channel++) {
+      const data = channelData[channel];
+      let samplePeak = 0;
+      let truePeak = 0;
+      let truePeakPosition = 0;
+
+      for (let chunkStart = 0; chunkStart < outputLength; chunkStart += CHUNK_SIZE) {
+        // Update progress every 10000 samples
+        if (chunkStart % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.SAMPLE_LOOP === 0) {
+          if (!this.analysisInProgress) {
+            throw new AnalysisCancelledError('Analysis cancelled', 'peak-levels');
+          }
+          const stageProgress = (channel * outputLength + chunkStart) / (channels * outputLength);
+          const scaledProgress = this.scaleProgress(stageProgress, LevelAnalyzer.PROGRESS_STAGES.PEAK_START, LevelAnalyzer.PROGRESS_STAGES.PEAK_END);
+          if (progressCallback) progressCallback('Analyzing peak levels...', scaledProgress);
+
+          // Allow UI to update
+          if (chunkStart % 100000 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+          }
+        }
+
+        const chunkEnd = Math.min(chunkStart + CHUNK_SIZE, outputLength);
+
+        // Sample peak, plus the largest input any output in this chunk reads
+        let chunkMax = 0;
+        for (let i = Math.max(0, chunkStart - taps + 1); i < Math.min(chunkEnd, length); i++) {
+          const sample = Math.abs(data[i]);
+          if (sample > chunkMax) {
+            chunkMax = sample;
+          }
+          if (sample > samplePeak) {
+            samplePeak = sample;
+          }
+          // True peak is never below the sample peak
+          if (sample > truePeak) {
+            truePeak = sample;
+            truePeakPosition = i;
+          }
+        }
+
+        if (chunkMax * maxBranchGain <= truePeak) {
+          continue;
+        }
+
+        for (let n = chunkStart; n < chunkEnd; n++) {
+          for (let phase = 0; phase < phases; phase++) {
+            const coefficients = PHASE_COEFFICIENTS[phase];
+            let interpolated = 0;
+            for (let k = 0; k < taps; k++) {
+              const index = n - k;
+              if (index >= 0 && index < length) {
+                interpolated += coefficients[k] * data[index];
+              }
+            }
+            const magnitude = Math.abs(interpolated);
+            if (magnitude > truePeak) {
+              truePeak = magnitude;
+              truePeakPosition = n - groupDelay + (phase + 0.5) / phases;
+            }
+          }
+        }
+      }
+
+      const truePeakSample = Math.min(Math.max(Math.round(truePeakPosition), 0), Math.max(length - 1, 0));
+      perChannel.push({
+        channelIndex: channel,
+        channelName: channelNames[channel] || `channel ${channel}`,
+        peakDb: toDb(samplePeak),
+        truePeakDb: toDb(truePeak),
+        truePeakSample,
+        truePeakTime: truePeakSample / sampleRate
+      });
+
+      globalPeak = Math.max(globalPeak, samplePeak);
+      globalTruePeak = Math.max(globalTruePeak, truePeak);
     }
+
+    return {
+      peakDb: toDb(globalPeak),
+      truePeakDb: toDb(globalTruePeak),
+      perChannel
+    };
   }
 
-  interpretReverb(rt60) {
+  /**
+   * Maps a median RT60 to a verdict. A short decay with a low direct-to-reverberant ratio (strong
+   * early reflections, as in a small untreated room) is rated boxy rather than dry.
+   * @param {number} rt60 Median RT60 in seconds (0 when no decays were measured).
+   * @param {object} [details] Optional drrDb and confidence from estimateReverb.
+   * @returns {{time: number, label: string, description: string, confidence: string|null}} Verdict.
+   */
+  interpretReverb(rt60, { drrDb = null, confidence = null } = {}) {
+    const verdict = (label, description) => ({ time: rt60, label, description, confidence });
     if (rt60 <= 0) {
-      return { time: rt60, label: 'N/A', description: 'No reverb detected.' };
+      return verdict('N/A', 'No reverb detected.');
+    }
+    if (rt60 < 0.5 && drrDb !== null && drrDb < this.getConfig('reverb').BOXY_DRR_DB) {
+      return verdict('Fair (Boxy)', 'Short decay, but strong early reflections from nearby surfaces. Sounds like a small untreated room rather than a booth.');
     }
     if (rt60 < 0.3) {
-      return { time: rt60, label: 'Excellent (Dry)', description: 'Ideal for voiceover. Matches a vocal booth or well-treated studio environment.' };
+      return verdict('Excellent (Dry)', 'Ideal for voiceover. Matches a vocal booth or well-treated studio environment.');
     }
     if (rt60 < 0.5) {
-      return { time: rt60, label: 'Good (Controlled)', description: 'A well-controlled room with minimal reflections. Acceptable for most recording.' };
+      return verdict('Good (Controlled)', 'A well-controlled room with minimal reflections. Acceptable for most recording.');
     }
     if (rt60 < 0.8) {
-      return { time: rt60, label: 'Fair (Slightly Live)', description: 'Noticeable room reflections. May reduce clarity for voiceover work.' };
+      return verdict('Fair (Slightly Live)', 'Noticeable room reflections. May reduce clarity for voiceover work.');
     }
     if (rt60 < 1.2) {
-      return { time: rt60, label: 'Poor (Reverberant)', description: 'Significant reverb is present, making the recording sound distant and unprofessional.' };
+      return verdict('Poor (Reverberant)', 'Significant reverb is present, making the recording sound distant and unprofessional.');
     }
-    return { time: rt60, label: 'Very Poor (Echoey)', description: 'Excessive echo and reverb. Unsuitable for professional voice recording.' };
+    return verdict('Very Poor (Echoey)', 'Excessive echo and reverb. Unsuitable for professional voice recording.');
   }
 
   analyzeSilence(channelData, channels, length, sampleRate, noiseFloorDb, peakDb, progressCallback = null) {
+    const { CHUNK_SIZE_MS, MIN_SOUND_DURATION_MS, SILENCE_THRESHOLD_RATIO, DIGITAL_SILENCE_THRESHOLD_DB } = this.getConfig('silence');
+
     // Handle edge case: if noise floor is -Infinity (digital silence), use absolute threshold
     let silenceThresholdDb;
     let silenceThresholdLinear;
 
     if (noiseFloorDb === -Infinity || !isFinite(noiseFloorDb)) {
-      // Fallback: Use absolute threshold at -60 dB (typical room noise level)
+      // Fallback: Use absolute threshold (default -60 dB, typical room noise level)
       // This handles files with significant digital silence in one or more channels
-      silenceThresholdDb = -60;
-      silenceThresholdLinear = Math.pow(10, -60 / 20);
+      silenceThresholdDb = DIGITAL_SILENCE_THRESHOLD_DB;
+      silenceThresholdLinear = Math.pow(10, DIGITAL_SILENCE_THRESHOLD_DB / 20);
     } else {
-      // Normal case: Set threshold 25% of the way between the noise floor and the peak
+      // Normal case: Set threshold a fraction (default 25%) of the way between the noise floor and the peak
       const dynamicRange = peakDb - noiseFloorDb;
-      const thresholdRatio = 0.25;
+      const thresholdRatio = SILENCE_THRESHOLD_RATIO;
       // Handle case where peak is quieter than noise floor (unlikely but possible)
       const effectiveDynamicRange = Math.max(0, dynamicRange);
       silenceThresholdDb = noiseFloorDb + (effectiveDynamicRange * thresholdRatio);
       silenceThresholdLinear = Math.pow(10, silenceThresholdDb / 20);
     }
 
-    const chunkSizeMs = 50; // 50ms chunks
+    const chunkSizeMs = CHUNK_SIZE_MS;
     const chunkSamples = Math.floor(sampleRate * (chunkSizeMs / 1000));
     const numChunks = Math.ceil(length / chunkSamples);
 
-    const minSoundDurationMs = 150; // Minimum duration for a sound to not be considered a tick
+    const minSoundDurationMs = MIN_SOUND_DURATION_MS; // Minimum duration for a sound to not be considered a tick
     const minSoundChunks = Math.ceil(minSoundDurationMs / chunkSizeMs);
 
     const chunks = new Array(numChunks).fill(0); // 0 for silence, 1 for sound
@@ -414,139 +891,250 @@ export class LevelAnalyzer {
     };
   }
 
-  async estimateReverb(channelDataArray, channels, length, sampleRate, noiseFloorDb, progressCallback = null) { // Renamed channelData to channelDataArray
-    // Handle edge case: if noise floor is -Infinity (digital silence), use absolute threshold
-    let onsetThresholdDb;
-    if (noiseFloorDb === -Infinity || !isFinite(noiseFloorDb)) {
-      // Fallback: Use absolute threshold at -50 dB
-      // This handles files with significant digital silence
-      onsetThresholdDb = -50;
-    } else {
-      // Normal case: Onset threshold = noise floor + 10 dB (peaks above noise)
-      onsetThresholdDb = noiseFloorDb + 10;
-    }
-
-    const onsetThreshold = 1.5;
-    const onsetWindowSize = 1024;
-    const decayWindowSize = Math.floor(sampleRate * 0.02); // 20ms windows for decay
-    const decayThresholdDb = -25;
-
-            let allDecayTimes = []; // Collect decay times from all channels for overall median
-            let perChannelResults = []; // Collect per-channel results
+  /**
+   * Estimates room reverberation from the decays that follow sound onsets. Each onset's decay is
+   * followed on a 10ms envelope from its peak until it nears the noise floor:
+   * - Early decay time (EDT): time for the first 10 dB of the decay, scaled to 60 dB.
+   * - RT60: slope of the late decay (-5 to -25 dB below the peak, or less when the noise floor is
+   *   closer), so a sharp drop from the direct sound into a lingering tail is not read as dry.
+   * - Direct-to-reverberant ratio (DRR): the late decay extrapolated back to the peak gives the
+   *   reverberant level there; the rest of the peak is direct sound.
+   * Decays that fall through the fit range in a window or two have no audible tail; their RT60 and
+   * DRR are bounded by how fast and how far they fell.
+   * @param {Float32Array[]} channelDataArray Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {number} noiseFloorDb Overall noise floor in dB (may be -Infinity for digital silence).
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Median RT60, RT60 distribution (percentiles and histogram), median EDT
+   *   and DRR, a confidence rating, and the same per channel.
+   */
+  async estimateReverb(channelDataArray, channels, length, sampleRate, noiseFloorDb, progressCallback = null) {
+    const { ONSET_THRESHOLD, ONSET_WINDOW_SIZE } = this.getConfig('reverb');
+    // Digital silence: assume a -60 dB floor (onsets above -50 dB)
+    const floorDb = isFinite(noiseFloorDb) ? noiseFloorDb : -60;
+    const channelNames = ['left', 'right', 'center', 'LFE', 'surroundLeft', 'surroundRight'];
 
-            let onsetCount = 0;
-            for (let channelIndex = 0; channelIndex < channels; channelIndex++) { // Loop through all channels
-              if (!this.analysisInProgress) {
-                throw new AnalysisCancelledError('Analysis cancelled', 'reverb');
-              }
-              const data = channelDataArray[channelIndex]; // Get data for current channel
-              let decayTimesForChannel = []; // Collect decay times for this specific channel
-              let prevRms = 0; // Reset prevRms for each channel
-    for (let i = 0; i < length - onsetWindowSize; i += onsetWindowSize) {
-      let sumSquares = 0;
-      for (let j = i; j < i + onsetWindowSize; j++) {
-        sumSquares += data[j] * data[j];
+    const allDecays = [];
+    const perChannelRt60 = [];
+    let onsetCount = 0;
+    for (let channelIndex = 0; channelIndex < channels; channelIndex++) {
+      if (!this.analysisInProgress) {
+        throw new AnalysisCancelledError('Analysis cancelled', 'reverb');
       }
-      const currentRms = Math.sqrt(sumSquares / onsetWindowSize);
+      const data = channelDataArray[channelIndex];
+      const decays = [];
+      let prevRms = 0;
 
-      if (currentRms > prevRms * onsetThreshold && currentRms > 0.01) {
-        if (onsetCount++ % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.ONSET_LOOP === 0) {
-          if (!this.analysisInProgress) {
-            throw new AnalysisCancelledError('Analysis cancelled', 'reverb');
-          }
-          // Report granular progress for reverb estimation
-          if (progressCallback) {
-            const channelProgress = (channelIndex / channels) + ((i / length) / channels);
-            const scaledProgress = this.scaleProgress(channelProgress, LevelAnalyzer.PROGRESS_STAGES.REVERB_START, LevelAnalyzer.PROGRESS_STAGES.REVERB_END);
-            progressCallback('Estimating reverb...', scaledProgress);
-          }
+      for (let i = 0; i + ONSET_WINDOW_SIZE < length; i += ONSET_WINDOW_SIZE) {
+        let sumSquares = 0;
+        for (let j = i; j < i + ONSET_WINDOW_SIZE; j++) {
+          sumSquares += data[j] * data[j];
         }
-        let peakAmplitude = 0;
-        let peakIndex = i;
-        for (let j = i; j < i + onsetWindowSize; j++) {
-          if (Math.abs(data[j]) > peakAmplitude) {
-            peakAmplitude = Math.abs(data[j]);
-            peakIndex = j;
+        const currentRms = Math.sqrt(sumSquares / ONSET_WINDOW_SIZE);
+
+        if (currentRms > prevRms * ONSET_THRESHOLD && currentRms > 0.01) {
+          if (onsetCount++ % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.ONSET_LOOP === 0) {
+            if (!this.analysisInProgress) {
+              throw new AnalysisCancelledError('Analysis cancelled', 'reverb');
+            }
+            if (progressCallback) {
+              const channelProgress = (channelIndex / channels) + ((i / length) / channels);
+              const scaledProgress = this.scaleProgress(channelProgress, LevelAnalyzer.PROGRESS_STAGES.REVERB_START, LevelAnalyzer.PROGRESS_STAGES.REVERB_END);
+              progressCallback('Estimating reverb...', scaledProgress);
+            }
+            // Allow UI to update
+            await new Promise(resolve => setTimeout(resolve, 1));
+          }
+
+          const decay = this.measureReverbDecay(data, i, length, sampleRate, floorDb);
+          if (decay) {
+            decays.push(decay);
           }
         }
+        prevRms = currentRms;
+      }
 
-        const peakDb = 20 * Math.log10(peakAmplitude);
+      perChannelRt60.push({
+        channelIndex,
+        channelName: channelNames[channelIndex] || `channel ${channelIndex}`,
+        ...this.summarizeReverbDecays(decays)
+      });
+      allDecays.push(...decays);
+    }
 
-        if (peakDb > onsetThresholdDb) {
-          let decayEndSample = -1;
-          const MAX_DECAY_LOOP_ITERATIONS = 1000; // Emergency brake
-          let decayLoopCount = 0; // New counter
+    const { medianRt60, ...overall } = this.summarizeReverbDecays(allDecays);
+    return {
+      overallMedianRt60: medianRt60,
+      ...overall,
+      perChannelRt60
+    };
+  }
 
-          // New decay logic: Use RMS windows instead of raw samples
-          for (let j = peakIndex; j < length - decayWindowSize; j += decayWindowSize) {
-            if (decayLoopCount++ > MAX_DECAY_LOOP_ITERATIONS) {
-              break; // Emergency brake
-            }
-            let decaySumSquares = 0;
-            for (let k = j; k < j + decayWindowSize; k++) {
-              decaySumSquares += data[k] * data[k];
-            }
-            const decayRms = Math.sqrt(decaySumSquares / decayWindowSize);
-            const currentDecayDb = decayRms > 0 ? 20 * Math.log10(decayRms) : -120;
+  /**
+   * Follows one decay from the loudest envelope window shortly after an onset.
+   * @param {Float32Array} data Channel sample data.
+   * @param {number} onsetStart Sample index of the onset window.
+   * @param {number} length Number of samples.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {number} floorDb Noise floor in dB.
+   * @returns {{rt60: number, edt: number, drrDb: number}|null} Decay measurements (seconds, dB), or
+   *   null if the peak is too close to the noise floor or a new sound starts before the decay ends.
+   */
+  measureReverbDecay(data, onsetStart, length, sampleRate, floorDb) {
+    const {
+      MIN_DB_ABOVE_NOISE, DECAY_WINDOW_SIZE_MS, PEAK_SEARCH_MS, MAX_DECAY_MS, DECAY_THRESHOLD_DB, FIT_START_DB,
+      MIN_FIT_RANGE_DB, MIN_FIT_POINTS, NOISE_MARGIN_DB, REBOUND_DB, EDT_DB
+    } = this.getConfig('reverb');
+    const windowSize = Math.max(1, Math.floor(sampleRate * DECAY_WINDOW_SIZE_MS / 1000));
+    const windowSeconds = windowSize / sampleRate;
+    const windowDb = (start) => {
+      let sumSquares = 0;
+      for (let i = start; i < start + windowSize; i++) {
+        sumSquares += data[i] * data[i];
+      }
+      return sumSquares > 0 ? 10 * Math.log10(sumSquares / windowSize) : -120;
+    };
 
-            // Allow UI to update in this deep loop
-            if (j % 100000 === 0) { // Yield every 100K samples
-              await new Promise(resolve => setTimeout(resolve, 1));
-            }
+    let peakStart = onsetStart;
+    let peakDb = -Infinity;
+    for (let start = onsetStart; start < onsetStart + sampleRate * PEAK_SEARCH_MS / 1000 && start + windowSize <= length; start += windowSize) {
+      const levelDb = windowDb(start);
+      if (levelDb > peakDb) {
+        peakDb = levelDb;
+        peakStart = start;
+      }
+    }
+    const fitStartDb = peakDb + FIT_START_DB;
+    const fitEndDb = Math.max(peakDb + DECAY_THRESHOLD_DB, floorDb + NOISE_MARGIN_DB);
+    if (peakDb < floorDb + MIN_DB_ABOVE_NOISE || fitStartDb - fitEndDb < MIN_FIT_RANGE_DB) {
+      return null;
+    }
 
-            if (currentDecayDb < peakDb + decayThresholdDb) {
-              decayEndSample = j;
-              break;
-            }
-          }
+    // Envelope from the peak down to the end of the fit range
+    const levels = [peakDb];
+    let lowestDb = peakDb;
+    let reachedEnd = false;
+    const maxEnd = Math.min(length, peakStart + sampleRate * MAX_DECAY_MS / 1000);
+    for (let start = peakStart + windowSize; start + windowSize <= maxEnd; start += windowSize) {
+      const levelDb = windowDb(start);
+      if (levelDb > lowestDb + REBOUND_DB) {
+        break;
+      }
+      levels.push(levelDb);
+      lowestDb = Math.min(lowestDb, levelDb);
+      if (levelDb <= fitEndDb) {
+        reachedEnd = true;
+        break;
+      }
+    }
+    if (!reachedEnd) {
+      return null;
+    }
 
-          if (decayEndSample !== -1) {
-            const decayDurationSeconds = (decayEndSample - peakIndex) / sampleRate;
-            if (decayDurationSeconds > 0) {
-              const rt60 = decayDurationSeconds * (60 / Math.abs(decayThresholdDb));
-              decayTimesForChannel.push(rt60); // Push to this channel's decay times
-            }
-          }
-        }
+    // Time after the peak at which the envelope first falls to a level, interpolated between windows
+    const crossingTime = (targetDb) => {
+      const k = levels.findIndex(levelDb => levelDb <= targetDb);
+      const previousDb = levels[k - 1];
+      const fraction = previousDb > levels[k] ? (previousDb - targetDb) / (previousDb - levels[k]) : 1;
+      return (k - 1 + fraction) * windowSeconds;
+    };
+    const edt = crossingTime(peakDb + EDT_DB) * (60 / -EDT_DB);
+
+    // Late decay: windows past the fit start that are still above the fit end
+    const fitStart = levels.findIndex(levelDb => levelDb <= fitStartDb);
+    const times = [];
+    const fitLevels = [];
+    for (let k = fitStart; k < levels.length; k++) {
+      if (levels[k] > fitEndDb) {
+        times.push(k * windowSeconds);
+        fitLevels.push(levels[k]);
       }
-      prevRms = currentRms;
+    }
 
-          // Allow UI to update
-          if (i % 100000 === 0) { // Yield every 100K samples
-            await new Promise(resolve => setTimeout(resolve, 1));
-          }
-        }
+    if (times.length < MIN_FIT_POINTS) {
+      // No audible tail: bounded by how fast and how far the envelope fell
+      return {
+        rt60: crossingTime(fitEndDb) * 60 / (peakDb - fitEndDb),
+        edt,
+        drrDb: peakDb - fitEndDb
+      };
+    }
 
-        // Calculate median RT60 for the current channel
-        let medianRt60ForChannel = 0;
-        if (decayTimesForChannel.length > 0) {
-          decayTimesForChannel.sort((a, b) => a - b);
-          const mid = Math.floor(decayTimesForChannel.length / 2);
-          medianRt60ForChannel = decayTimesForChannel.length % 2 !== 0
-            ? decayTimesForChannel[mid]
-            : (decayTimesForChannel[mid - 1] + decayTimesForChannel[mid]) / 2;
-        }
-        perChannelResults.push({
-          channelIndex,
-          channelName: ['left', 'right'][channelIndex] || `channel ${channelIndex}`,
-          medianRt60: medianRt60ForChannel
-        });
-        allDecayTimes.push(...decayTimesForChannel); // Aggregate for overall median
-      } // Close the outer loop for channels
+    const { slope, intercept } = this.theilSenFit(times, fitLevels);
+    if (slope >= 0) {
+      return null;
+    }
+    // Whatever the reverberant level at the peak doesn't account for is direct sound
+    // (floored at -20 dB when the peak is all reverberation)
+    const reverberantPower = Math.pow(10, intercept / 10);
+    const directPower = Math.pow(10, peakDb / 10) - reverberantPower;
+    return {
+      rt60: -60 / slope,
+      edt,
+      drrDb: 10 * Math.log10(Math.max(directPower / reverberantPower, 0.01))
+    };
+  }
 
-    if (allDecayTimes.length < 1) {
-      return 0;
+  /**
+   * Summarizes measured decays: median RT60, EDT and DRR, the RT60 distribution and how far the
+   * median can be trusted (number of decays and their spread).
+   * @param {Array<{rt60: number, edt: number, drrDb: number}>} decays Decays from measureReverbDecay.
+   * @returns {object} medianRt60 (0 without decays), edt, drrDb, decaysAnalyzed, rt60Distribution
+   *   (percentiles and histogram, or null) and confidence ('high' | 'medium' | 'low' | 'none').
+   */
+  summarizeReverbDecays(decays) {
+    const {
+      HIGH_CONFIDENCE_DECAYS, MEDIUM_CONFIDENCE_DECAYS, MAX_CONFIDENT_SPREAD, MIN_CONFIDENT_SPREAD_SECONDS,
+      HISTOGRAM_BIN_SECONDS, HISTOGRAM_MAX_SECONDS
+    } = this.getConfig('reverb');
+    if (decays.length === 0) {
+      return { medianRt60: 0, edt: null, drrDb: null, decaysAnalyzed: 0, rt60Distribution: null, confidence: 'none' };
     }
 
-    allDecayTimes.sort((a, b) => a - b);
-    const mid = Math.floor(allDecayTimes.length / 2);
-    const medianRt60 = allDecayTimes.length % 2 !== 0
-      ? allDecayTimes[mid]
-      : (allDecayTimes[mid - 1] + allDecayTimes[mid]) / 2;
+    const sorted = decays.map(decay => decay.rt60).sort((a, b) => a - b);
+    const percentile = (p) => {
+      const position = p * (sorted.length - 1);
+      const lower = Math.floor(position);
+      const upper = Math.ceil(position);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    const round3 = (value) => Math.round(value * 1000) / 1000;
+
+    const numBins = Math.round(HISTOGRAM_MAX_SECONDS / HISTOGRAM_BIN_SECONDS);
+    const histogram = Array.from({ length: numBins + 1 }, (_, bin) => ({
+      fromSeconds: round3(bin * HISTOGRAM_BIN_SECONDS),
+      toSeconds: bin < numBins ? round3((bin + 1) * HISTOGRAM_BIN_SECONDS) : null,
+      count: 0
+    }));
+    sorted.forEach(rt60 => {
+      histogram[Math.min(numBins, Math.floor(rt60 / HISTOGRAM_BIN_SECONDS))].count++;
+    });
+
+    const medianRt60 = percentile(0.5);
+    const interquartileRange = percentile(0.75) - percentile(0.25);
+    const consistent = interquartileRange <= Math.max(MAX_CONFIDENT_SPREAD * medianRt60, MIN_CONFIDENT_SPREAD_SECONDS);
+    let confidence = 'low';
+    if (decays.length >= HIGH_CONFIDENCE_DECAYS && consistent) confidence = 'high';
+    else if (decays.length >= MEDIUM_CONFIDENCE_DECAYS) confidence = 'medium';
 
     return {
-      overallMedianRt60: medianRt60,
-      perChannelRt60: perChannelResults
+      medianRt60: round3(medianRt60),
+      edt: round3(this.median(decays.map(decay => decay.edt))),
+      drrDb: Math.round(this.median(decays.map(decay => decay.drrDb)) * 10) / 10,
+      decaysAnalyzed: decays.length,
+      rt60Distribution: {
+        min: round3(sorted[0]),
+        p10: round3(percentile(0.1)),
+        p25: round3(percentile(0.25)),
+        median: round3(medianRt60),
+        p75: round3(percentile(0.75)),
+        p90: round3(percentile(0.9)),
+        max: round3(sorted[sorted.length - 1]),
+        histogram
+      },
+      confidence
     };
   }
 
@@ -592,142 +1180,2344 @@ export class LevelAnalyzer {
         }
       }
 
-      const end = Math.min(i + windowSize, length);
-      let allChannelsSilent = true;
+      const end = Math.min(i + windowSize, length);
+      let allChannelsSilent = true;
+
+      for (let channel = 0; channel < channels; channel++) {
+        const data = channelData[channel];
+        let sumSquares = 0;
+        for (let j = i; j < end; j++) {
+          sumSquares += data[j] * data[j];
+        }
+        const rms = Math.sqrt(sumSquares / (end - i));
+
+        if (rms > 0) {
+          allChannelsSilent = false;
+          perChannelRmsValues[channel].push(rms);
+          overallRmsValues.push(rms);
+        }
+      }
+
+      // Track windows where ALL channels are digital silence
+      if (allChannelsSilent) {
+        digitalSilenceWindows++;
+      }
+    }
+
+    // Pass 2: Build histograms from quietest windows (70-100% of noise floor stage)
+    const perChannelResults = [];
+
+    for (let channel = 0; channel < channels; channel++) {
+      // Report progress for Pass 2
+      if (progressCallback) {
+        const pass2Progress = 0.7 + (channel / channels) * 0.3; // Pass 2 is 70-100% of the stage
+        const scaledProgress = this.scaleProgress(pass2Progress, LevelAnalyzer.PROGRESS_STAGES.NOISE_FLOOR_START, LevelAnalyzer.PROGRESS_STAGES.NOISE_FLOOR_END);
+        progressCallback('Analyzing noise floor...', scaledProgress);
+      }
+
+      const channelRms = perChannelRmsValues[channel];
+
+      if (channelRms.length === 0) {
+        // All windows were silence
+        perChannelResults.push({
+          channelIndex: channel,
+          channelName: channelNames[channel] || `channel ${channel}`,
+          noiseFloorDb: -Infinity
+        });
+        continue;
+      }
+
+      // Use selection algorithm to find the cutoff point instead of full sort (O(n) vs O(n log n))
+      const cutoffIndex = Math.ceil(channelRms.length * quietestPercentile) - 1;
+      const cutoffValue = this.quickSelect([...channelRms], cutoffIndex);
+      const quietestRms = channelRms.filter(rms => rms <= cutoffValue);
+
+      // Build histogram from quietest windows only
+      const channelHistogram = new Array(numBins).fill(0);
+      for (const rms of quietestRms) {
+        const db = 20 * Math.log10(rms);
+        if (db >= minDb) {
+          const bin = Math.min(
+            Math.floor(((db - minDb) / dbRange) * numBins),
+            numBins - 1
+          );
+          channelHistogram[bin]++;
+        }
+      }
+
+      // Find the modal bin (peak of histogram)
+      let channelModeBin = -1;
+      let channelMaxCount = 0;
+      for (let i = 0; i < numBins; i++) {
+        if (channelHistogram[i] > channelMaxCount) {
+          channelMaxCount = channelHistogram[i];
+          channelModeBin = i;
+        }
+      }
+
+      const channelNoiseFloor = channelModeBin === -1
+        ? -Infinity
+        : channelModeBin * (dbRange / numBins) + minDb;
+
+      perChannelResults.push({
+        channelIndex: channel,
+        channelName: channelNames[channel] || `channel ${channel}`,
+        noiseFloorDb: channelNoiseFloor
+      });
+    }
+
+    // Overall noise floor calculation
+    let overallNoiseFloor = -Infinity;
+    if (overallRmsValues.length > 0) {
+      // Use selection algorithm to find the cutoff point instead of full sort (O(n) vs O(n log n))
+      const cutoffIndex = Math.ceil(overallRmsValues.length * quietestPercentile) - 1;
+      const cutoffValue = this.quickSelect([...overallRmsValues], cutoffIndex);
+      const quietestRms = overallRmsValues.filter(rms => rms <= cutoffValue);
+
+      const overallHistogram = new Array(numBins).fill(0);
+      for (const rms of quietestRms) {
+        const db = 20 * Math.log10(rms);
+        if (db >= minDb) {
+          const bin = Math.min(
+            Math.floor(((db - minDb) / dbRange) * numBins),
+            numBins - 1
+          );
+          overallHistogram[bin]++;
+        }
+      }
+
+      let overallModeBin = -1;
+      let overallMaxCount = 0;
+      for (let i = 0; i < numBins; i++) {
+        if (overallHistogram[i] > overallMaxCount) {
+          overallMaxCount = overallHistogram[i];
+          overallModeBin = i;
+        }
+      }
+
+      overallNoiseFloor = overallModeBin === -1
+        ? -Infinity
+        : overallModeBin * (dbRange / numBins) + minDb;
+    }
+
+    // Calculate digital silence percentage
+    const digitalSilencePercentage = numWindows > 0
+      ? (digitalSilenceWindows / numWindows) * 100
+      : 0;
+
+    return {
+      overall: overallNoiseFloor,
+      perChannel: perChannelResults,
+      hasDigitalSilence: digitalSilenceWindows > 0,
+      digitalSilencePercentage: digitalSilencePercentage
+    };
+  }
+
+  /**
+   * Calculates K-weighting filter coefficients (ITU-R BS.1770-4) for any sample rate.
+   * Stage 1 is the head-related high-shelf pre-filter, stage 2 the RLB high-pass.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @returns {object} Biquad coefficients { shelf, highPass } normalized so a0 = 1.
+   */
+  getKWeightingCoefficients(sampleRate) {
+    // Stage 1: high-shelf (+4 dB above ~1.7 kHz)
+    const shelfF0 = 1681.974450955533;
+    const shelfGainDb = 3.999843853973347;
+    const shelfQ = 0.7071752369554196;
+    const shelfK = Math.tan(Math.PI * shelfF0 / sampleRate);
+    const vh = Math.pow(10, shelfGainDb / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+    // Stage 2: high-pass (~38 Hz)
+    const hpF0 = 38.13547087602444;
+    const hpQ = 0.5003270373238773;
+    const hpK = Math.tan(Math.PI * hpF0 / sampleRate);
+    const hpA0 = 1 + hpK / hpQ + hpK * hpK;
+
+    return {
+      shelf: {
+        b0: (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+        b1: 2 * (shelfK * shelfK - vh) / shelfA0,
+        b2: (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+        a1: 2 * (shelfK * shelfK - 1) / shelfA0,
+        a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+      },
+      highPass: {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: 2 * (hpK * hpK - 1) / hpA0,
+        a2: (1 - hpK / hpQ + hpK * hpK) / hpA0
+      }
+    };
+  }
+
+  /**
+   * Measures loudness per ITU-R BS.1770-4 / EBU R128.
+   * K-weights every channel once, accumulates energy in 100ms sub-blocks, then derives
+   * gated integrated loudness, momentary (400ms) and short-term (3s) maxima and the
+   * loudness range (LRA, EBU Tech 3342) from sliding windows over those sub-blocks.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Loudness results (LUFS / LU). Values are -Infinity when not measurable.
+   */
+  async analyzeLoudness(channelData, channels, length, sampleRate, progressCallback = null) {
+    const {
+      BLOCK_SIZE_MS, MOMENTARY_WINDOW_MS, SHORT_TERM_WINDOW_MS, ABSOLUTE_GATE_LUFS,
+      RELATIVE_GATE_LU, LRA_RELATIVE_GATE_LU, LRA_LOW_PERCENTILE, LRA_HIGH_PERCENTILE, CHANNEL_WEIGHTS
+    } = LevelAnalyzer.LOUDNESS_CONFIG;
+
+    const blockSize = Math.round(sampleRate * (BLOCK_SIZE_MS / 1000));
+    const numBlocks = Math.floor(length / blockSize);
+    const momentaryBlocks = Math.round(MOMENTARY_WINDOW_MS / BLOCK_SIZE_MS);
+    const shortTermBlocks = Math.round(SHORT_TERM_WINDOW_MS / BLOCK_SIZE_MS);
+
+    // Channel-weighted sum of K-weighted squared samples per sub-block
+    const blockEnergy = new Float64Array(numBlocks);
+    const { shelf, highPass } = this.getKWeightingCoefficients(sampleRate);
+
+    for (let channel = 0; channel < channels; channel++) {
+      const weight = CHANNEL_WEIGHTS[channel] ?? 1.0;
+      if (weight === 0) {
+        continue; // LFE does not contribute to loudness
+      }
+
+      const data = channelData[channel];
+      // Direct form I filter state for both stages
+      let x1 = 0, x2 = 0, s1 = 0, s2 = 0, k1 = 0, k2 = 0;
+
+      for (let block = 0; block < numBlocks; block++) {
+        if (block % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0) {
+          if (!this.analysisInProgress) {
+            throw new AnalysisCancelledError('Analysis cancelled', 'loudness');
+          }
+          if (progressCallback) {
+            const stageProgress = (channel * numBlocks + block) / (channels * numBlocks);
+            const scaledProgress = this.scaleProgress(stageProgress, LevelAnalyzer.PROGRESS_STAGES.LOUDNESS_START, LevelAnalyzer.PROGRESS_STAGES.LOUDNESS_END);
+            progressCallback('Measuring loudness...', scaledProgress);
+          }
+          // Allow UI to update
+          await new Promise(resolve => setTimeout(resolve, 1));
+        }
+
+        const start = block * blockSize;
+        let sumSquares = 0;
+        for (let i = start; i < start + blockSize; i++) {
+          const x = data[i];
+          const s = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * s1 - shelf.a2 * s2;
+          const k = highPass.b0 * s + highPass.b1 * s1 + highPass.b2 * s2 - highPass.a1 * k1 - highPass.a2 * k2;
+          x2 = x1;
+          x1 = x;
+          s2 = s1;
+          s1 = s;
+          k2 = k1;
+          k1 = k;
+          sumSquares += k * k;
+        }
+        blockEnergy[block] += weight * (sumSquares / blockSize);
+      }
+    }
+
+    const energyToLufs = (energy) => energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+
+    // Prefix sums make every sliding window O(1)
+    const prefix = new Float64Array(numBlocks + 1);
+    for (let i = 0; i < numBlocks; i++) {
+      prefix[i + 1] = prefix[i] + blockEnergy[i];
+    }
+    const windowEnergies = (windowBlocks) => {
+      const energies = [];
+      for (let start = 0; start + windowBlocks <= numBlocks; start++) {
+        energies.push((prefix[start + windowBlocks] - prefix[start]) / windowBlocks);
+      }
+      return energies;
+    };
+
+    // Two-stage gating: absolute gate, then relative gate below the absolute-gated mean
+    const gate = (energies, relativeGateLu) => {
+      const absoluteGated = energies.filter(e => energyToLufs(e) > ABSOLUTE_GATE_LUFS);
+      if (absoluteGated.length === 0) {
+        return { gated: [], relativeGateLufs: -Infinity };
+      }
+      const absoluteMean = absoluteGated.reduce((sum, e) => sum + e, 0) / absoluteGated.length;
+      const relativeGateLufs = energyToLufs(absoluteMean) + relativeGateLu;
+      return {
+        gated: absoluteGated.filter(e => energyToLufs(e) > relativeGateLufs),
+        relativeGateLufs
+      };
+    };
+
+    // Momentary windows double as the 400ms / 75% overlap gating blocks
+    const momentaryEnergies = windowEnergies(momentaryBlocks);
+    const shortTermEnergies = windowEnergies(shortTermBlocks);
+
+    const { gated: integratedBlocks, relativeGateLufs } = gate(momentaryEnergies, RELATIVE_GATE_LU);
+    const integratedLufs = integratedBlocks.length > 0
+      ? energyToLufs(integratedBlocks.reduce((sum, e) => sum + e, 0) / integratedBlocks.length)
+      : -Infinity;
+
+    const momentaryMaxLufs = momentaryEnergies.length > 0
+      ? energyToLufs(momentaryEnergies.reduce((max, e) => Math.max(max, e), 0))
+      : -Infinity;
+    const shortTermMaxLufs = shortTermEnergies.length > 0
+      ? energyToLufs(shortTermEnergies.reduce((max, e) => Math.max(max, e), 0))
+      : -Infinity;
+
+    // Loudness range: spread between the 10th and 95th percentile of gated short-term loudness
+    let loudnessRange = 0;
+    let lraLowLufs = -Infinity;
+    let lraHighLufs = -Infinity;
+    const { gated: lraEnergies } = gate(shortTermEnergies, LRA_RELATIVE_GATE_LU);
+    if (lraEnergies.length > 0) {
+      const lraValues = lraEnergies.map(energyToLufs).sort((a, b) => a - b);
+      lraLowLufs = lraValues[Math.round(LRA_LOW_PERCENTILE * (lraValues.length - 1))];
+      lraHighLufs = lraValues[Math.round(LRA_HIGH_PERCENTILE * (lraValues.length - 1))];
+      loudnessRange = lraHighLufs - lraLowLufs;
+    }
+
+    return {
+      integratedLufs,
+      momentaryMaxLufs,
+      shortTermMaxLufs,
+      loudnessRange,
+      lraLowLufs,
+      lraHighLufs,
+      relativeGateLufs,
+      gatedBlockCount: integratedBlocks.length,
+      totalBlockCount: momentaryEnergies.length
+    };
+  }
+
+  /**
+   * Measures how much the dynamics of the recording have been squashed.
+   * Splits the file into blocks, gates out pauses (absolute and relative gate, as for loudness) and derives:
+   * - crest factor: sample peak vs. RMS of the active blocks
+   * - PLR: true peak vs. integrated loudness (falls back to the crest factor without loudness)
+   * - DR: second-highest block peak vs. RMS of the loudest 20% of blocks (DR-meter style)
+   * - the distribution of active block RMS levels
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {number} peakDb Sample peak in dBFS.
+   * @param {number} truePeakDb True peak in dBTP.
+   * @param {number} integratedLufs Integrated loudness in LUFS (-Infinity if not measurable).
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Dynamic range figures (dB) and the interpreted verdict.
+   */
+  async analyzeDynamicRange(channelData, channels, length, sampleRate, peakDb, truePeakDb, integratedLufs, progressCallback = null) {
+    const { BLOCK_SIZE_MS, ABSOLUTE_GATE_DB, RELATIVE_GATE_DB, LOUD_BLOCK_FRACTION } = LevelAnalyzer.DYNAMIC_RANGE_CONFIG;
+
+    const blockSize = Math.max(1, Math.round(sampleRate * (BLOCK_SIZE_MS / 1000)));
+    const numBlocks = Math.floor(length / blockSize);
+    const blocks = []; // Blocks above the absolute gate: { rmsDb, peak, meanSquare }
+
+    for (let block = 0; block < numBlocks; block++) {
+      if (block % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0) {
+        if (!this.analysisInProgress) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'dynamic-range');
+        }
+        if (progressCallback) {
+          const scaledProgress = this.scaleProgress(block / numBlocks, LevelAnalyzer.PROGRESS_STAGES.DYNAMIC_RANGE_START, LevelAnalyzer.PROGRESS_STAGES.DYNAMIC_RANGE_END);
+          progressCallback('Analyzing dynamic range...', scaledProgress);
+        }
+        // Allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+
+      const start = block * blockSize;
+      let sumSquares = 0;
+      let blockPeak = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        const data = channelData[channel];
+        for (let i = start; i < start + blockSize; i++) {
+          const sample = data[i];
+          sumSquares += sample * sample;
+          const magnitude = Math.abs(sample);
+          if (magnitude > blockPeak) {
+            blockPeak = magnitude;
+          }
+        }
+      }
+
+      const meanSquare = sumSquares / (blockSize * channels);
+      const rmsDb = meanSquare > 0 ? 10 * Math.log10(meanSquare) : -Infinity;
+      if (rmsDb > ABSOLUTE_GATE_DB) {
+        blocks.push({ rmsDb, peak: blockPeak, meanSquare });
+      }
+    }
+
+    // Relative gate keeps only blocks that belong to the programme, not pauses or room tone
+    const gateMeanSquare = blocks.reduce((sum, b) => sum + b.meanSquare, 0) / Math.max(blocks.length, 1);
+    const relativeGateDb = 10 * Math.log10(gateMeanSquare) + RELATIVE_GATE_DB;
+    const activeBlocks = blocks.filter(b => b.rmsDb > relativeGateDb);
+    const activeSumSquares = activeBlocks.reduce((sum, b) => sum + b.meanSquare, 0);
+
+    if (activeBlocks.length === 0) {
+      return {
+        averageRmsDb: -Infinity,
+        crestFactorDb: null,
+        plr: null,
+        drDb: null,
+        blockRms: null,
+        activeBlockCount: 0,
+        totalBlockCount: numBlocks,
+        ...this.interpretDynamicRange(null)
+      };
+    }
+
+    const averageRmsDb = 10 * Math.log10(activeSumSquares / activeBlocks.length);
+    const crestFactorDb = peakDb - averageRmsDb;
+    const plr = Number.isFinite(integratedLufs) && Number.isFinite(truePeakDb)
+      ? truePeakDb - integratedLufs
+      : crestFactorDb;
+
+    // DR-meter style figure: robust peak vs. RMS of the loudest blocks
+    const byLoudness = [...activeBlocks].sort((a, b) => b.meanSquare - a.meanSquare);
+    const loudCount = Math.max(1, Math.round(byLoudness.length * LOUD_BLOCK_FRACTION));
+    const loudMeanSquare = byLoudness.slice(0, loudCount).reduce((sum, b) => sum + b.meanSquare, 0) / loudCount;
+    const peaks = activeBlocks.map(b => b.peak).sort((a, b) => b - a);
+    const robustPeak = peaks.length > 1 ? peaks[1] : peaks[0];
+    const drDb = 20 * Math.log10(robustPeak) - 10 * Math.log10(loudMeanSquare);
+
+    // Distribution of active block levels
+    const levels = activeBlocks.map(b => b.rmsDb).sort((a, b) => a - b);
+    const percentile = (p) => levels[Math.round(p * (levels.length - 1))];
+    const meanDb = levels.reduce((sum, db) => sum + db, 0) / levels.length;
+    const stdDevDb = Math.sqrt(levels.reduce((sum, db) => sum + (db - meanDb) ** 2, 0) / levels.length);
+
+    return {
+      averageRmsDb,
+      crestFactorDb,
+      plr,
+      drDb,
+      blockRms: {
+        meanDb,
+        stdDevDb,
+        p10Db: percentile(0.10),
+        medianDb: percentile(0.5),
+        p90Db: percentile(0.90),
+        rangeDb: percentile(0.90) - percentile(0.10)
+      },
+      activeBlockCount: activeBlocks.length,
+      totalBlockCount: numBlocks,
+      ...this.interpretDynamicRange(plr)
+    };
+  }
+
+  /**
+   * Interprets a peak-to-loudness ratio as a compression verdict.
+   * @param {number|null} plr Peak-to-loudness ratio in dB.
+   * @returns {object} { verdict, label, description }
+   */
+  interpretDynamicRange(plr) {
+    const { NATURAL_PLR_DB, HEAVILY_LIMITED_PLR_DB } = LevelAnalyzer.DYNAMIC_RANGE_CONFIG;
+    if (plr === null || !Number.isFinite(plr)) {
+      return { verdict: 'unknown', label: 'N/A', description: 'Not enough signal to measure dynamic range.' };
+    }
+    if (plr > NATURAL_PLR_DB) {
+      return { verdict: 'natural', label: 'Natural', description: 'Peaks stand well clear of the average level. No sign of heavy compression.' };
+    }
+    if (plr > HEAVILY_LIMITED_PLR_DB) {
+      return { verdict: 'compressed', label: 'Possibly Compressed', description: 'Reduced peak-to-loudness ratio. The recording may have been compressed.' };
+    }
+    return { verdict: 'heavily_limited', label: 'Heavily Limited', description: 'Peaks are pinned close to the average level, typical of heavy compression or limiting.' };
+  }
+
+  /**
+   * Builds a segment-by-segment speech level and noise floor timeline per channel and flags
+   * gain changes, gradual mic drift and sudden room-tone shifts (typical of punch-ins and edits).
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Per-channel timelines, detected events and a 0-100 consistency score.
+   */
+  async analyzeConsistency(channelData, channels, length, sampleRate, progressCallback = null) {
+    const {
+      SEGMENT_SEC, MIN_SEGMENT_SEC, FRAME_MS, NOISE_PERCENTILE, SPEECH_ACTIVITY_DB, MIN_SPEECH_FRAMES,
+      GAIN_CHANGE_DB, ROOM_TONE_SHIFT_DB, MIC_DRIFT_DB, EVENT_PENALTY, DRIFT_PENALTY,
+      CONSISTENT_SCORE, MINOR_VARIATION_SCORE
+    } = LevelAnalyzer.CONSISTENCY_CONFIG;
+
+    const segmentSize = Math.round(SEGMENT_SEC * sampleRate);
+    const frameSize = Math.max(1, Math.round((FRAME_MS / 1000) * sampleRate));
+    const fullSegments = Math.floor(length / segmentSize);
+    const remainder = length - fullSegments * segmentSize;
+    const numSegments = fullSegments + (remainder >= MIN_SEGMENT_SEC * sampleRate ? 1 : 0);
+    const channelNames = ['left', 'right', 'center', 'LFE', 'surroundLeft', 'surroundRight'];
+
+    const perChannel = [];
+    const events = [];
+
+    for (let channel = 0; channel < channels; channel++) {
+      const data = channelData[channel];
+      const channelName = channelNames[channel] || `channel ${channel}`;
+      const segments = [];
+
+      for (let segment = 0; segment < numSegments; segment++) {
+        if (segment % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.SEGMENT_LOOP === 0) {
+          if (!this.analysisInProgress) {
+            throw new AnalysisCancelledError('Analysis cancelled', 'consistency');
+          }
+          if (progressCallback) {
+            const stageProgress = (channel * numSegments + segment) / (channels * numSegments);
+            const scaledProgress = this.scaleProgress(stageProgress, LevelAnalyzer.PROGRESS_STAGES.CONSISTENCY_START, LevelAnalyzer.PROGRESS_STAGES.CONSISTENCY_END);
+            progressCallback('Checking level consistency...', scaledProgress);
+          }
+          // Allow UI to update
+          await new Promise(resolve => setTimeout(resolve, 1));
+        }
+
+        const start = segment * segmentSize;
+        const end = Math.min(start + segmentSize, length);
+
+        // Frame levels, ignoring digital silence
+        const frameDbs = [];
+        for (let frameStart = start; frameStart + frameSize <= end; frameStart += frameSize) {
+          let sumSquares = 0;
+          for (let i = frameStart; i < frameStart + frameSize; i++) {
+            sumSquares += data[i] * data[i];
+          }
+          if (sumSquares > 0) {
+            frameDbs.push(10 * Math.log10(sumSquares / frameSize));
+          }
+        }
+
+        let noiseFloorDb = -Infinity;
+        let speechLevelDb = null;
+        if (frameDbs.length > 0) {
+          noiseFloorDb = this.quickSelect([...frameDbs], Math.floor(NOISE_PERCENTILE * (frameDbs.length - 1)));
+          const speechFrames = frameDbs.filter(db => db >= noiseFloorDb + SPEECH_ACTIVITY_DB);
+          if (speechFrames.length >= MIN_SPEECH_FRAMES) {
+            speechLevelDb = this.median(speechFrames);
+          }
+        }
+
+        segments.push({
+          startTime: start / sampleRate,
+          endTime: end / sampleRate,
+          speechLevelDb,
+          noiseFloorDb
+        });
+      }
+
+      // Step changes between neighbouring segments
+      for (let i = 1; i < segments.length; i++) {
+        const previous = segments[i - 1];
+        const current = segments[i];
+        if (previous.speechLevelDb !== null && current.speechLevelDb !== null) {
+          const changeDb = current.speechLevelDb - previous.speechLevelDb;
+          if (Math.abs(changeDb) >= GAIN_CHANGE_DB) {
+            events.push({ type: 'gain-change', channelIndex: channel, channelName, time: current.startTime, changeDb });
+          }
+        }
+        if (isFinite(previous.noiseFloorDb) && isFinite(current.noiseFloorDb)) {
+          const changeDb = current.noiseFloorDb - previous.noiseFloorDb;
+          if (Math.abs(changeDb) >= ROOM_TONE_SHIFT_DB) {
+            events.push({ type: 'room-tone-shift', channelIndex: channel, channelName, time: current.startTime, changeDb });
+          }
+        }
+      }
+
+      // Gradual drift: robust trend of speech level across the file, with gain-change steps
+      // taken out first so a single step isn't also reported as drift
+      const speechSegments = segments.filter(seg => seg.speechLevelDb !== null);
+      const speechLevels = speechSegments.map(seg => seg.speechLevelDb);
+      const noiseLevels = segments.map(seg => seg.noiseFloorDb).filter(db => isFinite(db));
+      let driftDb = 0;
+      if (speechSegments.length >= 3) {
+        const midpoints = speechSegments.map(seg => (seg.startTime + seg.endTime) / 2);
+        let stepOffset = 0;
+        const stepCorrected = speechLevels.map((level, i) => {
+          const delta = i > 0 ? level - speechLevels[i - 1] : 0;
+          if (Math.abs(delta) >= GAIN_CHANGE_DB) {
+            stepOffset += delta;
+          }
+          return level - stepOffset;
+        });
+        const { slope } = this.theilSenFit(midpoints, stepCorrected);
+        driftDb = slope * (midpoints[midpoints.length - 1] - midpoints[0]);
+      }
+      const micDrift = Math.abs(driftDb) >= MIC_DRIFT_DB;
+      if (micDrift) {
+        events.push({ type: 'mic-drift', channelIndex: channel, channelName, time: speechSegments[0].startTime, changeDb: driftDb });
+      }
+
+      const range = (values) => values.length > 0
+        ? values.reduce((max, v) => Math.max(max, v), -Infinity) - values.reduce((min, v) => Math.min(min, v), Infinity)
+        : 0;
+
+      perChannel.push({
+        channelIndex: channel,
+        channelName,
+        segments,
+        speechLevelRangeDb: range(speechLevels),
+        noiseFloorRangeDb: range(noiseLevels),
+        driftDb,
+        micDrift
+      });
+    }
+
+    events.sort((a, b) => a.time - b.time);
+
+    if (numSegments < 2) {
+      return {
+        segmentDuration: SEGMENT_SEC,
+        perChannel,
+        events,
+        flags: { gainChange: false, micDrift: false, roomToneShift: false },
+        score: null,
+        label: 'N/A'
+      };
+    }
+
+    const stepEvents = events.filter(e => e.type !== 'mic-drift').length;
+    const driftingChannels = perChannel.filter(ch => ch.micDrift).length;
+    const score = Math.max(0, 100 - stepEvents * EVENT_PENALTY - driftingChannels * DRIFT_PENALTY);
+    let label = 'Inconsistent';
+    if (score >= CONSISTENT_SCORE) {
+      label = 'Consistent';
+    } else if (score >= MINOR_VARIATION_SCORE) {
+      label = 'Minor Variations';
+    }
+
+    return {
+      segmentDuration: SEGMENT_SEC,
+      perChannel,
+      events,
+      flags: {
+        gainChange: events.some(e => e.type === 'gain-change'),
+        micDrift: driftingChannels > 0,
+        roomToneShift: events.some(e => e.type === 'room-tone-shift')
+      },
+      score,
+      label
+    };
+  }
+
+  /**
+   * Energy-based voice activity detection. Frames sufficiently above each channel's noise floor
+   * are speech; short pauses are bridged and isolated bursts dropped, giving speech segments per
+   * channel. Net speech duration is the union of all channels' segments, so a file padded with
+   * silence or room tone can be told apart from one with the required amount of speech.
+   * Bursts in the pauses between phrases (above the floor, well below the speech level, away from
+   * speech onsets and decays) are classified as breaths (noise-like, 150ms-1.5s) or mouth noise
+   * (lip smacks and clicks up to 60ms); anything else in a pause (quiet words, hum) is ignored.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {object} noiseFloorData Noise floor results ({ overall, perChannel }) used for the speech thresholds.
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Speech segments, speech ratio and speech duration per channel and combined,
+   *   plus non-speech event counts, density per minute and timestamps.
+   */
+  async analyzeVoiceActivity(channelData, channels, length, sampleRate, noiseFloorData, progressCallback = null) {
+    const {
+      FRAME_MS, SPEECH_MARGIN_DB, FALLBACK_THRESHOLD_DB, MAX_GAP_MS, MIN_SEGMENT_MS, MAX_SEGMENTS,
+      SPEECH_REFERENCE_PERCENTILE, SPEECH_CORE_RANGE_DB, MIN_PAUSE_MS, EVENT_MARGIN_DB, EVENT_GUARD_MS,
+      EVENT_MAX_GAP_MS, MOUTH_NOISE_MAX_MS, BREATH_MIN_MS, BREATH_MAX_MS, BREATH_MIN_ZCR_HZ, MAX_EVENTS
+    } = LevelAnalyzer.VOICE_ACTIVITY_CONFIG;
+
+    const frameSize = Math.max(1, Math.round((FRAME_MS / 1000) * sampleRate));
+    const numFrames = Math.ceil(length / frameSize);
+    const maxGapFrames = Math.round(MAX_GAP_MS / FRAME_MS);
+    const minSegmentFrames = Math.round(MIN_SEGMENT_MS / FRAME_MS);
+    const minPauseFrames = Math.round(MIN_PAUSE_MS / FRAME_MS);
+    const maxMouthNoiseFrames = Math.round(MOUTH_NOISE_MAX_MS / FRAME_MS);
+    const guardFrames = Math.round(EVENT_GUARD_MS / FRAME_MS);
+    const eventGapFrames = Math.round(EVENT_MAX_GAP_MS / FRAME_MS);
+    const duration = length / sampleRate;
+    const channelNames = ['left', 'right', 'center', 'LFE', 'surroundLeft', 'surroundRight'];
+
+    const toSegment = (startFrame, endFrame) => {
+      const startTime = (startFrame * frameSize) / sampleRate;
+      const endTime = Math.min(endFrame * frameSize, length) / sampleRate;
+      return { startTime, endTime, duration: endTime - startTime };
+    };
+
+    const perChannel = [];
+    const channelRuns = [];
+    const channelEvents = [];
+    const emptyCounts = () => ({ breath: 0, 'mouth-noise': 0 });
+
+    for (let channel = 0; channel < channels; channel++) {
+      const data = channelData[channel];
+      const noiseFloorDb = noiseFloorData?.perChannel?.[channel]?.noiseFloorDb ?? noiseFloorData?.overall ?? -Infinity;
+      const thresholdDb = isFinite(noiseFloorDb) ? noiseFloorDb + SPEECH_MARGIN_DB : FALLBACK_THRESHOLD_DB;
+      const thresholdMeanSquare = Math.pow(10, thresholdDb / 10);
+      const eventMeanSquare = Math.pow(10, (thresholdDb - SPEECH_MARGIN_DB + EVENT_MARGIN_DB) / 10);
+      const frameMeanSquares = new Float64Array(numFrames);
+
+      // 1. Runs of frames above the speech threshold, bridging short pauses
+      const runs = [];
+      let runStart = -1;
+      let lastActive = -1;
+      for (let frame = 0; frame < numFrames; frame++) {
+        if (frame % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.WINDOW_LOOP === 0) {
+          if (!this.analysisInProgress) {
+            throw new AnalysisCancelledError('Analysis cancelled', 'voice-activity');
+          }
+          if (progressCallback) {
+            const stageProgress = (channel * numFrames + frame) / (channels * numFrames);
+            const scaledProgress = this.scaleProgress(stageProgress, LevelAnalyzer.PROGRESS_STAGES.VOICE_ACTIVITY_START, LevelAnalyzer.PROGRESS_STAGES.VOICE_ACTIVITY_END);
+            progressCallback('Detecting speech...', scaledProgress);
+          }
+          // Allow UI to update
+          await new Promise(resolve => setTimeout(resolve, 1));
+        }
+
+        const start = frame * frameSize;
+        const end = Math.min(start + frameSize, length);
+        let sumSquares = 0;
+        for (let i = start; i < end; i++) {
+          sumSquares += data[i] * data[i];
+        }
+        frameMeanSquares[frame] = sumSquares / (end - start);
+        if (frameMeanSquares[frame] <= thresholdMeanSquare) {
+          continue;
+        }
+
+        if (runStart !== -1 && frame - lastActive - 1 > maxGapFrames) {
+          runs.push([runStart, lastActive + 1]);
+          runStart = -1;
+        }
+        if (runStart === -1) {
+          runStart = frame;
+        }
+        lastActive = frame;
+      }
+      if (runStart !== -1) {
+        runs.push([runStart, lastActive + 1]);
+      }
+
+      // 2. Drop isolated bursts too short to be speech
+      const speechRuns = runs.filter(([startFrame, endFrame]) => endFrame - startFrame >= minSegmentFrames);
+      channelRuns.push(speechRuns);
+
+      const segments = speechRuns.map(([startFrame, endFrame]) => toSegment(startFrame, endFrame));
+      const speechDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+      // 3. Non-speech events: runs above the event level in the pauses of speech proper
+      //    (frames near the speech level; bursts too short to be a syllable do not count)
+      const activeMeanSquares = [];
+      for (let frame = 0; frame < numFrames; frame++) {
+        if (frameMeanSquares[frame] > thresholdMeanSquare) {
+          activeMeanSquares.push(frameMeanSquares[frame]);
+        }
+      }
+      const referenceMeanSquare = this.quickSelect(activeMeanSquares, Math.floor(activeMeanSquares.length * SPEECH_REFERENCE_PERCENTILE));
+      const coreMeanSquare = Math.max(thresholdMeanSquare, referenceMeanSquare * Math.pow(10, -SPEECH_CORE_RANGE_DB / 10));
+
+      const coreRuns = [];
+      let coreStart = -1;
+      for (let frame = 0; frame <= numFrames; frame++) {
+        if (frame < numFrames && frameMeanSquares[frame] > coreMeanSquare) {
+          if (coreStart === -1) coreStart = frame;
+          continue;
+        }
+        if (coreStart !== -1 && frame - coreStart > maxMouthNoiseFrames) {
+          const last = coreRuns[coreRuns.length - 1];
+          if (last && coreStart - last[1] < minPauseFrames) {
+            last[1] = frame;
+          } else {
+            coreRuns.push([coreStart, frame]);
+          }
+        }
+        coreStart = -1;
+      }
+
+      const nearSpeech = new Uint8Array(numFrames);
+      for (const [startFrame, endFrame] of coreRuns) {
+        nearSpeech.fill(1, Math.max(0, startFrame - guardFrames), Math.min(numFrames, endFrame + guardFrames));
+      }
+
+      const events = [];
+      const counts = emptyCounts();
+      const classify = (startFrame, endFrame) => {
+        const segment = toSegment(startFrame, endFrame);
+        const startSample = startFrame * frameSize;
+        const endSample = Math.min(endFrame * frameSize, length);
+
+        // Zero crossings around the event's own mean (immune to DC offset)
+        let mean = 0;
+        for (let i = startSample; i < endSample; i++) {
+          mean += data[i];
+        }
+        mean /= endSample - startSample;
+        let crossings = 0;
+        for (let i = startSample + 1; i < endSample; i++) {
+          if ((data[i] - mean >= 0) !== (data[i - 1] - mean >= 0)) {
+            crossings++;
+          }
+        }
+        const zeroCrossingRate = crossings / segment.duration;
+
+        const durationMs = segment.duration * 1000;
+        let type;
+        if (durationMs <= MOUTH_NOISE_MAX_MS) {
+          type = 'mouth-noise';
+        } else if (durationMs >= BREATH_MIN_MS && durationMs <= BREATH_MAX_MS && zeroCrossingRate >= BREATH_MIN_ZCR_HZ) {
+          type = 'breath';
+        } else {
+          return; // Quiet words, hum and other pause content are not counted
+        }
+
+        let peakMeanSquare = 0;
+        for (let frame = startFrame; frame < endFrame; frame++) {
+          peakMeanSquare = Math.max(peakMeanSquare, frameMeanSquares[frame]);
+        }
+
+        counts[type]++;
+        events.push({
+          type,
+          channel,
+          channelName: channelNames[channel] || `channel ${channel}`,
+          ...segment,
+          levelDb: Math.round(10 * Math.log10(peakMeanSquare) * 10) / 10
+        });
+      };
+
+      let eventStart = -1;
+      let lastEventFrame = -1;
+      for (let frame = 0; frame < numFrames; frame++) {
+        if (nearSpeech[frame] || frameMeanSquares[frame] <= eventMeanSquare) {
+          continue;
+        }
+        if (eventStart !== -1 && frame - lastEventFrame - 1 > eventGapFrames) {
+          classify(eventStart, lastEventFrame + 1);
+          eventStart = -1;
+        }
+        if (eventStart === -1) {
+          eventStart = frame;
+        }
+        lastEventFrame = frame;
+      }
+      if (eventStart !== -1) {
+        classify(eventStart, lastEventFrame + 1);
+      }
+      channelEvents.push(events);
+
+      perChannel.push({
+        channelIndex: channel,
+        channelName: channelNames[channel] || `channel ${channel}`,
+        thresholdDb,
+        speechDuration,
+        speechRatio: duration > 0 ? speechDuration / duration : 0,
+        segmentCount: segments.length,
+        segments: segments.slice(0, MAX_SEGMENTS),
+        nonSpeechEventCounts: counts
+      });
+    }
+
+    // 4. Net speech: union of every channel's speech runs
+    const allRuns = channelRuns.flat().sort((a, b) => a[0] - b[0]);
+    const mergedRuns = [];
+    for (const [startFrame, endFrame] of allRuns) {
+      const last = mergedRuns[mergedRuns.length - 1];
+      if (last && startFrame <= last[1]) {
+        last[1] = Math.max(last[1], endFrame);
+      } else {
+        mergedRuns.push([startFrame, endFrame]);
+      }
+    }
+    const segments = mergedRuns.map(([startFrame, endFrame]) => toSegment(startFrame, endFrame));
+    const netSpeechDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+    // 5. Non-speech events across channels: overlapping events are one (a breath outranks mouth noise)
+    const typeRank = { breath: 1, 'mouth-noise': 0 };
+    const combinedEvents = [];
+    for (const event of channelEvents.flat().sort((a, b) => a.startTime - b.startTime)) {
+      const last = combinedEvents[combinedEvents.length - 1];
+      if (last && event.startTime < last.endTime) {
+        last.endTime = Math.max(last.endTime, event.endTime);
+        last.duration = last.endTime - last.startTime;
+        last.levelDb = Math.max(last.levelDb, event.levelDb);
+        if (typeRank[event.type] > typeRank[last.type]) {
+          last.type = event.type;
+        }
+      } else {
+        combinedEvents.push({ ...event });
+      }
+    }
+    const eventCounts = emptyCounts();
+    combinedEvents.forEach(event => eventCounts[event.type]++);
+    const minutes = duration / 60;
+    const perMinute = (count) => (minutes > 0 ? Math.round((count / minutes) * 10) / 10 : 0);
+
+    return {
+      frameDuration: FRAME_MS / 1000,
+      duration,
+      netSpeechDuration,
+      speechRatio: duration > 0 ? netSpeechDuration / duration : 0,
+      segmentCount: segments.length,
+      segments: segments.slice(0, MAX_SEGMENTS),
+      perChannel,
+      nonSpeechEvents: {
+        eventCount: combinedEvents.length,
+        counts: eventCounts,
+        eventsPerMinute: perMinute(combinedEvents.length),
+        breathsPerMinute: perMinute(eventCounts.breath),
+        mouthNoisesPerMinute: perMinute(eventCounts['mouth-noise']),
+        events: combinedEvents.slice(0, MAX_EVENTS),
+        eventsLimitReached: combinedEvents.length > MAX_EVENTS
+      }
+    };
+  }
+
+  /**
+   * Tracks the fundamental frequency (F0) of the speech with a YIN-style estimator on a ~8 kHz mono mix
+   * and summarises how expressive the delivery is: median pitch, pitch range and variability in
+   * semitones, a monotone flag, and the spread of frame levels as an energy-expressiveness companion.
+   * Only frames inside voice activity segments are analysed (spread evenly, up to MAX_FRAMES).
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {object} voiceActivity Voice activity results (speech segments).
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Pitch and level expressiveness metrics; analyzed is false when too little voiced speech was found.
+   */
+  async analyzePitch(channelData, channels, length, sampleRate, voiceActivity, progressCallback = null) {
+    const {
+      ANALYSIS_RATE, FRAME_MS, HOP_MS, MIN_F0_HZ, MAX_F0_HZ, YIN_THRESHOLD, MAX_FRAMES, MIN_VOICED_FRAMES,
+      RANGE_LOW_PERCENTILE, RANGE_HIGH_PERCENTILE, OCTAVE_ERROR_SEMITONES, MONOTONE_RANGE_SEMITONES
+    } = LevelAnalyzer.PITCH_CONFIG;
+
+    const decimation = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+    const analysisRate = sampleRate / decimation;
+    const windowLength = Math.round((FRAME_MS / 1000) * analysisRate);
+    const minLag = Math.max(2, Math.floor(analysisRate / MAX_F0_HZ));
+    const maxLag = Math.ceil(analysisRate / MIN_F0_HZ);
+    const frameSpan = (windowLength + maxLag + 1) * decimation;
+    const hopSamples = Math.max(1, Math.round((HOP_MS / 1000) * sampleRate));
+
+    // 1. Frames that lie entirely inside speech
+    const candidates = [];
+    for (const segment of voiceActivity?.segments ?? []) {
+      const segmentEnd = Math.min(length, Math.floor(segment.endTime * sampleRate));
+      for (let start = Math.ceil(segment.startTime * sampleRate); start + frameSpan <= segmentEnd; start += hopSamples) {
+        candidates.push(start);
+      }
+    }
+    const step = Math.max(1, candidates.length / MAX_FRAMES);
+    const frameStarts = [];
+    for (let i = 0; i < candidates.length && frameStarts.length < MAX_FRAMES; i += step) {
+      frameStarts.push(candidates[Math.floor(i)]);
+    }
+
+    // 2. YIN: cumulative mean normalised difference, first dip below the threshold
+    const frame = new Float64Array(windowLength + maxLag + 1);
+    const difference = new Float64Array(maxLag + 2);
+    const f0s = [];
+    const levelsDb = [];
+
+    for (let f = 0; f < frameStarts.length; f++) {
+      if (f % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0) {
+        if (!this.analysisInProgress) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'pitch');
+        }
+        if (progressCallback) {
+          const scaledProgress = this.scaleProgress(f / frameStarts.length, LevelAnalyzer.PROGRESS_STAGES.PITCH_START, LevelAnalyzer.PROGRESS_STAGES.PITCH_END);
+          progressCallback('Tracking pitch...', scaledProgress);
+        }
+        // Allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+
+      // Box-filter decimated mono mix
+      for (let i = 0; i < frame.length; i++) {
+        const base = frameStarts[f] + i * decimation;
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+          const data = channelData[channel];
+          for (let j = 0; j < decimation; j++) {
+            sum += data[base + j];
+          }
+        }
+        frame[i] = sum / (decimation * channels);
+      }
+
+      let sumSquares = 0;
+      for (let i = 0; i < windowLength; i++) {
+        sumSquares += frame[i] * frame[i];
+      }
+      if (sumSquares === 0) continue;
+
+      let runningSum = 0;
+      let bestLag = -1;
+      for (let lag = 1; lag <= maxLag + 1; lag++) {
+        let diff = 0;
+        for (let i = 0; i < windowLength; i++) {
+          const delta = frame[i] - frame[i + lag];
+          diff += delta * delta;
+        }
+        runningSum += diff;
+        difference[lag] = runningSum > 0 ? diff * lag / runningSum : 1;
+      }
+      for (let lag = minLag; lag <= maxLag; lag++) {
+        if (difference[lag] < YIN_THRESHOLD) {
+          while (lag < maxLag && difference[lag + 1] < difference[lag]) {
+            lag++;
+          }
+          bestLag = lag;
+          break;
+        }
+      }
+      if (bestLag === -1) continue;
+
+      // Parabolic interpolation around the dip
+      const previous = difference[bestLag - 1];
+      const current = difference[bestLag];
+      const next = difference[bestLag + 1];
+      const curvature = previous - 2 * current + next;
+      const refinedLag = curvature > 0 ? bestLag + 0.5 * (previous - next) / curvature : bestLag;
+
+      f0s.push(analysisRate / refinedLag);
+      levelsDb.push(10 * Math.log10(sumSquares / windowLength));
+    }
+
+    const emptyResult = {
+      analyzed: false,
+      framesAnalyzed: frameStarts.length,
+      voicedFrames: f0s.length,
+      medianF0Hz: null,
+      lowF0Hz: null,
+      highF0Hz: null,
+      rangeSemitones: null,
+      variabilitySemitones: null,
+      monotone: false,
+      levelVariabilityDb: null,
+      levelRangeDb: null
+    };
+    if (f0s.length < MIN_VOICED_FRAMES) {
+      return emptyResult;
+    }
+
+    // 3. Statistics in semitones around the median, dropping octave errors
+    const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const standardDeviation = (values) => {
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+    };
+
+    const medianF0Hz = this.median(f0s);
+    const semitones = f0s
+      .map(f0 => 12 * Math.log2(f0 / medianF0Hz))
+      .filter(st => Math.abs(st) <= OCTAVE_ERROR_SEMITONES)
+      .sort((a, b) => a - b);
+    const low = percentile(semitones, RANGE_LOW_PERCENTILE);
+    const high = percentile(semitones, RANGE_HIGH_PERCENTILE);
+    const rangeSemitones = high - low;
+
+    const sortedLevels = [...levelsDb].sort((a, b) => a - b);
+
+    return {
+      analyzed: true,
+      framesAnalyzed: frameStarts.length,
+      voicedFrames: f0s.length,
+      medianF0Hz,
+      lowF0Hz: medianF0Hz * Math.pow(2, low / 12),
+      highF0Hz: medianF0Hz * Math.pow(2, high / 12),
+      rangeSemitones,
+      variabilitySemitones: standardDeviation(semitones),
+      monotone: rangeSemitones < MONOTONE_RANGE_SEMITONES,
+      levelVariabilityDb: standardDeviation(levelsDb),
+      levelRangeDb: percentile(sortedLevels, RANGE_HIGH_PERCENTILE) - percentile(sortedLevels, RANGE_LOW_PERCENTILE)
+    };
+  }
+
+  /**
+   * Finds short transient faults that level-based checks miss:
+   * - click: impulse in the second difference (mouth clicks, crackle)
+   * - discontinuity: a sample-to-sample jump that leaves the waveform offset (bad edits, buffer glitches)
+   * - pop: a sudden burst of energy below POP_CUTOFF_HZ (plosives hitting the mic)
+   * - dropout: a run of exact zeros inside speech, with speech-level audio either side
+   * Events are stored up to MAX_EVENTS_PER_CHANNEL / MAX_TOTAL_EVENTS; counts are always exact.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {object} voiceActivity Voice activity results (speech segments and thresholds) for dropout detection.
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Timestamped events, counts by type, events per minute and an overall severity.
+   */
+  async analyzeTransients(channelData, channels, length, sampleRate, voiceActivity, progressCallback = null) {
+    const {
+      BLOCK_MS, REFERENCE_BLOCKS, CLICK_THRESHOLD_RATIO, CLICK_MIN_LEVEL_DB, CLICK_MERGE_MS, STEP_RATIO,
+      POP_CUTOFF_HZ, POP_FRAME_MS, POP_BASELINE_MS, POP_RISE_DB, POP_MIN_LEVEL_DB, POP_LF_RATIO, POP_HOLD_MS,
+      DROPOUT_MIN_MS, DROPOUT_CONTEXT_MS, FAULT_WEIGHT, SEVERITY_EVENTS_PER_MINUTE,
+      MAX_EVENTS_PER_CHANNEL, MAX_TOTAL_EVENTS
+    } = LevelAnalyzer.TRANSIENT_CONFIG;
+    const { HARD_CLIPPING_THRESHOLD } = this.getConfig('clipping');
+
+    const toSamples = (ms) => Math.max(1, Math.round((ms / 1000) * sampleRate));
+    const blockSize = toSamples(BLOCK_MS);
+    const numBlocks = Math.ceil(length / blockSize);
+    const mergeSamples = toSamples(CLICK_MERGE_MS);
+    const clickMinLevel = Math.pow(10, CLICK_MIN_LEVEL_DB / 20);
+    const popFrameSize = toSamples(POP_FRAME_MS);
+    const popBaselineFrames = Math.max(1, Math.round(POP_BASELINE_MS / POP_FRAME_MS));
+    const popHoldFrames = Math.max(1, Math.round(POP_HOLD_MS / POP_FRAME_MS));
+    const dropoutMinSamples = toSamples(DROPOUT_MIN_MS);
+    const dropoutContext = toSamples(DROPOUT_CONTEXT_MS);
+    const channelNames = ['left', 'right', 'center', 'LFE', 'surroundLeft', 'surroundRight'];
+
+    // Second-order Butterworth lowpass for the pop detector
+    const w0 = 2 * Math.PI * Math.min(POP_CUTOFF_HZ, sampleRate / 4) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const a0 = 1 + alpha;
+    const lowpass = {
+      b0: (1 - Math.cos(w0)) / 2 / a0,
+      b1: (1 - Math.cos(w0)) / a0,
+      b2: (1 - Math.cos(w0)) / 2 / a0,
+      a1: -2 * Math.cos(w0) / a0,
+      a2: (1 - alpha) / a0
+    };
+
+    const checkpoint = async (channel, pass, fraction) => {
+      if (!this.analysisInProgress) {
+        throw new AnalysisCancelledError('Analysis cancelled', 'transients');
+      }
+      if (progressCallback) {
+        const stageProgress = (channel + (pass + fraction) / 3) / channels;
+        const scaledProgress = this.scaleProgress(stageProgress, LevelAnalyzer.PROGRESS_STAGES.TRANSIENTS_START, LevelAnalyzer.PROGRESS_STAGES.TRANSIENTS_END);
+        progressCallback('Detecting clicks and dropouts...', scaledProgress);
+      }
+      // Allow UI to update
+      await new Promise(resolve => setTimeout(resolve, 1));
+    };
+
+    const emptyCounts = () => ({ click: 0, pop: 0, discontinuity: 0, dropout: 0 });
+    const counts = emptyCounts();
+    const perChannel = [];
+    const allEvents = [];
+    let eventsLimitReached = false;
+
+    for (let channel = 0; channel < channels; channel++) {
+      const data = channelData[channel];
+      const channelName = channelNames[channel] || `channel ${channel}`;
+      const channelCounts = emptyCounts();
+      const channelEvents = [];
+
+      const record = (type, startSample, endSample, levelDb) => {
+        channelCounts[type]++;
+        if (channelEvents.length < MAX_EVENTS_PER_CHANNEL) {
+          channelEvents.push({
+            type,
+            channel,
+            channelName,
+            startSample,
+            time: startSample / sampleRate,
+            duration: (endSample - startSample) / sampleRate,
+            levelDb
+          });
+        } else {
+          eventsLimitReached = true;
+        }
+      };
+
+      const rmsBetween = (start, end) => {
+        start = Math.max(0, start);
+        end = Math.min(length, end);
+        if (end <= start) return 0;
+        let sumSquares = 0;
+        for (let i = start; i < end; i++) {
+          sumSquares += data[i] * data[i];
+        }
+        return Math.sqrt(sumSquares / (end - start));
+      };
+
+      // 1. Dropouts: exact-zero runs inside this channel's speech, cut in mid-waveform
+      const vadChannel = voiceActivity?.perChannel?.[channel];
+      const speechSegments = vadChannel?.segments ?? voiceActivity?.segments ?? [];
+      const speechThresholdDb = vadChannel?.thresholdDb ?? LevelAnalyzer.VOICE_ACTIVITY_CONFIG.FALLBACK_THRESHOLD_DB;
+      const speechLevel = Math.pow(10, speechThresholdDb / 20);
+      const dropoutRanges = [];
+
+      for (let segment = 0; segment < speechSegments.length; segment++) {
+        if (segment % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0 && !this.analysisInProgress) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'transients');
+        }
+        const segmentStart = Math.max(0, Math.floor(speechSegments[segment].startTime * sampleRate));
+        const segmentEnd = Math.min(length, Math.ceil(speechSegments[segment].endTime * sampleRate));
+        let runStart = -1;
+        for (let i = segmentStart; i <= segmentEnd; i++) {
+          if (i < segmentEnd && data[i] === 0) {
+            if (runStart === -1) runStart = i;
+            continue;
+          }
+          if (runStart !== -1 && i - runStart >= dropoutMinSamples &&
+              rmsBetween(runStart - dropoutContext, runStart) >= speechLevel &&
+              rmsBetween(i, i + dropoutContext) >= speechLevel) {
+            dropoutRanges.push([runStart, i]);
+            record('dropout', runStart, i, null);
+          }
+          runStart = -1;
+        }
+      }
+
+      // 2. Local second-difference level per block
+      const blockLevels = new Float64Array(numBlocks);
+      for (let block = 0; block < numBlocks; block++) {
+        if (block % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.WINDOW_LOOP === 0) {
+          await checkpoint(channel, 0, block / numBlocks);
+        }
+        const start = Math.max(1, block * blockSize);
+        const end = Math.min((block + 1) * blockSize, length - 1);
+        let sumSquares = 0;
+        for (let i = start; i < end; i++) {
+          const diff2 = data[i + 1] - 2 * data[i] + data[i - 1];
+          sumSquares += diff2 * diff2;
+        }
+        blockLevels[block] = end > start ? Math.sqrt(sumSquares / (end - start)) : 0;
+      }
+
+      // 3. Clicks and discontinuities: second-difference impulses well above the local level
+      const dropoutGuard = mergeSamples + 2;
+      let dropoutIndex = 0;
+      const finishImpulse = (start, end, peakDiff2) => {
+        // Edges of clipped plateaus are reported by analyzeClipping
+        for (let i = Math.max(0, start - 1); i <= Math.min(length - 1, end + 1); i++) {
+          if (Math.abs(data[i]) >= HARD_CLIPPING_THRESHOLD) return;
+        }
+        // Edges of a dropout are part of the dropout
+        while (dropoutIndex < dropoutRanges.length && dropoutRanges[dropoutIndex][1] + dropoutGuard < start) {
+          dropoutIndex++;
+        }
+        if (dropoutIndex < dropoutRanges.length && dropoutRanges[dropoutIndex][0] - dropoutGuard <= end) {
+          return;
+        }
+        // An impulse returns to the waveform's trajectory; a discontinuity leaves it offset
+        const predicted = data[start] + (data[start] - data[start - 1]) * (end - start);
+        const jump = Math.abs(data[end] - predicted);
+        const type = jump >= STEP_RATIO * peakDiff2 ? 'discontinuity' : 'click';
+        record(type, start, end + 1, 20 * Math.log10(peakDiff2));
+      };
+
+      let eventStart = -1;
+      let eventEnd = -1;
+      let eventPeak = 0;
+      for (let block = 0; block < numBlocks; block++) {
+        if (block % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.WINDOW_LOOP === 0) {
+          await checkpoint(channel, 1, block / numBlocks);
+        }
+        const neighbours = [];
+        for (let b = Math.max(0, block - REFERENCE_BLOCKS); b <= Math.min(numBlocks - 1, block + REFERENCE_BLOCKS); b++) {
+          neighbours.push(blockLevels[b]);
+        }
+        const threshold = Math.max(CLICK_THRESHOLD_RATIO * this.median(neighbours), clickMinLevel);
+
+        const start = Math.max(1, block * blockSize);
+        const end = Math.min((block + 1) * blockSize, length - 1);
+        for (let i = start; i < end; i++) {
+          const diff2 = Math.abs(data[i + 1] - 2 * data[i] + data[i - 1]);
+          if (diff2 <= threshold) continue;
+          if (eventStart !== -1 && i - eventEnd > mergeSamples) {
+            finishImpulse(eventStart, eventEnd, eventPeak);
+            eventStart = -1;
+          }
+          if (eventStart === -1) {
+            eventStart = i;
+            eventPeak = 0;
+          }
+          eventEnd = i;
+          eventPeak = Math.max(eventPeak, diff2);
+        }
+      }
+      if (eventStart !== -1) {
+        finishImpulse(eventStart, eventEnd, eventPeak);
+      }
+
+      // 4. Pops: sudden low-frequency bursts dominating the frame
+      const numFrames = Math.floor(length / popFrameSize);
+      const baseline = new Float64Array(popBaselineFrames);
+      let baselineSum = 0;
+      let baselineCount = 0;
+      let holdUntil = 0;
+      let currentPop = null;
+      let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+      for (let frame = 0; frame < numFrames; frame++) {
+        if (frame % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.WINDOW_LOOP === 0) {
+          await checkpoint(channel, 2, frame / numFrames);
+        }
+        const start = frame * popFrameSize;
+        let lowSquares = 0;
+        let totalSquares = 0;
+        for (let i = start; i < start + popFrameSize; i++) {
+          const x = data[i];
+          const y = lowpass.b0 * x + lowpass.b1 * x1 + lowpass.b2 * x2 - lowpass.a1 * y1 - lowpass.a2 * y2;
+          x2 = x1; x1 = x;
+          y2 = y1; y1 = y;
+          lowSquares += y * y;
+          totalSquares += x * x;
+        }
+        const lowPower = lowSquares / popFrameSize;
+        const lowDb = lowPower > 0 ? 10 * Math.log10(lowPower) : -Infinity;
+
+        if (currentPop) {
+          if (frame < holdUntil && lowDb >= POP_MIN_LEVEL_DB) {
+            currentPop.endFrame = frame + 1;
+            currentPop.levelDb = Math.max(currentPop.levelDb, lowDb);
+          } else {
+            record('pop', currentPop.startFrame * popFrameSize, currentPop.endFrame * popFrameSize, currentPop.levelDb);
+            currentPop = null;
+          }
+        }
+
+        if (!currentPop && frame >= holdUntil && lowDb >= POP_MIN_LEVEL_DB && lowSquares >= POP_LF_RATIO * totalSquares) {
+          const baselineDb = baselineSum > 0 ? 10 * Math.log10(baselineSum / baselineCount) : -Infinity;
+          if (lowDb - baselineDb >= POP_RISE_DB) {
+            currentPop = { startFrame: frame, endFrame: frame + 1, levelDb: lowDb };
+            holdUntil = frame + popHoldFrames;
+          }
+        }
+
+        // Rolling low-frequency baseline over the preceding frames
+        const slot = frame % popBaselineFrames;
+        baselineSum += lowPower - (baselineCount === popBaselineFrames ? baseline[slot] : 0);
+        baseline[slot] = lowPower;
+        baselineCount = Math.min(baselineCount + 1, popBaselineFrames);
+      }
+      if (currentPop) {
+        record('pop', currentPop.startFrame * popFrameSize, currentPop.endFrame * popFrameSize, currentPop.levelDb);
+      }
+
+      channelEvents.sort((a, b) => a.startSample - b.startSample);
+      for (const type of Object.keys(counts)) {
+        counts[type] += channelCounts[type];
+      }
+
+      // Check total events limit before adding
+      const remainingSpace = MAX_TOTAL_EVENTS - allEvents.length;
+      allEvents.push(...channelEvents.slice(0, Math.max(0, remainingSpace)));
+      if (channelEvents.length > remainingSpace) {
+        eventsLimitReached = true;
+      }
+
+      perChannel.push({
+        channelIndex: channel,
+        channelName,
+        eventCount: Object.values(channelCounts).reduce((sum, count) => sum + count, 0),
+        counts: channelCounts
+      });
+    }
+
+    allEvents.sort((a, b) => a.time - b.time);
+
+    const eventCount = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const minutes = length / sampleRate / 60;
+    const weightedEvents = counts.click + counts.pop + FAULT_WEIGHT * (counts.discontinuity + counts.dropout);
+    const weightedPerMinute = weightedEvents / Math.max(minutes, 1);
+
+    let severity = 'none';
+    if (weightedPerMinute >= SEVERITY_EVENTS_PER_MINUTE.severe) {
+      severity = 'severe';
+    } else if (weightedPerMinute >= SEVERITY_EVENTS_PER_MINUTE.moderate) {
+      severity = 'moderate';
+    } else if (eventCount > 0) {
+      severity = 'minor';
+    }
+
+    return {
+      eventCount,
+      counts,
+      eventsPerMinute: minutes > 0 ? eventCount / minutes : 0,
+      severity,
+      perChannel,
+      events: allEvents,
+      eventsLimitReached,
+      maxEventsPerChannel: MAX_EVENTS_PER_CHANNEL,
+      maxTotalEvents: MAX_TOTAL_EVENTS
+    };
+  }
+
+  /**
+   * Looks for mains hum (50/60 Hz and harmonics) and other stationary tones (fans, HVAC whine)
+   * in the non-speech parts of the file, which a broadband noise floor figure cannot see.
+   * Frames near the noise floor are Hann-windowed and their power spectra averaged; peaks that
+   * stand clear of the local spectral baseline are reported with frequency and level.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {number} noiseFloorDb Overall noise floor in dBFS (selects the non-speech frames).
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Mains hum, other tonal peaks and the overall severity.
+   */
+  async analyzeTonalNoise(channelData, channels, length, sampleRate, noiseFloorDb, progressCallback = null) {
+    const {
+      TARGET_RESOLUTION_HZ, QUIET_MARGIN_DB, MAX_FRAMES, MIN_FREQUENCY_HZ, MAX_FREQUENCY_HZ,
+      BASELINE_BINS, BASELINE_GUARD_BINS, MIN_PROMINENCE_DB, MAINS_FREQUENCIES, MAINS_HARMONICS,
+      MAINS_TOLERANCE_HZ, MAX_TONES
+    } = LevelAnalyzer.TONAL_NOISE_CONFIG;
+
+    const fftSize = 1 << Math.ceil(Math.log2(sampleRate / TARGET_RESOLUTION_HZ));
+    const binHz = sampleRate / fftSize;
+    const numFrames = Math.floor(length / fftSize);
+
+    const emptyResult = (framesAnalyzed) => ({
+      analyzed: false,
+      framesAnalyzed,
+      frequencyResolutionHz: binHz,
+      mainsHum: null,
+      tones: [],
+      worstLevelDb: -Infinity,
+      severity: 'none'
+    });
+
+    if (numFrames === 0 || !isFinite(noiseFloorDb)) {
+      return emptyResult(0);
+    }
+
+    // 1. Pick the non-speech frames (mono mix close to the noise floor)
+    const quietThreshold = Math.pow(10, (noiseFloorDb + QUIET_MARGIN_DB) / 10);
+    const quietFrames = [];
+    for (let frame = 0; frame < numFrames; frame++) {
+      if (frame % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0 && !this.analysisInProgress) {
+        throw new AnalysisCancelledError('Analysis cancelled', 'tonal-noise');
+      }
+      const start = frame * fftSize;
+      let sumSquares = 0;
+      for (let i = start; i < start + fftSize; i++) {
+        let mixed = 0;
+        for (let channel = 0; channel < channels; channel++) {
+          mixed += channelData[channel][i];
+        }
+        mixed /= channels;
+        sumSquares += mixed * mixed;
+      }
+      const meanSquare = sumSquares / fftSize;
+      if (meanSquare > 0 && meanSquare <= quietThreshold) {
+        quietFrames.push(frame);
+      }
+    }
+
+    if (quietFrames.length === 0) {
+      return emptyResult(0);
+    }
+
+    // Spread the analysed frames evenly over the file
+    const step = Math.max(1, quietFrames.length / MAX_FRAMES);
+    const selectedFrames = [];
+    for (let i = 0; i < quietFrames.length && selectedFrames.length < MAX_FRAMES; i += step) {
+      selectedFrames.push(quietFrames[Math.floor(i)]);
+    }
+
+    // 2. Averaged power spectrum
+    const window = new Float64Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1)));
+    }
+    const halfSize = fftSize / 2;
+    const power = new Float64Array(halfSize + 1);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+
+    for (let f = 0; f < selectedFrames.length; f++) {
+      if (f % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.FFT_FRAME_LOOP === 0) {
+        if (!this.analysisInProgress) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'tonal-noise');
+        }
+        if (progressCallback) {
+          const scaledProgress = this.scaleProgress(f / selectedFrames.length, LevelAnalyzer.PROGRESS_STAGES.TONAL_NOISE_START, LevelAnalyzer.PROGRESS_STAGES.TONAL_NOISE_END);
+          progressCallback('Detecting hum and tonal noise...', scaledProgress);
+        }
+        // Allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+
+      const start = selectedFrames[f] * fftSize;
+      for (let i = 0; i < fftSize; i++) {
+        let mixed = 0;
+        for (let channel = 0; channel < channels; channel++) {
+          mixed += channelData[channel][start + i];
+        }
+        real[i] = (mixed / channels) * window[i];
+        imag[i] = 0;
+      }
+      this.fft(real, imag);
+      for (let bin = 0; bin <= halfSize; bin++) {
+        power[bin] += real[bin] * real[bin] + imag[bin] * imag[bin];
+      }
+    }
+
+    // Sine amplitude from a Hann-windowed bin: |X| = A * N / 4
+    const toDb = (p) => p > 0 ? 10 * Math.log10(p / selectedFrames.length) + 20 * Math.log10(4 / fftSize) : -Infinity;
+    const spectrumDb = Array.from(power, toDb);
+
+    // 3. Prominent peaks
+    const minBin = Math.max(1, Math.ceil(MIN_FREQUENCY_HZ / binHz));
+    const maxBin = Math.min(halfSize - 1, Math.floor(Math.min(MAX_FREQUENCY_HZ, sampleRate * 0.45) / binHz));
+    const peaks = [];
+    for (let bin = minBin; bin <= maxBin; bin++) {
+      if (spectrumDb[bin] <= spectrumDb[bin - 1] || spectrumDb[bin] < spectrumDb[bin + 1]) {
+        continue;
+      }
+      const baseline = [];
+      for (let offset = BASELINE_GUARD_BINS + 1; offset <= BASELINE_BINS; offset++) {
+        if (bin - offset >= 1) baseline.push(spectrumDb[bin - offset]);
+        if (bin + offset <= halfSize) baseline.push(spectrumDb[bin + offset]);
+      }
+      const baselineDb = this.median(baseline.filter(db => isFinite(db)));
+      const prominenceDb = spectrumDb[bin] - baselineDb;
+      if (prominenceDb < MIN_PROMINENCE_DB) {
+        continue;
+      }
+
+      // Parabolic interpolation on the dB spectrum for frequency and level between bins
+      const before = spectrumDb[bin - 1];
+      const after = spectrumDb[bin + 1];
+      const curvature = before - 2 * spectrumDb[bin] + after;
+      const fraction = curvature < 0 && isFinite(before) && isFinite(after) ? 0.5 * (before - after) / curvature : 0;
+      peaks.push({
+        frequency: (bin + fraction) * binHz,
+        levelDb: spectrumDb[bin] - 0.25 * (before - after) * fraction,
+        prominenceDb
+      });
+    }
+
+    // 4. Attribute peaks to the mains fundamental with the most matching harmonics
+    let mainsHum = null;
+    const attributed = new Set();
+    for (const fundamental of MAINS_FREQUENCIES) {
+      const harmonics = [];
+      const matchedPeaks = [];
+      for (let harmonic = 1; harmonic <= MAINS_HARMONICS; harmonic++) {
+        const target = fundamental * harmonic;
+        const match = peaks.find(peak => Math.abs(peak.frequency - target) <= MAINS_TOLERANCE_HZ);
+        if (match) {
+          harmonics.push({ harmonic, ...match });
+          matchedPeaks.push(match);
+        }
+      }
+      if (harmonics.length > 0 && (!mainsHum || harmonics.length > mainsHum.harmonics.length)) {
+        attributed.clear();
+        matchedPeaks.forEach(peak => attributed.add(peak));
+        mainsHum = {
+          fundamental,
+          harmonics,
+          levelDb: harmonics.reduce((max, h) => Math.max(max, h.levelDb), -Infinity),
+          severity: null
+        };
+      }
+    }
+
+    const tones = peaks
+      .filter(peak => !attributed.has(peak))
+      .sort((a, b) => b.prominenceDb - a.prominenceDb)
+      .slice(0, MAX_TONES)
+      .map(tone => ({ ...tone, severity: this.interpretTonalSeverity(tone.levelDb) }));
+
+    if (mainsHum) {
+      mainsHum.severity = this.interpretTonalSeverity(mainsHum.levelDb);
+    }
+
+    const worstLevelDb = Math.max(mainsHum ? mainsHum.levelDb : -Infinity, ...tones.map(tone => tone.levelDb));
+
+    return {
+      analyzed: true,
+      framesAnalyzed: selectedFrames.length,
+      frequencyResolutionHz: binHz,
+      mainsHum,
+      tones,
+      worstLevelDb,
+      severity: this.interpretTonalSeverity(worstLevelDb)
+    };
+  }
+
+  /**
+   * Maps the level of a tonal component to a severity.
+   * @param {number} levelDb Tone level in dBFS.
+   * @returns {string} 'none' | 'minor' | 'moderate' | 'severe'
+   */
+  interpretTonalSeverity(levelDb) {
+    if (!isFinite(levelDb)) {
+      return 'none';
+    }
+    const { SEVERITY_LEVELS_DB } = LevelAnalyzer.TONAL_NOISE_CONFIG;
+    if (levelDb >= SEVERITY_LEVELS_DB.severe) return 'severe';
+    if (levelDb >= SEVERITY_LEVELS_DB.moderate) return 'moderate';
+    return 'minor';
+  }
+
+  /**
+   * Estimates the effective bandwidth of the recording from its averaged spectrum.
+   * A steep drop (CLIFF_DB within TRANSITION_HZ) followed by nothing but floor up to Nyquist marks a
+   * cutoff well below the file's own Nyquist frequency: the audio was upsampled from a lower rate, or,
+   * when the cutoff sits at a typical encoder lowpass (e.g. the 16 kHz shelf), transcoded from MP3/AAC.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Cutoff frequency (null for full bandwidth), effective sample rate,
+   *   likely-lossy flag and a verdict ('full-band' | 'upsampled' | 'lossy-transcode' | 'unknown').
+   */
+  async analyzeBandwidth(channelData, channels, length, sampleRate, progressCallback = null) {
+    const {
+      TARGET_RESOLUTION_HZ, MAX_FRAMES, BAND_HZ, TRANSITION_HZ, CLIFF_DB, FULL_BAND_RATIO,
+      LOSSY_MIN_CUTOFF_HZ, LOSSY_MAX_CUTOFF_HZ, STANDARD_SAMPLE_RATES
+    } = LevelAnalyzer.BANDWIDTH_CONFIG;
+
+    const fftSize = 1 << Math.ceil(Math.log2(sampleRate / TARGET_RESOLUTION_HZ));
+    const binHz = sampleRate / fftSize;
+    const nyquistHz = sampleRate / 2;
+    const numFrames = Math.floor(length / fftSize);
+
+    const emptyResult = {
+      analyzed: false,
+      framesAnalyzed: 0,
+      nyquistHz,
+      cutoffHz: null,
+      cliffDb: null,
+      effectiveSampleRate: null,
+      bandLimited: false,
+      likelyLossy: false,
+      verdict: 'unknown',
+      label: 'N/A'
+    };
+
+    // 1. Pick the louder half of the non-silent frames: the cutoff is visible in programme, not pauses
+    const frameLevels = [];
+    for (let frame = 0; frame < numFrames; frame++) {
+      if (frame % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0 && !this.analysisInProgress) {
+        throw new AnalysisCancelledError('Analysis cancelled', 'bandwidth');
+      }
+      const start = frame * fftSize;
+      let sumSquares = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        const data = channelData[channel];
+        for (let i = start; i < start + fftSize; i++) {
+          sumSquares += data[i] * data[i];
+        }
+      }
+      if (sumSquares > 0) {
+        frameLevels.push({ frame, sumSquares });
+      }
+    }
+
+    if (frameLevels.length === 0) {
+      return emptyResult;
+    }
+
+    const medianLevel = this.median(frameLevels.map(f => f.sumSquares));
+    const activeFrames = frameLevels.filter(f => f.sumSquares >= medianLevel).map(f => f.frame);
+    const step = Math.max(1, activeFrames.length / MAX_FRAMES);
+    const selectedFrames = [];
+    for (let i = 0; i < activeFrames.length && selectedFrames.length < MAX_FRAMES; i += step) {
+      selectedFrames.push(activeFrames[Math.floor(i)]);
+    }
+
+    // 2. Power spectrum summed over channels (a mono mix would hide inverted channels)
+    const window = new Float64Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1)));
+    }
+    const halfSize = fftSize / 2;
+    const power = new Float64Array(halfSize + 1);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+
+    for (let f = 0; f < selectedFrames.length; f++) {
+      if (f % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.FFT_FRAME_LOOP === 0) {
+        if (!this.analysisInProgress) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'bandwidth');
+        }
+        if (progressCallback) {
+          const scaledProgress = this.scaleProgress(f / selectedFrames.length, LevelAnalyzer.PROGRESS_STAGES.BANDWIDTH_START, LevelAnalyzer.PROGRESS_STAGES.BANDWIDTH_END);
+          progressCallback('Estimating bandwidth...', scaledProgress);
+        }
+        // Allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+
+      const start = selectedFrames[f] * fftSize;
+      for (let channel = 0; channel < channels; channel++) {
+        const data = channelData[channel];
+        for (let i = 0; i < fftSize; i++) {
+          real[i] = data[start + i] * window[i];
+          imag[i] = 0;
+        }
+        this.fft(real, imag);
+        for (let bin = 0; bin <= halfSize; bin++) {
+          power[bin] += real[bin] * real[bin] + imag[bin] * imag[bin];
+        }
+      }
+    }
+
+    // 3. Band levels (dB, relative)
+    const numBands = Math.floor(nyquistHz / BAND_HZ);
+    const bandDb = new Array(numBands);
+    for (let band = 0; band < numBands; band++) {
+      const firstBin = Math.ceil((band * BAND_HZ) / binHz);
+      const lastBin = Math.min(halfSize, Math.ceil(((band + 1) * BAND_HZ) / binHz) - 1);
+      let sum = 0;
+      let count = 0;
+      for (let bin = firstBin; bin <= lastBin; bin++) {
+        sum += power[bin];
+        count++;
+      }
+      bandDb[band] = count > 0 && sum > 0 ? 10 * Math.log10(sum / count) : -Infinity;
+    }
+
+    // 4. Steepest cliff: the band furthest above everything from TRANSITION_HZ higher up to Nyquist
+    //    (window leakage leaves a sloping skirt after the edge, so the first band to clear CLIFF_DB is too high)
+    const transitionBands = Math.max(1, Math.round(TRANSITION_HZ / BAND_HZ));
+    let cliffBand = -1;
+    let bestDropDb = CLIFF_DB;
+    let bestTailDb = -Infinity;
+    let tailMaxDb = -Infinity;
+    for (let band = numBands - 1; band >= transitionBands; band--) {
+      tailMaxDb = Math.max(tailMaxDb, bandDb[band]);
+      const referenceDb = bandDb[band - transitionBands];
+      if (isFinite(referenceDb) && referenceDb - tailMaxDb > bestDropDb) {
+        cliffBand = band - transitionBands;
+        bestDropDb = referenceDb - tailMaxDb;
+        bestTailDb = tailMaxDb;
+      }
+    }
+
+    let cutoffHz = null;
+    let cliffDb = null;
+    if (cliffBand >= 0) {
+      // Cutoff: upper edge of the highest band still within CLIFF_DB / 2 of the reference band
+      let edge = cliffBand;
+      for (let band = cliffBand + transitionBands - 1; band > cliffBand; band--) {
+        if (bandDb[band] >= bandDb[cliffBand] - CLIFF_DB / 2) {
+          edge = band;
+          break;
+        }
+      }
+      cutoffHz = (edge + 1) * BAND_HZ;
+      cliffDb = isFinite(bestTailDb) ? bestDropDb : null;
+    }
+
+    const bandLimited = cutoffHz !== null && cutoffHz < FULL_BAND_RATIO * nyquistHz;
+    if (!bandLimited) {
+      return {
+        ...emptyResult,
+        analyzed: true,
+        framesAnalyzed: selectedFrames.length,
+        cutoffHz: null,
+        cliffDb: null,
+        effectiveSampleRate: sampleRate,
+        verdict: 'full-band',
+        label: 'Full bandwidth'
+      };
+    }
+
+    // Smallest standard rate whose Nyquist covers the cutoff (within one band)
+    const effectiveSampleRate = STANDARD_SAMPLE_RATES.find(rate => rate / 2 >= cutoffHz - BAND_HZ && rate <= sampleRate) ?? sampleRate;
+    const likelyLossy = cutoffHz >= LOSSY_MIN_CUTOFF_HZ && cutoffHz <= LOSSY_MAX_CUTOFF_HZ;
+
+    return {
+      analyzed: true,
+      framesAnalyzed: selectedFrames.length,
+      nyquistHz,
+      cutoffHz,
+      cliffDb,
+      effectiveSampleRate,
+      bandLimited,
+      likelyLossy,
+      verdict: likelyLossy ? 'lossy-transcode' : 'upsampled',
+      label: likelyLossy ? 'Likely transcoded from lossy' : 'Upsampled'
+    };
+  }
+
+  /**
+   * Measures low-frequency balance separately over speech and pauses (voice activity segments).
+   * Rumble (desk bumps, traffic, HVAC) shows as sub-80 Hz energy close to the speech band while
+   * talking, or dominating the room tone in pauses; a close-miked voice's proximity effect shows
+   * as low-mid (150-400 Hz) buildup well above the 1-4 kHz presence band.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {object} voiceActivity Result of analyzeVoiceActivity (segments in seconds).
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Band ratios for speech and non-speech regions (null when a region is too
+   *   short), rumble / boom flags and a verdict ('clean' | 'rumble' | 'boomy' | 'rumble-and-boom' | 'unknown').
+   */
+  async analyzeSpectralBalance(channelData, channels, length, sampleRate, voiceActivity, progressCallback = null) {
+    const {
+      TARGET_RESOLUTION_HZ, MAX_FRAMES, MIN_FRAMES, SUB_BAND_HZ, SPEECH_BAND_HZ, LOW_MID_BAND_HZ,
+      PRESENCE_BAND_HZ, RUMBLE_SPEECH_DB, RUMBLE_NON_SPEECH_DB, RUMBLE_MIN_LEVEL_DB, BOOM_DB
+    } = LevelAnalyzer.SPECTRAL_BALANCE_CONFIG;
+
+    const fftSize = 1 << Math.ceil(Math.log2(sampleRate / TARGET_RESOLUTION_HZ));
+    const binHz = sampleRate / fftSize;
+    const halfSize = fftSize / 2;
+    const numFrames = Math.floor(length / fftSize);
+    const segments = voiceActivity?.segments ?? [];
+
+    // 1. Split frames into speech (inside one segment) and non-speech (touching none, not digital silence)
+    const speechFrames = [];
+    const pauseFrames = [];
+    let segmentIndex = 0;
+    for (let frame = 0; frame < numFrames; frame++) {
+      if (frame % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0 && !this.analysisInProgress) {
+        throw new AnalysisCancelledError('Analysis cancelled', 'spectral-balance');
+      }
+      const startTime = (frame * fftSize) / sampleRate;
+      const endTime = ((frame + 1) * fftSize) / sampleRate;
+      while (segmentIndex < segments.length && segments[segmentIndex].endTime <= startTime) {
+        segmentIndex++;
+      }
+      const segment = segments[segmentIndex];
+      if (segment && segment.startTime <= startTime && segment.endTime >= endTime) {
+        speechFrames.push(frame);
+      } else if (!segment || segment.startTime >= endTime) {
+        const start = frame * fftSize;
+        let silent = true;
+        for (let channel = 0; channel < channels && silent; channel++) {
+          const data = channelData[channel];
+          for (let i = start; i < start + fftSize; i++) {
+            if (data[i] !== 0) {
+              silent = false;
+              break;
+            }
+          }
+        }
+        if (!silent) {
+          pauseFrames.push(frame);
+        }
+      }
+    }
+
+    const pick = (frames) => {
+      const step = Math.max(1, frames.length / MAX_FRAMES);
+      const picked = [];
+      for (let i = 0; i < frames.length && picked.length < MAX_FRAMES; i += step) {
+        picked.push(frames[Math.floor(i)]);
+      }
+      return picked;
+    };
+    const regions = [
+      { frames: speechFrames.length >= MIN_FRAMES ? pick(speechFrames) : [] },
+      { frames: pauseFrames.length >= MIN_FRAMES ? pick(pauseFrames) : [] }
+    ];
+    const totalFrames = regions[0].frames.length + regions[1].frames.length;
+
+    // 2. Average power spectrum per region, summed over channels
+    const window = new Float64Array(fftSize);
+    let windowPower = 0;
+    for (let i = 0; i < fftSize; i++) {
+      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1)));
+      windowPower += window[i] * window[i];
+    }
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    let framesDone = 0;
+
+    for (const region of regions) {
+      region.power = new Float64Array(halfSize + 1);
+      for (const frame of region.frames) {
+        if (framesDone % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.FFT_FRAME_LOOP === 0) {
+          if (!this.analysisInProgress) {
+            throw new AnalysisCancelledError('Analysis cancelled', 'spectral-balance');
+          }
+          if (progressCallback) {
+            const scaledProgress = this.scaleProgress(framesDone / totalFrames, LevelAnalyzer.PROGRESS_STAGES.SPECTRAL_BALANCE_START, LevelAnalyzer.PROGRESS_STAGES.SPECTRAL_BALANCE_END);
+            progressCallback('Checking low-frequency balance...', scaledProgress);
+          }
+          // Allow UI to update
+          await new Promise(resolve => setTimeout(resolve, 1));
+        }
+        framesDone++;
+
+        const start = frame * fftSize;
+        for (let channel = 0; channel < channels; channel++) {
+          const data = channelData[channel];
+          for (let i = 0; i < fftSize; i++) {
+            real[i] = data[start + i] * window[i];
+            imag[i] = 0;
+          }
+          this.fft(real, imag);
+          for (let bin = 0; bin <= halfSize; bin++) {
+            region.power[bin] += real[bin] * real[bin] + imag[bin] * imag[bin];
+          }
+        }
+      }
+    }
+
+    // 3. Band levels in dBFS (mean square per channel; Parseval with the window's power)
+    const bandLevelDb = (power, frameCount, [lowHz, highHz]) => {
+      const firstBin = Math.max(1, Math.ceil(lowHz / binHz));
+      const lastBin = Math.min(halfSize, Math.floor(Math.min(highHz, sampleRate / 2) / binHz));
+      let sum = 0;
+      for (let bin = firstBin; bin <= lastBin; bin++) {
+        sum += power[bin];
+      }
+      const meanSquare = (2 * sum) / (fftSize * windowPower * frameCount * channels);
+      return meanSquare > 0 ? 10 * Math.log10(meanSquare) : -Infinity;
+    };
+    const round = (value) => (isFinite(value) ? Math.round(value * 10) / 10 : null);
+    const ratio = (numeratorDb, denominatorDb) =>
+      (isFinite(numeratorDb) && isFinite(denominatorDb) ? round(numeratorDb - denominatorDb) : null);
+
+    const summarise = (region) => {
+      if (region.frames.length === 0) {
+        return null;
+      }
+      const subDb = bandLevelDb(region.power, region.frames.length, SUB_BAND_HZ);
+      const speechBandDb = bandLevelDb(region.power, region.frames.length, SPEECH_BAND_HZ);
+      return {
+        framesAnalyzed: region.frames.length,
+        subLevelDb: round(subDb),
+        speechBandLevelDb: round(speechBandDb),
+        subToSpeechDb: ratio(subDb, speechBandDb),
+        lowMidToPresenceDb: ratio(
+          bandLevelDb(region.power, region.frames.length, LOW_MID_BAND_HZ),
+          bandLevelDb(region.power, region.frames.length, PRESENCE_BAND_HZ)
+        )
+      };
+    };
+    const speech = summarise(regions[0]);
+    const nonSpeech = summarise(regions[1]);
+
+    if (!speech && !nonSpeech) {
+      return {
+        analyzed: false,
+        speech: null,
+        nonSpeech: null,
+        rumble: false,
+        boom: false,
+        verdict: 'unknown',
+        label: 'N/A'
+      };
+    }
+
+    // 4. Verdict
+    const rumbleInSpeech = (speech?.subToSpeechDb ?? -Infinity) >= RUMBLE_SPEECH_DB;
+    const rumbleInPauses = (nonSpeech?.subToSpeechDb ?? -Infinity) >= RUMBLE_NON_SPEECH_DB &&
+      (nonSpeech?.subLevelDb ?? -Infinity) >= RUMBLE_MIN_LEVEL_DB;
+    const rumble = rumbleInSpeech || rumbleInPauses;
+    const boom = (speech?.lowMidToPresenceDb ?? -Infinity) >= BOOM_DB;
+
+    let verdict = 'clean';
+    let label = 'Clean';
+    if (rumble && boom) {
+      verdict = 'rumble-and-boom';
+      label = 'Rumble and boom';
+    } else if (rumble) {
+      verdict = 'rumble';
+      label = 'Low-frequency rumble';
+    } else if (boom) {
+      verdict = 'boomy';
+      label = 'Boomy (proximity effect)';
+    }
+
+    return {
+      analyzed: true,
+      speech,
+      nonSpeech,
+      rumble,
+      boom,
+      verdict,
+      label
+    };
+  }
 
-      for (let channel = 0; channel < channels; channel++) {
-        const data = channelData[channel];
-        let sumSquares = 0;
-        for (let j = i; j < end; j++) {
-          sumSquares += data[j] * data[j];
-        }
-        const rms = Math.sqrt(sumSquares / (end - i));
+  /**
+   * Measures sibilance: bursts of 5-10 kHz energy inside speech, relative to the full-band level of
+   * that speech. Bright condenser microphones without de-essing push "s" sounds up to (or above)
+   * the level of the vowels around them; each run of 10ms frames whose band level reaches
+   * EVENT_THRESHOLD_DB against the average speech level is one sibilance event.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {object} voiceActivity Result of analyzeVoiceActivity (segments in seconds).
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Event count and rate (per minute of speech), peak band-to-speech ratio,
+   *   event list and a severity ('none' | 'minor' | 'moderate' | 'severe').
+   */
+  async analyzeSibilance(channelData, channels, length, sampleRate, voiceActivity, progressCallback = null) {
+    const {
+      BAND_HZ, MIN_BAND_WIDTH_HZ, FRAME_MS, EVENT_THRESHOLD_DB, MERGE_MS, MIN_SPEECH_FRAMES,
+      MAX_EVENTS, SEVERITY_EVENTS_PER_MINUTE
+    } = this.getConfig('sibilance');
+
+    const lowHz = BAND_HZ[0];
+    const highHz = Math.min(BAND_HZ[1], 0.45 * sampleRate);
+    const frameSize = Math.max(1, Math.round(FRAME_MS * sampleRate / 1000));
+    const frameDuration = frameSize / sampleRate;
+    const segments = voiceActivity?.segments ?? [];
+
+    const emptyResult = {
+      analyzed: false,
+      bandHz: [lowHz, highHz],
+      speechDuration: 0,
+      speechLevelDb: null,
+      eventCount: 0,
+      eventsPerMinute: 0,
+      peakRatioDb: null,
+      events: [],
+      eventsLimitReached: false,
+      severity: 'none'
+    };
 
-        if (rms > 0) {
-          allChannelsSilent = false;
-          perChannelRmsValues[channel].push(rms);
-          overallRmsValues.push(rms);
-        }
-      }
+    if (highHz - lowHz < MIN_BAND_WIDTH_HZ) {
+      return emptyResult;
+    }
 
-      // Track windows where ALL channels are digital silence
-      if (allChannelsSilent) {
-        digitalSilenceWindows++;
+    // 1. Frames that lie entirely inside speech
+    const speechFrames = [];
+    for (const segment of segments) {
+      const first = Math.ceil((segment.startTime * sampleRate) / frameSize);
+      const last = Math.floor((Math.min(segment.endTime * sampleRate, length)) / frameSize);
+      for (let frame = first; frame < last; frame++) {
+        speechFrames.push(frame);
       }
     }
+    if (speechFrames.length < MIN_SPEECH_FRAMES) {
+      return emptyResult;
+    }
 
-    // Pass 2: Build histograms from quietest windows (70-100% of noise floor stage)
-    const perChannelResults = [];
+    // 2. Band-pass: fourth-order Butterworth high-pass and low-pass, two biquad sections each
+    const section = (cutoffHz, highpass, q) => {
+      const w0 = 2 * Math.PI * cutoffHz / sampleRate;
+      const alpha = Math.sin(w0) / (2 * q);
+      const cos = Math.cos(w0);
+      const a0 = 1 + alpha;
+      const gain = (highpass ? 1 + cos : 1 - cos) / a0;
+      return {
+        b0: gain / 2,
+        b1: highpass ? -gain : gain,
+        b2: gain / 2,
+        a1: -2 * cos / a0,
+        a2: (1 - alpha) / a0
+      };
+    };
+    const butterworthQ = [0.5412, 1.3066];
+    const sections = [
+      ...butterworthQ.map(q => section(lowHz, true, q)),
+      ...butterworthQ.map(q => section(highHz, false, q))
+    ];
+
+    // Filtered samples go straight into the frame sums; only the sections' state (x1, x2, y1, y2) is kept
+    const numFrames = Math.floor(length / frameSize);
+    const bandPower = new Float64Array(numFrames);
+    const fullPower = new Float64Array(numFrames);
+    const isSpeechFrame = new Uint8Array(numFrames);
+    for (const frame of speechFrames) {
+      isSpeechFrame[frame] = 1;
+    }
+    const state = new Float64Array(sections.length * 4);
 
     for (let channel = 0; channel < channels; channel++) {
-      // Report progress for Pass 2
+      if (!this.analysisInProgress) {
+        throw new AnalysisCancelledError('Analysis cancelled', 'sibilance');
+      }
       if (progressCallback) {
-        const pass2Progress = 0.7 + (channel / channels) * 0.3; // Pass 2 is 70-100% of the stage
-        const scaledProgress = this.scaleProgress(pass2Progress, LevelAnalyzer.PROGRESS_STAGES.NOISE_FLOOR_START, LevelAnalyzer.PROGRESS_STAGES.NOISE_FLOOR_END);
-        progressCallback('Analyzing noise floor...', scaledProgress);
+        const scaledProgress = this.scaleProgress(channel / channels, LevelAnalyzer.PROGRESS_STAGES.SIBILANCE_START, LevelAnalyzer.PROGRESS_STAGES.SIBILANCE_END);
+        progressCallback('Measuring sibilance...', scaledProgress);
+      }
+      // Allow UI to update
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      const data = channelData[channel];
+      state.fill(0);
+      for (let frame = 0; frame < numFrames; frame++) {
+        const start = frame * frameSize;
+        let bandSum = 0;
+        let fullSum = 0;
+        for (let i = start; i < start + frameSize; i++) {
+          if (i % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.SAMPLE_LOOP === 0 && !this.analysisInProgress) {
+            throw new AnalysisCancelledError('Analysis cancelled', 'sibilance');
+          }
+          const sample = data[i];
+          let x = sample;
+          for (let k = 0; k < sections.length; k++) {
+            const { b0, b1, b2, a1, a2 } = sections[k];
+            const s = k * 4;
+            const y = b0 * x + b1 * state[s] + b2 * state[s + 1] - a1 * state[s + 2] - a2 * state[s + 3];
+            state[s + 1] = state[s];
+            state[s] = x;
+            state[s + 3] = state[s + 2];
+            state[s + 2] = y;
+            x = y;
+          }
+          bandSum += x * x;
+          fullSum += sample * sample;
+        }
+        if (isSpeechFrame[frame]) {
+          bandPower[frame] += bandSum / frameSize;
+          fullPower[frame] += fullSum / frameSize;
+        }
       }
+    }
 
-      const channelRms = perChannelRmsValues[channel];
+    // 3. Average full-band speech level is the reference for every frame's band level
+    let fullSum = 0;
+    for (const frame of speechFrames) {
+      fullSum += fullPower[frame];
+    }
+    const speechPower = fullSum / speechFrames.length;
+    if (speechPower <= 0) {
+      return emptyResult;
+    }
 
-      if (channelRms.length === 0) {
-        // All windows were silence
-        perChannelResults.push({
-          channelIndex: channel,
-          channelName: channelNames[channel] || `channel ${channel}`,
-          noiseFloorDb: -Infinity
+    // 4. Bursts: runs of frames at or above the threshold, merged across short gaps
+    const mergeFrames = Math.max(1, Math.round(MERGE_MS / FRAME_MS));
+    const events = [];
+    let eventCount = 0;
+    let peakRatioDb = -Infinity;
+    let current = null;
+
+    const closeEvent = () => {
+      eventCount++;
+      if (events.length < MAX_EVENTS) {
+        events.push({
+          time: current.startFrame * frameDuration,
+          duration: (current.endFrame - current.startFrame + 1) * frameDuration,
+          peakRatioDb: Math.round(current.peakRatioDb * 10) / 10
         });
+      }
+      current = null;
+    };
+
+    for (const frame of speechFrames) {
+      const ratioDb = bandPower[frame] > 0 ? 10 * Math.log10(bandPower[frame] / speechPower) : -Infinity;
+      peakRatioDb = Math.max(peakRatioDb, ratioDb);
+      if (ratioDb < EVENT_THRESHOLD_DB) {
         continue;
       }
+      if (current && frame - current.endFrame <= mergeFrames) {
+        current.endFrame = frame;
+        current.peakRatioDb = Math.max(current.peakRatioDb, ratioDb);
+      } else {
+        if (current) closeEvent();
+        current = { startFrame: frame, endFrame: frame, peakRatioDb: ratioDb };
+      }
+    }
+    if (current) closeEvent();
 
-      // Use selection algorithm to find the cutoff point instead of full sort (O(n) vs O(n log n))
-      const cutoffIndex = Math.ceil(channelRms.length * quietestPercentile) - 1;
-      const cutoffValue = this.quickSelect([...channelRms], cutoffIndex);
-      const quietestRms = channelRms.filter(rms => rms <= cutoffValue);
+    const speechDuration = speechFrames.length * frameDuration;
+    const eventsPerMinute = eventCount / (speechDuration / 60);
 
-      // Build histogram from quietest windows only
-      const channelHistogram = new Array(numBins).fill(0);
-      for (const rms of quietestRms) {
-        const db = 20 * Math.log10(rms);
-        if (db >= minDb) {
-          const bin = Math.min(
-            Math.floor(((db - minDb) / dbRange) * numBins),
-            numBins - 1
-          );
-          channelHistogram[bin]++;
+    let severity = 'none';
+    if (eventsPerMinute >= SEVERITY_EVENTS_PER_MINUTE.severe) severity = 'severe';
+    else if (eventsPerMinute >= SEVERITY_EVENTS_PER_MINUTE.moderate) severity = 'moderate';
+    else if (eventCount > 0) severity = 'minor';
+
+    return {
+      analyzed: true,
+      bandHz: [lowHz, highHz],
+      speechDuration,
+      speechLevelDb: Math.round(10 * Math.log10(speechPower / channels) * 10) / 10,
+      eventCount,
+      eventsPerMinute: Math.round(eventsPerMinute * 10) / 10,
+      peakRatioDb: isFinite(peakRatioDb) ? Math.round(peakRatioDb * 10) / 10 : null,
+      events,
+      eventsLimitReached: eventCount > events.length,
+      severity
+    };
+  }
+
+  /**
+   * Looks for signs of heavy noise reduction in the pauses between speech segments, which the noise
+   * floor alone cannot separate from a genuinely quiet room:
+   * - Gate pumping: the floor drops to (near) digital silence inside pauses and snaps back to room
+   *   tone around phrases, instead of staying at a steady room tone.
+   * - Musical noise: spectral denoising leaves sparse, flickering tonal fragments ("birdies") in the
+   *   residual noise. Each pause frame's spectrum is normalized by the long-term spectrum of the
+   *   pauses; stationary noise then has a spectral flatness near 0.56, musical noise far lower.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {object} voiceActivity Result of analyzeVoiceActivity (segments in seconds).
+   * @param {function} progressCallback Optional progress callback.
+   * @returns {Promise<object>} Gate statistics (gated pause ratio, snaps per minute), normalized noise
+   *   flatness, the gatePumping / musicalNoise findings and an overall overProcessed flag.
+   */
+  async analyzeProcessingArtifacts(channelData, channels, length, sampleRate, voiceActivity, progressCallback = null) {
+    const {
+      FRAME_MS, GATE_CLOSED_DB, GATE_STEP_DB, MIN_CLOSED_MS, MIN_PAUSES, GATED_PAUSE_RATIO, SPEECH_GUARD_MS,
+      FFT_FRAME_MS, BAND_HZ, MIN_NOISE_FRAMES, MAX_NOISE_FRAMES, MUSICAL_NOISE_FLATNESS
+    } = LevelAnalyzer.PROCESSING_ARTIFACT_CONFIG;
+
+    const segments = voiceActivity?.segments ?? [];
+    const pauses = [];
+    for (let i = 1; i < segments.length; i++) {
+      pauses.push([segments[i - 1].endTime, segments[i].startTime]);
+    }
+
+    // 1. Gate: frame levels (loudest channel) through every pause between the first and last phrase
+    const frameSize = Math.max(1, Math.round((FRAME_MS / 1000) * sampleRate));
+    const minClosedFrames = Math.max(1, Math.round(MIN_CLOSED_MS / FRAME_MS));
+    const levelDb = (start, end) => {
+      let maxMeanSquare = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        const data = channelData[channel];
+        let sumSquares = 0;
+        for (let i = start; i < end; i++) {
+          sumSquares += data[i] * data[i];
         }
+        maxMeanSquare = Math.max(maxMeanSquare, sumSquares / (end - start));
       }
+      return maxMeanSquare > 0 ? 10 * Math.log10(maxMeanSquare) : -Infinity;
+    };
 
-      // Find the modal bin (peak of histogram)
-      let channelModeBin = -1;
-      let channelMaxCount = 0;
-      for (let i = 0; i < numBins; i++) {
-        if (channelHistogram[i] > channelMaxCount) {
-          channelMaxCount = channelHistogram[i];
-          channelModeBin = i;
+    let gatedPauses = 0;
+    let gateSnaps = 0;
+    for (let p = 0; p < pauses.length; p++) {
+      if (p % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0) {
+        if (!this.analysisInProgress) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'processing-artifacts');
+        }
+        if (progressCallback) {
+          const scaledProgress = this.scaleProgress(0.5 * p / pauses.length, LevelAnalyzer.PROGRESS_STAGES.PROCESSING_ARTIFACTS_START, LevelAnalyzer.PROGRESS_STAGES.PROCESSING_ARTIFACTS_END);
+          progressCallback('Checking for noise-reduction artifacts...', scaledProgress);
         }
+        // Allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 1));
       }
 
-      const channelNoiseFloor = channelModeBin === -1
-        ? -Infinity
-        : channelModeBin * (dbRange / numBins) + minDb;
+      // Include one frame of the speech either side, so snaps at the phrase edges count
+      const pauseStart = Math.max(0, Math.floor(pauses[p][0] * sampleRate) - frameSize);
+      const pauseEnd = Math.min(length, Math.ceil(pauses[p][1] * sampleRate) + frameSize);
+      let previousDb = null;
+      let closedRun = 0;
+      let longestClosedRun = 0;
+      for (let start = pauseStart; start + frameSize <= pauseEnd; start += frameSize) {
+        const frameDb = levelDb(start, start + frameSize);
+        const closed = frameDb <= GATE_CLOSED_DB;
+        closedRun = closed ? closedRun + 1 : 0;
+        longestClosedRun = Math.max(longestClosedRun, closedRun);
+        if (previousDb !== null && (closed !== (previousDb <= GATE_CLOSED_DB)) &&
+            Math.abs(frameDb - previousDb) >= GATE_STEP_DB) {
+          gateSnaps++;
+        }
+        previousDb = frameDb;
+      }
+      if (longestClosedRun >= minClosedFrames) {
+        gatedPauses++;
+      }
+    }
 
-      perChannelResults.push({
-        channelIndex: channel,
-        channelName: channelNames[channel] || `channel ${channel}`,
-        noiseFloorDb: channelNoiseFloor
-      });
+    const gatedPauseRatio = pauses.length > 0 ? gatedPauses / pauses.length : 0;
+    const gatePumping = pauses.length >= MIN_PAUSES && gatedPauseRatio >= GATED_PAUSE_RATIO;
+    const minutes = length / sampleRate / 60;
+
+    // 2. Musical noise: normalized spectral flatness of open (not gated) pause frames
+    const fftSize = 1 << Math.round(Math.log2((FFT_FRAME_MS / 1000) * sampleRate));
+    const guard = Math.round((SPEECH_GUARD_MS / 1000) * sampleRate);
+    const candidates = [];
+    for (const [pauseStartTime, pauseEndTime] of pauses) {
+      const pauseEnd = Math.floor(pauseEndTime * sampleRate) - guard;
+      for (let start = Math.ceil(pauseStartTime * sampleRate) + guard; start + fftSize <= pauseEnd; start += fftSize) {
+        if (levelDb(start, start + fftSize) > GATE_CLOSED_DB) {
+          candidates.push(start);
+        }
+      }
+    }
+    const step = Math.max(1, candidates.length / MAX_NOISE_FRAMES);
+    const frameStarts = [];
+    for (let i = 0; i < candidates.length && frameStarts.length < MAX_NOISE_FRAMES; i += step) {
+      frameStarts.push(candidates[Math.floor(i)]);
     }
 
-    // Overall noise floor calculation
-    let overallNoiseFloor = -Infinity;
-    if (overallRmsValues.length > 0) {
-      // Use selection algorithm to find the cutoff point instead of full sort (O(n) vs O(n log n))
-      const cutoffIndex = Math.ceil(overallRmsValues.length * quietestPercentile) - 1;
-      const cutoffValue = this.quickSelect([...overallRmsValues], cutoffIndex);
-      const quietestRms = overallRmsValues.filter(rms => rms <= cutoffValue);
+    let noiseFlatness = null;
+    if (frameStarts.length >= MIN_NOISE_FRAMES) {
+      const binHz = sampleRate / fftSize;
+      const firstBin = Math.max(1, Math.ceil(BAND_HZ[0] / binHz));
+      const lastBin = Math.min(fftSize / 2 - 1, Math.floor(Math.min(BAND_HZ[1], 0.45 * sampleRate) / binHz));
+      const numBins = lastBin - firstBin + 1;
+      const window = new Float64Array(fftSize);
+      for (let i = 0; i < fftSize; i++) {
+        window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1)));
+      }
+      const real = new Float64Array(fftSize);
+      const imag = new Float64Array(fftSize);
+      const spectra = frameStarts.map(() => new Float64Array(numBins));
+      const meanSpectrum = new Float64Array(numBins);
 
-      const overallHistogram = new Array(numBins).fill(0);
-      for (const rms of quietestRms) {
-        const db = 20 * Math.log10(rms);
-        if (db >= minDb) {
-          const bin = Math.min(
-            Math.floor(((db - minDb) / dbRange) * numBins),
-            numBins - 1
-          );
-          overallHistogram[bin]++;
+      for (let f = 0; f < frameStarts.length; f++) {
+        if (f % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.ONSET_LOOP === 0) {
+          if (!this.analysisInProgress) {
+            throw new AnalysisCancelledError('Analysis cancelled', 'processing-artifacts');
+          }
+          if (progressCallback) {
+            const scaledProgress = this.scaleProgress(0.5 + 0.5 * f / frameStarts.length, LevelAnalyzer.PROGRESS_STAGES.PROCESSING_ARTIFACTS_START, LevelAnalyzer.PROGRESS_STAGES.PROCESSING_ARTIFACTS_END);
+            progressCallback('Checking for noise-reduction artifacts...', scaledProgress);
+          }
+          // Allow UI to update
+          await new Promise(resolve => setTimeout(resolve, 1));
+        }
+        for (let channel = 0; channel < channels; channel++) {
+          const data = channelData[channel];
+          for (let i = 0; i < fftSize; i++) {
+            real[i] = data[frameStarts[f] + i] * window[i];
+            imag[i] = 0;
+          }
+          this.fft(real, imag);
+          for (let bin = 0; bin < numBins; bin++) {
+            const power = real[firstBin + bin] * real[firstBin + bin] + imag[firstBin + bin] * imag[firstBin + bin];
+            spectra[f][bin] += power;
+            meanSpectrum[bin] += power / frameStarts.length;
+          }
         }
       }
 
-      let overallModeBin = -1;
-      let overallMaxCount = 0;
-      for (let i = 0; i < numBins; i++) {
-        if (overallHistogram[i] > overallMaxCount) {
-          overallMaxCount = overallHistogram[i];
-          overallModeBin = i;
+      // Geometric over arithmetic mean of each normalized frame; the median frame is reported
+      const flatness = [];
+      for (const spectrum of spectra) {
+        let logSum = 0;
+        let sum = 0;
+        let count = 0;
+        for (let bin = 0; bin < numBins; bin++) {
+          if (meanSpectrum[bin] <= 0) continue;
+          const normalized = spectrum[bin] / meanSpectrum[bin];
+          logSum += Math.log(Math.max(normalized, 1e-12));
+          sum += normalized;
+          count++;
+        }
+        if (count > 0 && sum > 0) {
+          flatness.push(Math.exp(logSum / count) / (sum / count));
         }
       }
-
-      overallNoiseFloor = overallModeBin === -1
-        ? -Infinity
-        : overallModeBin * (dbRange / numBins) + minDb;
+      if (flatness.length > 0) {
+        noiseFlatness = Math.round(this.median(flatness) * 1000) / 1000;
+      }
     }
 
-    // Calculate digital silence percentage
-    const digitalSilencePercentage = numWindows > 0
-      ? (digitalSilenceWindows / numWindows) * 100
-      : 0;
+    const analyzed = pauses.length >= MIN_PAUSES || noiseFlatness !== null;
+    const musicalNoise = noiseFlatness !== null && noiseFlatness < MUSICAL_NOISE_FLATNESS;
+    const overProcessed = gatePumping || musicalNoise;
+
+    let label = analyzed ? 'Natural' : 'N/A';
+    if (gatePumping && musicalNoise) label = 'Gated, musical noise';
+    else if (gatePumping) label = 'Gate pumping';
+    else if (musicalNoise) label = 'Musical noise';
 
     return {
-      overall: overallNoiseFloor,
-      perChannel: perChannelResults,
-      hasDigitalSilence: digitalSilenceWindows > 0,
-      digitalSilencePercentage: digitalSilencePercentage
+      analyzed,
+      pausesAnalyzed: pauses.length,
+      gatedPauses,
+      gatedPauseRatio: Math.round(gatedPauseRatio * 1000) / 1000,
+      gateSnaps,
+      gateSnapsPerMinute: minutes > 0 ? Math.round((gateSnaps / minutes) * 10) / 10 : 0,
+      gatePumping,
+      noiseFramesAnalyzed: noiseFlatness !== null ? frameStarts.length : 0,
+      noiseFlatness,
+      musicalNoise,
+      overProcessed,
+      label
     };
   }
 
   checkNormalization(peakDb) {
-    const targetDb = -6.0;
-    const tolerance = 0.1;
+    const { TARGET_DB: targetDb, TOLERANCE_DB: tolerance } = this.getConfig('normalization');
 
     let status, message;
 
@@ -754,8 +3544,51 @@ export class LevelAnalyzer {
     this.analysisInProgress = false;
   }
 
+  /**
+   * Measures the DC offset (mean sample value) of each channel.
+   * @param {Float32Array[]} channelData Per-channel sample data.
+   * @param {number} channels Number of channels.
+   * @param {number} length Number of samples per channel.
+   * @returns {object} Per-channel offsets (linear, % of full scale and dBFS), the largest offset
+   *   in dBFS and whether any channel is at or above DC_OFFSET_CONFIG.FLAG_THRESHOLD_DB.
+   */
+  analyzeDcOffset(channelData, channels, length) {
+    const { FLAG_THRESHOLD_DB } = LevelAnalyzer.DC_OFFSET_CONFIG;
+    const channelNames = ['left', 'right', 'center', 'LFE', 'surroundLeft', 'surroundRight'];
+
+    const perChannel = [];
+    for (let channel = 0; channel < channels; channel++) {
+      const data = channelData[channel];
+      let sum = 0;
+      for (let i = 0; i < length; i++) {
+        if (i % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.SAMPLE_LOOP === 0 && !this.analysisInProgress) {
+          throw new AnalysisCancelledError('Analysis cancelled', 'dc-offset');
+        }
+        sum += data[i];
+      }
+
+      const offset = length > 0 ? sum / length : 0;
+      const offsetDb = offset !== 0 ? 20 * Math.log10(Math.abs(offset)) : -Infinity;
+      perChannel.push({
+        channelIndex: channel,
+        channelName: channelNames[channel] || `channel ${channel}`,
+        offset,
+        offsetPercent: offset * 100,
+        offsetDb,
+        flagged: offsetDb >= FLAG_THRESHOLD_DB
+      });
+    }
+
+    return {
+      perChannel,
+      maxOffsetDb: perChannel.reduce((max, ch) => Math.max(max, ch.offsetDb), -Infinity),
+      hasDcOffset: perChannel.some(ch => ch.flagged)
+    };
+  }
+
   /**
    * Analyzes the stereo separation of an audio buffer.
+   * Also checks polarity: when most correlated blocks correlate negatively, one channel is inverted.
    * @param {AudioBuffer} audioBuffer The audio buffer to analyze.
    * @returns {object|null} An object with stereo analysis results, or null if not stereo.
    */
@@ -769,27 +3602,43 @@ export class LevelAnalyzer {
     const sampleRate = audioBuffer.sampleRate;
     const length = audioBuffer.length;
 
-    const blockSize = Math.floor(sampleRate * 0.25); // 250ms blocks
-    const dominanceRatioThreshold = 1.1; // How much louder one channel must be to be "dominant"
-    const silenceThreshold = 0.001; // RMS threshold for silence
+    const {
+      BLOCK_SIZE_MS, DOMINANCE_RATIO_THRESHOLD, SILENCE_THRESHOLD, MONO_RATIO, CONVERSATIONAL_MIN_RATIO,
+      POLARITY_MIN_CORRELATION, POLARITY_INVERTED_RATIO
+    } = this.getConfig('stereo');
+    const blockSize = Math.floor(sampleRate * BLOCK_SIZE_MS / 1000);
+    const dominanceRatioThreshold = DOMINANCE_RATIO_THRESHOLD; // How much louder one channel must be to be "dominant"
+    const silenceThreshold = SILENCE_THRESHOLD; // RMS threshold for silence
 
     let leftDominantBlocks = 0;
     let rightDominantBlocks = 0;
     let balancedBlocks = 0;
     let silentBlocks = 0;
     let totalBlocks = 0;
+    // Polarity: per-block correlation sign plus an energy-weighted overall correlation
+    let correlatedBlocks = 0;
+    let invertedBlocks = 0;
+    let covarianceSum = 0;
+    let leftVarianceSum = 0;
+    let rightVarianceSum = 0;
     for (let i = 0; i < length; i += blockSize) {
       if (totalBlocks % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.BLOCK_LOOP === 0 && !this.analysisInProgress) {
         throw new AnalysisCancelledError('Analysis cancelled', 'stereo-separation');
       }
       let sumSquaresLeft = 0;
       let sumSquaresRight = 0;
+      let sumLeft = 0;
+      let sumRight = 0;
+      let sumProducts = 0;
       const blockEnd = Math.min(i + blockSize, length);
       const currentBlockSize = blockEnd - i;
 
       for (let j = i; j < blockEnd; j++) {
         sumSquaresLeft += leftChannel[j] * leftChannel[j];
         sumSquaresRight += rightChannel[j] * rightChannel[j];
+        sumLeft += leftChannel[j];
+        sumRight += rightChannel[j];
+        sumProducts += leftChannel[j] * rightChannel[j];
       }
 
       const rmsLeft = Math.sqrt(sumSquaresLeft / currentBlockSize);
@@ -802,6 +3651,23 @@ export class LevelAnalyzer {
         continue;
       }
 
+      // Correlation with the block means (DC offset) removed
+      const covariance = sumProducts - (sumLeft * sumRight) / currentBlockSize;
+      const leftVariance = sumSquaresLeft - (sumLeft * sumLeft) / currentBlockSize;
+      const rightVariance = sumSquaresRight - (sumRight * sumRight) / currentBlockSize;
+      if (leftVariance > 0 && rightVariance > 0) {
+        const blockCorrelation = covariance / Math.sqrt(leftVariance * rightVariance);
+        if (Math.abs(blockCorrelation) >= POLARITY_MIN_CORRELATION) {
+          correlatedBlocks++;
+          if (blockCorrelation < 0) {
+            invertedBlocks++;
+          }
+        }
+      }
+      covarianceSum += covariance;
+      leftVarianceSum += leftVariance;
+      rightVarianceSum += rightVariance;
+
       const ratio = rmsLeft / rmsRight;
 
       if (ratio > dominanceRatioThreshold) {
@@ -823,17 +3689,17 @@ export class LevelAnalyzer {
       leftPct = leftDominantBlocks / activeBlocks;
       rightPct = rightDominantBlocks / activeBlocks;
 
-      if (balancedPct > 0.9) {
+      if (balancedPct > MONO_RATIO) {
         stereoType = 'Mono as Stereo';
         stereoConfidence = balancedPct;
-      } else if (leftPct > 0.1 && rightPct > 0.1) {
+      } else if (leftPct > CONVERSATIONAL_MIN_RATIO && rightPct > CONVERSATIONAL_MIN_RATIO) {
         stereoType = 'Conversational Stereo';
         // Confidence is based on how much of the audio is separated
         stereoConfidence = leftPct + rightPct;
-      } else if (leftPct > 0.9) {
+      } else if (leftPct > MONO_RATIO) {
         stereoType = 'Mono in Left Channel';
         stereoConfidence = leftPct;
-      } else if (rightPct > 0.9) {
+      } else if (rightPct > MONO_RATIO) {
         stereoType = 'Mono in Right Channel';
         stereoConfidence = rightPct;
       } else {
@@ -853,7 +3719,16 @@ export class LevelAnalyzer {
       rightDominantBlocks,
       balancedBlocks,
       stereoType,
-      stereoConfidence: Math.min(stereoConfidence, 1.0) // Cap at 1.0
+      stereoConfidence: Math.min(stereoConfidence, 1.0), // Cap at 1.0
+      polarity: {
+        correlation: leftVarianceSum > 0 && rightVarianceSum > 0
+          ? covarianceSum / Math.sqrt(leftVarianceSum * rightVarianceSum)
+          : null,
+        correlatedBlocks,
+        invertedBlocks,
+        // Only channels carrying related content can be out of polarity
+        inverted: correlatedBlocks > 0 && invertedBlocks / correlatedBlocks > POLARITY_INVERTED_RATIO
+      }
     };
   }
 
@@ -873,10 +3748,14 @@ export class LevelAnalyzer {
     const sampleRate = audioBuffer.sampleRate;
     const length = audioBuffer.length;
 
-    const blockSize = Math.floor(sampleRate * 0.25); // 250ms blocks
-    const dominanceRatioThreshold = 1.5; // How much louder one channel must be to be "dominant"
-    const silenceThreshold = 0.001; // RMS threshold for silence
-    const separationThreshold = 15; // dB separation threshold for concern
+    const {
+      BLOCK_SIZE_MS, DOMINANCE_RATIO_THRESHOLD, SILENCE_THRESHOLD, SEPARATION_THRESHOLD, CORRELATION_THRESHOLD,
+      SEGMENT_MERGE_SECONDS
+    } = this.getConfig('micBleed');
+    const blockSize = Math.floor(sampleRate * BLOCK_SIZE_MS / 1000);
+    const dominanceRatioThreshold = DOMINANCE_RATIO_THRESHOLD; // How much louder one channel must be to be "dominant"
+    const silenceThreshold = SILENCE_THRESHOLD; // RMS threshold for silence
+    const separationThreshold = SEPARATION_THRESHOLD; // dB separation threshold for concern
 
     // OLD METHOD: Track bleed levels for averaging
     const leftBleedLevels = [];
@@ -985,13 +3864,13 @@ export class LevelAnalyzer {
       const p10Index = Math.floor(sorted.length * 0.1);
       p10Separation = sorted[p10Index];
 
-      const poorCount = separationRatios.filter(s => s < 15).length;
+      const poorCount = separationRatios.filter(s => s < separationThreshold).length;
       percentagePoorSeparation = (poorCount / separationRatios.length) * 100;
     }
 
     // NEW METHOD: Cross-correlation for concerning blocks
     const confirmedBleedBlocks = [];
-    const correlationThreshold = 0.3; // Lower threshold for speech correlation
+    const correlationThreshold = CORRELATION_THRESHOLD; // Lower threshold for speech correlation
 
     for (const block of concerningBlocks) {
       const correlation = this.calculateCrossCorrelation(
@@ -1033,8 +3912,8 @@ export class LevelAnalyzer {
         const block = sortedBlocks[i];
         const prevBlock = sortedBlocks[i - 1];
 
-        // If blocks are consecutive (within 1 second), merge into same segment
-        if (block.timestamp - prevBlock.endSample / sampleRate < 1.0) {
+        // If blocks are consecutive (within 1 second by default), merge into same segment
+        if (block.timestamp - prevBlock.endSample / sampleRate < SEGMENT_MERGE_SECONDS) {
           currentSegment.endTime = block.endSample / sampleRate;
           currentSegment.maxCorrelation = Math.max(currentSegment.maxCorrelation, block.correlation);
           currentSegment.minSeparation = Math.min(currentSegment.minSeparation, block.separation);
@@ -1060,14 +3939,14 @@ export class LevelAnalyzer {
     }
 
     // Calculate severity score (similar to Channel Consistency)
-    // Normalize correlation (0.3-1.0 range) to 0-100 scale
+    // Normalize correlation (threshold-1.0 range) to 0-100 scale
     const avgCorrelation = confirmedBleedBlocks.length > 0
       ? confirmedBleedBlocks.reduce((sum, block) => sum + block.correlation, 0) / confirmedBleedBlocks.length
       : 0;
 
     // Severity = (percentage of blocks affected) * (normalized correlation score)
     // Higher correlation = worse bleed
-    const normalizedCorrelation = Math.min(100, ((avgCorrelation - 0.3) / 0.7) * 100);
+    const normalizedCorrelation = Math.min(100, ((avgCorrelation - correlationThreshold) / (1 - correlationThreshold)) * 100);
     const severityScore = (percentageConfirmedBleed / 100) * normalizedCorrelation;
 
     return {
@@ -1205,8 +4084,200 @@ export class LevelAnalyzer {
     // Run speech overlap analysis
     const overlap = this.analyzeOverlappingSpeech(noiseFloorData, rmsBlocks);
 
+    // Track the lag between channels across the file
+    const sync = this.analyzeChannelSync(leftChannel, rightChannel, sampleRate, length);
+
+    return {
+      overlap,
+      sync
+    };
+  }
+
+  /**
+   * Tracks the time offset between left and right over the whole file using windowed cross-correlation.
+   * Catches double-ender recordings that were merged with an offset, drift apart (mismatched recorder
+   * clocks) or jump mid-file (dropped or inserted audio on one side).
+   * Positive lags mean the right channel is late relative to the left.
+   * @param {Float32Array} leftChannel Left channel audio data.
+   * @param {Float32Array} rightChannel Right channel audio data.
+   * @param {number} sampleRate Sample rate of the audio.
+   * @param {number} length Number of samples per channel.
+   * @returns {object} Initial offset, drift, lag jump segments and the per-window lags.
+   */
+  analyzeChannelSync(leftChannel, rightChannel, sampleRate, length) {
+    const {
+      ANALYSIS_RATE, WINDOW_SEC, HOP_SEC, MAX_WINDOWS, MAX_LAG_MS, MIN_LEVEL_DB, MIN_CORRELATION,
+      INITIAL_WINDOWS, MIN_WINDOWS_FOR_DRIFT, DRIFT_THRESHOLD_MS_PER_MIN, JUMP_THRESHOLD_MS
+    } = LevelAnalyzer.CHANNEL_SYNC_CONFIG;
+
+    const decimation = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+    const analysisRate = sampleRate / decimation;
+    const windowLength = Math.round(WINDOW_SEC * analysisRate);
+    const maxLag = Math.round((MAX_LAG_MS / 1000) * analysisRate);
+    const fftSize = 1 << Math.ceil(Math.log2(windowLength + 2 * maxLag));
+    const minMeanSquare = Math.pow(10, MIN_LEVEL_DB / 10);
+
+    const duration = length / sampleRate;
+    const hopSec = Math.max(HOP_SEC, duration / MAX_WINDOWS);
+    const hopSamples = Math.round(hopSec * sampleRate);
+    // Each window reads maxLag decimated samples either side of itself
+    const marginSamples = maxLag * decimation;
+    const spanSamples = (windowLength + 2 * maxLag) * decimation;
+
+    // Box-filter decimation of a span of the source channel
+    const decimate = (channel, startSample, count) => {
+      const out = new Float64Array(count);
+      for (let i = 0; i < count; i++) {
+        const base = startSample + i * decimation;
+        let sum = 0;
+        for (let j = 0; j < decimation; j++) {
+          sum += channel[base + j];
+        }
+        out[i] = sum / decimation;
+      }
+      return out;
+    };
+
+    const windows = [];
+    let windowIndex = 0;
+
+    for (let spanStart = 0; spanStart + spanSamples <= length; spanStart += hopSamples) {
+      if (windowIndex++ % LevelAnalyzer.CANCELLATION_CHECK_INTERVALS.CORRELATION_LOOP === 0 && !this.analysisInProgress) {
+        throw new AnalysisCancelledError('Analysis cancelled', 'channel-sync');
+      }
+
+      // Left: the window itself. Right: the window plus maxLag on each side.
+      const left = decimate(leftChannel, spanStart + marginSamples, windowLength);
+      const right = decimate(rightChannel, spanStart, windowLength + 2 * maxLag);
+
+      let leftEnergy = 0;
+      for (let i = 0; i < windowLength; i++) {
+        leftEnergy += left[i] * left[i];
+      }
+      let rightWindowEnergy = 0;
+      for (let i = maxLag; i < maxLag + windowLength; i++) {
+        rightWindowEnergy += right[i] * right[i];
+      }
+      if (leftEnergy / windowLength < minMeanSquare || rightWindowEnergy / windowLength < minMeanSquare) {
+        continue;
+      }
+
+      // Cross-correlation via FFT: r[k] = sum(left[n] * right[n + k]), lag = k - maxLag
+      const leftReal = new Float64Array(fftSize);
+      const leftImag = new Float64Array(fftSize);
+      const rightReal = new Float64Array(fftSize);
+      const rightImag = new Float64Array(fftSize);
+      leftReal.set(left);
+      rightReal.set(right);
+      this.fft(leftReal, leftImag);
+      this.fft(rightReal, rightImag);
+      for (let i = 0; i < fftSize; i++) {
+        // conj(L) * R
+        const re = leftReal[i] * rightReal[i] + leftImag[i] * rightImag[i];
+        const im = leftReal[i] * rightImag[i] - leftImag[i] * rightReal[i];
+        leftReal[i] = re;
+        leftImag[i] = im;
+      }
+      this.fft(leftReal, leftImag, true);
+
+      // Normalise each lag by the energy of the right-channel samples it overlaps
+      const rightPrefix = new Float64Array(right.length + 1);
+      for (let i = 0; i < right.length; i++) {
+        rightPrefix[i + 1] = rightPrefix[i] + right[i] * right[i];
+      }
+      const correlationAt = (k) => {
+        const energy = rightPrefix[k + windowLength] - rightPrefix[k];
+        return energy > 0 ? Math.abs(leftReal[k]) / Math.sqrt(leftEnergy * energy) : 0;
+      };
+
+      let bestK = 0;
+      let bestCorrelation = 0;
+      for (let k = 0; k <= 2 * maxLag; k++) {
+        const correlation = correlationAt(k);
+        if (correlation > bestCorrelation) {
+          bestCorrelation = correlation;
+          bestK = k;
+        }
+      }
+      if (bestCorrelation < MIN_CORRELATION) {
+        continue;
+      }
+
+      // Parabolic interpolation for sub-sample lag resolution
+      let fraction = 0;
+      if (bestK > 0 && bestK < 2 * maxLag) {
+        const before = correlationAt(bestK - 1);
+        const after = correlationAt(bestK + 1);
+        const curvature = before - 2 * bestCorrelation + after;
+        if (curvature < 0) {
+          fraction = 0.5 * (before - after) / curvature;
+        }
+      }
+
+      windows.push({
+        time: (spanStart + marginSamples) / sampleRate,
+        lagMs: ((bestK - maxLag + fraction) / analysisRate) * 1000,
+        correlation: Math.min(bestCorrelation, 1)
+      });
+    }
+
+    if (windows.length === 0) {
+      return {
+        initialOffsetMs: null,
+        driftMsPerMinute: null,
+        clockDrift: false,
+        latencySpikes: [],
+        windowsAnalyzed: windowIndex,
+        windows
+      };
+    }
+
+    const initialOffsetMs = this.median(windows.slice(0, INITIAL_WINDOWS).map(w => w.lagMs));
+
+    // Robust (Theil-Sen) trend of lag over time, so jump segments don't skew the drift estimate
+    let driftMsPerMinute = null;
+    let trendAt = () => initialOffsetMs;
+    if (windows.length >= MIN_WINDOWS_FOR_DRIFT) {
+      const { slope, intercept } = this.theilSenFit(windows.map(w => w.time), windows.map(w => w.lagMs));
+      driftMsPerMinute = slope * 60;
+      trendAt = (time) => intercept + slope * time;
+    }
+    const clockDrift = driftMsPerMinute !== null && Math.abs(driftMsPerMinute) >= DRIFT_THRESHOLD_MS_PER_MIN;
+
+    // Consecutive windows that sit off the trend form a lag jump segment
+    const latencySpikes = [];
+    let current = null;
+    for (const window of windows) {
+      const deviationMs = window.lagMs - trendAt(window.time);
+      if (Math.abs(deviationMs) >= JUMP_THRESHOLD_MS) {
+        if (current) {
+          current.endTime = window.time + WINDOW_SEC;
+          current.lags.push(window.lagMs);
+          current.deviations.push(deviationMs);
+        } else {
+          current = { startTime: window.time, endTime: window.time + WINDOW_SEC, lags: [window.lagMs], deviations: [deviationMs] };
+        }
+      } else if (current) {
+        latencySpikes.push(current);
+        current = null;
+      }
+    }
+    if (current) {
+      latencySpikes.push(current);
+    }
+
     return {
-      overlap
+      initialOffsetMs,
+      driftMsPerMinute,
+      clockDrift,
+      latencySpikes: latencySpikes.map(({ startTime, endTime, lags, deviations }) => ({
+        startTime,
+        endTime,
+        lagMs: this.median(lags),
+        deviationMs: this.median(deviations)
+      })),
+      windowsAnalyzed: windowIndex,
+      windows
     };
   }
 
@@ -1351,6 +4422,60 @@ export class LevelAnalyzer {
     };
   }
 
+  /**
+   * In-place iterative radix-2 FFT.
+   * @param {Float64Array} real Real parts (length must be a power of two).
+   * @param {Float64Array} imag Imaginary parts.
+   * @param {boolean} inverse Compute the inverse transform (scaled by 1/n).
+   */
+  fft(real, imag, inverse = false) {
+    const n = real.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = (inverse ? 2 : -2) * Math.PI / size;
+      const stepReal = Math.cos(angle);
+      const stepImag = Math.sin(angle);
+      const half = size >> 1;
+      for (let start = 0; start < n; start += size) {
+        let wReal = 1;
+        let wImag = 0;
+        for (let k = 0; k < half; k++) {
+          const a = start + k;
+          const b = a + half;
+          const tReal = real[b] * wReal - imag[b] * wImag;
+          const tImag = real[b] * wImag + imag[b] * wReal;
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+          const nextReal = wReal * stepReal - wImag * stepImag;
+          wImag = wReal * stepImag + wImag * stepReal;
+          wReal = nextReal;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < n; i++) {
+        real[i] /= n;
+        imag[i] /= n;
+      }
+    }
+  }
+
   /**
    * Finds the k-th smallest element using quickselect algorithm (O(n) average case).
    * More efficient than sorting when only needing a specific percentile.
@@ -1410,6 +4535,26 @@ export class LevelAnalyzer {
     }
   }
 
+  /**
+   * Robust line fit (Theil-Sen): median of pairwise slopes, so outliers and steps don't skew the trend.
+   * @param {number[]} xs X values.
+   * @param {number[]} ys Y values.
+   * @returns {{slope: number, intercept: number}} Fitted line.
+   */
+  theilSenFit(xs, ys) {
+    const slopes = [];
+    for (let i = 0; i < xs.length; i++) {
+      for (let j = i + 1; j < xs.length; j++) {
+        if (xs[j] !== xs[i]) {
+          slopes.push((ys[j] - ys[i]) / (xs[j] - xs[i]));
+        }
+      }
+    }
+    const slope = this.median(slopes);
+    const intercept = this.median(xs.map((x, i) => ys[i] - slope * x));
+    return { slope, intercept };
+  }
+
   /**
    * Analyzes clipping in an audio buffer.
    * Detects hard clipping (±1.0) and near-clipping (0.98-0.999) with gap tolerance.
@@ -1422,21 +4567,21 @@ export class LevelAnalyzer {
     const channels = audioBuffer.numberOfChannels;
     const length = audioBuffer.length;
 
+    const {
+      HARD_CLIPPING_THRESHOLD, NEAR_CLIPPING_THRESHOLD, MAX_GAP_SAMPLES,
+      MAX_REGIONS_PER_CHANNEL, MAX_TOTAL_REGIONS, MAX_CLIPPED_SAMPLES_PER_CHANNEL
+    } = this.getConfig('clipping');
+
     // Calculate adaptive threshold based on sample rate
     const minConsecutiveSamples = Math.max(2, Math.floor(sampleRate / 20000));
-    const maxGapSamples = 3; // Allow up to 3 samples below threshold in a region
+    const maxGapSamples = MAX_GAP_SAMPLES; // Allow a few samples below threshold in a region
 
     // Thresholds
-    // Hard clipping: >= 0.985 (catches severe distortion from over-driven recordings)
+    // Hard clipping: >= 0.985 by default (catches severe distortion from over-driven recordings)
     // This is approximately -0.13 dB from full scale
     // Catches clipped audio that was normalized/limited slightly below 0 dB
-    const hardClippingThreshold = 0.985;
-    const nearClippingThreshold = 0.98;
-
-    // Safety limit: Cap number of regions to prevent memory issues
-    const MAX_REGIONS_PER_CHANNEL = 5000; // Reasonable limit for even extreme cases
-    const MAX_TOTAL_REGIONS = 10000; // Total regions across all channels
-    const MAX_CLIPPED_SAMPLES_PER_CHANNEL = 20000000; // Emergency brake for extreme files
+    const hardClippingThreshold = HARD_CLIPPING_THRESHOLD;
+    const nearClippingThreshold = NEAR_CLIPPING_THRESHOLD;
 
     // Channel names
     const channelNames = ['left', 'right', 'center', 'LFE', 'surroundLeft', 'surroundRight'];
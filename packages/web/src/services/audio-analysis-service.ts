@@ -1,17 +1,20 @@
 import { AudioAnalyzer, LevelAnalyzer, CriteriaValidator, AnalysisCancelledError } from '@audio-analyzer/core';
 import { FilenameValidator } from '../validation/filename-validator';
-import type { AudioResults, ValidationResults } from '../types';
+import type { AudioResults, PresetCheckKey, ValidationResults } from '../types';
 import type { AnalysisMode } from '../stores/analysisMode';
-import type { PresetConfig } from '../settings/types';
+import type { PresetConfig, LevelAnalyzerOptions, CriteriaSeverity } from '../settings/types';
 import { analyticsService } from './analytics-service';
 
-// Track all active LevelAnalyzer instances for concurrent batch processing
+// Track all active analyzer instances for concurrent batch processing
 const activeLevelAnalyzers = new Set<LevelAnalyzer>();
+const activeAudioAnalyzers = new Set<AudioAnalyzer>();
 
 export function cancelCurrentAnalysis() {
   // Cancel all active analyzers (for batch processing)
   activeLevelAnalyzers.forEach(analyzer => analyzer.cancelAnalysis());
   activeLevelAnalyzers.clear();
+  activeAudioAnalyzers.forEach(analyzer => analyzer.cancelAnalysis());
+  activeAudioAnalyzers.clear();
 }
 
 export interface AnalysisOptions {
@@ -106,6 +109,10 @@ export async function analyzeAudioFile(
   }
 }
 
+// Bytes read from the start of a WAV file for its embedded metadata in metadata-only mode
+// (bext, iXML and LIST/INFO normally precede the data chunk)
+const METADATA_HEADER_BYTES = 256 * 1024;
+
 /**
  * Analyzes only file metadata (no audio decoding).
  * Used in filename-only mode when file hasn't been downloaded.
@@ -134,26 +141,41 @@ async function analyzeMetadataOnly(
     status: 'pass'
   };
 
-  // Validation against preset criteria (skip audio validation)
+  // Embedded WAV metadata lives in the header, so it can be checked without decoding (not for empty
+  // placeholders of files that haven't been downloaded)
+  if ((preset?.requiredMetadata?.length || preset?.metadataPatterns) && extension === 'wav' && file.size > 0) {
+    const header = await file.slice(0, METADATA_HEADER_BYTES).arrayBuffer();
+    const wavInfo = new AudioAnalyzer().parseWavHeaders(new DataView(header), actualSize) as Pick<AudioResults, 'metadata'>;
+    result.metadata = wavInfo.metadata ?? null;
+  }
+
+  // Validation against preset criteria (skip audio validation), with the preset's current severity
   if (criteria) {
-    const validation = CriteriaValidator.validateResults(result, criteria, true) as unknown as ValidationResults;
+    const severity = preset?.severity;
+    const validation = CriteriaValidator.validateResults(result, { ...criteria, severity }, true) as unknown as ValidationResults;
+    const presetChecks: ValidationResults = {};
+
+    // Add embedded metadata validation if the header was read above
+    if (result.metadata !== undefined && preset && validation) {
+      addPresetCheck(presetChecks, 'metadata', CriteriaValidator.validateMetadata(result.metadata, preset));
+    }
 
     // Add filename validation if preset supports it
     if (preset?.filenameValidationType && (mode === 'filename-only' || mode === 'full')) {
       const filenameValidation = validateFilename(filename, preset, presetId, scriptsList, speakerId);
       if (filenameValidation && validation) {
-        (validation as any).filename = filenameValidation;
+        presetChecks.filename = filenameValidation;
       }
     }
 
-    result.validation = validation;
-    result.status = determineOverallStatus(validation);
+    result.validation = withPresetChecks(validation, presetChecks, severity);
+    result.status = CriteriaValidator.getOverallStatus(result.validation) as AudioResults['status'];
   } else if (preset?.filenameValidationType && (mode === 'filename-only' || mode === 'full')) {
     // If no criteria but preset has filename validation, validate filename only
     const validation = validateFilename(filename, preset, presetId, scriptsList, speakerId);
     if (validation) {
-      result.validation = { filename: validation };
-      result.status = validation.status;
+      result.validation = CriteriaValidator.applySeverity({ filename: validation }, preset.severity) as ValidationResults;
+      result.status = CriteriaValidator.getOverallStatus(result.validation) as AudioResults['status'];
     }
   }
 
@@ -179,9 +201,17 @@ async function analyzeFullFile(
     progressCallback('Reading file...', 0);
   }
 
-  // Basic audio analysis
+  // Basic audio analysis (the effective bit depth scan only when the preset checks it or in experimental mode)
   const audioAnalyzer = new AudioAnalyzer();
-  const basicResults = await audioAnalyzer.analyzeFile(file);
+  activeAudioAnalyzers.add(audioAnalyzer);
+  let basicResults;
+  try {
+    basicResults = await audioAnalyzer.analyzeFile(file, {
+      analyzeBitDepth: Boolean(preset?.requireEffectiveBitDepth) || mode === 'experimental'
+    });
+  } finally {
+    activeAudioAnalyzers.delete(audioAnalyzer);
+  }
 
   // Use actualSize if available (for partial downloads), otherwise use file.size
   const actualSize = (file as any).actualSize || file.size;
@@ -205,7 +235,7 @@ async function analyzeFullFile(
   // Advanced/Experimental analysis
   if (mode === 'experimental') {
     const arrayBuffer = await file.arrayBuffer();
-    const advancedResults = await analyzeExperimental(arrayBuffer, progressCallback);
+    const advancedResults = await analyzeExperimental(arrayBuffer, progressCallback, getAnalyzerOptions(preset));
     result = { ...result, ...advancedResults };
 
     // Track experimental feature usage
@@ -219,45 +249,33 @@ async function analyzeFullFile(
     });
   }
 
-  // Validation against preset criteria
+  // Validation against preset criteria, with the preset's current severity
   if (criteria) {
     const skipAudioValidation = mode === 'filename-only';
-    const validation = CriteriaValidator.validateResults(result, criteria, skipAudioValidation) as unknown as ValidationResults;
+    const severity = preset?.severity;
+    const validation = CriteriaValidator.validateResults(result, { ...criteria, severity }, skipAudioValidation) as unknown as ValidationResults;
+    const presetChecks: ValidationResults = {};
 
     // Add filename validation if preset supports it
     if (preset?.filenameValidationType && (mode === 'filename-only' || mode === 'full')) {
       const filenameValidation = validateFilename(filename, preset, presetId, scriptsList, speakerId);
       if (filenameValidation && validation) {
-        (validation as any).filename = filenameValidation;
+        presetChecks.filename = filenameValidation;
       }
     }
 
-    // Add stereo type validation in experimental mode if preset requires it
-    if (preset?.stereoType && preset.stereoType.length > 0 && mode === 'experimental' && validation) {
-      const stereoValidation = CriteriaValidator.validateStereoType(result.stereoSeparation, preset) as any;
-      if (stereoValidation) {
-        (validation as any).stereoType = {
-          status: stereoValidation.status as 'pass' | 'fail' | 'warning',
-          value: stereoValidation.message as string,
-          issue: stereoValidation.status === 'fail' ? (stereoValidation.message as string) : undefined
-        };
-      }
-    }
-
-    // Add speech overlap validation in experimental mode if preset defines thresholds
-    if (preset?.maxOverlapWarning !== undefined && preset?.maxOverlapFail !== undefined && mode === 'experimental' && validation) {
-      const overlapValidation = CriteriaValidator.validateSpeechOverlap(result.conversationalAnalysis as any, preset) as any;
-      if (overlapValidation) {
-        (validation as any).speechOverlap = {
-          status: overlapValidation.status as 'pass' | 'fail' | 'warning',
-          value: overlapValidation.message as string,
-          issue: overlapValidation.status !== 'pass' ? (overlapValidation.message as string) : undefined
-        };
+    // Add the checks the preset defines thresholds or requirements for
+    if (preset && validation) {
+      for (const check of PRESET_CHECKS) {
+        const modeMatches = check.experimentalOnly ? mode === 'experimental' : !skipAudioValidation;
+        if (modeMatches && check.applies(preset)) {
+          addPresetCheck(presetChecks, check.key, check.validate(result, preset));
+        }
       }
     }
 
-    result.validation = validation;
-    result.status = determineOverallStatus(validation);
+    result.validation = withPresetChecks(validation, presetChecks, severity);
+    result.status = CriteriaValidator.getOverallStatus(result.validation) as AudioResults['status'];
   }
 
   // Report completion
@@ -268,18 +286,36 @@ async function analyzeFullFile(
   return result;
 }
 
+/**
+ * Level analyzer options for a preset: its analyzerOptions, with the sibilance severity following the
+ * preset's sibilance rate limits unless analyzerOptions sets it.
+ */
+function getAnalyzerOptions(preset?: PresetConfig | null): LevelAnalyzerOptions | undefined {
+  const moderate = preset?.maxSibilanceRateWarning;
+  const severe = preset?.maxSibilanceRateFail;
+  if (moderate === undefined || severe === undefined) {
+    return preset?.analyzerOptions;
+  }
+  return {
+    ...preset?.analyzerOptions,
+    sibilance: { SEVERITY_EVENTS_PER_MINUTE: { moderate, severe }, ...preset?.analyzerOptions?.sibilance }
+  };
+}
+
 /**
  * Runs experimental analysis: peak levels, reverb, noise floor, stereo separation, mic bleed.
  */
 async function analyzeExperimental(
   arrayBuffer: ArrayBuffer,
-  progressCallback?: (message: string, progress: number) => void
+  progressCallback?: (message: string, progress: number) => void,
+  analyzerOptions?: LevelAnalyzerOptions
 ): Promise<Partial<AudioResults>> {
   const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
   const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
 
   // Create a new LevelAnalyzer instance for this analysis (not shared with other concurrent analyses)
-  const levelAnalyzer = new LevelAnalyzer();
+  // Preset threshold overrides apply to every analysis below, including stereo separation and mic bleed
+  const levelAnalyzer = new LevelAnalyzer(analyzerOptions ?? {});
   activeLevelAnalyzers.add(levelAnalyzer);
 
   try {
@@ -367,18 +403,142 @@ function validateFilename(
 }
 
 /**
- * Determines overall status based on validation results.
+ * Result of a CriteriaValidator preset check (validateNoiseFloor, validateMetadata, ...)
+ */
+interface PresetCheckResult {
+  status: 'pass' | 'warning' | 'fail';
+  message: string;
+}
+
+/**
+ * A check the preset can ask for: when it applies and which CriteriaValidator call runs it.
+ * Experimental-only checks need the experimental analysis results; the others run in any audio mode.
+ */
+interface PresetCheck {
+  key: PresetCheckKey;
+  experimentalOnly: boolean;
+  applies: (preset: PresetConfig) => boolean;
+  validate: (result: AudioResults, preset: PresetConfig) => object | null;
+}
+
+// In the order the checks are listed in the results
+const PRESET_CHECKS: PresetCheck[] = [
+  {
+    key: 'effectiveBitDepth',
+    experimentalOnly: false,
+    applies: (preset) => Boolean(preset.requireEffectiveBitDepth),
+    validate: (result, preset) => CriteriaValidator.validateEffectiveBitDepth(result.bitDepthAnalysis as any, preset)
+  },
+  {
+    key: 'stereoType',
+    experimentalOnly: true,
+    applies: (preset) => Boolean(preset.stereoType && preset.stereoType.length > 0),
+    validate: (result, preset) => CriteriaValidator.validateStereoType(result.stereoSeparation, preset)
+  },
+  {
+    key: 'speechOverlap',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxOverlapWarning !== undefined && preset.maxOverlapFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateSpeechOverlap(result.conversationalAnalysis as any, preset)
+  },
+  {
+    key: 'tonalNoise',
+    experimentalOnly: true,
+    applies: (preset) => preset.tonalNoiseWarningSeverity !== undefined || preset.tonalNoiseFailSeverity !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateTonalNoise(result.tonalNoise as any, preset)
+  },
+  {
+    key: 'dcOffset',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxDcOffsetWarning !== undefined || preset.maxDcOffsetFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateDcOffset(result.dcOffset as any, preset)
+  },
+  {
+    key: 'netSpeech',
+    experimentalOnly: true,
+    applies: (preset) => preset.minNetSpeechWarning !== undefined || preset.minNetSpeechFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateNetSpeech(result.voiceActivity as any, preset)
+  },
+  {
+    key: 'pitchRange',
+    experimentalOnly: true,
+    applies: (preset) => preset.minPitchRangeWarning !== undefined || preset.minPitchRangeFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validatePitchRange(result.pitch as any, preset)
+  },
+  {
+    key: 'sibilance',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxSibilanceRateWarning !== undefined || preset.maxSibilanceRateFail !== undefined ||
+      preset.maxSibilancePeakWarning !== undefined || preset.maxSibilancePeakFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateSibilance(result.sibilance as any, preset)
+  },
+  {
+    key: 'peakLevel',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxPeakWarning !== undefined || preset.maxPeakFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validatePeakLevel(result, preset)
+  },
+  {
+    key: 'noiseFloor',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxNoiseFloorWarning !== undefined || preset.maxNoiseFloorFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateNoiseFloor(result, preset)
+  },
+  {
+    key: 'reverb',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxRt60Warning !== undefined || preset.maxRt60Fail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateReverb(result.reverbInfo as any, preset)
+  },
+  {
+    key: 'clipping',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxClippedPercentWarning !== undefined || preset.maxClippedPercentFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateClipping(result.clippingAnalysis as any, preset)
+  },
+  {
+    key: 'micBleed',
+    experimentalOnly: true,
+    applies: (preset) => preset.maxMicBleedWarning !== undefined || preset.maxMicBleedFail !== undefined,
+    validate: (result, preset) => CriteriaValidator.validateMicBleed(result.micBleed as any, preset)
+  },
+  {
+    key: 'silence',
+    experimentalOnly: true,
+    applies: (preset) => Boolean(preset.leadingSilenceRangeWarning || preset.leadingSilenceRangeFail ||
+      preset.trailingSilenceRangeWarning || preset.trailingSilenceRangeFail),
+    validate: (result, preset) => CriteriaValidator.validateSilence(result, preset)
+  },
+  {
+    key: 'metadata',
+    experimentalOnly: false,
+    applies: (preset) => Boolean(preset.requiredMetadata?.length || preset.metadataPatterns),
+    validate: (result, preset) => CriteriaValidator.validateMetadata(result.metadata ?? null, preset)
+  }
+];
+
+/**
+ * Adds a preset check's result to the validation results, if the validator had anything to check
+ */
+function addPresetCheck(validation: ValidationResults, key: PresetCheckKey, check: object | null): void {
+  if (!check) return;
+
+  const { status, message } = check as PresetCheckResult;
+  validation[key] = {
+    status,
+    value: message,
+    issue: status === 'fail' ? message : undefined
+  };
+}
+
+/**
+ * Merges the service's preset checks into the core validation results.
+ * validateResults already applied the preset's severity to its own entries; the preset checks get it here.
  */
-function determineOverallStatus(validation: ValidationResults): 'pass' | 'warning' | 'fail' {
-  let hasFailure = false;
-  let hasWarning = false;
-
-  Object.values(validation).forEach((v: any) => {
-    if (v.status === 'fail') hasFailure = true;
-    if (v.status === 'warning') hasWarning = true;
-  });
-
-  if (hasFailure) return 'fail';
-  if (hasWarning) return 'warning';
-  return 'pass';
+function withPresetChecks(
+  validation: ValidationResults,
+  presetChecks: ValidationResults,
+  severity?: CriteriaSeverity
+): ValidationResults {
+  return { ...validation, ...(CriteriaValidator.applySeverity(presetChecks, severity) as ValidationResults) };
 }
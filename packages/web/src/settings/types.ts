@@ -14,6 +14,100 @@ export interface AudioCriteria {
   bitDepth: string[];
   channels: string[];
   minDuration: string;
+  minBitrate?: string;                  // Minimum average bitrate in kbps (optional)
+}
+
+/**
+ * Severity of mains hum / tonal noise reported by the tonal noise analysis
+ */
+export type TonalNoiseSeverity = 'minor' | 'moderate' | 'severe';
+
+/**
+ * How a criterion that doesn't pass is reported: 'fail' and 'warning' set the file's overall status,
+ * 'info' is shown but doesn't affect it
+ */
+export type CriterionSeverity = 'fail' | 'warning' | 'info';
+
+/**
+ * Severity per criterion, keyed by validation field (e.g. 'duration', 'sampleRate', 'noiseFloor').
+ * The 'unknown' key applies to properties that couldn't be read from the file. Criteria left out keep
+ * their built-in severity (e.g. a short duration warns, a wrong sample rate fails).
+ */
+export type CriteriaSeverity = Partial<Record<string, CriterionSeverity>>;
+
+/**
+ * Threshold overrides for the level analyzer, by section. Keys match the analyzer's static
+ * configs (SILENCE_CONFIG, REVERB_CONFIG, STEREO_CONFIG, MIC_BLEED_CONFIG, CLIPPING_CONFIG,
+ * NORMALIZATION_CONFIG); anything left out keeps its default.
+ */
+export interface LevelAnalyzerOptions {
+  silence?: Partial<{
+    CHUNK_SIZE_MS: number;
+    MIN_SOUND_DURATION_MS: number;
+    SILENCE_THRESHOLD_RATIO: number;
+    DIGITAL_SILENCE_THRESHOLD_DB: number;
+  }>;
+  reverb?: Partial<{
+    MIN_DB_ABOVE_NOISE: number;
+    ONSET_THRESHOLD: number;
+    ONSET_WINDOW_SIZE: number;
+    DECAY_WINDOW_SIZE_MS: number;
+    PEAK_SEARCH_MS: number;
+    MAX_DECAY_MS: number;
+    DECAY_THRESHOLD_DB: number;
+    FIT_START_DB: number;
+    MIN_FIT_RANGE_DB: number;
+    MIN_FIT_POINTS: number;
+    NOISE_MARGIN_DB: number;
+    REBOUND_DB: number;
+    EDT_DB: number;
+    BOXY_DRR_DB: number;
+    HIGH_CONFIDENCE_DECAYS: number;
+    MEDIUM_CONFIDENCE_DECAYS: number;
+    MAX_CONFIDENT_SPREAD: number;
+    MIN_CONFIDENT_SPREAD_SECONDS: number;
+    HISTOGRAM_BIN_SECONDS: number;
+    HISTOGRAM_MAX_SECONDS: number;
+  }>;
+  stereo?: Partial<{
+    BLOCK_SIZE_MS: number;
+    DOMINANCE_RATIO_THRESHOLD: number;
+    SILENCE_THRESHOLD: number;
+    MONO_RATIO: number;
+    CONVERSATIONAL_MIN_RATIO: number;
+    POLARITY_MIN_CORRELATION: number;
+    POLARITY_INVERTED_RATIO: number;
+  }>;
+  micBleed?: Partial<{
+    BLOCK_SIZE_MS: number;
+    DOMINANCE_RATIO_THRESHOLD: number;
+    SILENCE_THRESHOLD: number;
+    SEPARATION_THRESHOLD: number;
+    CORRELATION_THRESHOLD: number;
+    SEGMENT_MERGE_SECONDS: number;
+  }>;
+  clipping?: Partial<{
+    HARD_CLIPPING_THRESHOLD: number;
+    NEAR_CLIPPING_THRESHOLD: number;
+    MAX_GAP_SAMPLES: number;
+    MAX_REGIONS_PER_CHANNEL: number;
+    MAX_TOTAL_REGIONS: number;
+    MAX_CLIPPED_SAMPLES_PER_CHANNEL: number;
+  }>;
+  normalization?: Partial<{
+    TARGET_DB: number;
+    TOLERANCE_DB: number;
+  }>;
+  sibilance?: Partial<{
+    BAND_HZ: [number, number];
+    MIN_BAND_WIDTH_HZ: number;
+    FRAME_MS: number;
+    EVENT_THRESHOLD_DB: number;
+    MERGE_MS: number;
+    MIN_SPEECH_FRAMES: number;
+    MAX_EVENTS: number;
+    SEVERITY_EVENTS_PER_MINUTE: { moderate: number; severe: number };
+  }>;
 }
 
 /**
@@ -26,6 +120,7 @@ export interface PresetConfig {
   bitDepth?: string[];
   channels?: string[];
   minDuration?: string;
+  minBitrate?: string;                  // Minimum average bitrate in kbps (optional)
   supportsFilenameValidation?: boolean;
   filenameValidationType?: 'script-match' | 'bilingual-pattern';
   gdriveOnly?: boolean;
@@ -34,6 +129,37 @@ export interface PresetConfig {
   maxOverlapFail?: number;              // Overlap percentage threshold for failure (optional)
   maxOverlapSegmentWarning?: number;    // Longest overlap segment duration (seconds) for warning (optional)
   maxOverlapSegmentFail?: number;       // Longest overlap segment duration (seconds) for failure (optional)
+  tonalNoiseWarningSeverity?: TonalNoiseSeverity; // Hum/tonal noise severity that triggers a warning (optional)
+  tonalNoiseFailSeverity?: TonalNoiseSeverity;    // Hum/tonal noise severity that triggers a failure (optional)
+  maxDcOffsetWarning?: number;          // DC offset (% of full scale) threshold for warning (optional)
+  maxDcOffsetFail?: number;             // DC offset (% of full scale) threshold for failure (optional)
+  requireEffectiveBitDepth?: boolean;   // Fail files whose samples use fewer bits than declared (optional)
+  minNetSpeechWarning?: number;         // Net speech duration (seconds) below which to warn (optional)
+  minNetSpeechFail?: number;            // Net speech duration (seconds) below which to fail (optional)
+  minPitchRangeWarning?: number;        // Pitch range (semitones) below which to warn (optional)
+  minPitchRangeFail?: number;           // Pitch range (semitones) below which to fail (optional)
+  maxSibilanceRateWarning?: number;     // Sibilant bursts per minute of speech above which to warn (optional)
+  maxSibilanceRateFail?: number;        // Sibilant bursts per minute of speech above which to fail (optional)
+  maxSibilancePeakWarning?: number;     // Loudest 5-10 kHz burst vs speech level (dB) above which to warn (optional)
+  maxSibilancePeakFail?: number;        // Loudest 5-10 kHz burst vs speech level (dB) above which to fail (optional)
+  maxPeakWarning?: number;              // Sample peak (dBFS) above which to warn (optional)
+  maxPeakFail?: number;                 // Sample peak (dBFS) above which to fail (optional)
+  maxNoiseFloorWarning?: number;        // Noise floor (dB) above which to warn (optional)
+  maxNoiseFloorFail?: number;           // Noise floor (dB) above which to fail (optional)
+  maxRt60Warning?: number;              // Median RT60 reverb time (seconds) above which to warn (optional)
+  maxRt60Fail?: number;                 // Median RT60 reverb time (seconds) above which to fail (optional)
+  maxClippedPercentWarning?: number;    // Hard-clipped samples (%) above which to warn (optional)
+  maxClippedPercentFail?: number;       // Hard-clipped samples (%) above which to fail (optional)
+  maxMicBleedWarning?: number;          // Blocks with confirmed mic bleed (%) above which to warn (optional)
+  maxMicBleedFail?: number;             // Blocks with confirmed mic bleed (%) above which to fail (optional)
+  leadingSilenceRangeWarning?: [number, number];  // Head silence [min, max] seconds outside which to warn (optional)
+  leadingSilenceRangeFail?: [number, number];     // Head silence [min, max] seconds outside which to fail (optional)
+  trailingSilenceRangeWarning?: [number, number]; // Tail silence [min, max] seconds outside which to warn (optional)
+  trailingSilenceRangeFail?: [number, number];    // Tail silence [min, max] seconds outside which to fail (optional)
+  requiredMetadata?: string[];          // Embedded metadata fields that must be present, e.g. 'bext.originator', 'ixml.scene' (optional)
+  metadataPatterns?: Record<string, string>; // Regular expression per metadata field, e.g. { 'ixml.take': '^\\d+$' } (optional)
+  severity?: CriteriaSeverity;          // Per-criterion severity, e.g. { duration: 'fail', unknown: 'info' } (optional)
+  analyzerOptions?: LevelAnalyzerOptions; // Level analyzer threshold overrides, e.g. normalization target (optional)
 }
 
 /**
@@ -114,7 +240,11 @@ export const DEFAULT_PRESETS: PresetConfigurations = {
     sampleRate: ['48000'],
     bitDepth: ['24'],
     channels: ['1'],
-    minDuration: '120' // 2 minutes
+    minDuration: '120', // 2 minutes
+    maxSibilanceRateWarning: 10,
+    maxSibilanceRateFail: 30,
+    maxSibilancePeakWarning: 6,
+    maxSibilancePeakFail: 10
   },
   'auditions-studio-ai': {
     name: 'Auditions: Studio AI',
@@ -122,7 +252,11 @@ export const DEFAULT_PRESETS: PresetConfigurations = {
     sampleRate: ['48000'],
     bitDepth: ['24'],
     channels: ['1'],
-    minDuration: '120' // 2 minutes
+    minDuration: '120', // 2 minutes
+    maxSibilanceRateWarning: 10,
+    maxSibilanceRateFail: 30,
+    maxSibilancePeakWarning: 6,
+    maxSibilancePeakFail: 10
   },
   'auditions-bilingual-partner': {
     name: 'Auditions: Bilingual Partner',
@@ -130,7 +264,11 @@ export const DEFAULT_PRESETS: PresetConfigurations = {
     sampleRate: ['48000'],
     bitDepth: ['24'],
     channels: ['1'],
-    minDuration: '150' // 2 minutes 30 seconds
+    minDuration: '150', // 2 minutes 30 seconds
+    maxSibilanceRateWarning: 10,
+    maxSibilanceRateFail: 30,
+    maxSibilancePeakWarning: 6,
+    maxSibilancePeakFail: 10
   },
   'auditions-emotional-voice': {
     name: 'Auditions: Emotional Voice',
@@ -146,7 +284,11 @@ export const DEFAULT_PRESETS: PresetConfigurations = {
     sampleRate: ['48000'],
     bitDepth: ['24'],
     channels: ['1'],
-    minDuration: '' // No requirement
+    minDuration: '', // No requirement
+    maxSibilanceRateWarning: 10,
+    maxSibilanceRateFail: 30,
+    maxSibilancePeakWarning: 6,
+    maxSibilancePeakFail: 10
   },
   'p2b2-pairs-mono': {
     name: 'P2B2 Pairs (Mono)',
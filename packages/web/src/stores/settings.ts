@@ -38,7 +38,8 @@ selectedPresetId.subscribe((presetId) => {
           sampleRate: presetConfig.sampleRate || [],
           bitDepth: presetConfig.bitDepth || [],
           channels: presetConfig.channels || [],
-          minDuration: presetConfig.minDuration || ''
+          minDuration: presetConfig.minDuration || '',
+          minBitrate: presetConfig.minBitrate || ''
         };
         SettingsManager.saveCriteria(newCriteria);
         // IMPORTANT: Update the reactive store so components get the new criteria
@@ -178,7 +179,8 @@ export const hasValidPresetConfig: Readable<boolean> = derived(
       ($criteria.sampleRate && $criteria.sampleRate.length > 0) ||
       ($criteria.bitDepth && $criteria.bitDepth.length > 0) ||
       ($criteria.channels && $criteria.channels.length > 0) ||
-      ($criteria.minDuration && $criteria.minDuration.length > 0);
+      ($criteria.minDuration && $criteria.minDuration.length > 0) ||
+      ($criteria.minBitrate && $criteria.minBitrate.length > 0);
 
     return Boolean(hasAnyCriteria);
   }
@@ -4,10 +4,446 @@ export interface ClippingAnalysis {
   nearClippingPercentage: number;
 }
 
+export interface LoudnessAnalysis {
+  integratedLufs: number;
+  momentaryMaxLufs: number;
+  shortTermMaxLufs: number;
+  loudnessRange: number;
+  lraLowLufs: number;
+  lraHighLufs: number;
+  relativeGateLufs: number;
+  gatedBlockCount: number;
+  totalBlockCount: number;
+}
+
+export interface DynamicRangeAnalysis {
+  averageRmsDb: number;
+  crestFactorDb: number | null;
+  plr: number | null;
+  drDb: number | null;
+  blockRms: {
+    meanDb: number;
+    stdDevDb: number;
+    p10Db: number;
+    medianDb: number;
+    p90Db: number;
+    rangeDb: number;
+  } | null;
+  activeBlockCount: number;
+  totalBlockCount: number;
+  verdict: 'natural' | 'compressed' | 'heavily_limited' | 'unknown';
+  label: string;
+  description: string;
+}
+
+export interface ConsistencyEvent {
+  type: 'gain-change' | 'room-tone-shift' | 'mic-drift';
+  channelIndex: number;
+  channelName: string;
+  time: number;
+  changeDb: number;
+}
+
+export interface ConsistencyAnalysis {
+  segmentDuration: number;
+  perChannel: Array<{
+    channelIndex: number;
+    channelName: string;
+    segments: Array<{
+      startTime: number;
+      endTime: number;
+      speechLevelDb: number | null;
+      noiseFloorDb: number;
+    }>;
+    speechLevelRangeDb: number;
+    noiseFloorRangeDb: number;
+    driftDb: number;
+    micDrift: boolean;
+  }>;
+  events: ConsistencyEvent[];
+  flags: {
+    gainChange: boolean;
+    micDrift: boolean;
+    roomToneShift: boolean;
+  };
+  score: number | null;
+  label: string;
+}
+
+export interface SpeechSegment {
+  startTime: number;
+  endTime: number;
+  duration: number;
+}
+
+export type NonSpeechEventType = 'breath' | 'mouth-noise';
+
+export interface NonSpeechEvent extends SpeechSegment {
+  type: NonSpeechEventType;
+  channel: number;
+  channelName: string;
+  levelDb: number;
+}
+
+export interface NonSpeechEventSummary {
+  eventCount: number;
+  counts: Record<NonSpeechEventType, number>;
+  eventsPerMinute: number;
+  breathsPerMinute: number;
+  mouthNoisesPerMinute: number;
+  events: NonSpeechEvent[];
+  eventsLimitReached: boolean;
+}
+
+export interface VoiceActivityChannel {
+  channelIndex: number;
+  channelName: string;
+  thresholdDb: number;
+  speechDuration: number;
+  speechRatio: number;
+  segmentCount: number;
+  segments: SpeechSegment[];
+  nonSpeechEventCounts: Record<NonSpeechEventType, number>;
+}
+
+export interface VoiceActivityAnalysis {
+  frameDuration: number;
+  duration: number;
+  netSpeechDuration: number;
+  speechRatio: number;
+  segmentCount: number;
+  segments: SpeechSegment[];
+  perChannel: VoiceActivityChannel[];
+  nonSpeechEvents: NonSpeechEventSummary;
+}
+
+export interface PitchAnalysis {
+  analyzed: boolean;
+  framesAnalyzed: number;
+  voicedFrames: number;
+  medianF0Hz: number | null;
+  lowF0Hz: number | null;
+  highF0Hz: number | null;
+  rangeSemitones: number | null;
+  variabilitySemitones: number | null;
+  monotone: boolean;
+  levelVariabilityDb: number | null;
+  levelRangeDb: number | null;
+}
+
+export interface SibilanceEvent {
+  time: number;
+  duration: number;
+  peakRatioDb: number;
+}
+
+export interface SibilanceAnalysis {
+  analyzed: boolean;
+  bandHz: [number, number];
+  speechDuration: number;
+  speechLevelDb: number | null;
+  eventCount: number;
+  eventsPerMinute: number;
+  peakRatioDb: number | null;
+  events: SibilanceEvent[];
+  eventsLimitReached: boolean;
+  severity: 'none' | 'minor' | 'moderate' | 'severe';
+}
+
+export type TransientEventType = 'click' | 'pop' | 'discontinuity' | 'dropout';
+
+export interface TransientEvent {
+  type: TransientEventType;
+  channel: number;
+  channelName: string;
+  startSample: number;
+  time: number;
+  duration: number;
+  levelDb: number | null;
+}
+
+export interface TransientAnalysis {
+  eventCount: number;
+  counts: Record<TransientEventType, number>;
+  eventsPerMinute: number;
+  severity: 'none' | 'minor' | 'moderate' | 'severe';
+  perChannel: Array<{
+    channelIndex: number;
+    channelName: string;
+    eventCount: number;
+    counts: Record<TransientEventType, number>;
+  }>;
+  events: TransientEvent[];
+  eventsLimitReached: boolean;
+  maxEventsPerChannel: number;
+  maxTotalEvents: number;
+}
+
+export interface TonalPeak {
+  frequency: number;
+  levelDb: number;
+  prominenceDb: number;
+}
+
+export type TonalNoiseSeverity = 'none' | 'minor' | 'moderate' | 'severe';
+
+export interface TonalNoiseAnalysis {
+  analyzed: boolean;
+  framesAnalyzed: number;
+  frequencyResolutionHz: number;
+  mainsHum: {
+    fundamental: number;
+    harmonics: Array<TonalPeak & { harmonic: number }>;
+    levelDb: number;
+    severity: TonalNoiseSeverity;
+  } | null;
+  tones: Array<TonalPeak & { severity: TonalNoiseSeverity }>;
+  worstLevelDb: number;
+  severity: TonalNoiseSeverity;
+}
+
+export interface TruePeakChannel {
+  channelIndex: number;
+  channelName: string;
+  peakDb: number;
+  truePeakDb: number;
+  truePeakSample: number;
+  truePeakTime: number;
+}
+
+export interface WavFormatInfo {
+  audioFormat: number;        // Effective format tag (1 = integer PCM, 3 = IEEE float), from the sub-format if extensible
+  formatTag: number;          // Format tag as written in the fmt chunk (0xFFFE = WAVE_FORMAT_EXTENSIBLE)
+  sampleFormat: 'pcm' | 'float' | 'compressed';
+  extensible: boolean;
+  subFormat: string | null;   // Sub-format GUID (extensible only)
+  channels: number;
+  sampleRate: number;
+  byteRate: number;
+  blockAlign: number;
+  containerBitDepth: number;  // Bits per sample slot
+  validBitDepth: number;      // Bits actually carrying audio (extensible only, otherwise the container size)
+  channelMask: number | null;
+  speakerPositions: string[]; // e.g. ['FL', 'FR']
+}
+
+export interface WavContainerInfo {
+  format: 'RIFF' | 'RF64' | 'BW64';
+  riffSize: number;           // RIFF size (from ds64 for RF64/BW64)
+  dataSize: number | null;    // Audio data size in bytes (from ds64 for RF64/BW64), null if not in the downloaded header
+  oversized: boolean;         // Plain RIFF file over 4 GB (size fields overflowed)
+  issues: string[];
+}
+
+export interface WavChunk {
+  id: string;                 // Four-character chunk ID, e.g. 'fmt ', 'data', 'LIST'
+  offset: number;             // Offset of the chunk header
+  size: number;               // Declared body size (from ds64 for RF64/BW64)
+  padded: boolean;            // False for an odd-sized chunk missing its pad byte
+}
+
+export interface ChunkIntegrity {
+  chunks: WavChunk[];
+  complete: boolean;          // Whether the walk reached the end of the file (false for partial downloads)
+  declaredSize: number;       // File size the RIFF header declares
+  actualSize: number;
+  truncated: boolean;
+  missingBytes: number;
+  trailingBytes: number;      // Bytes after the end of the RIFF chunk
+  issues: { severity: 'fail' | 'warning'; message: string }[];
+}
+
+export interface BextMetadata {
+  description: string;
+  originator: string;
+  originatorReference: string;
+  originationDate: string;    // yyyy-mm-dd
+  originationTime: string;    // hh:mm:ss
+  timeReference: number;      // Samples since midnight
+  timeReferenceSeconds: number | null;
+  version: number;
+  umid: string | null;        // Hex, version 1+
+  loudnessValue: number | null;        // Integrated loudness (LUFS), version 2+
+  loudnessRange: number | null;        // LU, version 2+
+  maxTruePeakLevel: number | null;     // dBTP, version 2+
+  maxMomentaryLoudness: number | null; // LUFS, version 2+
+  maxShortTermLoudness: number | null; // LUFS, version 2+
+  codingHistory: string;
+}
+
+export interface IxmlMetadata {
+  project?: string;
+  scene?: string;
+  take?: string;
+  tape?: string;
+  circled?: boolean;
+  note?: string;
+  fileUid?: string;
+  timecodeRate?: string;
+  timecodeFlag?: string;
+  trackNames: string[];
+}
+
+export interface AudioMetadata {
+  bext: BextMetadata | null;
+  ixml: IxmlMetadata | null;
+  info: Record<string, string> | null; // LIST/INFO, e.g. { title, artist, software }
+}
+
+export interface StreamInfo {
+  format: 'FLAC' | 'MP3' | 'MP4' | 'Ogg';
+  codec: string;                // e.g. 'FLAC', 'MP3', 'AAC LC', 'HE-AAC', 'ALAC', 'Vorbis', 'Opus'
+  sampleRate: number | null;
+  channels: number | null;
+  bitDepth: number | null;      // Lossless codecs only
+  bitrate: number | null;       // Average kbps
+  bitrateMode: 'CBR' | 'VBR' | 'ABR' | null;
+  duration: number | null;      // Seconds
+  durationExact: boolean;       // From a sample count (STREAMINFO, Xing/VBRI, mdhd, granule position), not estimated
+  encoder: string | null;       // e.g. 'LAME3.100', FLAC/Vorbis vendor string
+}
+
+export interface BitDepthAnalysis {
+  declaredBitDepth: number;
+  effectiveBitDepth: number | null;
+  unusedBits: number | null;
+  samplesAnalyzed: number;
+  nonZeroSamples: number;
+  conclusive: boolean;
+  missingCodes: {
+    detected: boolean;
+    percentage: number;
+    codesChecked: number;
+  } | null;
+}
+
+export interface BandwidthAnalysis {
+  analyzed: boolean;
+  framesAnalyzed: number;
+  nyquistHz: number;
+  cutoffHz: number | null;
+  cliffDb: number | null;
+  effectiveSampleRate: number | null;
+  bandLimited: boolean;
+  likelyLossy: boolean;
+  verdict: 'full-band' | 'upsampled' | 'lossy-transcode' | 'unknown';
+  label: string;
+}
+
+export interface SpectralBalanceRegion {
+  framesAnalyzed: number;
+  subLevelDb: number | null;
+  speechBandLevelDb: number | null;
+  subToSpeechDb: number | null;
+  lowMidToPresenceDb: number | null;
+}
+
+export interface SpectralBalanceAnalysis {
+  analyzed: boolean;
+  speech: SpectralBalanceRegion | null;
+  nonSpeech: SpectralBalanceRegion | null;
+  rumble: boolean;
+  boom: boolean;
+  verdict: 'clean' | 'rumble' | 'boomy' | 'rumble-and-boom' | 'unknown';
+  label: string;
+}
+
+export interface Rt60Distribution {
+  min: number;
+  p10: number;
+  p25: number;
+  median: number;
+  p75: number;
+  p90: number;
+  max: number;
+  histogram: Array<{
+    fromSeconds: number;
+    toSeconds: number | null;
+    count: number;
+  }>;
+}
+
+export type ReverbConfidence = 'high' | 'medium' | 'low' | 'none';
+
+export interface ReverbSummary {
+  edt: number | null;
+  drrDb: number | null;
+  decaysAnalyzed: number;
+  rt60Distribution: Rt60Distribution | null;
+  confidence: ReverbConfidence;
+}
+
+export interface ReverbChannel extends ReverbSummary {
+  channelIndex: number;
+  channelName: string;
+  medianRt60: number;
+}
+
+export interface ReverbAnalysis extends ReverbSummary {
+  overallMedianRt60: number;
+  perChannelRt60: ReverbChannel[];
+}
+
+export interface ReverbInfo {
+  time: number;
+  label: string;
+  description: string;
+  confidence: ReverbConfidence | null;
+}
+
+export interface ProcessingArtifactAnalysis {
+  analyzed: boolean;
+  pausesAnalyzed: number;
+  gatedPauses: number;
+  gatedPauseRatio: number;
+  gateSnaps: number;
+  gateSnapsPerMinute: number;
+  gatePumping: boolean;
+  noiseFramesAnalyzed: number;
+  noiseFlatness: number | null;
+  musicalNoise: boolean;
+  overProcessed: boolean;
+  label: 'Natural' | 'Gate pumping' | 'Musical noise' | 'Gated, musical noise' | 'N/A';
+}
+
+export interface DcOffsetChannel {
+  channelIndex: number;
+  channelName: string;
+  offset: number;
+  offsetPercent: number;
+  offsetDb: number;
+  flagged: boolean;
+}
+
+export interface DcOffsetAnalysis {
+  perChannel: DcOffsetChannel[];
+  maxOffsetDb: number;
+  hasDcOffset: boolean;
+}
+
+export interface ChannelSyncAnalysis {
+  initialOffsetMs: number | null;
+  driftMsPerMinute: number | null;
+  clockDrift: boolean;
+  latencySpikes: Array<{
+    startTime: number;
+    endTime: number;
+    lagMs: number;
+    deviationMs: number;
+  }>;
+  windowsAnalyzed: number;
+  windows: Array<{
+    time: number;
+    lagMs: number;
+    correlation: number;
+  }>;
+}
+
 export interface ConversationalAnalysis {
   overlap?: {
     overlapPercentage: number;
   };
+  sync?: ChannelSyncAnalysis;
 }
 
 export interface AudioResults {
@@ -19,19 +455,41 @@ export interface AudioResults {
   channels: number | 'Unknown';
   duration: number | 'Unknown';
   fileSize: number;
+  bitrate?: number | 'Unknown'; // Average kbps
   audioUrl?: string; // Blob URL for local playback
   externalUrl?: string; // External URL for Box/Google Drive
   validation?: ValidationResults;
   isMetadataOnly?: boolean;
+  bitDepthAnalysis?: BitDepthAnalysis | null;
+  wavFormat?: WavFormatInfo;
+  container?: WavContainerInfo;
+  chunkIntegrity?: ChunkIntegrity;
+  metadata?: AudioMetadata | null;
+  streamInfo?: StreamInfo | null;
   // Experimental analysis properties
   peakDb?: number;
+  truePeakDb?: number;
+  truePeakPerChannel?: TruePeakChannel[];
+  dcOffset?: DcOffsetAnalysis;
   noiseFloor?: number;
   noiseFloorDb?: number;
-  reverbInfo?: any;
+  reverbInfo?: ReverbInfo;
+  reverbAnalysis?: ReverbAnalysis;
   silenceInfo?: any;
   normalizationStatus?: any;
   stereoSeparation?: any;
   micBleed?: any;
+  loudness?: LoudnessAnalysis;
+  dynamicRange?: DynamicRangeAnalysis;
+  consistency?: ConsistencyAnalysis;
+  voiceActivity?: VoiceActivityAnalysis;
+  pitch?: PitchAnalysis;
+  tonalNoise?: TonalNoiseAnalysis;
+  bandwidth?: BandwidthAnalysis;
+  spectralBalance?: SpectralBalanceAnalysis;
+  sibilance?: SibilanceAnalysis;
+  processingArtifacts?: ProcessingArtifactAnalysis;
+  transients?: TransientAnalysis;
   // CSV export properties
   clippingAnalysis?: ClippingAnalysis;
   conversationalAnalysis?: ConversationalAnalysis;
@@ -42,11 +500,41 @@ export interface AudioResults {
 }
 
 export interface ValidationResult {
-  status: 'pass' | 'fail' | 'warning' | 'unknown';
+  status: 'pass' | 'fail' | 'warning' | 'info' | 'unknown';
   value: string;
   issue?: string;
 }
 
-export interface ValidationResults {
-  [key: string]: ValidationResult;
+/**
+ * Checks the analysis service adds to the validation results from preset thresholds and requirements
+ */
+export type PresetCheckKey =
+  | 'filename'
+  | 'effectiveBitDepth'
+  | 'stereoType'
+  | 'speechOverlap'
+  | 'tonalNoise'
+  | 'dcOffset'
+  | 'netSpeech'
+  | 'pitchRange'
+  | 'sibilance'
+  | 'peakLevel'
+  | 'noiseFloor'
+  | 'reverb'
+  | 'clipping'
+  | 'micBleed'
+  | 'silence'
+  | 'metadata';
+
+export interface ValidationResults extends Partial<Record<PresetCheckKey, ValidationResult>> {
+  // Core criteria from CriteriaValidator.validateResults
+  fileType?: ValidationResult;
+  sampleRate?: ValidationResult;
+  bitDepth?: ValidationResult;
+  channels?: ValidationResult;
+  duration?: ValidationResult;
+  bitrate?: ValidationResult;
+  container?: ValidationResult;
+  chunkIntegrity?: ValidationResult;
+  [key: string]: ValidationResult | undefined;
 }
@@ -98,6 +98,7 @@ function generateHeaders(mode: ExportOptions['mode']): string[] {
       'Bit Depth',
       'Channels',
       'Duration',
+      'Bitrate (kbps)',
       'File Size (Bytes)',
       'Source URL'
     ];
@@ -110,11 +111,24 @@ function generateHeaders(mode: ExportOptions['mode']): string[] {
     'File Type',
     'Sample Rate (Hz)',
     'Bit Depth',
+    'Effective Bit Depth',
+    'Missing Codes (%)',
     'Channels',
     'Duration',
+    'Bitrate (kbps)',
     'File Size (Bytes)',
     'Peak Level (dB)',
+    'True Peak (dBTP)',
+    'DC Offset (%)',
     'Noise Floor (dB)',
+    'Integrated Loudness (LUFS)',
+    'Loudness Range (LU)',
+    'Momentary Max (LUFS)',
+    'Short-term Max (LUFS)',
+    'Crest Factor (dB)',
+    'Dynamic Range PLR (dB)',
+    'Dynamic Range DR (dB)',
+    'Dynamic Range Verdict',
     'Normalization Status',
     'Normalization Peak (dB)',
     'Normalization Target (dB)',
@@ -122,18 +136,58 @@ function generateHeaders(mode: ExportOptions['mode']): string[] {
     'Clipping Percentage (%)',
     'Clipping Events',
     'Near Clipping Percentage (%)',
+    'Mains Hum (Hz)',
+    'Tonal Noise Level (dB)',
+    'Tonal Noise Severity',
+    'Spectral Cutoff (Hz)',
+    'Effective Sample Rate (Hz)',
+    'Likely Lossy Transcode',
+    'Sub-80 Hz vs Speech (dB)',
+    'Low-Mid vs Presence (dB)',
+    'Rumble / Boom',
+    'Sibilance Events per Minute',
+    'Sibilance Peak (dB)',
+    'Sibilance Severity',
+    'Over-Processed',
+    'Gated Pauses (%)',
+    'Gate Snaps per Minute',
+    'Noise Flatness',
+    'Transient Events',
+    'Transient Severity',
+    'Consistency Score',
+    'Consistency Events',
     'Reverb RT60 (s)',
     'Reverb Label',
+    'Reverb RT60 P25 (s)',
+    'Reverb RT60 P75 (s)',
+    'Early Decay Time (s)',
+    'Direct-to-Reverberant Ratio (dB)',
+    'Reverb Confidence',
     'Leading Silence (s)',
     'Trailing Silence (s)',
     'Longest Silence (s)',
+    'Net Speech (s)',
+    'Speech Ratio (%)',
+    'Breaths',
+    'Mouth Noises',
+    'Breath / Mouth Events per Minute',
+    'Median Pitch (Hz)',
+    'Pitch Range (st)',
+    'Pitch Variability (st)',
+    'Monotone',
+    'Level Variability (dB)',
     'Stereo Type',
     'Stereo Confidence (%)',
+    'Polarity',
     'Speech Overlap (%)',
     'Speech Overlap Max Duration (s)',
+    'Channel Offset (ms)',
+    'Channel Drift (ms/min)',
+    'Channel Lag Jumps',
     'Mic Bleed Detected',
     'Mic Bleed Severity',
-    'Digital Silence (%)'
+    'Digital Silence (%)',
+    'Validation Issues'
   ];
 }
 
@@ -147,16 +201,7 @@ function extractDataRow(result: AudioResults, mode: ExportOptions['mode']): stri
   ];
 
   if (mode === 'metadata-only') {
-    // Extract validation issues for metadata-only mode
-    const validationIssues: string[] = [];
-    if (result.validation) {
-      Object.entries(result.validation).forEach(([field, validation]) => {
-        if (validation.issue) {
-          validationIssues.push(`${field}: ${validation.issue}`);
-        }
-      });
-    }
-    return [...baseRow, validationIssues.join('; ') || '—'];
+    return [...baseRow, formatValidationIssues(result)];
   }
 
   if (mode === 'standard') {
@@ -167,6 +212,7 @@ function extractDataRow(result: AudioResults, mode: ExportOptions['mode']): stri
       formatBitDepth(result.bitDepth || 'Unknown'),
       formatChannels(result.channels || 'Unknown'),
       formatDuration(result.duration),
+      formatNumber(result.bitrate, 0),
       formatBytes(result.fileSize || 0),
       result.externalUrl || ''
     ];
@@ -179,11 +225,24 @@ function extractDataRow(result: AudioResults, mode: ExportOptions['mode']): stri
     result.fileType || 'Unknown',
     formatSampleRateUI(result.sampleRate || 'Unknown'),
     formatBitDepth(result.bitDepth || 'Unknown'),
+    formatNumber(result.bitDepthAnalysis?.effectiveBitDepth ?? undefined, 0),
+    formatNumber(result.bitDepthAnalysis?.missingCodes?.percentage, 1),
     formatChannels(result.channels || 'Unknown'),
     formatDuration(result.duration),
+    formatNumber(result.bitrate, 0),
     formatBytes(result.fileSize || 0),
     formatNumber(result.peakDb),
+    formatNumber(result.truePeakDb),
+    formatNumber(getMaxDcOffsetPercent(result), 3),
     formatNumber(result.noiseFloorDb),
+    formatNumber(result.loudness?.integratedLufs, 1),
+    formatNumber(result.loudness?.loudnessRange, 1),
+    formatNumber(result.loudness?.momentaryMaxLufs, 1),
+    formatNumber(result.loudness?.shortTermMaxLufs, 1),
+    formatNumber(result.dynamicRange?.crestFactorDb ?? undefined, 1),
+    formatNumber(result.dynamicRange?.plr ?? undefined, 1),
+    formatNumber(result.dynamicRange?.drDb ?? undefined, 1),
+    result.dynamicRange?.label || 'N/A',
     result.normalizationStatus?.status || 'N/A',
     formatNumber(result.normalizationStatus?.peakDb),
     formatNumber(result.normalizationStatus?.targetDb),
@@ -191,21 +250,76 @@ function extractDataRow(result: AudioResults, mode: ExportOptions['mode']): stri
     formatNumber(result.clippingAnalysis?.clippedPercentage),
     formatNumber(result.clippingAnalysis?.clippingEventCount, 0),
     formatNumber(result.clippingAnalysis?.nearClippingPercentage),
+    result.tonalNoise?.mainsHum ? String(result.tonalNoise.mainsHum.fundamental) : 'None',
+    formatNumber(result.tonalNoise?.worstLevelDb, 1),
+    result.tonalNoise?.analyzed ? result.tonalNoise.severity : 'N/A',
+    formatNumber(result.bandwidth?.cutoffHz ?? undefined, 0),
+    formatNumber(result.bandwidth?.effectiveSampleRate ?? undefined, 0),
+    formatLossyTranscode(result),
+    formatNumber(result.spectralBalance?.speech?.subToSpeechDb ?? undefined, 1),
+    formatNumber(result.spectralBalance?.speech?.lowMidToPresenceDb ?? undefined, 1),
+    formatSpectralBalance(result),
+    result.sibilance?.analyzed ? formatNumber(result.sibilance.eventsPerMinute, 1) : 'N/A',
+    formatNumber(result.sibilance?.peakRatioDb ?? undefined, 1),
+    result.sibilance?.analyzed ? result.sibilance.severity : 'N/A',
+    formatProcessingArtifacts(result),
+    result.processingArtifacts?.analyzed ? formatNumber(result.processingArtifacts.gatedPauseRatio * 100, 0) : 'N/A',
+    result.processingArtifacts?.analyzed ? formatNumber(result.processingArtifacts.gateSnapsPerMinute, 1) : 'N/A',
+    formatNumber(result.processingArtifacts?.noiseFlatness ?? undefined, 3),
+    formatTransientEvents(result),
+    result.transients?.severity || 'N/A',
+    formatNumber(result.consistency?.score ?? undefined, 0),
+    formatConsistencyEvents(result),
     formatNumber(result.reverbInfo?.time),
     result.reverbInfo?.label || 'N/A',
+    formatNumber(result.reverbAnalysis?.rt60Distribution?.p25),
+    formatNumber(result.reverbAnalysis?.rt60Distribution?.p75),
+    formatNumber(result.reverbAnalysis?.edt ?? undefined),
+    formatNumber(result.reverbAnalysis?.drrDb ?? undefined, 1),
+    result.reverbAnalysis?.confidence || 'N/A',
     formatNumber(result.leadingSilence),
     formatNumber(result.trailingSilence),
     formatNumber(result.longestSilence),
+    formatNumber(result.voiceActivity?.netSpeechDuration, 1),
+    formatNumber(result.voiceActivity ? result.voiceActivity.speechRatio * 100 : undefined, 1),
+    formatNumber(result.voiceActivity?.nonSpeechEvents?.counts.breath, 0),
+    formatNumber(result.voiceActivity?.nonSpeechEvents?.counts['mouth-noise'], 0),
+    formatNumber(result.voiceActivity?.nonSpeechEvents?.eventsPerMinute, 1),
+    formatNumber(result.pitch?.medianF0Hz ?? undefined, 0),
+    formatNumber(result.pitch?.rangeSemitones ?? undefined, 1),
+    formatNumber(result.pitch?.variabilitySemitones ?? undefined, 1),
+    result.pitch?.analyzed ? (result.pitch.monotone ? 'Yes' : 'No') : 'N/A',
+    formatNumber(result.pitch?.levelVariabilityDb ?? undefined, 1),
     result.stereoSeparation?.stereoType || 'N/A',
     formatNumber(result.stereoSeparation?.stereoConfidence ? result.stereoSeparation.stereoConfidence * 100 : undefined, 1),
+    formatPolarity(result),
     formatNumber(result.conversationalAnalysis?.overlap?.overlapPercentage, 1),
     formatNumber(getLongestOverlapDuration(result), 1),
+    formatNumber(result.conversationalAnalysis?.sync?.initialOffsetMs ?? undefined, 1),
+    formatNumber(result.conversationalAnalysis?.sync?.driftMsPerMinute ?? undefined, 2),
+    formatNumber(result.conversationalAnalysis?.sync?.latencySpikes.length, 0),
     getMicBleedDetected(result),
     formatNumber(result.micBleed?.new?.severityScore, 1),
-    formatNumber(result.digitalSilencePercentage, 1)
+    formatNumber(result.digitalSilencePercentage, 1),
+    formatValidationIssues(result)
   ];
 }
 
+/**
+ * Lists the preset criteria a result misses (e.g. "noiseFloor: -42.0 dB noise floor (-50 dB maximum)")
+ */
+function formatValidationIssues(result: AudioResults): string {
+  const validationIssues: string[] = [];
+  if (result.validation) {
+    Object.entries(result.validation).forEach(([field, validation]) => {
+      if (validation?.issue) {
+        validationIssues.push(`${field}: ${validation.issue}`);
+      }
+    });
+  }
+  return validationIssues.join('; ') || '—';
+}
+
 /**
  * Quality analysis thresholds
  * Centralized constants for maintainability and consistency with UI
@@ -265,6 +379,9 @@ const RECOMMENDATION_TEMPLATES = {
     needMono: "File must be mono (single channel), not stereo.",
     tooManyChannels: "Too many channels - file must use the required channel configuration."
   },
+  bitrate: {
+    generic: "Bitrate too low - re-encode from the original at the required bitrate."
+  },
   fileType: {
     unsupported: "File must be in a supported audio format.",
     compressed: "File must be uncompressed.",
@@ -274,26 +391,34 @@ const RECOMMENDATION_TEMPLATES = {
     notNormalized: "Normalize audio to target level before submission.",
     generic: "Check normalization settings and re-process audio."
   },
+  peakLevel: {
+    generic: "Lower the peak level to the required maximum."
+  },
   clipping: {
+    generic: "Reduce clipping to within the required limit.",
     minor: "Reduce recording gain slightly to avoid clipping.",
     major: "Significantly reduce input levels and re-record.",
     critical: "Audio severely clipped - re-record with proper gain staging."
   },
   noiseFloor: {
+    generic: "Lower the noise floor to the required maximum.",
     high: "Record in quieter environment or use noise reduction.",
     veryHigh: "Improve recording setup - check microphone and preamp settings.",
     critical: "Recording environment too noisy - find quieter location."
   },
   reverb: {
+    generic: "Reduce room reverb to within the required RT60.",
     excessive: "Record in more acoustically treated space.",
     poor: "Improve room acoustics or use closer microphone placement."
   },
   silence: {
+    generic: "Adjust leading and trailing silence to the required length.",
     leadingExcess: "Trim leading silence to improve user experience.",
     trailingExcess: "Trim trailing silence.",
     gapsExcess: "Edit out long silent gaps in recording."
   },
   micBleed: {
+    generic: "Reduce mic bleed to within the required limit.",
     detected: "Improve microphone isolation or use directional microphones.",
     severe: "Increase physical separation between speakers and microphones."
   },
@@ -340,6 +465,83 @@ function formatChannelLayout(result: AudioResults): string {
   return 'N/A';
 }
 
+/**
+ * Formats the dynamic range figure with its verdict, e.g. "14.2 dB (Natural)"
+ */
+function formatDynamicRange(result: AudioResults): string {
+  const plr = result.dynamicRange?.plr;
+  if (plr === null || plr === undefined || !isFinite(plr)) return 'N/A';
+  return `${plr.toFixed(1)} dB (${result.dynamicRange!.label})`;
+}
+
+/**
+ * Lossy-transcode verdict from the bandwidth analysis: "Yes", "No" or "N/A"
+ */
+function formatLossyTranscode(result: AudioResults): string {
+  if (!result.bandwidth?.analyzed) return 'N/A';
+  return result.bandwidth.likelyLossy ? 'Yes' : 'No';
+}
+
+/**
+ * Low-frequency verdict from the spectral balance analysis, e.g. "Clean" or "Low-frequency rumble"
+ */
+function formatSpectralBalance(result: AudioResults): string {
+  if (!result.spectralBalance?.analyzed) return 'N/A';
+  return result.spectralBalance.label;
+}
+
+/**
+ * Over-processing verdict, e.g. "No" or "Yes (Gate pumping)"
+ */
+function formatProcessingArtifacts(result: AudioResults): string {
+  if (!result.processingArtifacts?.analyzed) return 'N/A';
+  return result.processingArtifacts.overProcessed ? `Yes (${result.processingArtifacts.label})` : 'No';
+}
+
+/**
+ * Summarises click/pop/discontinuity/dropout counts, e.g. "3 click, 1 dropout"
+ */
+function formatTransientEvents(result: AudioResults): string {
+  const counts = result.transients?.counts;
+  if (!counts) return 'N/A';
+  const parts = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${type}`);
+  return parts.length > 0 ? parts.join(', ') : 'None';
+}
+
+/**
+ * Largest absolute DC offset across channels, in % of full scale
+ */
+function getMaxDcOffsetPercent(result: AudioResults): number | undefined {
+  const channels = result.dcOffset?.perChannel;
+  if (!channels || channels.length === 0) return undefined;
+  return Math.max(...channels.map(ch => Math.abs(ch.offsetPercent)));
+}
+
+/**
+ * Polarity between the two channels of a stereo file: "Inverted", "Normal" or "N/A"
+ */
+function formatPolarity(result: AudioResults): string {
+  const polarity = result.stereoSeparation?.polarity;
+  if (!polarity) return 'N/A';
+  return polarity.inverted ? 'Inverted' : 'Normal';
+}
+
+/**
+ * Summarises consistency events by type, e.g. "2 gain change, 1 room tone shift"
+ */
+function formatConsistencyEvents(result: AudioResults): string {
+  const events = result.consistency?.events;
+  if (!events) return 'N/A';
+  if (events.length === 0) return 'None';
+  const counts = new Map<string, number>();
+  events.forEach(event => counts.set(event.type, (counts.get(event.type) || 0) + 1));
+  return Array.from(counts.entries())
+    .map(([type, count]) => `${count} ${type.replace(/-/g, ' ')}`)
+    .join(', ');
+}
+
 /**
  * Type-safe template lookup for recommendations
  */
@@ -388,6 +590,10 @@ function generateDynamicRecommendation(
     return `File must be ${allowedChannels}.`;
   }
 
+  if (issueType === 'bitrate' && criteria?.minBitrate) {
+    return `Re-encode from the original at ${criteria.minBitrate} kbps or higher.`;
+  }
+
   if (issueType === 'fileType' && criteria?.fileType?.length) {
     const allowedTypes = criteria.fileType.join(', ');
     return `File must be in a supported audio format (${allowedTypes}).`;
@@ -434,7 +640,7 @@ export function analyzeFailuresWithRecommendations(
 
   if (result.validation) {
     Object.entries(result.validation).forEach(([field, validation]) => {
-      if (field === 'filename') return;
+      if (field === 'filename' || !validation) return;
 
       if (validation.status === 'fail' || validation.status === 'warning') {
         // Include the issue message if available, otherwise include the actual value
@@ -473,6 +679,9 @@ export function analyzeFailuresWithRecommendations(
   const qualityIssues: string[] = [];
 
   if (options.analysisMode === 'experimental') {
+    // Metrics the preset defines thresholds for were already reported with the validation issues above
+    const presetChecks = result.validation ?? {};
+
     // Normalization Analysis
     if (result.normalizationStatus && result.normalizationStatus.status !== 'normalized') {
       qualityIssues.push(`Normalization: ${result.normalizationStatus.status}`);
@@ -481,7 +690,7 @@ export function analyzeFailuresWithRecommendations(
     }
 
     // Clipping Analysis (aligned with UI thresholds)
-    if (result.clippingAnalysis) {
+    if (result.clippingAnalysis && !presetChecks.clipping) {
       const { clippedPercentage, clippingEventCount, nearClippingPercentage } = result.clippingAnalysis;
       let clipSeverity = '';
 
@@ -512,7 +721,7 @@ export function analyzeFailuresWithRecommendations(
     }
 
     // Noise Floor Analysis (aligned with UI thresholds)
-    if (result.noiseFloorDb !== undefined && result.noiseFloorDb > QUALITY_THRESHOLDS.noiseFloor.WARNING_DB) {
+    if (result.noiseFloorDb !== undefined && result.noiseFloorDb > QUALITY_THRESHOLDS.noiseFloor.WARNING_DB && !presetChecks.noiseFloor) {
       const severity = result.noiseFloorDb > QUALITY_THRESHOLDS.noiseFloor.CRITICAL_DB ? 'critical' : 'high';
       qualityIssues.push(`High noise floor: ${result.noiseFloorDb.toFixed(1)} dB`);
       issueCount++;
@@ -520,7 +729,7 @@ export function analyzeFailuresWithRecommendations(
     }
 
     // Reverb Analysis
-    if (result.reverbInfo?.label &&
+    if (result.reverbInfo?.label && !presetChecks.reverb &&
         (result.reverbInfo.label.includes('Poor') || result.reverbInfo.time > QUALITY_THRESHOLDS.reverb.POOR_TIME)) {
       const severity = result.reverbInfo.time > QUALITY_THRESHOLDS.reverb.EXCESSIVE_TIME ? 'excessive' : 'poor';
       qualityIssues.push(`${result.reverbInfo.label}: ${result.reverbInfo.time.toFixed(2)}s RT60`);
@@ -529,13 +738,13 @@ export function analyzeFailuresWithRecommendations(
     }
 
     // Silence Analysis (aligned with UI thresholds)
-    if (result.leadingSilence !== undefined && result.leadingSilence > QUALITY_THRESHOLDS.silence.LEADING_THRESHOLD) {
+    if (result.leadingSilence !== undefined && result.leadingSilence > QUALITY_THRESHOLDS.silence.LEADING_THRESHOLD && !presetChecks.silence) {
       qualityIssues.push(`Leading silence: ${result.leadingSilence.toFixed(1)}s`);
       issueCount++;
       recommendations.push(generateDynamicRecommendation('silence', 'leadingExcess', result.leadingSilence, null));
     }
 
-    if (result.trailingSilence !== undefined && result.trailingSilence > QUALITY_THRESHOLDS.silence.TRAILING_THRESHOLD) {
+    if (result.trailingSilence !== undefined && result.trailingSilence > QUALITY_THRESHOLDS.silence.TRAILING_THRESHOLD && !presetChecks.silence) {
       qualityIssues.push(`Trailing silence: ${result.trailingSilence.toFixed(1)}s`);
       issueCount++;
       recommendations.push(generateDynamicRecommendation('silence', 'trailingExcess', result.trailingSilence, null));
@@ -548,7 +757,7 @@ export function analyzeFailuresWithRecommendations(
     }
 
     // Mic Bleed Analysis
-    const micBleedDetected = result.micBleed && (
+    const micBleedDetected = result.micBleed && !presetChecks.micBleed && (
       (result.micBleed.old?.leftChannelBleedDb > QUALITY_THRESHOLDS.micBleed.OLD_THRESHOLD_DB ||
        result.micBleed.old?.rightChannelBleedDb > QUALITY_THRESHOLDS.micBleed.OLD_THRESHOLD_DB) ||
       (result.micBleed.new?.percentageConfirmedBleed > QUALITY_THRESHOLDS.micBleed.NEW_THRESHOLD_PERCENTAGE)
@@ -615,7 +824,7 @@ export function analyzeFailuresWithRecommendations(
       // Determine critical vs warning counts
       let criticalCount = qualityIssues.filter(q => q.includes('critical')).length +
                          validationIssues.filter(v => result.validation &&
-                           Object.values(result.validation).some(val => val.status === 'fail')).length;
+                           Object.values(result.validation).some(val => val?.status === 'fail')).length;
 
       // In filename-only mode, filename validation failures are CRITICAL
       const isFilenameOnlyMode = options.analysisMode === 'metadata-only' && options.includeFilenameValidation;
@@ -679,6 +888,7 @@ function generateEnhancedHeaders(options: EnhancedExportOptions): string[] {
       'File Type',
       'Sample Rate (Hz)',
       'Bit Depth',
+      'Effective Bit Depth',
       'Channels',
       'Duration',
       'File Size (Bytes)'
@@ -704,18 +914,34 @@ function generateEnhancedHeaders(options: EnhancedExportOptions): string[] {
     'File Type',
     'Sample Rate (Hz)',
     'Bit Depth',
+    'Effective Bit Depth',
     'Channels',
     'Duration (s)',
     'File Size (Bytes)',
     'Peak Level (dB)',
+    'True Peak (dBTP)',
+    'DC Offset (%)',
     'Noise Floor (dB)',
+    'Integrated Loudness (LUFS)',
+    'Loudness Range (LU)',
+    'Dynamic Range (PLR)',
     'Normalization Status',
     'Clipping Detected',
     'Clipping Percentage (%)',
+    'Effective Sample Rate (Hz)',
+    'Likely Lossy Transcode',
+    'Rumble / Boom',
+    'Sibilance Events per Minute',
+    'Over-Processed',
+    'Transient Events',
     'Reverb RT60 (s)',
+    'Reverb Confidence',
     'Leading Silence (s)',
     'Trailing Silence (s)',
     'Longest Silence (s)',
+    'Net Speech (s)',
+    'Breath / Mouth Events per Minute',
+    'Pitch Range (st)',
     'Channel Layout',
     'Speech Overlap (%)',
     'Speech Overlap Max Duration (s)',
@@ -768,6 +994,7 @@ function extractEnhancedDataRow(
       result.fileType || 'Unknown',
       formatSampleRateUI(result.sampleRate || 'Unknown'),
       formatBitDepth(result.bitDepth || 'Unknown'),
+      formatNumber(result.bitDepthAnalysis?.effectiveBitDepth ?? undefined, 0),
       formatChannels(result.channels || 'Unknown'),
       formatDuration(result.duration),
       formatBytes(result.fileSize || 0)
@@ -796,18 +1023,34 @@ function extractEnhancedDataRow(
     result.fileType || 'Unknown',
     formatSampleRateUI(result.sampleRate || 'Unknown'),
     formatBitDepth(result.bitDepth || 'Unknown'),
+    formatNumber(result.bitDepthAnalysis?.effectiveBitDepth ?? undefined, 0),
     formatChannels(result.channels || 'Unknown'),
     formatDuration(result.duration),
     formatBytes(result.fileSize || 0),
     formatNumber(result.peakDb),
+    formatNumber(result.truePeakDb),
+    formatNumber(getMaxDcOffsetPercent(result), 3),
     formatNumber(result.noiseFloorDb),
+    formatNumber(result.loudness?.integratedLufs, 1),
+    formatNumber(result.loudness?.loudnessRange, 1),
+    formatDynamicRange(result),
     result.normalizationStatus?.status || 'N/A',
     result.clippingAnalysis && result.clippingAnalysis.clippingEventCount > 0 ? 'Yes' : 'No',
     formatNumber(result.clippingAnalysis?.clippedPercentage),
+    formatNumber(result.bandwidth?.effectiveSampleRate ?? undefined, 0),
+    formatLossyTranscode(result),
+    formatSpectralBalance(result),
+    result.sibilance?.analyzed ? formatNumber(result.sibilance.eventsPerMinute, 1) : 'N/A',
+    formatProcessingArtifacts(result),
+    formatTransientEvents(result),
     formatNumber(result.reverbInfo?.time),
+    result.reverbAnalysis?.confidence || 'N/A',
     formatNumber(result.leadingSilence),
     formatNumber(result.trailingSilence),
     formatNumber(result.longestSilence),
+    formatNumber(result.voiceActivity?.netSpeechDuration, 1),
+    formatNumber(result.voiceActivity?.nonSpeechEvents?.eventsPerMinute, 1),
+    formatNumber(result.pitch?.rangeSemitones ?? undefined, 1),
     formatChannelLayout(result),
     formatNumber(result.conversationalAnalysis?.overlap?.overlapPercentage, 1),
     formatNumber(getLongestOverlapDuration(result), 1),
@@ -0,0 +1,64 @@
+/**
+ * Deterministic test signals and mock AudioBuffers for the LevelAnalyzer tests
+ */
+
+export function dbToLinear(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Deterministic uniform random numbers in [0, 1) (mulberry32)
+ */
+export function createRandom(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Deterministic white noise in [-1, 1), one sample per call
+ */
+export function createNoise(seed = 1) {
+  const random = createRandom(seed);
+  return () => random() * 2 - 1;
+}
+
+/**
+ * Block of deterministic white noise at the given peak amplitude
+ */
+export function seededNoise(length, amplitude = 0.3, seed = 1) {
+  const noise = createNoise(seed);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = amplitude * noise();
+  }
+  return data;
+}
+
+/**
+ * Sine tone, optionally with a starting phase (radians) and a DC offset
+ */
+export function sine(durationSeconds, amplitude, frequency = 1000, { sampleRate = 48000, phase = 0, offset = 0 } = {}) {
+  const length = Math.floor(durationSeconds * sampleRate);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = offset + amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase);
+  }
+  return data;
+}
+
+/**
+ * Minimal AudioBuffer stand-in over one Float32Array per channel
+ */
+export function mockAudioBuffer(channels, sampleRate) {
+  return {
+    sampleRate,
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    getChannelData: (channel) => channels[channel]
+  };
+}
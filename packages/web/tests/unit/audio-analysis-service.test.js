@@ -1,23 +1,31 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { analyzeAudioFile } from '../../src/services/audio-analysis-service';
+import { analyzeAudioFile, cancelCurrentAnalysis } from '../../src/services/audio-analysis-service';
 import { AudioAnalyzer, LevelAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
 import { FilenameValidator } from '../../src/validation/filename-validator';
 
-// Mock the core modules
-vi.mock('@audio-analyzer/core', () => ({
-  AudioAnalyzer: vi.fn(),
-  LevelAnalyzer: vi.fn(),
-  CriteriaValidator: {
-    validateResults: vi.fn()
-  },
-  AnalysisCancelledError: class extends Error {
-    constructor(message, stage) {
-      super(message);
-      this.name = 'AnalysisCancelledError';
-      this.stage = stage;
+// Mock the core modules (severity handling stays real)
+vi.mock('@audio-analyzer/core', async (importOriginal) => {
+  const { CriteriaValidator: RealCriteriaValidator } = await importOriginal();
+  return {
+    AudioAnalyzer: vi.fn(),
+    LevelAnalyzer: vi.fn(),
+    CriteriaValidator: {
+      validateResults: vi.fn(),
+      validateNoiseFloor: vi.fn(),
+      validateMetadata: vi.fn(),
+      applySeverity: RealCriteriaValidator.applySeverity,
+      resolveSeverity: RealCriteriaValidator.resolveSeverity,
+      getOverallStatus: RealCriteriaValidator.getOverallStatus
+    },
+    AnalysisCancelledError: class extends Error {
+      constructor(message, stage) {
+        super(message);
+        this.name = 'AnalysisCancelledError';
+        this.stage = stage;
+      }
     }
-  }
-}));
+  };
+});
 
 vi.mock('../../src/validation/filename-validator', () => ({
   FilenameValidator: {
@@ -136,10 +144,21 @@ describe('audio-analysis-service', () => {
       });
 
       // Critical: Must call analyzeFile, not analyze
-      expect(mockAudioAnalyzer.analyzeFile).toHaveBeenCalledWith(mockFile);
+      expect(mockAudioAnalyzer.analyzeFile).toHaveBeenCalledWith(mockFile, { analyzeBitDepth: false });
       expect(mockAudioAnalyzer.analyzeFile).toHaveBeenCalledTimes(1);
     });
 
+    it('should scan the effective bit depth only when the preset requires it', async () => {
+      await analyzeAudioFile(mockFile, {
+        analysisMode: 'audio-only',
+        preset: { name: 'Test', requireEffectiveBitDepth: true },
+        presetId: 'test',
+        criteria: null
+      });
+
+      expect(mockAudioAnalyzer.analyzeFile).toHaveBeenCalledWith(mockFile, { analyzeBitDepth: true });
+    });
+
     it('should return audio properties from analyzer', async () => {
       const result = await analyzeAudioFile(mockFile, {
         analysisMode: 'audio-only',
@@ -251,6 +270,86 @@ describe('audio-analysis-service', () => {
       expect(result.status).toBe('fail');
     });
 
+    it('should take the overall status from the severity core applied', async () => {
+      CriteriaValidator.validateResults.mockReturnValue({
+        fileType: { status: 'pass', matches: true, value: 'WAV (PCM)' },
+        sampleRate: { status: 'info', matches: false, actual: 44100 },
+        duration: { status: 'info', matches: false, actual: 30 }
+      });
+      const severity = { sampleRate: 'info', duration: 'info' };
+
+      const result = await analyzeAudioFile(mockFile, {
+        analysisMode: 'audio-only',
+        preset: { name: 'Test', severity },
+        presetId: 'test',
+        criteria: mockCriteria
+      });
+
+      expect(CriteriaValidator.validateResults).toHaveBeenCalledWith(expect.anything(), { ...mockCriteria, severity }, false);
+      expect(result.validation.sampleRate.status).toBe('info');
+      expect(result.status).toBe('pass');
+    });
+
+    it('should take severity from the preset, not from saved criteria', async () => {
+      const staleCriteria = { ...mockCriteria, severity: { sampleRate: 'info' } };
+
+      await analyzeAudioFile(mockFile, {
+        analysisMode: 'audio-only',
+        preset: { name: 'Test', severity: { sampleRate: 'warning' } },
+        presetId: 'test',
+        criteria: staleCriteria
+      });
+
+      expect(CriteriaValidator.validateResults).toHaveBeenCalledWith(
+        expect.anything(),
+        { ...mockCriteria, severity: { sampleRate: 'warning' } },
+        false
+      );
+    });
+
+    it('should apply the preset severity to the preset checks', async () => {
+      FilenameValidator.validateBilingual.mockReturnValue({ status: 'fail', issue: 'Bad filename' });
+      const severity = { filename: 'warning' };
+
+      const result = await analyzeAudioFile(mockFile, {
+        analysisMode: 'full',
+        preset: { name: 'Test', filenameValidationType: 'bilingual-pattern', severity },
+        presetId: 'bilingual-conversational',
+        criteria: mockCriteria
+      });
+
+      expect(result.validation.filename.status).toBe('warning');
+      expect(result.validation.sampleRate.status).toBe('pass');
+      expect(result.status).toBe('warning');
+    });
+
+    it('should validate embedded metadata the preset requires', async () => {
+      const metadata = { bext: { originator: '' }, ixml: null, info: null };
+      mockAudioAnalyzer.analyzeFile.mockResolvedValue({ fileType: 'WAV (PCM)', sampleRate: 48000, metadata });
+      CriteriaValidator.validateResults.mockReturnValue({ fileType: { status: 'pass' } });
+      CriteriaValidator.validateMetadata.mockReturnValue({
+        status: 'fail',
+        message: 'Missing bext.originator',
+        missing: ['bext.originator'],
+        mismatched: []
+      });
+
+      const result = await analyzeAudioFile(mockFile, {
+        analysisMode: 'audio-only',
+        preset: { name: 'Test', requiredMetadata: ['bext.originator'] },
+        presetId: 'test',
+        criteria: mockCriteria
+      });
+
+      expect(CriteriaValidator.validateMetadata).toHaveBeenCalledWith(metadata, expect.objectContaining({ requiredMetadata: ['bext.originator'] }));
+      expect(result.validation.metadata).toEqual({
+        status: 'fail',
+        value: 'Missing bext.originator',
+        issue: 'Missing bext.originator'
+      });
+      expect(result.status).toBe('fail');
+    });
+
     it('should set warning status when validation has warnings', async () => {
       CriteriaValidator.validateResults.mockReturnValue({
         fileType: { status: 'pass' },
@@ -360,6 +459,79 @@ describe('audio-analysis-service', () => {
       expect(result.reverbInfo).toBeDefined();
     });
 
+    it('should pass preset analyzer options to the level analyzer', async () => {
+      const analyzerOptions = { normalization: { TARGET_DB: -3 }, clipping: { HARD_CLIPPING_THRESHOLD: 0.999 } };
+      await analyzeAudioFile(mockFile, {
+        analysisMode: 'experimental',
+        preset: { name: 'Test', analyzerOptions },
+        presetId: 'test',
+        criteria: null
+      });
+
+      expect(LevelAnalyzer).toHaveBeenCalledWith(analyzerOptions);
+    });
+
+    it('should grade sibilance by the preset sibilance rate limits', async () => {
+      await analyzeAudioFile(mockFile, {
+        analysisMode: 'experimental',
+        preset: { name: 'Test', maxSibilanceRateWarning: 15, maxSibilanceRateFail: 40 },
+        presetId: 'test',
+        criteria: null
+      });
+
+      expect(LevelAnalyzer).toHaveBeenCalledWith({
+        sibilance: { SEVERITY_EVENTS_PER_MINUTE: { moderate: 15, severe: 40 } }
+      });
+    });
+
+    it('should fail the file when a preset quality criterion fails', async () => {
+      CriteriaValidator.validateNoiseFloor.mockReturnValue({
+        status: 'fail',
+        message: '-40.0 dB noise floor (-50 dB maximum)',
+        noiseFloorDb: -40
+      });
+
+      const result = await analyzeAudioFile(mockFile, {
+        analysisMode: 'experimental',
+        preset: { name: 'Test', maxNoiseFloorFail: -50 },
+        presetId: 'test',
+        criteria: { fileType: 'WAV' }
+      });
+
+      expect(CriteriaValidator.validateNoiseFloor).toHaveBeenCalledWith(
+        expect.objectContaining({ noiseFloorDb: -60 }),
+        expect.objectContaining({ maxNoiseFloorFail: -50 })
+      );
+      expect(result.validation.noiseFloor).toEqual({
+        status: 'fail',
+        value: '-40.0 dB noise floor (-50 dB maximum)',
+        issue: '-40.0 dB noise floor (-50 dB maximum)'
+      });
+      expect(result.status).toBe('fail');
+    });
+
+    it('should report a preset quality warning without an issue', async () => {
+      CriteriaValidator.validateNoiseFloor.mockReturnValue({
+        status: 'warning',
+        message: '-45.0 dB noise floor (-50 dB warning)',
+        noiseFloorDb: -45
+      });
+
+      const result = await analyzeAudioFile(mockFile, {
+        analysisMode: 'experimental',
+        preset: { name: 'Test', maxNoiseFloorWarning: -50 },
+        presetId: 'test',
+        criteria: { fileType: 'WAV' }
+      });
+
+      expect(result.validation.noiseFloor).toEqual({
+        status: 'warning',
+        value: '-45.0 dB noise floor (-50 dB warning)',
+        issue: undefined
+      });
+      expect(result.status).toBe('warning');
+    });
+
     it('should include stereo separation analysis', async () => {
       const result = await analyzeAudioFile(mockFile, {
         analysisMode: 'experimental',
@@ -449,6 +621,41 @@ describe('audio-analysis-service', () => {
 
       expect(FilenameValidator.validateBilingual).toHaveBeenCalled();
     });
+
+    it('should validate embedded metadata from the WAV header without decoding', async () => {
+      const metadata = { bext: { originator: 'Sound Devices 833' }, ixml: null, info: null };
+      mockFile.slice = vi.fn().mockReturnValue({ arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(64)) });
+      mockAudioAnalyzer.parseWavHeaders = vi.fn().mockReturnValue({ metadata });
+      CriteriaValidator.validateResults.mockReturnValue({});
+      CriteriaValidator.validateMetadata.mockReturnValue({ status: 'pass', message: '1 required metadata field present' });
+
+      const result = await analyzeAudioFile(mockFile, {
+        analysisMode: 'filename-only',
+        preset: { name: 'Test', requiredMetadata: ['bext.originator'] },
+        presetId: 'test',
+        criteria: { fileType: 'WAV' }
+      });
+
+      expect(mockAudioAnalyzer.analyzeFile).not.toHaveBeenCalled();
+      expect(CriteriaValidator.validateMetadata).toHaveBeenCalledWith(metadata, expect.objectContaining({ requiredMetadata: ['bext.originator'] }));
+      expect(result.validation.metadata).toMatchObject({ status: 'pass', value: '1 required metadata field present' });
+    });
+
+    it('should not check metadata of empty placeholder files', async () => {
+      const emptyFile = new File([], 'test.wav', { type: 'audio/wav' });
+      Object.defineProperty(emptyFile, 'size', { value: 0 });
+      CriteriaValidator.validateResults.mockReturnValue({});
+
+      const result = await analyzeAudioFile(emptyFile, {
+        analysisMode: 'filename-only',
+        preset: { name: 'Test', requiredMetadata: ['bext.originator'] },
+        presetId: 'test',
+        criteria: { fileType: 'WAV' }
+      });
+
+      expect(CriteriaValidator.validateMetadata).not.toHaveBeenCalled();
+      expect(result.validation.metadata).toBeUndefined();
+    });
   });
 
   describe('Error Handling', () => {
@@ -465,6 +672,29 @@ describe('audio-analysis-service', () => {
       ).rejects.toThrow('Decode failed');
     });
 
+    it('should cancel a running basic analysis (effective bit depth scan)', async () => {
+      let finish;
+      mockAudioAnalyzer.cancelAnalysis = vi.fn();
+      mockAudioAnalyzer.analyzeFile.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+      const pending = analyzeAudioFile(mockFile, {
+        analysisMode: 'audio-only',
+        preset: { requireEffectiveBitDepth: true },
+        presetId: 'test',
+        criteria: null
+      });
+      cancelCurrentAnalysis();
+      finish({ fileType: 'WAV (PCM)' });
+      await pending;
+
+      expect(mockAudioAnalyzer.analyzeFile).toHaveBeenCalledWith(mockFile, { analyzeBitDepth: true });
+      expect(mockAudioAnalyzer.cancelAnalysis).toHaveBeenCalledTimes(1);
+
+      // Finished analyzers are no longer tracked
+      cancelCurrentAnalysis();
+      expect(mockAudioAnalyzer.cancelAnalysis).toHaveBeenCalledTimes(1);
+    });
+
     it('should handle Blob without filename', async () => {
       const blob = new Blob(['test content'], { type: 'audio/wav' });
 
@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest';
+import { AudioAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+import { createNoise } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for AudioAnalyzer effective bit depth detection
+ *
+ * Test files are PCM WAVs built in memory from integer sample codes:
+ * - 16-bit audio shifted into a 24-bit container: effective depth 16
+ * - Genuine 24-bit audio: effective depth 24
+ * - 16-bit audio scaled by 1.5 after quantization: every third code near zero is missing
+ */
+
+// Deterministic noise scaled to +/- amplitude codes
+function noiseCodes(count, amplitude, seed = 1) {
+  const noise = createNoise(seed);
+  return Array.from({ length: count }, () => Math.round(noise() * amplitude));
+}
+
+function buildWav(codes, bitsPerSample, { channels = 1, sampleRate = 48000, extraChunk = false } = {}) {
+  const bytesPerSample = bitsPerSample / 8;
+  const dataSize = codes.length * bytesPerSample;
+  const extraSize = extraChunk ? 8 + 3 + 1 : 0; // odd-sized chunk plus its pad byte
+  const buffer = new ArrayBuffer(44 + extraSize + dataSize);
+  const view = new DataView(buffer);
+  const writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, bitsPerSample, true);
+
+  let offset = 36;
+  if (extraChunk) {
+    writeId(offset, 'junk');
+    view.setUint32(offset + 4, 3, true);
+    offset += 12;
+  }
+  writeId(offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  codes.forEach((code, i) => {
+    const position = offset + i * bytesPerSample;
+    if (bitsPerSample === 8) view.setUint8(position, code + 128);
+    else if (bitsPerSample === 16) view.setInt16(position, code, true);
+    else if (bitsPerSample === 24) {
+      view.setUint8(position, code & 0xFF);
+      view.setUint8(position + 1, (code >> 8) & 0xFF);
+      view.setInt8(position + 2, code >> 16);
+    } else view.setInt32(position, code, true);
+  });
+
+  return buffer;
+}
+
+describe('AudioAnalyzer - Effective Bit Depth', () => {
+  const analyzer = new AudioAnalyzer();
+  const analyze = (buffer, bits) => analyzer.analyzeEffectiveBitDepth(new DataView(buffer), bits);
+
+  it('should detect 16-bit audio padded into a 24-bit container', async () => {
+    const codes = noiseCodes(48000, 3000).map(code => code * 256);
+    const result = await analyze(buildWav(codes, 24), 24);
+
+    expect(result.conclusive).toBe(true);
+    expect(result.declaredBitDepth).toBe(24);
+    expect(result.effectiveBitDepth).toBe(16);
+    expect(result.unusedBits).toBe(8);
+  });
+
+  it('should report the full depth for genuine 24-bit audio', async () => {
+    const codes = noiseCodes(48000, 3000 * 256);
+    const result = await analyze(buildWav(codes, 24), 24);
+
+    expect(result.effectiveBitDepth).toBe(24);
+    expect(result.unusedBits).toBe(0);
+  });
+
+  it('should read negative 24-bit samples correctly', async () => {
+    const codes = noiseCodes(4000, 100).map(code => -Math.abs(code) * 16 - 16);
+    const result = await analyze(buildWav(codes, 24), 24);
+
+    expect(result.effectiveBitDepth).toBe(20);
+  });
+
+  it('should handle 16-bit and 8-bit files', async () => {
+    expect((await analyze(buildWav(noiseCodes(48000, 3000), 16), 16)).effectiveBitDepth).toBe(16);
+    expect((await analyze(buildWav(noiseCodes(48000, 100), 8), 8)).effectiveBitDepth).toBe(8);
+  });
+
+  it('should detect missing codes from gain applied after quantization', async () => {
+    const codes = noiseCodes(200000, 400).map(code => Math.round(code * 1.5));
+    const result = await analyze(buildWav(codes, 16), 16);
+
+    expect(result.effectiveBitDepth).toBe(16);
+    expect(result.missingCodes.detected).toBe(true);
+    expect(result.missingCodes.percentage).toBeCloseTo(33.3, 0);
+  });
+
+  it('should not report missing codes for a dense histogram', async () => {
+    const result = await analyze(buildWav(noiseCodes(200000, 400), 16), 16);
+
+    expect(result.missingCodes.detected).toBe(false);
+    expect(result.missingCodes.percentage).toBe(0);
+  });
+
+  it('should leave missing codes unjudged when the histogram is too sparse', async () => {
+    const result = await analyze(buildWav(noiseCodes(48000, 3000 * 256), 24), 24);
+
+    expect(result.missingCodes).toBeNull();
+  });
+
+  it('should be inconclusive for digital silence', async () => {
+    const result = await analyze(buildWav(new Array(48000).fill(0), 24), 24);
+
+    expect(result.conclusive).toBe(false);
+    expect(result.effectiveBitDepth).toBeNull();
+  });
+
+  it('should find the data chunk after padded chunks and in partial downloads', async () => {
+    const codes = noiseCodes(48000, 3000).map(code => code * 256);
+    const buffer = buildWav(codes, 24, { extraChunk: true });
+    const result = await analyze(buffer.slice(0, buffer.byteLength / 2), 24);
+
+    expect(result.samplesAnalyzed).toBeLessThan(codes.length);
+    expect(result.effectiveBitDepth).toBe(16);
+  });
+
+  it('should return null for unsupported sample sizes', async () => {
+    expect(await analyze(buildWav(noiseCodes(100, 10), 16), 12)).toBeNull();
+  });
+
+  it('should throw AnalysisCancelledError with bit-depth stage when cancelled', async () => {
+    const cancelledAnalyzer = new AudioAnalyzer();
+    const pending = cancelledAnalyzer.analyzeEffectiveBitDepth(new DataView(buildWav(noiseCodes(48000, 3000), 16)), 16);
+    cancelledAnalyzer.cancelAnalysis();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'bit-depth' });
+  });
+
+  it('should add bitDepthAnalysis to PCM WAV results from analyzeFile when requested', async () => {
+    const buffer = buildWav(noiseCodes(48000, 3000).map(code => code * 256), 24);
+    const file = { name: 'padded.wav', size: buffer.byteLength, arrayBuffer: async () => buffer };
+
+    const result = await analyzer.analyzeFile(file, { analyzeBitDepth: true });
+    expect(result.bitDepth).toBe(24);
+    expect(result.bitDepthAnalysis.effectiveBitDepth).toBe(16);
+
+    expect((await analyzer.analyzeFile(file)).bitDepthAnalysis).toBeUndefined();
+  });
+});
+
+describe('CriteriaValidator - Effective Bit Depth', () => {
+  const padded = { declaredBitDepth: 24, effectiveBitDepth: 16, conclusive: true, missingCodes: null };
+  const genuine = { declaredBitDepth: 24, effectiveBitDepth: 24, conclusive: true, missingCodes: { detected: false, percentage: 0 } };
+
+  it('should skip validation unless the preset requires it', () => {
+    expect(CriteriaValidator.validateEffectiveBitDepth(padded, {})).toBeNull();
+  });
+
+  it('should skip inconclusive analyses', () => {
+    const preset = { requireEffectiveBitDepth: true };
+    expect(CriteriaValidator.validateEffectiveBitDepth({ conclusive: false }, preset)).toBeNull();
+    expect(CriteriaValidator.validateEffectiveBitDepth(undefined, preset)).toBeNull();
+  });
+
+  it('should fail files whose effective depth is below the declared depth', () => {
+    const result = CriteriaValidator.validateEffectiveBitDepth(padded, { requireEffectiveBitDepth: true });
+    expect(result.status).toBe('fail');
+    expect(result.message).toBe('Effective 16-bit in 24-bit container');
+  });
+
+  it('should warn about missing codes and pass clean files', () => {
+    const preset = { requireEffectiveBitDepth: true };
+    const gained = { ...genuine, missingCodes: { detected: true, percentage: 33.3 } };
+
+    expect(CriteriaValidator.validateEffectiveBitDepth(gained, preset).status).toBe('warning');
+    expect(CriteriaValidator.validateEffectiveBitDepth(genuine, preset)).toMatchObject({ status: 'pass', message: '24-bit' });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { AudioAnalyzer, StreamingAudioAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+
+/**
+ * Tests for the WAV chunk walker (AudioAnalyzer.inspectChunks) and truncation detection
+ *
+ * Test files are built in memory from a list of chunks around one second of 8 kHz 16-bit mono
+ * silence, then cut short, padded with trailing bytes or given a wrong RIFF size as a test needs.
+ */
+
+const SAMPLE_RATE = 8000;
+const BYTE_RATE = SAMPLE_RATE * 2;
+
+function fmtChunk() {
+  const body = new DataView(new ArrayBuffer(16));
+  body.setUint16(0, 1, true);
+  body.setUint16(2, 1, true);
+  body.setUint32(4, SAMPLE_RATE, true);
+  body.setUint32(8, BYTE_RATE, true);
+  body.setUint16(12, 2, true);
+  body.setUint16(14, 16, true);
+  return { id: 'fmt ', body: new Uint8Array(body.buffer) };
+}
+
+const dataChunk = (bytes = BYTE_RATE) => ({ id: 'data', body: new Uint8Array(bytes) });
+const textChunk = (id, text) => ({ id, body: new TextEncoder().encode(text) });
+
+/**
+ * Builds a WAV file from `chunks` ({ id, body }). Odd-sized chunks get a pad byte unless `pad` is false.
+ * `truncateBy` cuts bytes off the end, `trailing` appends bytes after the RIFF chunk.
+ */
+function buildWav(chunks = [fmtChunk(), dataChunk()], { pad = true, truncateBy = 0, trailing = 0 } = {}) {
+  const padding = (chunk) => (pad ? chunk.body.length % 2 : 0);
+  const riffSize = 4 + chunks.reduce((sum, chunk) => sum + 8 + chunk.body.length + padding(chunk), 0);
+  const bytes = new Uint8Array(8 + riffSize + trailing);
+  const view = new DataView(bytes.buffer);
+  const writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, riffSize, true);
+  writeId(8, 'WAVE');
+
+  let offset = 12;
+  for (const chunk of chunks) {
+    writeId(offset, chunk.id);
+    view.setUint32(offset + 4, chunk.body.length, true);
+    bytes.set(chunk.body, offset + 8);
+    offset += 8 + chunk.body.length + padding(chunk);
+  }
+  bytes.fill(0xAB, offset);
+
+  return bytes.buffer.slice(0, bytes.length - truncateBy);
+}
+
+const inspect = (buffer, fileSize) => AudioAnalyzer.inspectChunks(new DataView(buffer), fileSize);
+const messages = (integrity) => integrity.issues.map(issue => issue.message);
+
+describe('AudioAnalyzer - Chunk Integrity', () => {
+  it('should list every chunk of a well-formed file', () => {
+    const integrity = inspect(buildWav([
+      fmtChunk(), textChunk('LIST', 'INFOISFT'), textChunk('iXML', '<BWFXML/>'), textChunk('JUNK', 'x'), dataChunk()
+    ]));
+
+    expect(integrity.chunks.map(chunk => chunk.id)).toEqual(['fmt ', 'LIST', 'iXML', 'JUNK', 'data']);
+    expect(integrity.chunks[2]).toMatchObject({ offset: 52, size: 9, padded: true });
+    expect(integrity.chunks[3].offset).toBe(70);
+    expect(integrity).toMatchObject({ complete: true, truncated: false, trailingBytes: 0, issues: [] });
+  });
+
+  it('should detect a data chunk cut off mid-transfer', () => {
+    const integrity = inspect(buildWav(undefined, { truncateBy: BYTE_RATE / 2 }));
+
+    expect(integrity.truncated).toBe(true);
+    expect(integrity.missingBytes).toBe(BYTE_RATE / 2);
+    expect(messages(integrity)).toEqual([
+      `File truncated: 'data' chunk declares ${BYTE_RATE} bytes but only ${BYTE_RATE / 2} are present`
+    ]);
+  });
+
+  it('should check sizes against actualSize for partial downloads', () => {
+    const buffer = buildWav();
+    const partial = buffer.slice(0, 1024);
+
+    expect(inspect(partial, buffer.byteLength)).toMatchObject({ truncated: false, issues: [] });
+    expect(inspect(partial, buffer.byteLength - 100).truncated).toBe(true);
+  });
+
+  it('should report the duration of the audio actually present', async () => {
+    const buffer = buildWav(undefined, { truncateBy: BYTE_RATE / 4 });
+    const result = new AudioAnalyzer().parseWavHeaders(new DataView(buffer));
+
+    expect(result.duration).toBeCloseTo(0.75, 5);
+    expect(result.chunkIntegrity.truncated).toBe(true);
+  });
+
+  it('should report trailing garbage after the RIFF chunk', () => {
+    const integrity = inspect(buildWav(undefined, { trailing: 10 }));
+
+    expect(integrity.trailingBytes).toBe(10);
+    expect(integrity.issues).toEqual([{ severity: 'warning', message: '10 bytes of trailing data after the RIFF chunk' }]);
+  });
+
+  it('should notice odd-sized chunks without a pad byte and keep walking', () => {
+    const integrity = inspect(buildWav([fmtChunk(), textChunk('bext', 'odd'), dataChunk()], { pad: false }));
+
+    expect(integrity.chunks.map(chunk => chunk.id)).toEqual(['fmt ', 'bext', 'data']);
+    expect(integrity.chunks[1].padded).toBe(false);
+    expect(messages(integrity)).toEqual(["Odd-sized 'bext' chunk at offset 36 has no pad byte"]);
+  });
+
+  it('should report malformed ordering', () => {
+    expect(messages(inspect(buildWav([dataChunk(), fmtChunk()]))))
+      .toEqual(["'data' chunk comes before the 'fmt ' chunk"]);
+    expect(messages(inspect(buildWav([fmtChunk(), dataChunk(), dataChunk(2)]))))
+      .toEqual(["2 'data' chunks"]);
+    expect(messages(inspect(buildWav([fmtChunk()])))).toEqual(["No 'data' chunk"]);
+  });
+
+  it('should stop at an invalid chunk ID', () => {
+    const buffer = buildWav();
+    new Uint8Array(buffer).fill(0, 36, 40);
+    const integrity = inspect(buffer);
+
+    expect(integrity.chunks.map(chunk => chunk.id)).toEqual(['fmt ']);
+    expect(messages(integrity)).toEqual(['Invalid chunk ID at offset 36; the chunk list is malformed']);
+  });
+
+  it('should be included in StreamingAudioAnalyzer headers', () => {
+    const buffer = buildWav(undefined, { truncateBy: 100 });
+    const headers = new StreamingAudioAnalyzer().parseWavHeaders(new DataView(buffer), buffer.byteLength);
+
+    expect(headers.chunkIntegrity.truncated).toBe(true);
+  });
+});
+
+describe('CriteriaValidator - Chunk Integrity', () => {
+  const validate = (buffer) => CriteriaValidator.validateResults(
+    { fileType: 'WAV (PCM)', chunkIntegrity: inspect(buffer) }, { fileType: ['wav'] }, true
+  );
+
+  it('should fail truncated files', () => {
+    const entry = validate(buildWav(undefined, { truncateBy: 100 })).chunkIntegrity;
+
+    expect(entry).toMatchObject({ status: 'fail', actual: 'fmt, data' });
+    expect(entry.issue).toContain('File truncated');
+  });
+
+  it('should warn about trailing data', () => {
+    expect(validate(buildWav(undefined, { trailing: 4 })).chunkIntegrity.status).toBe('warning');
+  });
+
+  it('should not add an entry for well-formed files', () => {
+    expect(validate(buildWav()).chunkIntegrity).toBeUndefined();
+  });
+});
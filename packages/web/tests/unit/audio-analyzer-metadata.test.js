@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'vitest';
+import { AudioAnalyzer, StreamingAudioAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+
+/**
+ * Tests for embedded metadata extraction (bext, iXML, LIST/INFO) and preset metadata requirements
+ *
+ * Test files are built in memory: a 48 kHz 16-bit mono fmt chunk, the metadata chunks under test
+ * and a short data chunk.
+ */
+
+const SAMPLE_RATE = 48000;
+
+const encode = (text) => new TextEncoder().encode(text);
+
+function fmtChunk() {
+  const body = new DataView(new ArrayBuffer(16));
+  body.setUint16(0, 1, true);
+  body.setUint16(2, 1, true);
+  body.setUint32(4, SAMPLE_RATE, true);
+  body.setUint32(8, SAMPLE_RATE * 2, true);
+  body.setUint16(12, 2, true);
+  body.setUint16(14, 16, true);
+  return { id: 'fmt ', body: new Uint8Array(body.buffer) };
+}
+
+/** Builds a version 2 bext chunk; `fields` override the text fields, time reference and loudness */
+function bextChunk(fields = {}) {
+  const {
+    description = 'Scene 12 interview', originator = 'Sound Devices 833', originatorReference = 'USSDVABCD1234',
+    originationDate = '2024-03-15', originationTime = '14:30:05', timeReference = SAMPLE_RATE * 3600 * 10,
+    loudness = -2300, codingHistory = 'A=PCM,F=48000,W=16,M=mono\r\n'
+  } = fields;
+  const history = encode(codingHistory);
+  const body = new Uint8Array(602 + history.length);
+  const view = new DataView(body.buffer);
+  body.set(encode(description), 0);
+  body.set(encode(originator), 256);
+  body.set(encode(originatorReference), 288);
+  body.set(encode(originationDate), 320);
+  body.set(encode(originationTime), 330);
+  view.setUint32(338, timeReference % 2 ** 32, true);
+  view.setUint32(342, Math.floor(timeReference / 2 ** 32), true);
+  view.setUint16(346, 2, true);
+  view.setInt16(412, loudness, true);
+  view.setInt16(414, 0x7FFF, true);
+  view.setInt16(416, -100, true);
+  body.set(history, 602);
+  return { id: 'bext', body };
+}
+
+function ixmlChunk() {
+  return {
+    id: 'iXML',
+    body: encode(`<?xml version="1.0" encoding="UTF-8"?>
+<BWFXML>
+  <PROJECT>Harbour &amp; Sons</PROJECT>
+  <SCENE>12A</SCENE>
+  <TAKE>3</TAKE>
+  <TAPE>240315</TAPE>
+  <CIRCLED>TRUE</CIRCLED>
+  <NOTE><![CDATA[Plane overhead at the end]]></NOTE>
+  <SPEED><TIMECODE_RATE>25/1</TIMECODE_RATE><TIMECODE_FLAG>NDF</TIMECODE_FLAG></SPEED>
+  <TRACK_LIST>
+    <TRACK_COUNT>2</TRACK_COUNT>
+    <TRACK><CHANNEL_INDEX>1</CHANNEL_INDEX><NAME>Boom</NAME></TRACK>
+    <TRACK><CHANNEL_INDEX>2</CHANNEL_INDEX><NAME>Lav 1</NAME></TRACK>
+  </TRACK_LIST>
+</BWFXML>`)
+  };
+}
+
+function infoChunk(entries) {
+  const parts = [encode('INFO')];
+  for (const [id, text] of Object.entries(entries)) {
+    const value = encode(`${text}\0`);
+    const header = new DataView(new ArrayBuffer(8));
+    [...id].forEach((c, i) => header.setUint8(i, c.charCodeAt(0)));
+    header.setUint32(4, value.length, true);
+    parts.push(new Uint8Array(header.buffer), value, new Uint8Array(value.length % 2));
+  }
+  const body = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => (body.set(part, offset), offset + part.length), 0);
+  return { id: 'LIST', body };
+}
+
+function buildWav(chunks) {
+  chunks = [fmtChunk(), ...chunks, { id: 'data', body: new Uint8Array(960) }];
+  const riffSize = 4 + chunks.reduce((sum, chunk) => sum + 8 + chunk.body.length + chunk.body.length % 2, 0);
+  const bytes = new Uint8Array(8 + riffSize);
+  const view = new DataView(bytes.buffer);
+  const writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, riffSize, true);
+  writeId(8, 'WAVE');
+  let offset = 12;
+  for (const chunk of chunks) {
+    writeId(offset, chunk.id);
+    view.setUint32(offset + 4, chunk.body.length, true);
+    bytes.set(chunk.body, offset + 8);
+    offset += 8 + chunk.body.length + chunk.body.length % 2;
+  }
+  return bytes.buffer;
+}
+
+const parse = (buffer) => new AudioAnalyzer().parseWavHeaders(new DataView(buffer)).metadata;
+
+describe('AudioAnalyzer - Metadata', () => {
+  it('should read the bext chunk', () => {
+    const { bext } = parse(buildWav([bextChunk()]));
+
+    expect(bext).toMatchObject({
+      description: 'Scene 12 interview',
+      originator: 'Sound Devices 833',
+      originatorReference: 'USSDVABCD1234',
+      originationDate: '2024-03-15',
+      originationTime: '14:30:05',
+      timeReference: SAMPLE_RATE * 36000,
+      timeReferenceSeconds: 36000,
+      version: 2,
+      umid: null,
+      loudnessValue: -23,
+      loudnessRange: null,
+      maxTruePeakLevel: -1,
+      codingHistory: 'A=PCM,F=48000,W=16,M=mono'
+    });
+  });
+
+  it('should read time references beyond 32 bits', () => {
+    const { bext } = parse(buildWav([bextChunk({ timeReference: 2 ** 33 + 5 })]));
+
+    expect(bext.timeReference).toBe(2 ** 33 + 5);
+  });
+
+  it('should read iXML production fields and track names', () => {
+    const { ixml } = parse(buildWav([ixmlChunk()]));
+
+    expect(ixml).toEqual({
+      project: 'Harbour & Sons',
+      scene: '12A',
+      take: '3',
+      tape: '240315',
+      circled: true,
+      note: 'Plane overhead at the end',
+      timecodeRate: '25/1',
+      timecodeFlag: 'NDF',
+      trackNames: ['Boom', 'Lav 1']
+    });
+  });
+
+  it('should read LIST/INFO fields under readable names', () => {
+    const { info } = parse(buildWav([infoChunk({ INAM: 'Take 3', ISFT: 'Lavf60.3.100', IXYZ: 'custom' })]));
+
+    expect(info).toEqual({ title: 'Take 3', software: 'Lavf60.3.100', IXYZ: 'custom' });
+  });
+
+  it('should return null without metadata chunks', () => {
+    expect(parse(buildWav([]))).toBeNull();
+  });
+
+  it('should be included in analyzeFile and StreamingAudioAnalyzer results', async () => {
+    const buffer = buildWav([bextChunk(), ixmlChunk()]);
+    const full = await new AudioAnalyzer().analyzeFile({ name: 'take.wav', size: buffer.byteLength, arrayBuffer: async () => buffer });
+    const headers = new StreamingAudioAnalyzer().parseWavHeaders(new DataView(buffer), buffer.byteLength);
+
+    expect(full.metadata.ixml.scene).toBe('12A');
+    expect(headers.metadata).toEqual(full.metadata);
+  });
+});
+
+describe('CriteriaValidator - Metadata', () => {
+  const metadata = parse(buildWav([bextChunk(), ixmlChunk()]));
+
+  it('should skip presets without metadata requirements', () => {
+    expect(CriteriaValidator.validateMetadata(metadata, { name: 'Test' })).toBeNull();
+  });
+
+  it('should pass when required fields are present and match their patterns', () => {
+    const result = CriteriaValidator.validateMetadata(metadata, {
+      requiredMetadata: ['bext.originator', 'bext.originationDate', 'ixml.trackNames'],
+      metadataPatterns: { 'ixml.scene': '^\\d+[A-Z]?$' }
+    });
+
+    expect(result).toMatchObject({ status: 'pass', message: '4 required metadata fields present' });
+  });
+
+  it('should fail on missing fields and pattern mismatches', () => {
+    const result = CriteriaValidator.validateMetadata(metadata, {
+      requiredMetadata: ['bext.originator', 'info.title', 'ixml.tape'],
+      metadataPatterns: { 'ixml.take': '^\\d{2}$' }
+    });
+
+    expect(result.status).toBe('fail');
+    expect(result.missing).toEqual(['info.title']);
+    expect(result.message).toBe('Missing info.title; ixml.take "3" doesn\'t match ^\\d{2}$');
+  });
+
+  it('should fail a field whose preset pattern is malformed instead of throwing', () => {
+    const result = CriteriaValidator.validateMetadata(metadata, {
+      requiredMetadata: ['bext.originator'],
+      metadataPatterns: { 'ixml.scene': '^(\\d+' }
+    });
+
+    expect(result.status).toBe('fail');
+    expect(result.invalidPatterns).toEqual(['ixml.scene']);
+    expect(result.message).toBe('ixml.scene: invalid pattern in preset (^(\\d+)');
+  });
+
+  it('should fail every required field when the file has no metadata', () => {
+    const result = CriteriaValidator.validateMetadata(null, { requiredMetadata: ['bext.originator'] });
+
+    expect(result).toMatchObject({ status: 'fail', missing: ['bext.originator'] });
+  });
+});
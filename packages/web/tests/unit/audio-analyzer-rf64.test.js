@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import { AudioAnalyzer, StreamingAudioAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+
+/**
+ * Tests for RF64/BW64 (ds64 chunk) parsing and oversized plain-RIFF detection
+ *
+ * Test files are built in memory with one second of 48 kHz 16-bit stereo silence. Files over 4 GB
+ * are simulated as partial downloads: the buffer holds the header and the first second of audio,
+ * while actualSize (and the ds64 sizes) describe the full file.
+ */
+
+const SAMPLE_RATE = 48000;
+const BYTE_RATE = SAMPLE_RATE * 2 * 2;
+const SIX_GB = 6 * 2 ** 30;
+
+/**
+ * Builds a WAV file with a `format` of 'RIFF', 'RF64' or 'BW64'. RF64/BW64 files get a ds64 chunk
+ * carrying `ds64DataSize` (the real data size by default) and 0xFFFFFFFF in the 32-bit size fields.
+ */
+function buildWav({ format = 'RIFF', ds64 = format !== 'RIFF', ds64DataSize = BYTE_RATE } = {}) {
+  const ds64Size = ds64 ? 8 + 28 : 0;
+  const buffer = new ArrayBuffer(12 + ds64Size + 8 + 16 + 8 + BYTE_RATE);
+  const view = new DataView(buffer);
+  const writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  const writeUint64 = (offset, value) => {
+    view.setUint32(offset, value % 2 ** 32, true);
+    view.setUint32(offset + 4, Math.floor(value / 2 ** 32), true);
+  };
+  const large = format !== 'RIFF';
+
+  writeId(0, format);
+  view.setUint32(4, large ? 0xFFFFFFFF : buffer.byteLength - 8, true);
+  writeId(8, 'WAVE');
+
+  let offset = 12;
+  if (ds64) {
+    writeId(offset, 'ds64');
+    view.setUint32(offset + 4, 28, true);
+    writeUint64(offset + 8, buffer.byteLength - BYTE_RATE + ds64DataSize - 8);
+    writeUint64(offset + 16, ds64DataSize);
+    writeUint64(offset + 24, ds64DataSize / 4);
+    view.setUint32(offset + 32, 0, true);
+    offset += ds64Size;
+  }
+
+  writeId(offset, 'fmt ');
+  view.setUint32(offset + 4, 16, true);
+  view.setUint16(offset + 8, 1, true);
+  view.setUint16(offset + 10, 2, true);
+  view.setUint32(offset + 12, SAMPLE_RATE, true);
+  view.setUint32(offset + 16, BYTE_RATE, true);
+  view.setUint16(offset + 20, 4, true);
+  view.setUint16(offset + 22, 16, true);
+  offset += 24;
+
+  writeId(offset, 'data');
+  view.setUint32(offset + 4, large ? 0xFFFFFFFF : BYTE_RATE, true);
+
+  return buffer;
+}
+
+const analyzeFile = (buffer, actualSize) => new AudioAnalyzer().analyzeFile({
+  name: 'take.wav',
+  size: buffer.byteLength,
+  actualSize,
+  arrayBuffer: async () => buffer
+});
+
+describe('AudioAnalyzer - RF64/BW64', () => {
+  it('should read RF64 files through their ds64 chunk', async () => {
+    const result = await analyzeFile(buildWav({ format: 'RF64' }));
+
+    expect(result.fileType).toBe('WAV (PCM)');
+    expect(result.sampleRate).toBe(SAMPLE_RATE);
+    expect(result.duration).toBeCloseTo(1, 5);
+    expect(result.container).toMatchObject({ format: 'RF64', dataSize: BYTE_RATE, oversized: false, issues: [] });
+  });
+
+  it('should take the duration of a BW64 file over 4 GB from ds64', async () => {
+    const buffer = buildWav({ format: 'BW64', ds64DataSize: SIX_GB });
+    const result = await analyzeFile(buffer, buffer.byteLength - BYTE_RATE + SIX_GB);
+
+    expect(result.duration).toBeCloseTo(SIX_GB / BYTE_RATE, 5);
+    expect(result.container).toMatchObject({ format: 'BW64', dataSize: SIX_GB, oversized: false, issues: [] });
+    expect(result.container.riffSize).toBe(result.fileSize - 8);
+  });
+
+  it('should flag plain RIFF files over 4 GB and measure their audio from the file size', async () => {
+    const buffer = buildWav();
+    const fileSize = buffer.byteLength - BYTE_RATE + SIX_GB;
+    const result = await analyzeFile(buffer, fileSize);
+
+    expect(result.container.oversized).toBe(true);
+    expect(result.container.issues[0]).toContain('plain RIFF header');
+    expect(result.duration).toBeCloseTo(SIX_GB / BYTE_RATE, 5);
+  });
+
+  it('should flag RF64 files without a ds64 chunk', async () => {
+    const result = await analyzeFile(buildWav({ format: 'RF64', ds64: false }));
+
+    expect(result.container.issues).toEqual(['RF64 file has no ds64 chunk']);
+  });
+
+  it('should recognize RF64 and BW64 magic numbers as WAV', () => {
+    const analyzer = new AudioAnalyzer();
+
+    expect(analyzer.detectFileTypeFromHeader(new DataView(buildWav({ format: 'RF64' })))).toBe('WAV');
+    expect(analyzer.detectFileTypeFromHeader(new DataView(buildWav({ format: 'BW64' })))).toBe('WAV');
+  });
+});
+
+describe('StreamingAudioAnalyzer - RF64/BW64', () => {
+  const streaming = new StreamingAudioAnalyzer();
+
+  it('should take the duration from ds64 instead of the file size', () => {
+    const buffer = buildWav({ format: 'BW64', ds64DataSize: SIX_GB });
+    const headers = streaming.parseWavHeaders(new DataView(buffer), buffer.byteLength - BYTE_RATE + SIX_GB);
+
+    expect(headers.formatType).toBe('WAV (PCM)');
+    expect(headers.duration).toBeCloseTo(SIX_GB / BYTE_RATE, 5);
+    expect(headers.container.format).toBe('BW64');
+  });
+
+  it('should flag plain RIFF files over 4 GB', () => {
+    const buffer = buildWav();
+    const headers = streaming.parseWavHeaders(new DataView(buffer), buffer.byteLength - BYTE_RATE + SIX_GB);
+
+    expect(headers.container.oversized).toBe(true);
+  });
+});
+
+describe('CriteriaValidator - RF64/BW64', () => {
+  it('should fail oversized plain RIFF files as non-compliant, even in metadata-only mode', () => {
+    const results = {
+      fileType: 'WAV (PCM)',
+      container: { format: 'RIFF', oversized: true, issues: ['File is 6.00 GB but uses a plain RIFF header'] }
+    };
+    const validation = CriteriaValidator.validateResults(results, { fileType: ['wav'] }, true);
+
+    expect(validation.fileType.status).toBe('pass');
+    expect(validation.container).toMatchObject({ status: 'fail', actual: 'RIFF' });
+    expect(validation.container.issue).toContain('plain RIFF header');
+  });
+
+  it('should not add a container entry for compliant files', () => {
+    const results = { fileType: 'WAV (PCM)', container: { format: 'RF64', oversized: false, issues: [] } };
+
+    expect(CriteriaValidator.validateResults(results, { fileType: ['wav'] }).container).toBeUndefined();
+  });
+});
@@ -0,0 +1,376 @@
+import { describe, it, expect } from 'vitest';
+import { AudioAnalyzer, StreamingAudioAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+
+/**
+ * Tests for header-level stream info of compressed formats (AudioAnalyzer.parseStreamInfo) and the
+ * minimum bitrate criterion
+ *
+ * Test files are built in memory: a FLAC STREAMINFO and VORBIS_COMMENT, MPEG-1 Layer III frames with
+ * Xing/LAME or VBRI headers, MP4 box trees with an mp4a/esds or alac sample entry, and Ogg pages with
+ * Opus or Vorbis identification headers. Audio payloads are zero bytes; where a test needs a file
+ * longer than the buffer, the full size is passed separately as with a partial download.
+ */
+
+const encode = (text) => new TextEncoder().encode(text);
+
+function concat(...parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => (bytes.set(part, offset), offset + part.length), 0);
+  return bytes;
+}
+
+/** Bytes from a list of [setter, value] fields written big-endian (or as text) in order */
+function fields(...entries) {
+  const sizes = { u8: 1, u16: 2, u24: 3, u32: 4 };
+  const parts = entries.map(([type, value]) => {
+    if (type === 'text') return encode(value);
+    if (type === 'zero') return new Uint8Array(value);
+    const bytes = new Uint8Array(sizes[type]);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = (value / 2 ** (8 * (bytes.length - 1 - i))) & 0xFF;
+    }
+    return bytes;
+  });
+  return concat(...parts);
+}
+
+const parse = (bytes, fileSize) => AudioAnalyzer.parseStreamInfo(new DataView(bytes.buffer), fileSize);
+
+// FLAC
+
+function buildFlac({ sampleRate = 48000, channels = 2, bitDepth = 24, totalSamples = 480000, audioBytes = 1000 } = {}) {
+  const packed = (sampleRate * 2 ** 12) + ((channels - 1) << 9) + ((bitDepth - 1) << 4) + Math.floor(totalSamples / 2 ** 32);
+  const streamInfo = fields(
+    ['u16', 4096], ['u16', 4096], ['u24', 0], ['u24', 0], ['u32', packed], ['u32', totalSamples % 2 ** 32], ['zero', 16]
+  );
+  const vendor = encode('reference libFLAC 1.4.3 20230623');
+  const comment = new Uint8Array(8 + vendor.length);
+  new DataView(comment.buffer).setUint32(0, vendor.length, true);
+  comment.set(vendor, 4);
+
+  return concat(
+    encode('fLaC'),
+    fields(['u8', 0], ['u24', streamInfo.length]), streamInfo,
+    fields(['u8', 0x84], ['u24', comment.length]), comment,
+    new Uint8Array(audioBytes)
+  );
+}
+
+// MP3: MPEG-1 Layer III, 44.1 kHz, 128 kbps (417-byte frames without padding)
+
+const MP3_FRAME = 417;
+const MP3_SAMPLE_RATE = 44100;
+
+/** A frame whose body starts with `tag` (a Xing/Info or VBRI header) after `tagOffset` bytes */
+function mp3Frame({ mono = false, tag = null, tagOffset = mono ? 17 : 32 } = {}) {
+  const frame = new Uint8Array(MP3_FRAME);
+  frame.set([0xFF, 0xFB, 0x90, mono ? 0xC0 : 0x00]);
+  if (tag) frame.set(tag, 4 + tagOffset);
+  return frame;
+}
+
+function xingTag({ id = 'Xing', frames, bytes, lame = null }) {
+  const tag = fields(['text', id], ['u32', 0x0F], ['u32', frames], ['u32', bytes], ['zero', 100], ['u32', 0]);
+  if (!lame) return tag;
+  // LAME version, VBR method, lowpass, peak, gains, flags, bitrate, then encoder delay/padding (12 bits each)
+  return concat(tag, fields(
+    ['text', 'LAME3.100'], ['u8', lame.method], ['zero', 11], ['u24', lame.delay * 4096 + lame.padding], ['zero', 12]
+  ));
+}
+
+function buildMp3({ first = mp3Frame(), frames = 4, id3Size = 0, id3v1 = false } = {}) {
+  const parts = [];
+  if (id3Size > 0) {
+    parts.push(fields(['text', 'ID3'], ['u8', 4], ['u8', 0], ['u8', 0]), fields(
+      ['u8', (id3Size >> 21) & 0x7F], ['u8', (id3Size >> 14) & 0x7F], ['u8', (id3Size >> 7) & 0x7F], ['u8', id3Size & 0x7F]
+    ), new Uint8Array(id3Size));
+  }
+  parts.push(first);
+  for (let i = 1; i < frames; i++) parts.push(mp3Frame());
+  if (id3v1) parts.push(concat(encode('TAG'), new Uint8Array(125)));
+  return concat(...parts);
+}
+
+// MP4
+
+function box(type, ...children) {
+  const body = concat(...children);
+  return concat(fields(['u32', 8 + body.length], ['text', type]), body);
+}
+
+function audioSampleEntry(format, { channels = 2, sampleSize = 16, sampleRate = 48000 }, ...children) {
+  return box(format, fields(
+    ['zero', 6], ['u16', 1], ['u16', 0], ['u16', 0], ['u32', 0],
+    ['u16', channels], ['u16', sampleSize], ['u16', 0], ['u16', 0], ['u32', sampleRate * 2 ** 16]
+  ), ...children);
+}
+
+/** esds with an AAC AudioSpecificConfig (object type 2 = LC, 5 = HE-AAC; frequency index 3 = 48 kHz) */
+function esds({ objectType = 2, frequencyIndex = 3, channelConfig = 2, avgBitrate = 256000, maxBitrate = 320000 } = {}) {
+  const asc = fields(['u16', (objectType << 11) | (frequencyIndex << 7) | (channelConfig << 3)]);
+  const decoderSpecific = concat(fields(['u8', 0x05], ['u8', asc.length]), asc);
+  const decoderConfig = concat(fields(
+    ['u8', 0x04], ['u8', 13 + decoderSpecific.length], ['u8', 0x40], ['u8', 0x15], ['u24', 0],
+    ['u32', maxBitrate], ['u32', avgBitrate]
+  ), decoderSpecific);
+  const es = concat(fields(['u8', 0x03], ['u8', 3 + decoderConfig.length + 3], ['u16', 1], ['u8', 0]), decoderConfig,
+    fields(['u8', 0x06], ['u8', 1], ['u8', 0x02]));
+  return box('esds', fields(['u32', 0]), es);
+}
+
+function alacConfig({ bitDepth = 24, channels = 2, avgBitrate = 2000000, sampleRate = 96000 } = {}) {
+  return box('alac', fields(
+    ['u32', 0], ['u32', 4096], ['u8', 0], ['u8', bitDepth], ['u8', 40], ['u8', 10], ['u8', 14],
+    ['u8', channels], ['u16', 255], ['u32', 0], ['u32', avgBitrate], ['u32', sampleRate]
+  ));
+}
+
+function buildMp4(sampleEntry, { timescale = 48000, duration = 48000 * 180, mdatBytes = 64 } = {}) {
+  const mdhd = box('mdhd', fields(['u32', 0], ['u32', 0], ['u32', 0], ['u32', timescale], ['u32', duration], ['u32', 0]));
+  const hdlr = box('hdlr', fields(['u32', 0], ['u32', 0], ['text', 'soun'], ['zero', 13]));
+  const stsd = box('stsd', fields(['u32', 0], ['u32', 1]), sampleEntry);
+  const moov = box('moov', box('trak', box('tkhd', new Uint8Array(84)),
+    box('mdia', mdhd, hdlr, box('minf', box('stbl', stsd))))
+  );
+  return concat(box('ftyp', fields(['text', 'M4A '], ['u32', 0], ['text', 'isomM4A '])), moov, box('mdat', new Uint8Array(mdatBytes)));
+}
+
+// Ogg
+
+function oggPage(packet, { granule = 0, serial = 0x1234, sequence = 0, headerType = 0 } = {}) {
+  const header = new Uint8Array(28);
+  const view = new DataView(header.buffer);
+  header.set(encode('OggS'));
+  view.setUint8(5, headerType);
+  view.setUint32(6, granule % 2 ** 32, true);
+  view.setUint32(10, Math.floor(granule / 2 ** 32), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  view.setUint8(26, 1);
+  view.setUint8(27, packet.length);
+  return concat(header, packet);
+}
+
+function buildOpus({ preSkip = 312, seconds = 5 } = {}) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(encode('OpusHead'));
+  view.setUint8(8, 1);
+  view.setUint8(9, 2);
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, 44100, true);
+  const vendor = encode('libopus 1.4');
+  const tags = concat(encode('OpusTags'), new Uint8Array(new Uint32Array([vendor.length]).buffer), vendor, new Uint8Array(4));
+
+  return concat(
+    oggPage(head, { headerType: 2 }),
+    oggPage(tags, { sequence: 1 }),
+    oggPage(new Uint8Array(200), { sequence: 2, granule: preSkip + 48000 * seconds / 2 }),
+    oggPage(new Uint8Array(200), { sequence: 3, granule: preSkip + 48000 * seconds, headerType: 4 })
+  );
+}
+
+function buildVorbis({ nominal = 160000 } = {}) {
+  const ident = new Uint8Array(30);
+  const view = new DataView(ident.buffer);
+  ident.set([0x01, ...encode('vorbis')]);
+  view.setUint8(11, 2);
+  view.setUint32(12, 44100, true);
+  view.setInt32(20, nominal, true);
+  return oggPage(ident, { headerType: 2 });
+}
+
+describe('AudioAnalyzer - Stream Info: FLAC', () => {
+  it('should read STREAMINFO and the encoder from VORBIS_COMMENT', () => {
+    const bytes = buildFlac();
+    const info = parse(bytes, bytes.length + 1439000);
+
+    expect(info).toMatchObject({
+      format: 'FLAC',
+      codec: 'FLAC',
+      sampleRate: 48000,
+      channels: 2,
+      bitDepth: 24,
+      duration: 10,
+      durationExact: true,
+      encoder: 'reference libFLAC 1.4.3 20230623'
+    });
+    expect(info.bitrate).toBeCloseTo(1440000 * 8 / 10 / 1000, 5);
+  });
+
+  it('should read total sample counts beyond 32 bits', () => {
+    expect(parse(buildFlac({ sampleRate: 192000, totalSamples: 2 ** 32 + 192000 })).duration)
+      .toBeCloseTo((2 ** 32 + 192000) / 192000, 5);
+  });
+
+  it('should leave the duration unknown when STREAMINFO has no sample count', () => {
+    expect(parse(buildFlac({ totalSamples: 0 }))).toMatchObject({ duration: null, durationExact: false, bitrate: null });
+  });
+});
+
+describe('AudioAnalyzer - Stream Info: MP3', () => {
+  it('should take the exact length from a Xing header and encoder delay/padding from LAME', () => {
+    const tag = xingTag({ frames: 1000, bytes: 600000, lame: { method: 4, delay: 576, padding: 1000 } });
+    const info = parse(buildMp3({ first: mp3Frame({ tag }) }), 600000);
+
+    expect(info).toMatchObject({
+      format: 'MP3', codec: 'MP3', sampleRate: MP3_SAMPLE_RATE, channels: 2,
+      bitDepth: null, bitrateMode: 'VBR', durationExact: true, encoder: 'LAME3.100'
+    });
+    expect(info.duration).toBeCloseTo((1000 * 1152 - 1576) / MP3_SAMPLE_RATE, 6);
+    expect(info.bitrate).toBeCloseTo(600000 * 8 / (1000 * 1152 / MP3_SAMPLE_RATE) / 1000, 6);
+  });
+
+  it('should report CBR for LAME Info headers', () => {
+    const tag = xingTag({ id: 'Info', frames: 1000, bytes: MP3_FRAME * 1000, lame: { method: 1, delay: 576, padding: 0 } });
+    const info = parse(buildMp3({ first: mp3Frame({ tag }) }));
+
+    expect(info).toMatchObject({ bitrateMode: 'CBR', bitrate: 128, durationExact: true });
+  });
+
+  it('should find the Xing header after mono side information', () => {
+    const tag = xingTag({ frames: 500, bytes: 100000 });
+    const info = parse(buildMp3({ first: mp3Frame({ mono: true, tag }) }));
+
+    expect(info).toMatchObject({ channels: 1, bitrateMode: 'VBR', encoder: null });
+    expect(info.duration).toBeCloseTo(500 * 1152 / MP3_SAMPLE_RATE, 6);
+  });
+
+  it('should read VBRI headers', () => {
+    const vbri = fields(['text', 'VBRI'], ['u16', 1], ['u16', 0], ['u16', 75], ['u32', 400000], ['u32', 800]);
+    const info = parse(buildMp3({ first: mp3Frame({ tag: vbri, tagOffset: 32 }) }));
+
+    expect(info).toMatchObject({ bitrateMode: 'VBR', durationExact: true });
+    expect(info.duration).toBeCloseTo(800 * 1152 / MP3_SAMPLE_RATE, 6);
+  });
+
+  it('should estimate CBR length from the file size, past ID3 tags', () => {
+    const bytes = buildMp3({ id3Size: 300, frames: 10, id3v1: true });
+    const info = parse(bytes);
+
+    expect(info).toMatchObject({ bitrate: 128, bitrateMode: 'CBR', durationExact: false });
+    expect(info.duration).toBeCloseTo(10 * MP3_FRAME * 8 / 128000, 6);
+  });
+
+  it('should not mistake stray sync bytes for a frame', () => {
+    const bytes = buildMp3({ id3Size: 20 });
+    bytes.set([0xFF, 0xFB, 0x90, 0x00], 15); // Inside the ID3 tag, skipped
+    bytes.set([0xFF, 0xFF], 30); // Not followed by a frame
+
+    expect(parse(bytes).duration).toBeGreaterThan(0);
+    expect(parse(new Uint8Array(64).fill(0xFF))).toBeNull();
+  });
+});
+
+describe('AudioAnalyzer - Stream Info: MP4', () => {
+  it('should read the codec and bitrate from esds and the length from mdhd', () => {
+    const info = parse(buildMp4(audioSampleEntry('mp4a', {}, esds())));
+
+    expect(info).toMatchObject({
+      format: 'MP4', codec: 'AAC LC', sampleRate: 48000, channels: 2, bitDepth: null,
+      bitrate: 256, bitrateMode: 'VBR', duration: 180, durationExact: true
+    });
+  });
+
+  it('should name HE-AAC and take the AudioSpecificConfig sample rate', () => {
+    const entry = audioSampleEntry('mp4a', { sampleRate: 22050 }, esds({ objectType: 5, frequencyIndex: 4, avgBitrate: 64000, maxBitrate: 64000 }));
+    const info = parse(buildMp4(entry));
+
+    expect(info).toMatchObject({ codec: 'HE-AAC', sampleRate: 44100, bitrate: 64, bitrateMode: 'CBR' });
+  });
+
+  it('should read the bit depth of ALAC', () => {
+    const info = parse(buildMp4(audioSampleEntry('alac', { sampleRate: 0 }, alacConfig()), { timescale: 96000, duration: 96000 * 60 }));
+
+    expect(info).toMatchObject({ codec: 'ALAC', bitDepth: 24, sampleRate: 96000, channels: 2, bitrate: 2000, duration: 60 });
+  });
+
+  it('should work out the bitrate from mdat without esds bitrates', () => {
+    const entry = audioSampleEntry('mp4a', {}, esds({ avgBitrate: 0, maxBitrate: 0 }));
+    const info = parse(buildMp4(entry, { timescale: 1000, duration: 2000, mdatBytes: 32000 }));
+
+    expect(info).toMatchObject({ bitrate: 128, bitrateMode: null });
+  });
+
+  it('should return null when moov is past the downloaded part', () => {
+    const bytes = concat(box('ftyp', fields(['text', 'M4A '], ['u32', 0])), box('mdat', new Uint8Array(64)));
+
+    expect(parse(bytes, bytes.length + 100000)).toBeNull();
+  });
+});
+
+describe('AudioAnalyzer - Stream Info: Ogg', () => {
+  it('should read OpusHead and the length from the last granule position', () => {
+    const bytes = buildOpus();
+    const info = parse(bytes);
+
+    expect(info).toMatchObject({
+      format: 'Ogg', codec: 'Opus', sampleRate: 48000, channels: 2, bitDepth: null,
+      duration: 5, durationExact: true, encoder: 'libopus 1.4'
+    });
+    expect(info.bitrate).toBeCloseTo(bytes.length * 8 / 5 / 1000, 6);
+  });
+
+  it('should estimate Vorbis length from the nominal bitrate in partial downloads', () => {
+    const info = parse(buildVorbis(), 2000000);
+
+    expect(info).toMatchObject({ codec: 'Vorbis', sampleRate: 44100, channels: 2, bitrate: 160, durationExact: false });
+    expect(info.duration).toBeCloseTo(2000000 * 8 / 160000, 6);
+  });
+});
+
+describe('AudioAnalyzer - Stream Info integration', () => {
+  const analyzer = new AudioAnalyzer();
+
+  it('should report the real bit depth of lossless files and label lossy ones', () => {
+    expect(analyzer.estimateBitDepth(buildFlac({ bitDepth: 16 }).buffer, 'take.flac', 'FLAC')).toBe(16);
+    expect(analyzer.estimateBitDepth(buildOpus().buffer, 'take.opus', 'OPUS')).toBe('Compressed (variable)');
+  });
+
+  it('should fill header-only results for non-WAV files', async () => {
+    const bytes = buildFlac();
+    const results = await analyzer.analyzeFileHeaders(bytes.buffer, 'take.flac', bytes.length);
+
+    expect(results).toMatchObject({ fileType: 'FLAC', sampleRate: 48000, channels: 2, bitDepth: 24, duration: 10 });
+    expect(results.streamInfo.encoder).toContain('libFLAC');
+  });
+
+  it('should use the stream info in StreamingAudioAnalyzer', async () => {
+    const bytes = buildMp4(audioSampleEntry('mp4a', {}, esds()));
+    const file = {
+      name: 'take.m4a',
+      size: bytes.length,
+      slice: (start, end) => ({ arrayBuffer: async () => bytes.buffer.slice(start, end) })
+    };
+    const headers = await new StreamingAudioAnalyzer().analyzeHeaders(file);
+
+    expect(headers).toMatchObject({ fileType: 'M4A', sampleRate: 48000, bitDepth: 'Compressed (variable)', duration: 180, bitrate: 256 });
+  });
+});
+
+describe('CriteriaValidator - Bitrate', () => {
+  const validate = (bitrate) => CriteriaValidator.validateResults({ fileType: 'MP3', bitrate }, { minBitrate: '192' }).bitrate;
+
+  it('should pass at or above the minimum', () => {
+    expect(validate(191.6)).toMatchObject({ status: 'pass', target: '192 kbps minimum', actual: 192 });
+  });
+
+  it('should fail below the minimum', () => {
+    expect(validate(128)).toMatchObject({ status: 'fail', actual: 128 });
+  });
+
+  it('should warn when the bitrate is unknown', () => {
+    expect(validate('Unknown')).toMatchObject({ status: 'warning', actual: 'Unknown' });
+  });
+
+  it('should not add an entry without a minimum', () => {
+    expect(CriteriaValidator.validateResults({ bitrate: 64 }, {}).bitrate).toBeUndefined();
+  });
+
+  it('should check header bitrates in metadata-only validation', () => {
+    const criteria = { minBitrate: '192' };
+    expect(CriteriaValidator.validateResults({ fileType: 'MP3', bitrate: 128 }, criteria, true).bitrate)
+      .toMatchObject({ status: 'fail', actual: 128 });
+    expect(CriteriaValidator.validateResults({ fileType: 'MP3' }, criteria, true).bitrate).toBeUndefined();
+  });
+});
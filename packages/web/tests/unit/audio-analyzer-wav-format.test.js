@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import { AudioAnalyzer, StreamingAudioAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+import { createNoise } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for WAV fmt chunk parsing: plain PCM, IEEE float and WAVE_FORMAT_EXTENSIBLE
+ *
+ * Test files are built in memory with one second of 48 kHz stereo noise. Extensible files carry
+ * a KSDATAFORMAT sub-format GUID (PCM or IEEE float), valid bits per sample and a channel mask.
+ */
+
+const SAMPLE_RATE = 48000;
+const KSDATAFORMAT_PCM = 1;
+const KSDATAFORMAT_IEEE_FLOAT = 3;
+
+/**
+ * Builds a WAV file. `formatTag` 0xFFFE writes the 40-byte extensible fmt chunk with the given
+ * sub-format tag (or a custom GUID tail), valid bits and channel mask.
+ */
+function buildWav({
+  formatTag = 1, bitsPerSample = 16, validBits = bitsPerSample, subFormat = KSDATAFORMAT_PCM,
+  guidTail = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71],
+  channels = 2, channelMask = 0x3, seconds = 1
+} = {}) {
+  const extensible = formatTag === 0xFFFE;
+  const fmtSize = extensible ? 40 : (formatTag === 3 ? 18 : 16);
+  const bytesPerSample = bitsPerSample / 8;
+  const frames = seconds * SAMPLE_RATE;
+  const dataSize = frames * channels * bytesPerSample;
+  const buffer = new ArrayBuffer(12 + 8 + fmtSize + 8 + dataSize);
+  const view = new DataView(buffer);
+  const writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, formatTag, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, SAMPLE_RATE, true);
+  view.setUint32(28, SAMPLE_RATE * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, bitsPerSample, true);
+  if (extensible) {
+    view.setUint16(36, 22, true);
+    view.setUint16(38, validBits, true);
+    view.setUint32(40, channelMask, true);
+    view.setUint16(44, subFormat, true);
+    guidTail.forEach((byte, i) => view.setUint8(46 + i, byte));
+  }
+
+  let offset = 20 + fmtSize;
+  writeId(offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  // Float samples, or integers with only the top `validBits` bits used
+  const noise = createNoise();
+  const isFloat = formatTag === 3 || (extensible && subFormat === KSDATAFORMAT_IEEE_FLOAT);
+  for (let i = 0; i < frames * channels; i++) {
+    const position = offset + i * bytesPerSample;
+    const value = 0.5 * noise();
+    if (isFloat) {
+      view.setFloat32(position, value, true);
+      continue;
+    }
+    const code = Math.round(value * 2 ** (validBits - 1)) * 2 ** (bitsPerSample - validBits);
+    if (bitsPerSample === 16) view.setInt16(position, code, true);
+    else if (bitsPerSample === 24) {
+      view.setUint8(position, code & 0xFF);
+      view.setUint8(position + 1, (code >> 8) & 0xFF);
+      view.setInt8(position + 2, code >> 16);
+    } else view.setInt32(position, code, true);
+  }
+
+  return buffer;
+}
+
+const analyzeFile = (buffer, options) => new AudioAnalyzer().analyzeFile({
+  name: 'take.wav',
+  size: buffer.byteLength,
+  arrayBuffer: async () => buffer
+}, options);
+
+describe('AudioAnalyzer - WAV Format', () => {
+  it('should report plain PCM as before', async () => {
+    const result = await analyzeFile(buildWav({ bitsPerSample: 24 }));
+
+    expect(result.fileType).toBe('WAV (PCM)');
+    expect(result.bitDepth).toBe(24);
+    expect(result.duration).toBeCloseTo(1, 5);
+    expect(result.wavFormat).toMatchObject({ formatTag: 1, sampleFormat: 'pcm', extensible: false, channelMask: null });
+  });
+
+  it('should report IEEE float files as uncompressed float', async () => {
+    const result = await analyzeFile(buildWav({ formatTag: 3, bitsPerSample: 32 }));
+
+    expect(result.fileType).toBe('WAV (IEEE Float)');
+    expect(result.bitDepth).toBe(32);
+    expect(result.wavFormat.sampleFormat).toBe('float');
+    expect(result.bitDepthAnalysis).toBeUndefined();
+  });
+
+  it('should read the sub-format, valid bits and channel mask of extensible PCM', async () => {
+    const result = await analyzeFile(buildWav({ formatTag: 0xFFFE, bitsPerSample: 32, validBits: 24 }));
+
+    expect(result.fileType).toBe('WAV (PCM)');
+    expect(result.bitDepth).toBe(24);
+    expect(result.duration).toBeCloseTo(1, 5);
+    expect(result.wavFormat).toMatchObject({
+      formatTag: 0xFFFE,
+      audioFormat: 1,
+      extensible: true,
+      subFormat: '00000001-0000-0010-8000-00aa00389b71',
+      containerBitDepth: 32,
+      validBitDepth: 24,
+      channelMask: 3,
+      speakerPositions: ['FL', 'FR']
+    });
+  });
+
+  it('should check the effective bit depth of extensible PCM against its valid bits', async () => {
+    const result = await analyzeFile(
+      buildWav({ formatTag: 0xFFFE, bitsPerSample: 32, validBits: 24 }), { analyzeBitDepth: true }
+    );
+
+    expect(result.bitDepthAnalysis).toMatchObject({ declaredBitDepth: 24, effectiveBitDepth: 24 });
+  });
+
+  it('should read extensible IEEE float', async () => {
+    const result = await analyzeFile(buildWav({
+      formatTag: 0xFFFE, bitsPerSample: 32, subFormat: KSDATAFORMAT_IEEE_FLOAT, channels: 6, channelMask: 0x3F
+    }));
+
+    expect(result.fileType).toBe('WAV (IEEE Float)');
+    expect(result.channels).toBe(6);
+    expect(result.wavFormat.speakerPositions).toEqual(['FL', 'FR', 'FC', 'LFE', 'BL', 'BR']);
+  });
+
+  it('should still flag extensible files with a non-standard sub-format', async () => {
+    const result = await analyzeFile(buildWav({ formatTag: 0xFFFE, guidTail: new Array(14).fill(0x11) }));
+
+    expect(result.fileType).toBe('WAV (Compressed - Format 65534)');
+    expect(result.wavFormat.subFormat).toBe('11110001-1111-1111-1111-111111111111');
+  });
+});
+
+describe('StreamingAudioAnalyzer - WAV Format', () => {
+  const streaming = new StreamingAudioAnalyzer();
+  const parse = (buffer) => streaming.parseWavHeaders(new DataView(buffer), buffer.byteLength);
+
+  it('should agree with AudioAnalyzer on format, bit depth and channel layout', async () => {
+    const files = [
+      buildWav({ bitsPerSample: 24 }),
+      buildWav({ formatTag: 3, bitsPerSample: 32 }),
+      buildWav({ formatTag: 0xFFFE, bitsPerSample: 32, validBits: 24 }),
+      buildWav({ formatTag: 0xFFFE, bitsPerSample: 32, subFormat: KSDATAFORMAT_IEEE_FLOAT })
+    ];
+
+    for (const buffer of files) {
+      const full = await analyzeFile(buffer);
+      const headers = parse(buffer);
+
+      expect(headers.formatType).toBe(full.fileType);
+      expect(headers.bitDepth).toBe(full.bitDepth);
+      expect(headers.wavFormat).toEqual(full.wavFormat);
+    }
+  });
+});
+
+describe('CriteriaValidator - WAV Format', () => {
+  it('should accept float and extensible PCM as WAV', () => {
+    expect(CriteriaValidator.matchesFileType('WAV (IEEE Float)', 'wav').status).toBe('pass');
+    expect(CriteriaValidator.matchesFileType('WAV (PCM)', 'wav').status).toBe('pass');
+    expect(CriteriaValidator.matchesFileType('WAV (Compressed - Format 2)', 'wav').status).toBe('warning');
+  });
+});
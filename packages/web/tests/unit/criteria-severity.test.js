@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { CriteriaValidator, BatchProcessor } from '@audio-analyzer/core';
+
+/**
+ * Tests for per-criterion severity (PresetConfig.severity): a criterion that doesn't pass is reported
+ * as 'fail', 'warning' or 'info' as the preset configures, instead of its built-in severity
+ */
+
+const results = {
+  fileType: 'WAV (PCM)',
+  sampleRate: 44100,
+  bitDepth: 24,
+  channels: 'Unknown',
+  duration: 30
+};
+
+const criteria = {
+  fileType: ['wav'],
+  sampleRate: ['48000'],
+  bitDepth: ['24'],
+  channels: ['1'],
+  minDuration: '60'
+};
+
+describe('CriteriaValidator - Severity', () => {
+  it('should keep the built-in severities when none is configured', () => {
+    const validation = CriteriaValidator.validateResults(results, criteria);
+
+    expect(validation.sampleRate.status).toBe('fail');
+    expect(validation.duration.status).toBe('warning');
+    expect(validation.channels.status).toBe('warning');
+  });
+
+  it('should report each criterion that does not pass with its configured severity', () => {
+    const validation = CriteriaValidator.validateResults(results, {
+      ...criteria,
+      severity: { sampleRate: 'info', duration: 'fail' }
+    });
+
+    expect(validation.sampleRate.status).toBe('info');
+    expect(validation.duration.status).toBe('fail');
+    expect(validation.fileType.status).toBe('pass');
+    expect(validation.bitDepth.status).toBe('pass');
+  });
+
+  it('should apply the unknown severity to properties that could not be read', () => {
+    const validation = CriteriaValidator.validateResults(results, {
+      ...criteria,
+      severity: { unknown: 'fail', channels: 'info' }
+    });
+
+    expect(validation.channels.status).toBe('fail');
+    expect(validation.sampleRate.status).toBe('fail');
+  });
+
+  it('should apply severity to preset quality checks and leave the input untouched', () => {
+    const validation = {
+      noiseFloor: { status: 'fail', value: '-42.0 dB noise floor', issue: '-42.0 dB noise floor' },
+      reverb: { status: 'pass', value: '0.30s RT60' }
+    };
+    const adjusted = CriteriaValidator.applySeverity(validation, { noiseFloor: 'warning', reverb: 'fail' });
+
+    expect(adjusted.noiseFloor).toEqual({ ...validation.noiseFloor, status: 'warning' });
+    expect(adjusted.reverb.status).toBe('pass');
+    expect(validation.noiseFloor.status).toBe('fail');
+    expect(CriteriaValidator.applySeverity(validation, undefined)).toBe(validation);
+  });
+});
+
+describe('BatchProcessor - Severity', () => {
+  const processor = new BatchProcessor(CriteriaValidator);
+  const validation = {
+    sampleRate: { status: 'fail', actual: 44100 },
+    duration: { status: 'warning', actual: 30 },
+    bitDepth: { status: 'pass', actual: 24 }
+  };
+
+  it('should use each criterion status when no severity is configured', () => {
+    expect(processor.getOverallStatus(validation)).toBe('fail');
+  });
+
+  it('should respect the configured severity', () => {
+    expect(processor.getOverallStatus(validation, { sampleRate: 'warning' })).toBe('warning');
+    expect(processor.getOverallStatus(validation, { sampleRate: 'info', duration: 'info' })).toBe('pass');
+  });
+
+  it('should ignore criteria already reported as info', () => {
+    expect(processor.getOverallStatus({ sampleRate: { status: 'info' }, bitDepth: { status: 'pass' } })).toBe('pass');
+  });
+});
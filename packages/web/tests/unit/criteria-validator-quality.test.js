@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { CriteriaValidator } from '@audio-analyzer/core';
+
+/**
+ * Tests for the preset-driven quality criteria: peak level, noise floor, reverb (RT60),
+ * clipping, mic bleed and head/tail silence
+ */
+
+describe('CriteriaValidator - Peak Level', () => {
+  const preset = { maxPeakWarning: -3, maxPeakFail: -1 };
+
+  it('should skip when the preset defines no peak maximum', () => {
+    expect(CriteriaValidator.validatePeakLevel({ peakDb: -0.1 }, {})).toBeNull();
+  });
+
+  it('should skip when there is no level data or the file is silent', () => {
+    expect(CriteriaValidator.validatePeakLevel({}, preset)).toBeNull();
+    expect(CriteriaValidator.validatePeakLevel({ peakDb: -Infinity }, preset)).toBeNull();
+  });
+
+  it('should pass, warn and fail against the maximums', () => {
+    expect(CriteriaValidator.validatePeakLevel({ peakDb: -6 }, preset)).toEqual({
+      status: 'pass', message: '-6.0 dBFS peak', peakDb: -6
+    });
+    expect(CriteriaValidator.validatePeakLevel({ peakDb: -2 }, preset).status).toBe('warning');
+    expect(CriteriaValidator.validatePeakLevel({ peakDb: -0.5 }, preset).message).toBe('-0.5 dBFS peak (-1 dBFS maximum)');
+  });
+});
+
+describe('CriteriaValidator - Noise Floor', () => {
+  const preset = { maxNoiseFloorWarning: -60, maxNoiseFloorFail: -50 };
+
+  it('should skip when the preset defines no noise floor maximum', () => {
+    expect(CriteriaValidator.validateNoiseFloor({ noiseFloorDb: -30 }, {})).toBeNull();
+    expect(CriteriaValidator.validateNoiseFloor({}, preset)).toBeNull();
+  });
+
+  it('should pass, warn and fail against the maximums', () => {
+    expect(CriteriaValidator.validateNoiseFloor({ noiseFloorDb: -65 }, preset).status).toBe('pass');
+    expect(CriteriaValidator.validateNoiseFloor({ noiseFloorDb: -55 }, preset)).toEqual({
+      status: 'warning', message: '-55.0 dB noise floor (-60 dB maximum)', noiseFloorDb: -55
+    });
+    expect(CriteriaValidator.validateNoiseFloor({ noiseFloorDb: -42 }, preset).status).toBe('fail');
+  });
+
+  it('should pass a digitally silent noise floor', () => {
+    expect(CriteriaValidator.validateNoiseFloor({ noiseFloorDb: -Infinity }, preset).status).toBe('pass');
+  });
+});
+
+describe('CriteriaValidator - Reverb', () => {
+  const preset = { maxRt60Warning: 0.5, maxRt60Fail: 0.8 };
+
+  it('should skip when the preset defines no RT60 maximum or no decay was measured', () => {
+    expect(CriteriaValidator.validateReverb({ time: 1.2, label: 'Very Poor (Echoey)', confidence: 'high' }, {})).toBeNull();
+    expect(CriteriaValidator.validateReverb({ time: 0, label: 'N/A', confidence: 'none' }, preset)).toBeNull();
+    expect(CriteriaValidator.validateReverb(undefined, preset)).toBeNull();
+  });
+
+  it('should pass, warn and fail on the median RT60', () => {
+    expect(CriteriaValidator.validateReverb({ time: 0.3, label: 'Good (Controlled)', confidence: 'high' }, preset).status).toBe('pass');
+    expect(CriteriaValidator.validateReverb({ time: 0.65, label: 'Fair (Slightly Live)', confidence: 'high' }, preset)).toEqual({
+      status: 'warning', message: '0.65s RT60 (Fair (Slightly Live)), 0.5s maximum', rt60: 0.65
+    });
+    expect(CriteriaValidator.validateReverb({ time: 1.2, label: 'Very Poor (Echoey)', confidence: 'medium' }, preset).status).toBe('fail');
+  });
+});
+
+describe('CriteriaValidator - Clipping', () => {
+  const preset = { maxClippedPercentWarning: 0, maxClippedPercentFail: 0.1 };
+
+  it('should skip when the preset defines no clipping maximum', () => {
+    expect(CriteriaValidator.validateClipping({ clippedPercentage: 5, clippingEventCount: 3 }, {})).toBeNull();
+    expect(CriteriaValidator.validateClipping(undefined, preset)).toBeNull();
+  });
+
+  it('should pass, warn and fail on the clipped share of samples', () => {
+    expect(CriteriaValidator.validateClipping({ clippedPercentage: 0, clippingEventCount: 0 }, preset)).toEqual({
+      status: 'pass', message: '0.000% clipped', clippedPercentage: 0
+    });
+    expect(CriteriaValidator.validateClipping({ clippedPercentage: 0.01, clippingEventCount: 1 }, preset).message)
+      .toBe('0.010% clipped (1 event), 0% maximum');
+    expect(CriteriaValidator.validateClipping({ clippedPercentage: 0.5, clippingEventCount: 12 }, preset).status).toBe('fail');
+  });
+});
+
+describe('CriteriaValidator - Mic Bleed', () => {
+  const preset = { maxMicBleedWarning: 1, maxMicBleedFail: 5 };
+  const bleed = (percentageConfirmedBleed) => ({ new: { percentageConfirmedBleed } });
+
+  it('should skip when the preset defines no bleed maximum or bleed was not analyzed', () => {
+    expect(CriteriaValidator.validateMicBleed(bleed(20), {})).toBeNull();
+    expect(CriteriaValidator.validateMicBleed(undefined, preset)).toBeNull();
+  });
+
+  it('should pass, warn and fail on the share of blocks with confirmed bleed', () => {
+    expect(CriteriaValidator.validateMicBleed(bleed(0), preset).status).toBe('pass');
+    expect(CriteriaValidator.validateMicBleed(bleed(2.5), preset)).toEqual({
+      status: 'warning', message: '2.5% confirmed bleed (1% maximum)', bleedPercentage: 2.5
+    });
+    expect(CriteriaValidator.validateMicBleed(bleed(12), preset).status).toBe('fail');
+  });
+});
+
+describe('CriteriaValidator - Head/Tail Silence', () => {
+  const preset = {
+    leadingSilenceRangeWarning: [0.5, 2],
+    leadingSilenceRangeFail: [0.1, 5],
+    trailingSilenceRangeWarning: [0.5, 3]
+  };
+
+  it('should skip when the preset defines no silence range or there is no silence data', () => {
+    expect(CriteriaValidator.validateSilence({ leadingSilence: 20, trailingSilence: 20 }, {})).toBeNull();
+    expect(CriteriaValidator.validateSilence({}, preset)).toBeNull();
+  });
+
+  it('should pass head and tail silence within range', () => {
+    expect(CriteriaValidator.validateSilence({ leadingSilence: 1, trailingSilence: 1.5 }, preset)).toEqual({
+      status: 'pass', message: '1.0s head, 1.5s tail silence', leadingSilence: 1, trailingSilence: 1.5
+    });
+  });
+
+  it('should warn outside the warning range and fail outside the fail range', () => {
+    expect(CriteriaValidator.validateSilence({ leadingSilence: 3, trailingSilence: 1 }, preset).status).toBe('warning');
+    expect(CriteriaValidator.validateSilence({ leadingSilence: 0, trailingSilence: 1 }, preset).status).toBe('fail');
+  });
+
+  it('should check head and tail separately and report the worse', () => {
+    const result = CriteriaValidator.validateSilence({ leadingSilence: 8, trailingSilence: 0.2 }, preset);
+
+    expect(result.status).toBe('fail');
+    expect(result.message).toBe('8.0s head, 0.2s tail silence (head 8.0s outside 0.1-5s, tail 0.2s outside 0.5-3s)');
+  });
+});
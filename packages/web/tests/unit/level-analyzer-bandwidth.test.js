@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { createRandom, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer spectral bandwidth / provenance detection
+ *
+ * Test signals are sums of random tones below a cutoff over a -100 dB noise floor:
+ * - Content up to Nyquist: full bandwidth
+ * - Content stopping at ~8 kHz in a 48 kHz file: upsampled from 16 kHz
+ * - Content stopping at 16 kHz (the MP3 shelf): likely transcoded from lossy
+ */
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Random tones between 50 Hz and cutoffHz, rolling off like speech, plus a white noise floor
+ */
+function bandLimited(durationSeconds, cutoffHz, floorDb = -100) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  const random = createRandom(3);
+  const tones = [];
+  for (let k = 0; k < 150; k++) {
+    const frequency = 50 + random() * (cutoffHz - 50);
+    tones.push({ frequency, amplitude: 0.01 / Math.sqrt(frequency / 1000), phase: random() * 2 * Math.PI });
+  }
+  const floor = Math.pow(10, floorDb / 20);
+  for (let i = 0; i < length; i++) {
+    let sample = floor * (random() * 2 - 1);
+    for (const tone of tones) {
+      sample += tone.amplitude * Math.sin(2 * Math.PI * tone.frequency * i / SAMPLE_RATE + tone.phase);
+    }
+    data[i] = sample;
+  }
+  return data;
+}
+
+describe('LevelAnalyzer - Bandwidth', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should report full bandwidth when content reaches Nyquist', async () => {
+    const data = bandLimited(2, 23900);
+    const result = await analyzer.analyzeBandwidth([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.analyzed).toBe(true);
+    expect(result.cutoffHz).toBeNull();
+    expect(result.effectiveSampleRate).toBe(48000);
+    expect(result.bandLimited).toBe(false);
+    expect(result.verdict).toBe('full-band');
+  });
+
+  it('should detect audio upsampled from 16 kHz', async () => {
+    const data = bandLimited(2, 7800);
+    const result = await analyzer.analyzeBandwidth([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.cutoffHz).toBeGreaterThanOrEqual(7700);
+    expect(result.cutoffHz).toBeLessThanOrEqual(8000);
+    expect(result.cliffDb).toBeGreaterThan(20);
+    expect(result.effectiveSampleRate).toBe(16000);
+    expect(result.likelyLossy).toBe(false);
+    expect(result.verdict).toBe('upsampled');
+  });
+
+  it('should flag the 16 kHz lowpass shelf as a likely lossy transcode', async () => {
+    const data = bandLimited(2, 16000);
+    const result = await analyzer.analyzeBandwidth([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.cutoffHz).toBeGreaterThanOrEqual(15800);
+    expect(result.cutoffHz).toBeLessThanOrEqual(16100);
+    expect(result.likelyLossy).toBe(true);
+    expect(result.verdict).toBe('lossy-transcode');
+    expect(result.label).toBe('Likely transcoded from lossy');
+  });
+
+  it('should place the cutoff at the edge rather than on the window leakage skirt', async () => {
+    // Without a noise floor, leakage from the top tones slopes down for kHz past the edge
+    const data = bandLimited(2, 7800, -Infinity);
+    const result = await analyzer.analyzeBandwidth([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.cutoffHz).toBeLessThanOrEqual(8000);
+    expect(result.effectiveSampleRate).toBe(16000);
+    expect(result.cliffDb).toBeGreaterThan(60);
+  });
+
+  it('should combine channels so one band-limited channel is still seen', async () => {
+    const full = bandLimited(2, 23900);
+    const limited = bandLimited(2, 7800);
+    const result = await analyzer.analyzeBandwidth([limited, limited], 2, full.length, SAMPLE_RATE);
+    const mixed = await analyzer.analyzeBandwidth([limited, full], 2, full.length, SAMPLE_RATE);
+
+    expect(result.bandLimited).toBe(true);
+    expect(mixed.bandLimited).toBe(false);
+  });
+
+  it('should not analyze digital silence', async () => {
+    const data = new Float32Array(SAMPLE_RATE);
+    const result = await analyzer.analyzeBandwidth([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.analyzed).toBe(false);
+    expect(result.verdict).toBe('unknown');
+  });
+
+  it('should throw AnalysisCancelledError with bandwidth stage when cancelled', async () => {
+    const data = bandLimited(1, 7800);
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzeBandwidth([data], 1, data.length, SAMPLE_RATE)
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'bandwidth' });
+  });
+
+  it('should include bandwidth in experimental analyzeAudioBuffer results', async () => {
+    const data = bandLimited(1, 7800);
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.bandwidth.effectiveSampleRate).toBe(16000);
+    expect(messages).toContain('Estimating bandwidth...');
+  });
+});
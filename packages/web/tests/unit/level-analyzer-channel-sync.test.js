@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { seededNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer channel sync (windowed cross-correlation lag tracking)
+ *
+ * Test signals share one noise source between left and right, with the right
+ * channel delayed by a (possibly time-varying) amount:
+ * - Constant delay: initial offset equals the delay, no drift, no jumps
+ * - Linearly growing delay: drift in ms/min matches the slope
+ * - Temporary delay change: reported as a lag jump segment
+ */
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * Builds a stereo pair where right[i] = source at (i - delayMs(t))
+ */
+function delayedPair(durationSeconds, delayMs) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const pad = SAMPLE_RATE;
+  const source = seededNoise(length + 2 * pad);
+  const left = new Float32Array(length);
+  const right = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    left[i] = source[i + pad];
+    const delaySamples = Math.round((delayMs(i / SAMPLE_RATE) / 1000) * SAMPLE_RATE);
+    right[i] = source[i + pad - delaySamples];
+  }
+  return { left, right, length };
+}
+
+describe('LevelAnalyzer - Channel Sync', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  describe('fft', () => {
+    it('should transform an impulse into a flat spectrum', () => {
+      const real = new Float64Array(8);
+      const imag = new Float64Array(8);
+      real[0] = 1;
+      analyzer.fft(real, imag);
+
+      for (let i = 0; i < 8; i++) {
+        expect(real[i]).toBeCloseTo(1, 10);
+        expect(imag[i]).toBeCloseTo(0, 10);
+      }
+    });
+
+    it('should round-trip through the inverse transform', () => {
+      const original = [0.5, -1, 2, 0, 3.25, -0.75, 1, 0.125];
+      const real = Float64Array.from(original);
+      const imag = new Float64Array(8);
+      analyzer.fft(real, imag);
+      analyzer.fft(real, imag, true);
+
+      original.forEach((value, i) => expect(real[i]).toBeCloseTo(value, 10));
+    });
+  });
+
+  describe('analyzeChannelSync', () => {
+    it('should report a constant offset with no drift or jumps', () => {
+      const { left, right, length } = delayedPair(60, () => 12);
+      const result = analyzer.analyzeChannelSync(left, right, SAMPLE_RATE, length);
+
+      expect(result.initialOffsetMs).toBeCloseTo(12, 0);
+      expect(result.driftMsPerMinute).toBeCloseTo(0, 1);
+      expect(result.clockDrift).toBe(false);
+      expect(result.latencySpikes).toHaveLength(0);
+      expect(result.windows.length).toBeGreaterThanOrEqual(5);
+    });
+
+    it('should report a negative offset when the left channel is late', () => {
+      const { left, right, length } = delayedPair(30, () => -20);
+      const result = analyzer.analyzeChannelSync(left, right, SAMPLE_RATE, length);
+
+      expect(result.initialOffsetMs).toBeCloseTo(-20, 0);
+    });
+
+    it('should measure clock drift in ms per minute', () => {
+      const { left, right, length } = delayedPair(120, (t) => 5 + (t / 60) * 3);
+      const result = analyzer.analyzeChannelSync(left, right, SAMPLE_RATE, length);
+
+      expect(result.driftMsPerMinute).toBeCloseTo(3, 0);
+      expect(result.clockDrift).toBe(true);
+      expect(result.latencySpikes).toHaveLength(0);
+    });
+
+    it('should report segments where the lag jumps', () => {
+      const { left, right, length } = delayedPair(120, (t) => (t > 50 && t < 75 ? 40 : 0));
+      const result = analyzer.analyzeChannelSync(left, right, SAMPLE_RATE, length);
+
+      expect(result.initialOffsetMs).toBeCloseTo(0, 0);
+      expect(result.clockDrift).toBe(false);
+      expect(result.latencySpikes).toHaveLength(1);
+      expect(result.latencySpikes[0].startTime).toBeGreaterThan(50);
+      expect(result.latencySpikes[0].endTime).toBeLessThan(76);
+      expect(result.latencySpikes[0].lagMs).toBeCloseTo(40, 0);
+    });
+
+    it('should return a null offset when the channels are unrelated', () => {
+      const length = 60 * SAMPLE_RATE;
+      const left = seededNoise(length, 0.3, 1);
+      const right = seededNoise(length, 0.3, 2);
+      const result = analyzer.analyzeChannelSync(left, right, SAMPLE_RATE, length);
+
+      expect(result.initialOffsetMs).toBeNull();
+      expect(result.driftMsPerMinute).toBeNull();
+      expect(result.windows).toHaveLength(0);
+      expect(result.windowsAnalyzed).toBeGreaterThan(0);
+    });
+
+    it('should skip windows where a channel is silent', () => {
+      const length = 60 * SAMPLE_RATE;
+      const left = seededNoise(length);
+      const right = new Float32Array(length);
+      const result = analyzer.analyzeChannelSync(left, right, SAMPLE_RATE, length);
+
+      expect(result.windows).toHaveLength(0);
+      expect(result.latencySpikes).toEqual([]);
+    });
+
+    it('should throw AnalysisCancelledError with channel-sync stage when cancelled', () => {
+      const { left, right, length } = delayedPair(30, () => 0);
+      analyzer.cancelAnalysis();
+
+      expect(() => analyzer.analyzeChannelSync(left, right, SAMPLE_RATE, length))
+        .toThrow(expect.objectContaining({ name: 'AnalysisCancelledError', stage: 'channel-sync' }));
+    });
+  });
+
+  describe('analyzeConversationalAudio integration', () => {
+    it('should include sync results alongside overlap', () => {
+      const { left, right } = delayedPair(30, () => 8);
+      const audioBuffer = mockAudioBuffer([left, right], SAMPLE_RATE);
+
+      const result = analyzer.analyzeConversationalAudio(audioBuffer, { overall: -60 }, -10);
+
+      expect(result.overlap).toBeDefined();
+      expect(result.sync.initialOffsetMs).toBeCloseTo(8, 0);
+    });
+  });
+});
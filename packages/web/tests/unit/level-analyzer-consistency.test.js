@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { dbToLinear, createNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer level consistency timeline
+ *
+ * Test signals alternate 0.5s of "speech" (a tone) with 0.5s of room tone (noise),
+ * so every 15s segment has a clear speech level and noise floor:
+ * - Steady levels: no events, score 100
+ * - Speech level step: gain-change event at the segment boundary
+ * - Room tone step: room-tone-shift event
+ * - Slow speech level slide: mic-drift on that channel
+ */
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * Speech/pause pattern whose speech and room-tone levels (dBFS peak) can vary over time.
+ */
+function speechLike(durationSeconds, speechDb, roomToneDb) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  const noise = createNoise();
+  for (let i = 0; i < length; i++) {
+    const t = i / SAMPLE_RATE;
+    const speaking = Math.floor(t * 2) % 2 === 0;
+    data[i] = speaking
+      ? dbToLinear(speechDb(t)) * Math.sin(2 * Math.PI * 220 * t)
+      : dbToLinear(roomToneDb(t)) * noise();
+  }
+  return data;
+}
+
+describe('LevelAnalyzer - Level Consistency', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should build a per-channel timeline of 15s segments', async () => {
+    const data = speechLike(60, () => -20, () => -60);
+    const result = await analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE);
+
+    const channel = result.perChannel[0];
+    expect(channel.channelName).toBe('left');
+    expect(channel.segments).toHaveLength(4);
+    expect(channel.segments[1].startTime).toBe(15);
+    // Sine RMS sits 3 dB below its peak
+    expect(channel.segments[0].speechLevelDb).toBeCloseTo(-23, 0);
+    expect(channel.segments[0].noiseFloorDb).toBeLessThan(-55);
+  });
+
+  it('should score steady levels as consistent', async () => {
+    const data = speechLike(60, () => -20, () => -60);
+    const result = await analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.events).toHaveLength(0);
+    expect(result.score).toBe(100);
+    expect(result.label).toBe('Consistent');
+    expect(result.flags).toEqual({ gainChange: false, micDrift: false, roomToneShift: false });
+  });
+
+  it('should flag a gain change between segments', async () => {
+    const data = speechLike(90, (t) => (t < 45 ? -20 : -30), () => -60);
+    const result = await analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE);
+
+    const gainChanges = result.events.filter(e => e.type === 'gain-change');
+    expect(gainChanges).toHaveLength(1);
+    expect(gainChanges[0].time).toBe(45);
+    expect(gainChanges[0].changeDb).toBeCloseTo(-10, 0);
+    expect(result.flags.gainChange).toBe(true);
+    // A single step is not drift
+    expect(result.flags.micDrift).toBe(false);
+    expect(result.score).toBe(90);
+  });
+
+  it('should flag a sudden room-tone shift', async () => {
+    const data = speechLike(90, () => -20, (t) => (t < 30 ? -60 : -45));
+    const result = await analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE);
+
+    const shifts = result.events.filter(e => e.type === 'room-tone-shift');
+    expect(shifts).toHaveLength(1);
+    expect(shifts[0].time).toBe(30);
+    expect(shifts[0].changeDb).toBeCloseTo(15, 0);
+    expect(result.flags.roomToneShift).toBe(true);
+  });
+
+  it('should flag gradual mic drift', async () => {
+    const data = speechLike(120, (t) => -20 - (t / 120) * 12, () => -65);
+    const result = await analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.events.filter(e => e.type === 'gain-change')).toHaveLength(0);
+    expect(result.perChannel[0].micDrift).toBe(true);
+    expect(result.perChannel[0].driftDb).toBeLessThan(-6);
+    expect(result.flags.micDrift).toBe(true);
+    expect(result.label).toBe('Minor Variations');
+  });
+
+  it('should track channels independently', async () => {
+    const steady = speechLike(60, () => -20, () => -60);
+    const stepped = speechLike(60, (t) => (t < 30 ? -20 : -32), () => -60);
+    const result = await analyzer.analyzeConsistency([steady, stepped], 2, steady.length, SAMPLE_RATE);
+
+    expect(result.events).toHaveLength(1);
+    expect(result.events[0].channelName).toBe('right');
+  });
+
+  it('should not score files shorter than two segments', async () => {
+    const data = speechLike(10, () => -20, () => -60);
+    const result = await analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.perChannel[0].segments).toHaveLength(1);
+    expect(result.score).toBeNull();
+    expect(result.label).toBe('N/A');
+  });
+
+  it('should leave the speech level empty for segments without speech', async () => {
+    const data = new Float32Array(30 * SAMPLE_RATE);
+    const result = await analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE);
+
+    expect(result.perChannel[0].segments[0].speechLevelDb).toBeNull();
+    expect(result.perChannel[0].segments[0].noiseFloorDb).toBe(-Infinity);
+    expect(result.events).toHaveLength(0);
+  });
+
+  it('should throw AnalysisCancelledError with consistency stage when cancelled', async () => {
+    const data = speechLike(30, () => -20, () => -60);
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzeConsistency([data], 1, data.length, SAMPLE_RATE)
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'consistency' });
+  });
+
+  it('should include consistency in experimental analyzeAudioBuffer results', async () => {
+    const data = speechLike(30, () => -20, () => -60);
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.consistency.perChannel[0].segments).toHaveLength(2);
+    expect(messages).toContain('Checking level consistency...');
+  });
+});
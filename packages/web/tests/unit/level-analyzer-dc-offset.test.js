@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+import { seededNoise, sine, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer DC offset and stereo polarity checks
+ *
+ * - DC offset is the channel mean; at or above -50 dBFS (~0.3% of full scale) it is flagged
+ * - Polarity is inverted when most correlated stereo blocks correlate negatively
+ * - Unrelated channels (conversational stereo) never report inverted polarity
+ */
+
+const SAMPLE_RATE = 8000;
+
+describe('LevelAnalyzer - DC Offset', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should measure the mean of each channel', () => {
+    const left = sine(2, 0.5, 440, { sampleRate: SAMPLE_RATE, offset: 0.01 });
+    const right = sine(2, 0.5, 440, { sampleRate: SAMPLE_RATE, offset: -0.002 });
+    const result = analyzer.analyzeDcOffset([left, right], 2, left.length);
+
+    expect(result.perChannel[0].channelName).toBe('left');
+    expect(result.perChannel[0].offset).toBeCloseTo(0.01, 4);
+    expect(result.perChannel[0].offsetPercent).toBeCloseTo(1, 2);
+    expect(result.perChannel[0].offsetDb).toBeCloseTo(-40, 1);
+    expect(result.perChannel[1].offsetPercent).toBeCloseTo(-0.2, 2);
+    expect(result.maxOffsetDb).toBeCloseTo(-40, 1);
+  });
+
+  it('should flag channels at or above the threshold', () => {
+    const left = sine(2, 0.5, 440, { sampleRate: SAMPLE_RATE, offset: 0.01 });
+    const right = sine(2, 0.5, 440, { sampleRate: SAMPLE_RATE, offset: 0.0005 });
+    const result = analyzer.analyzeDcOffset([left, right], 2, left.length);
+
+    expect(result.perChannel[0].flagged).toBe(true);
+    expect(result.perChannel[1].flagged).toBe(false);
+    expect(result.hasDcOffset).toBe(true);
+  });
+
+  it('should report no offset for a centred signal or silence', () => {
+    const centred = sine(2, 0.5, 440, { sampleRate: SAMPLE_RATE });
+    const silence = new Float32Array(centred.length);
+    const result = analyzer.analyzeDcOffset([centred, silence], 2, centred.length);
+
+    expect(result.perChannel[0].flagged).toBe(false);
+    expect(result.perChannel[1].offsetDb).toBe(-Infinity);
+    expect(result.hasDcOffset).toBe(false);
+  });
+
+  it('should throw AnalysisCancelledError with dc-offset stage when cancelled', () => {
+    const data = sine(1, 0.5, 440, { sampleRate: SAMPLE_RATE });
+    analyzer.cancelAnalysis();
+
+    expect(() => analyzer.analyzeDcOffset([data], 1, data.length))
+      .toThrow(expect.objectContaining({ name: 'AnalysisCancelledError', stage: 'dc-offset' }));
+  });
+
+  it('should include DC offset in base analyzeAudioBuffer results', async () => {
+    const data = sine(1, 0.5, 440, { sampleRate: SAMPLE_RATE, offset: 0.02 });
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(mockAudioBuffer([data], SAMPLE_RATE), null, false);
+
+    expect(result.dcOffset.hasDcOffset).toBe(true);
+    expect(result.dcOffset.perChannel[0].offsetPercent).toBeCloseTo(2, 2);
+  });
+});
+
+describe('LevelAnalyzer - Stereo Polarity', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should detect a polarity-inverted channel', () => {
+    const left = seededNoise(10 * SAMPLE_RATE);
+    const right = left.map(sample => -sample);
+    const result = analyzer.analyzeStereoSeparation(mockAudioBuffer([left, right], SAMPLE_RATE));
+
+    expect(result.stereoType).toBe('Mono as Stereo');
+    expect(result.polarity.correlation).toBeCloseTo(-1, 3);
+    expect(result.polarity.invertedBlocks).toBe(result.polarity.correlatedBlocks);
+    expect(result.polarity.inverted).toBe(true);
+  });
+
+  it('should report normal polarity for matching channels', () => {
+    const left = seededNoise(10 * SAMPLE_RATE);
+    const result = analyzer.analyzeStereoSeparation(mockAudioBuffer([left, left], SAMPLE_RATE));
+
+    expect(result.polarity.correlation).toBeCloseTo(1, 3);
+    expect(result.polarity.invertedBlocks).toBe(0);
+    expect(result.polarity.inverted).toBe(false);
+  });
+
+  it('should not flag unrelated channels', () => {
+    const length = 10 * SAMPLE_RATE;
+    const result = analyzer.analyzeStereoSeparation(
+      mockAudioBuffer([seededNoise(length, 0.3, 1), seededNoise(length, 0.3, 2)], SAMPLE_RATE)
+    );
+
+    expect(Math.abs(result.polarity.correlation)).toBeLessThan(0.1);
+    expect(result.polarity.correlatedBlocks).toBe(0);
+    expect(result.polarity.inverted).toBe(false);
+  });
+
+  it('should ignore DC offset when judging polarity', () => {
+    const left = seededNoise(10 * SAMPLE_RATE).map(sample => sample + 0.2);
+    const right = left.map(sample => 0.4 - sample);
+    const result = analyzer.analyzeStereoSeparation(mockAudioBuffer([left, right], SAMPLE_RATE));
+
+    expect(result.polarity.inverted).toBe(true);
+  });
+
+  it('should return a null correlation for silent files', () => {
+    const silence = new Float32Array(5 * SAMPLE_RATE);
+    const result = analyzer.analyzeStereoSeparation(mockAudioBuffer([silence, silence], SAMPLE_RATE));
+
+    expect(result.polarity.correlation).toBeNull();
+    expect(result.polarity.inverted).toBe(false);
+  });
+});
+
+describe('CriteriaValidator - DC Offset', () => {
+  const dcOffset = {
+    perChannel: [
+      { channelName: 'left', offsetPercent: 0.1 },
+      { channelName: 'right', offsetPercent: -0.8 }
+    ],
+    hasDcOffset: true
+  };
+
+  it('should skip validation when the preset has no DC offset thresholds', () => {
+    expect(CriteriaValidator.validateDcOffset(dcOffset, {})).toBeNull();
+  });
+
+  it('should skip validation without DC offset data', () => {
+    expect(CriteriaValidator.validateDcOffset(undefined, { maxDcOffsetWarning: 0.5 })).toBeNull();
+  });
+
+  it('should judge the worst channel against the thresholds', () => {
+    expect(CriteriaValidator.validateDcOffset(dcOffset, { maxDcOffsetWarning: 0.5, maxDcOffsetFail: 1 }).status).toBe('warning');
+    expect(CriteriaValidator.validateDcOffset(dcOffset, { maxDcOffsetWarning: 0.2, maxDcOffsetFail: 0.5 }).status).toBe('fail');
+    expect(CriteriaValidator.validateDcOffset(dcOffset, { maxDcOffsetFail: 1 }).status).toBe('pass');
+  });
+
+  it('should name the worst channel in the message', () => {
+    const result = CriteriaValidator.validateDcOffset(dcOffset, { maxDcOffsetFail: 0.5 });
+    expect(result.message).toBe('0.80% DC offset (right)');
+    expect(result.offsetPercent).toBeCloseTo(0.8, 6);
+  });
+});
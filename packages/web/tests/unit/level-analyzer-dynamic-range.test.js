@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { dbToLinear, sine, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer dynamic range / compression detection
+ *
+ * Reference behaviour (docs/dynamic-range-analysis-plan.md):
+ * - PLR > 12 dB: natural
+ * - 8 dB < PLR <= 12 dB: possibly compressed
+ * - PLR <= 8 dB: heavily limited
+ * - A steady sine has a crest factor of 3 dB
+ */
+
+const SAMPLE_RATE = 48000;
+
+function concat(...parts) {
+  const data = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return data;
+}
+
+describe('LevelAnalyzer - Dynamic Range', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  describe('interpretDynamicRange', () => {
+    it('should classify PLR using the documented thresholds', () => {
+      expect(analyzer.interpretDynamicRange(15).verdict).toBe('natural');
+      expect(analyzer.interpretDynamicRange(12.1).verdict).toBe('natural');
+      expect(analyzer.interpretDynamicRange(12).verdict).toBe('compressed');
+      expect(analyzer.interpretDynamicRange(8.1).verdict).toBe('compressed');
+      expect(analyzer.interpretDynamicRange(8).verdict).toBe('heavily_limited');
+      expect(analyzer.interpretDynamicRange(3).verdict).toBe('heavily_limited');
+    });
+
+    it('should return unknown when PLR is not measurable', () => {
+      expect(analyzer.interpretDynamicRange(null).verdict).toBe('unknown');
+      expect(analyzer.interpretDynamicRange(-Infinity).verdict).toBe('unknown');
+    });
+  });
+
+  describe('analyzeDynamicRange', () => {
+    it('should measure a 3 dB crest factor for a steady sine', async () => {
+      const data = sine(4, dbToLinear(-20));
+      const result = await analyzer.analyzeDynamicRange(
+        [data], 1, data.length, SAMPLE_RATE, -20, -20, -Infinity
+      );
+
+      expect(result.crestFactorDb).toBeCloseTo(3.01, 1);
+      expect(result.drDb).toBeCloseTo(3.01, 1);
+      // Without loudness, PLR falls back to the crest factor
+      expect(result.plr).toBeCloseTo(result.crestFactorDb, 6);
+      expect(result.verdict).toBe('heavily_limited');
+    });
+
+    it('should use true peak minus integrated loudness as PLR', async () => {
+      const data = sine(4, dbToLinear(-20));
+      const result = await analyzer.analyzeDynamicRange(
+        [data], 1, data.length, SAMPLE_RATE, -1.2, -1.0, -24
+      );
+
+      expect(result.plr).toBeCloseTo(23, 6);
+      expect(result.verdict).toBe('natural');
+      expect(result.label).toBe('Natural');
+    });
+
+    it('should report the spread of block RMS levels', async () => {
+      const data = concat(sine(4, dbToLinear(-20)), sine(4, dbToLinear(-30)));
+      const result = await analyzer.analyzeDynamicRange(
+        [data], 1, data.length, SAMPLE_RATE, -20, -20, -Infinity
+      );
+
+      expect(result.blockRms.p90Db).toBeCloseTo(-23, 0);
+      expect(result.blockRms.p10Db).toBeCloseTo(-33, 0);
+      expect(result.blockRms.rangeDb).toBeCloseTo(10, 0);
+      expect(result.blockRms.stdDevDb).toBeCloseTo(5, 0);
+    });
+
+    it('should gate out pauses below the absolute gate', async () => {
+      const data = concat(sine(4, dbToLinear(-20)), sine(4, dbToLinear(-65)));
+      const result = await analyzer.analyzeDynamicRange(
+        [data], 1, data.length, SAMPLE_RATE, -20, -20, -Infinity
+      );
+
+      expect(result.activeBlockCount).toBe(10);
+      expect(result.totalBlockCount).toBe(20);
+      expect(result.averageRmsDb).toBeCloseTo(-23, 0);
+    });
+
+    it('should gate out room tone far below the programme level', async () => {
+      const data = concat(sine(4, dbToLinear(-20)), sine(4, dbToLinear(-50)));
+      const result = await analyzer.analyzeDynamicRange(
+        [data], 1, data.length, SAMPLE_RATE, -20, -20, -Infinity
+      );
+
+      expect(result.activeBlockCount).toBe(10);
+      expect(result.blockRms.rangeDb).toBeCloseTo(0, 1);
+    });
+
+    it('should return an unknown verdict for digital silence', async () => {
+      const data = new Float32Array(SAMPLE_RATE * 2);
+      const result = await analyzer.analyzeDynamicRange(
+        [data], 1, data.length, SAMPLE_RATE, -Infinity, -Infinity, -Infinity
+      );
+
+      expect(result.activeBlockCount).toBe(0);
+      expect(result.plr).toBeNull();
+      expect(result.blockRms).toBeNull();
+      expect(result.verdict).toBe('unknown');
+    });
+
+    it('should throw AnalysisCancelledError with dynamic-range stage when cancelled', async () => {
+      const data = sine(2, 0.1);
+      analyzer.cancelAnalysis();
+
+      await expect(
+        analyzer.analyzeDynamicRange([data], 1, data.length, SAMPLE_RATE, -20, -20, -23)
+      ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'dynamic-range' });
+    });
+  });
+
+  describe('analyzeAudioBuffer integration', () => {
+    const buffer = (data) => (mockAudioBuffer([data], SAMPLE_RATE));
+
+    it('should include dynamic range in experimental results', async () => {
+      const messages = [];
+      const result = await new LevelAnalyzer().analyzeAudioBuffer(
+        mockAudioBuffer([sine(2, 0.1)], SAMPLE_RATE), (message) => messages.push(message), true
+      );
+
+      expect(result.dynamicRange).toBeDefined();
+      expect(result.dynamicRange.verdict).toBe('heavily_limited');
+      expect(messages).toContain('Analyzing dynamic range...');
+    });
+
+    it('should not analyze dynamic range in base analysis', async () => {
+      const result = await new LevelAnalyzer().analyzeAudioBuffer(
+        mockAudioBuffer([sine(2, 0.1)], SAMPLE_RATE), null, false
+      );
+
+      expect(result.dynamicRange).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer, AnalysisCancelledError } from '@audio-analyzer/core';
+import { dbToLinear, sine, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer loudness metering (ITU-R BS.1770-4 / EBU R128)
+ *
+ * Reference behaviour:
+ * - A 1 kHz sine at -23 dBFS in both channels of a stereo file measures -23 LUFS
+ * - Silence measures -Infinity (nothing passes the -70 LUFS absolute gate)
+ * - Loudness range is the spread between the 10th and 95th percentile of short-term loudness
+ */
+
+const SAMPLE_RATE = 48000;
+
+describe('LevelAnalyzer - Loudness (EBU R128)', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  describe('getKWeightingCoefficients', () => {
+    it('should match the published 48 kHz coefficients', () => {
+      const { shelf, highPass } = analyzer.getKWeightingCoefficients(48000);
+
+      expect(shelf.b0).toBeCloseTo(1.53512485958697, 6);
+      expect(shelf.b1).toBeCloseTo(-2.69169618940638, 6);
+      expect(shelf.b2).toBeCloseTo(1.19839281085285, 6);
+      expect(shelf.a1).toBeCloseTo(-1.69065929318241, 6);
+      expect(shelf.a2).toBeCloseTo(0.73248077421585, 6);
+
+      expect(highPass.a1).toBeCloseTo(-1.99004745483398, 6);
+      expect(highPass.a2).toBeCloseTo(0.99007225036621, 6);
+    });
+  });
+
+  describe('analyzeLoudness', () => {
+    it('should measure a stereo -23 dBFS 1 kHz sine at -23 LUFS', async () => {
+      const data = sine(5, dbToLinear(-23));
+      const result = await analyzer.analyzeLoudness([data, data], 2, data.length, SAMPLE_RATE);
+
+      expect(result.integratedLufs).toBeCloseTo(-23, 1);
+      expect(result.momentaryMaxLufs).toBeCloseTo(-23, 1);
+      expect(result.shortTermMaxLufs).toBeCloseTo(-23, 1);
+      expect(result.loudnessRange).toBeCloseTo(0, 1);
+    });
+
+    it('should measure a mono sine 3 dB lower than the same sine in stereo', async () => {
+      const data = sine(5, dbToLinear(-23));
+      const result = await analyzer.analyzeLoudness([data], 1, data.length, SAMPLE_RATE);
+
+      expect(result.integratedLufs).toBeCloseTo(-26, 0);
+    });
+
+    it('should exclude the LFE channel from the measurement', async () => {
+      const data = sine(5, dbToLinear(-23));
+      const silent = new Float32Array(data.length);
+      const loud = sine(5, 0.9, 60);
+      const result = await analyzer.analyzeLoudness(
+        [data, data, silent, loud, silent, silent], 6, data.length, SAMPLE_RATE
+      );
+
+      expect(result.integratedLufs).toBeCloseTo(-23, 1);
+    });
+
+    it('should return -Infinity for digital silence', async () => {
+      const data = new Float32Array(SAMPLE_RATE * 5);
+      const result = await analyzer.analyzeLoudness([data], 1, data.length, SAMPLE_RATE);
+
+      expect(result.integratedLufs).toBe(-Infinity);
+      expect(result.gatedBlockCount).toBe(0);
+      expect(result.loudnessRange).toBe(0);
+    });
+
+    it('should report the level spread as loudness range', async () => {
+      const loud = sine(10, dbToLinear(-20));
+      const quiet = sine(10, dbToLinear(-30));
+      const data = new Float32Array(loud.length + quiet.length);
+      data.set(loud, 0);
+      data.set(quiet, loud.length);
+
+      const result = await analyzer.analyzeLoudness([data], 1, data.length, SAMPLE_RATE);
+
+      expect(result.loudnessRange).toBeCloseTo(10, 0);
+      expect(result.lraHighLufs).toBeGreaterThan(result.lraLowLufs);
+    });
+
+    it('should gate out quiet passages from integrated loudness', async () => {
+      const speech = sine(5, dbToLinear(-20));
+      const roomTone = sine(5, dbToLinear(-45));
+      const data = new Float32Array(speech.length + roomTone.length);
+      data.set(speech, 0);
+      data.set(roomTone, speech.length);
+
+      const result = await analyzer.analyzeLoudness([data], 1, data.length, SAMPLE_RATE);
+
+      // Room tone sits more than 10 LU below the speech, so the relative gate removes it
+      expect(result.integratedLufs).toBeCloseTo(-23, 0);
+      expect(result.gatedBlockCount).toBeLessThan(result.totalBlockCount);
+    });
+
+    it('should not report short-term loudness for files under 3 seconds', async () => {
+      const data = sine(1, dbToLinear(-23));
+      const result = await analyzer.analyzeLoudness([data, data], 2, data.length, SAMPLE_RATE);
+
+      expect(result.integratedLufs).toBeCloseTo(-23, 1);
+      expect(result.shortTermMaxLufs).toBe(-Infinity);
+      expect(result.loudnessRange).toBe(0);
+    });
+
+    it('should work at 44.1 kHz', async () => {
+      const data = sine(5, dbToLinear(-23), 1000, { sampleRate: 44100 });
+      const result = await analyzer.analyzeLoudness([data, data], 2, data.length, 44100);
+
+      expect(result.integratedLufs).toBeCloseTo(-23, 1);
+    });
+
+    it('should throw AnalysisCancelledError with loudness stage when cancelled', async () => {
+      const data = sine(5, 0.1);
+      analyzer.cancelAnalysis();
+
+      await expect(
+        analyzer.analyzeLoudness([data], 1, data.length, SAMPLE_RATE)
+      ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'loudness' });
+    });
+  });
+
+  describe('analyzeAudioBuffer integration', () => {
+    const buffer = (data) => (mockAudioBuffer([data], SAMPLE_RATE));
+
+    it('should include loudness in experimental results', async () => {
+      const result = await new LevelAnalyzer().analyzeAudioBuffer(
+        mockAudioBuffer([sine(2, 0.1)], SAMPLE_RATE), null, true
+      );
+
+      expect(result.loudness).toBeDefined();
+      expect(result.loudness.integratedLufs).toBeLessThan(0);
+    });
+
+    it('should not measure loudness in base analysis', async () => {
+      const result = await new LevelAnalyzer().analyzeAudioBuffer(
+        mockAudioBuffer([sine(2, 0.1)], SAMPLE_RATE), null, false
+      );
+
+      expect(result.loudness).toBeUndefined();
+    });
+
+    it('should report the loudness stage in progress', async () => {
+      const messages = [];
+      await new LevelAnalyzer().analyzeAudioBuffer(
+        mockAudioBuffer([sine(2, 0.1)], SAMPLE_RATE), (message) => messages.push(message), true
+      );
+
+      expect(messages).toContain('Measuring loudness...');
+    });
+
+    it('should be cancellable during loudness measurement', async () => {
+      const levelAnalyzer = new LevelAnalyzer();
+      const progressCallback = (message) => {
+        if (message.includes('loudness')) {
+          levelAnalyzer.cancelAnalysis();
+        }
+      };
+
+      await expect(
+        levelAnalyzer.analyzeAudioBuffer(mockAudioBuffer([sine(2, 0.1)], SAMPLE_RATE), progressCallback, true)
+      ).rejects.toThrow(AnalysisCancelledError);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer threshold overrides (constructor and analyzeAudioBuffer options)
+ *
+ * Test signals are short 440 Hz tones at a chosen peak level, with a clipped or silent stretch
+ * where a test needs one, and two-channel "conversations" where one side talks at a time.
+ */
+
+const SAMPLE_RATE = 8000;
+
+function tone(durationSeconds, peak) {
+  const data = new Float32Array(durationSeconds * SAMPLE_RATE);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = peak * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE);
+  }
+  return data;
+}
+
+// An analyzer ready to run individual analyses outside analyzeAudioBuffer
+function analyzerWith(options) {
+  const analyzer = new LevelAnalyzer(options);
+  analyzer.analysisInProgress = true;
+  return analyzer;
+}
+
+// Left talks for the first half, right for the second, each with the other leaking in at `bleed`
+function conversation(bleed) {
+  const left = tone(4, 0.5);
+  const right = tone(4, 0.5);
+  const half = left.length / 2;
+  for (let i = 0; i < left.length; i++) {
+    if (i < half) right[i] *= bleed;
+    else left[i] *= bleed;
+  }
+  return mockAudioBuffer([left, right], SAMPLE_RATE);
+}
+
+describe('LevelAnalyzer - Options', () => {
+  it('should use the static configs when no options are given', () => {
+    const analyzer = new LevelAnalyzer();
+
+    expect(analyzer.getConfig('normalization')).toEqual(LevelAnalyzer.NORMALIZATION_CONFIG);
+    expect(analyzer.getConfig('clipping')).toEqual(LevelAnalyzer.CLIPPING_CONFIG);
+    expect(analyzer.checkNormalization(-6).status).toBe('normalized');
+  });
+
+  it('should override only the given keys of a section', () => {
+    const analyzer = new LevelAnalyzer({ clipping: { HARD_CLIPPING_THRESHOLD: 0.999 } });
+    const config = analyzer.getConfig('clipping');
+
+    expect(config.HARD_CLIPPING_THRESHOLD).toBe(0.999);
+    expect(config.NEAR_CLIPPING_THRESHOLD).toBe(LevelAnalyzer.CLIPPING_CONFIG.NEAR_CLIPPING_THRESHOLD);
+    expect(LevelAnalyzer.CLIPPING_CONFIG.HARD_CLIPPING_THRESHOLD).toBe(0.985);
+  });
+
+  it('should check normalization against a configured target', () => {
+    const analyzer = new LevelAnalyzer({ normalization: { TARGET_DB: -3, TOLERANCE_DB: 0.5 } });
+
+    expect(analyzer.checkNormalization(-3.3)).toMatchObject({ status: 'normalized', targetDb: -3 });
+    expect(analyzer.checkNormalization(-6).status).toBe('too_quiet');
+  });
+
+  it('should let analyzeAudioBuffer options take precedence for that call only', async () => {
+    const analyzer = new LevelAnalyzer({ normalization: { TARGET_DB: -3 } });
+    const audio = mockAudioBuffer([tone(1, 0.5)], SAMPLE_RATE); // -6 dBFS peak
+
+    const overridden = await analyzer.analyzeAudioBuffer(audio, null, false, { normalization: { TARGET_DB: -6 } });
+    const constructorOnly = await analyzer.analyzeAudioBuffer(audio);
+
+    expect(overridden.normalizationStatus.status).toBe('normalized');
+    expect(constructorOnly.normalizationStatus).toMatchObject({ status: 'too_quiet', targetDb: -3 });
+  });
+
+  it('should apply clipping tolerances', async () => {
+    const data = tone(1, 0.5);
+    data.fill(0.99, 4000, 4010);
+    const audio = mockAudioBuffer([data], SAMPLE_RATE);
+
+    const strict = await analyzerWith().analyzeClipping(audio, SAMPLE_RATE);
+    const tolerant = await analyzerWith({ clipping: { HARD_CLIPPING_THRESHOLD: 0.999, NEAR_CLIPPING_THRESHOLD: 0.995 } })
+      .analyzeClipping(audio, SAMPLE_RATE);
+
+    expect(strict.clippedSamples).toBe(10);
+    expect(tolerant.clippedSamples).toBe(0);
+    expect(tolerant.nearClippingSamples).toBe(0);
+  });
+
+  it('should apply silence thresholds', () => {
+    const data = tone(3, 0.5);
+    data.fill(0, SAMPLE_RATE, 2 * SAMPLE_RATE); // 1s of digital silence in the middle
+    const silence = (options) => analyzerWith(options)
+      .analyzeSilence([data], 1, data.length, SAMPLE_RATE, -Infinity, -6);
+
+    expect(silence().longestSilence).toBeCloseTo(1, 1);
+    // Treating everything below -3 dB as silence leaves nothing but silence
+    expect(silence({ silence: { DIGITAL_SILENCE_THRESHOLD_DB: -3 } }).longestSilence).toBeCloseTo(3, 1);
+  });
+
+  it('should apply stereo separation thresholds', () => {
+    const audio = conversation(0.8);
+
+    expect(analyzerWith().analyzeStereoSeparation(audio).stereoType).toBe('Conversational Stereo');
+    // With a 2x dominance requirement, 0.8 leakage counts as balanced
+    expect(analyzerWith({ stereo: { DOMINANCE_RATIO_THRESHOLD: 2 } }).analyzeStereoSeparation(audio).stereoType)
+      .toBe('Mono as Stereo');
+  });
+
+  it('should apply mic bleed thresholds', () => {
+    const audio = conversation(0.1); // 20 dB separation
+
+    expect(analyzerWith().analyzeMicBleed(audio).new.percentageConfirmedBleed).toBe(0);
+    expect(analyzerWith({ micBleed: { SEPARATION_THRESHOLD: 25 } }).analyzeMicBleed(audio).new.percentageConfirmedBleed)
+      .toBe(100);
+  });
+
+  it('should apply reverb thresholds to the verdict', () => {
+    const analyzer = new LevelAnalyzer({ reverb: { BOXY_DRR_DB: 3 } });
+
+    expect(new LevelAnalyzer().interpretReverb(0.25, { drrDb: 6 }).label).toBe('Fair (Boxy)');
+    expect(analyzer.interpretReverb(0.25, { drrDb: 6 }).label).toBe('Excellent (Dry)');
+  });
+});
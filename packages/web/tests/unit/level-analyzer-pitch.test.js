@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+import { mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer pitch (F0) tracking and expressiveness metrics
+ *
+ * Test voices are harmonic-rich tones whose fundamental follows a given contour:
+ * - Constant 120 Hz: zero pitch range, monotone
+ * - 150-300 Hz glide: one octave (12 semitones) of range, expressive
+ * Speech segments are passed in directly, as analyzeVoiceActivity would produce them.
+ */
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * Sum of 8 harmonics (1/h amplitudes) following f0At(t) and amplitudeAt(t)
+ */
+function voice(durationSeconds, f0At, amplitudeAt = () => 0.3) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  let phase = 0;
+  for (let i = 0; i < length; i++) {
+    const t = i / SAMPLE_RATE;
+    phase += 2 * Math.PI * f0At(t) / SAMPLE_RATE;
+    let sample = 0;
+    for (let h = 1; h <= 8; h++) {
+      sample += Math.sin(h * phase) / h;
+    }
+    data[i] = amplitudeAt(t) * sample / 2;
+  }
+  return data;
+}
+
+function speech(segments) {
+  return { segments: segments.map(([startTime, endTime]) => ({ startTime, endTime, duration: endTime - startTime })) };
+}
+
+describe('LevelAnalyzer - Pitch', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should report the median pitch and flag a monotone voice', async () => {
+    const data = voice(4, () => 120);
+    const result = await analyzer.analyzePitch([data], 1, data.length, SAMPLE_RATE, speech([[0, 4]]));
+
+    expect(result.analyzed).toBe(true);
+    expect(result.medianF0Hz).toBeCloseTo(120, 0);
+    expect(result.rangeSemitones).toBeLessThan(0.5);
+    expect(result.variabilitySemitones).toBeLessThan(0.5);
+    expect(result.monotone).toBe(true);
+  });
+
+  it('should measure the pitch range of an expressive voice in semitones', async () => {
+    // One octave glide up and down, twice
+    const data = voice(4, (t) => 150 * Math.pow(2, 0.5 - 0.5 * Math.cos(Math.PI * t)));
+    const result = await analyzer.analyzePitch([data], 1, data.length, SAMPLE_RATE, speech([[0, 4]]));
+
+    expect(result.lowF0Hz).toBeGreaterThan(145);
+    expect(result.highF0Hz).toBeLessThan(310);
+    expect(result.rangeSemitones).toBeGreaterThan(10);
+    expect(result.rangeSemitones).toBeLessThan(12.5);
+    expect(result.variabilitySemitones).toBeGreaterThan(2);
+    expect(result.monotone).toBe(false);
+  });
+
+  it('should only track pitch inside speech segments', async () => {
+    const low = voice(2, () => 100);
+    const high = voice(2, () => 250);
+    const data = new Float32Array(low.length + high.length);
+    data.set(low, 0);
+    data.set(high, low.length);
+    const result = await analyzer.analyzePitch([data], 1, data.length, SAMPLE_RATE, speech([[2, 4]]));
+
+    expect(result.medianF0Hz).toBeCloseTo(250, 0);
+  });
+
+  it('should measure level variability over voiced frames', async () => {
+    const steady = voice(4, () => 150);
+    const varied = voice(4, () => 150, (t) => (Math.floor(t) % 2 === 0 ? 0.3 : 0.03));
+
+    const steadyResult = await analyzer.analyzePitch([steady], 1, steady.length, SAMPLE_RATE, speech([[0, 4]]));
+    const variedResult = await analyzer.analyzePitch([varied], 1, varied.length, SAMPLE_RATE, speech([[0, 4]]));
+
+    expect(steadyResult.levelRangeDb).toBeLessThan(1);
+    expect(variedResult.levelRangeDb).toBeCloseTo(20, 0);
+    expect(variedResult.levelVariabilityDb).toBeCloseTo(10, 0);
+  });
+
+  it('should not analyze files without enough voiced speech', async () => {
+    const data = voice(4, () => 120);
+    const noSpeech = await analyzer.analyzePitch([data], 1, data.length, SAMPLE_RATE, speech([]));
+    const silence = new Float32Array(4 * SAMPLE_RATE);
+    const silent = await analyzer.analyzePitch([silence], 1, silence.length, SAMPLE_RATE, speech([[0, 4]]));
+
+    expect(noSpeech.analyzed).toBe(false);
+    expect(noSpeech.framesAnalyzed).toBe(0);
+    expect(silent.analyzed).toBe(false);
+    expect(silent.rangeSemitones).toBeNull();
+  });
+
+  it('should throw AnalysisCancelledError with pitch stage when cancelled', async () => {
+    const data = voice(2, () => 120);
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzePitch([data], 1, data.length, SAMPLE_RATE, speech([[0, 2]]))
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'pitch' });
+  });
+
+  it('should include pitch in experimental analyzeAudioBuffer results', async () => {
+    // Room tone for the first and last second so voice activity has a noise floor to work from
+    const data = voice(6, () => 120, (t) => (t >= 1 && t < 5 ? 0.3 : 0));
+    for (let i = 0; i < data.length; i++) {
+      data[i] += 0.0001 * Math.sin(2 * Math.PI * 3000 * i / SAMPLE_RATE);
+    }
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.pitch.medianF0Hz).toBeCloseTo(120, 0);
+    expect(messages).toContain('Tracking pitch...');
+  });
+});
+
+describe('CriteriaValidator - Pitch Range', () => {
+  const pitch = { analyzed: true, medianF0Hz: 182.4, rangeSemitones: 5.2, monotone: false };
+
+  it('should skip validation when the preset has no pitch range minimum', () => {
+    expect(CriteriaValidator.validatePitchRange(pitch, {})).toBeNull();
+  });
+
+  it('should skip validation when pitch could not be tracked', () => {
+    expect(CriteriaValidator.validatePitchRange({ analyzed: false }, { minPitchRangeFail: 3 })).toBeNull();
+  });
+
+  it('should warn or fail below the configured minimums', () => {
+    expect(CriteriaValidator.validatePitchRange(pitch, { minPitchRangeWarning: 6, minPitchRangeFail: 4 }).status).toBe('warning');
+    expect(CriteriaValidator.validatePitchRange(pitch, { minPitchRangeWarning: 8, minPitchRangeFail: 6 }).status).toBe('fail');
+    expect(CriteriaValidator.validatePitchRange(pitch, { minPitchRangeWarning: 5 }).status).toBe('pass');
+  });
+
+  it('should describe the range and median pitch', () => {
+    const result = CriteriaValidator.validatePitchRange(pitch, { minPitchRangeWarning: 6 });
+    expect(result.message).toBe('5.2 st pitch range around 182 Hz (6 st minimum)');
+    expect(result.rangeSemitones).toBe(5.2);
+  });
+});
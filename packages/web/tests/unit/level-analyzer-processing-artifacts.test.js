@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { createNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer noise-reduction and gating artifact detection
+ *
+ * The test recording is eight 1s phrases of a 200 Hz "voice" separated by 0.6s pauses, over
+ * -63 dB room tone, with speech segments passed in directly as analyzeVoiceActivity would produce them:
+ * - gate: the room tone cut to digital silence 50ms into every pause
+ * - musical: the room tone turned down 20 dB in the pauses and overlaid with short random
+ *   tone blips ("birdies"), as spectral denoising leaves behind
+ */
+
+const SAMPLE_RATE = 16000;
+const CYCLE = 1.6;
+const PHRASES = 8;
+
+function recording(kind = 'natural', phrases = PHRASES) {
+  const length = Math.round(phrases * CYCLE * SAMPLE_RATE);
+  const data = new Float32Array(length);
+  const noise = createNoise();
+  for (let i = 0; i < length; i++) {
+    const t = i / SAMPLE_RATE;
+    const position = t % CYCLE;
+    const speaking = position < 1;
+    let room = 0.001 * noise();
+    if (kind === 'gate' && !speaking && position > 1.05) room = 0;
+    if (kind === 'musical' && !speaking) room *= 0.1;
+    if (kind === 'varying') room *= Math.floor(t / CYCLE) % 2 ? 3 : 1;
+    data[i] = (speaking ? 0.1 * Math.sin(2 * Math.PI * 200 * t) : 0) + room;
+  }
+
+  if (kind === 'musical') {
+    const random = createNoise(9);
+    const blipLength = Math.round(0.03 * SAMPLE_RATE);
+    for (let p = 0; p < phrases; p++) {
+      for (let b = 0; b < 120; b++) {
+        const start = Math.round((p * CYCLE + 1 + Math.abs(random()) * 0.57) * SAMPLE_RATE);
+        const frequency = 300 + Math.abs(random()) * 6000;
+        const amplitude = 0.003 * Math.abs(random());
+        for (let j = 0; j < blipLength && start + j < length; j++) {
+          data[start + j] += amplitude * Math.sin(Math.PI * j / blipLength) * Math.sin(2 * Math.PI * frequency * j / SAMPLE_RATE);
+        }
+      }
+    }
+  }
+  return data;
+}
+
+function phrases(count = PHRASES) {
+  return {
+    segments: Array.from({ length: count }, (_, p) => ({ startTime: p * CYCLE, endTime: p * CYCLE + 1, duration: 1 }))
+  };
+}
+
+describe('LevelAnalyzer - Processing Artifacts', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should pass natural room tone between phrases', async () => {
+    const data = recording();
+    const result = await analyzer.analyzeProcessingArtifacts([data], 1, data.length, SAMPLE_RATE, phrases());
+
+    expect(result.analyzed).toBe(true);
+    expect(result.pausesAnalyzed).toBe(7);
+    expect(result.gatedPauses).toBe(0);
+    expect(result.gateSnaps).toBe(0);
+    expect(result.noiseFlatness).toBeGreaterThan(0.45);
+    expect(result.overProcessed).toBe(false);
+    expect(result.label).toBe('Natural');
+  });
+
+  it('should detect gate pumping when room tone drops out in the pauses', async () => {
+    const data = recording('gate');
+    const result = await analyzer.analyzeProcessingArtifacts([data], 1, data.length, SAMPLE_RATE, phrases());
+
+    expect(result.gatedPauses).toBe(7);
+    expect(result.gatedPauseRatio).toBe(1);
+    expect(result.gateSnaps).toBe(14);
+    expect(result.gatePumping).toBe(true);
+    expect(result.overProcessed).toBe(true);
+    expect(result.label).toBe('Gate pumping');
+  });
+
+  it('should detect musical noise in the residual room tone', async () => {
+    const data = recording('musical');
+    const result = await analyzer.analyzeProcessingArtifacts([data], 1, data.length, SAMPLE_RATE, phrases());
+
+    expect(result.gatePumping).toBe(false);
+    expect(result.noiseFlatness).toBeLessThan(LevelAnalyzer.PROCESSING_ARTIFACT_CONFIG.MUSICAL_NOISE_FLATNESS);
+    expect(result.musicalNoise).toBe(true);
+    expect(result.label).toBe('Musical noise');
+  });
+
+  it('should not mistake a changing room level for processing', async () => {
+    const data = recording('varying');
+    const result = await analyzer.analyzeProcessingArtifacts([data], 1, data.length, SAMPLE_RATE, phrases());
+
+    expect(result.musicalNoise).toBe(false);
+    expect(result.overProcessed).toBe(false);
+  });
+
+  it('should not analyze without enough pauses', async () => {
+    const data = recording('gate', 2);
+    const result = await analyzer.analyzeProcessingArtifacts([data], 1, data.length, SAMPLE_RATE, phrases(2));
+
+    expect(result.analyzed).toBe(false);
+    expect(result.gatePumping).toBe(false);
+    expect(result.label).toBe('N/A');
+  });
+
+  it('should throw AnalysisCancelledError with processing-artifacts stage when cancelled', async () => {
+    const data = recording();
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzeProcessingArtifacts([data], 1, data.length, SAMPLE_RATE, phrases())
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'processing-artifacts' });
+  });
+
+  it('should include processing artifacts in experimental analyzeAudioBuffer results', async () => {
+    const data = recording('gate');
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.processingArtifacts).toBeDefined();
+    expect(messages).toContain('Checking for noise-reduction artifacts...');
+  });
+});
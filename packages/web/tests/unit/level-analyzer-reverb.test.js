@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { createNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer reverb estimation (RT60 distribution, EDT, DRR, per channel)
+ *
+ * Each test room is a 30ms noise burst once a second, followed by an exponentially decaying noise
+ * tail with a known RT60. The tail's starting level relative to the burst sets how much reverberant
+ * energy competes with the direct sound:
+ * - dry: 50ms decay, tail 20 dB down
+ * - boxy: 250ms decay, tail only 4 dB down (strong early reflections)
+ * - live: 700ms decay, tail 10 dB down
+ */
+
+const SAMPLE_RATE = 16000;
+
+function room(rt60, tailLevel, { bursts = 12, floor = 0.0001, seed = 1 } = {}) {
+  const length = bursts * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  const noise = createNoise(seed);
+  for (let i = 0; i < length; i++) {
+    const t = (i / SAMPLE_RATE) % 1;
+    const burst = t >= 0.2 && t < 0.23 ? 0.3 * noise() : 0;
+    const tail = t >= 0.2 ? tailLevel * 0.3 * Math.exp(-(t - 0.2) * 6.91 / rt60) * noise() : 0;
+    data[i] = burst + tail + floor * noise();
+  }
+  return data;
+}
+
+const dry = () => room(0.05, 0.1);
+const boxy = () => room(0.25, 0.6);
+const live = () => room(0.7, 0.3);
+
+describe('LevelAnalyzer - Reverb', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should measure RT60 from the late decay of each onset', async () => {
+    const data = live();
+    const result = await analyzer.estimateReverb([data], 1, data.length, SAMPLE_RATE, -80);
+
+    expect(result.overallMedianRt60).toBeCloseTo(0.7, 1);
+    expect(result.decaysAnalyzed).toBe(13);
+    expect(analyzer.interpretReverb(result.overallMedianRt60, result).label).toBe('Fair (Slightly Live)');
+  });
+
+  it('should report the RT60 distribution with a confidence rating', async () => {
+    const data = live();
+    const result = await analyzer.estimateReverb([data], 1, data.length, SAMPLE_RATE, -80);
+    const dist = result.rt60Distribution;
+
+    expect(dist.min).toBeLessThanOrEqual(dist.p10);
+    expect(dist.p25).toBeLessThanOrEqual(dist.median);
+    expect(dist.median).toBe(result.overallMedianRt60);
+    expect(dist.p75).toBeLessThanOrEqual(dist.p90);
+    expect(dist.p90).toBeLessThanOrEqual(dist.max);
+    expect(dist.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(13);
+    expect(dist.histogram[dist.histogram.length - 1].toSeconds).toBeNull();
+    expect(result.confidence).toBe('high');
+  });
+
+  it('should rate a dry room as dry, with a high direct-to-reverberant ratio', async () => {
+    const data = dry();
+    const result = await analyzer.estimateReverb([data], 1, data.length, SAMPLE_RATE, -80);
+
+    expect(result.overallMedianRt60).toBeLessThan(0.1);
+    expect(result.drrDb).toBeGreaterThan(20);
+    expect(analyzer.interpretReverb(result.overallMedianRt60, result).label).toBe('Excellent (Dry)');
+  });
+
+  it('should rate a short decay with strong early reflections as boxy, not dry', async () => {
+    const data = boxy();
+    const result = await analyzer.estimateReverb([data], 1, data.length, SAMPLE_RATE, -80);
+
+    expect(result.overallMedianRt60).toBeCloseTo(0.25, 1);
+    expect(result.edt).toBeLessThan(result.overallMedianRt60);
+    expect(result.drrDb).toBeLessThan(LevelAnalyzer.REVERB_CONFIG.BOXY_DRR_DB);
+    expect(analyzer.interpretReverb(result.overallMedianRt60, result).label).toBe('Fair (Boxy)');
+    // The decay time alone reads as dry
+    expect(analyzer.interpretReverb(result.overallMedianRt60).label).toBe('Excellent (Dry)');
+  });
+
+  it('should report each channel separately', async () => {
+    const left = dry();
+    const right = room(0.7, 0.3, { seed: 5 });
+    const result = await analyzer.estimateReverb([left, right], 2, left.length, SAMPLE_RATE, -80);
+
+    expect(result.perChannelRt60).toHaveLength(2);
+    expect(result.perChannelRt60[0].channelName).toBe('left');
+    expect(result.perChannelRt60[0].medianRt60).toBeLessThan(0.1);
+    expect(result.perChannelRt60[1].medianRt60).toBeCloseTo(0.7, 1);
+    expect(result.perChannelRt60[1].drrDb).toBeLessThan(result.perChannelRt60[0].drrDb);
+    expect(result.decaysAnalyzed).toBe(26);
+  });
+
+  it('should still fit the decay when the noise floor cuts it short', async () => {
+    const data = room(1.5, 0.3, { floor: 0.01 });
+    const result = await analyzer.estimateReverb([data], 1, data.length, SAMPLE_RATE, -45);
+
+    expect(result.overallMedianRt60).toBeCloseTo(1.5, 0);
+    expect(analyzer.interpretReverb(result.overallMedianRt60, result).label).toBe('Very Poor (Echoey)');
+  });
+
+  it('should report no reverb when no decay can be measured', async () => {
+    const silence = new Float32Array(4 * SAMPLE_RATE);
+    const result = await analyzer.estimateReverb([silence], 1, silence.length, SAMPLE_RATE, -Infinity);
+
+    expect(result.overallMedianRt60).toBe(0);
+    expect(result.rt60Distribution).toBeNull();
+    expect(result.confidence).toBe('none');
+    expect(analyzer.interpretReverb(result.overallMedianRt60, result).label).toBe('N/A');
+  });
+
+  it('should throw AnalysisCancelledError with reverb stage when cancelled', async () => {
+    const data = live();
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.estimateReverb([data], 1, data.length, SAMPLE_RATE, -80)
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'reverb' });
+  });
+
+  it('should include the reverb verdict and raw analysis in experimental analyzeAudioBuffer results', async () => {
+    const data = boxy();
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.reverbAnalysis.rt60Distribution).not.toBeNull();
+    expect(result.reverbInfo.confidence).toBe(result.reverbAnalysis.confidence);
+    expect(messages).toContain('Estimating reverb...');
+  });
+});
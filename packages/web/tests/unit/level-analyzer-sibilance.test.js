@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+import { mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer sibilance measurement
+ *
+ * The test voice is a 150 Hz harmonic-rich tone (nothing above 3 kHz) at about -21 dBFS.
+ * Every 500ms it is replaced for 80ms by a 7 kHz tone standing in for an "s":
+ * - 0.05 amplitude: about 8 dB below the speech level (normal sibilance)
+ * - 0.15 amplitude: about 1 dB above the speech level (piercing sibilance)
+ */
+
+const SAMPLE_RATE = 48000;
+
+function recording(sibilantAmplitude, durationSeconds = 10) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  let phase = 0;
+  for (let i = 0; i < length; i++) {
+    const t = i / SAMPLE_RATE;
+    phase += 2 * Math.PI * 150 / SAMPLE_RATE;
+    if (t % 0.5 < 0.08) {
+      data[i] = sibilantAmplitude * Math.sin(2 * Math.PI * 7000 * t);
+      continue;
+    }
+    let voice = 0;
+    for (let h = 1; h <= 20; h++) {
+      voice += Math.sin(h * phase) / h;
+    }
+    data[i] = 0.1 * voice;
+  }
+  return data;
+}
+
+function speech(segments) {
+  return { segments: segments.map(([startTime, endTime]) => ({ startTime, endTime, duration: endTime - startTime })) };
+}
+
+describe('LevelAnalyzer - Sibilance', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should not report normal sibilance', async () => {
+    const data = recording(0.05);
+    const result = await analyzer.analyzeSibilance([data], 1, data.length, SAMPLE_RATE, speech([[0, 10]]));
+
+    expect(result.analyzed).toBe(true);
+    expect(result.speechLevelDb).toBeCloseTo(-21.6, 0);
+    expect(result.peakRatioDb).toBeCloseTo(-8, 0);
+    expect(result.eventCount).toBe(0);
+    expect(result.severity).toBe('none');
+  });
+
+  it('should count piercing bursts with their time and peak ratio', async () => {
+    const data = recording(0.15);
+    const result = await analyzer.analyzeSibilance([data], 1, data.length, SAMPLE_RATE, speech([[0, 10]]));
+
+    expect(result.eventCount).toBe(20);
+    expect(result.eventsPerMinute).toBe(120);
+    expect(result.peakRatioDb).toBeGreaterThan(0);
+    expect(result.peakRatioDb).toBeLessThan(2);
+    expect(result.events[1].time).toBeCloseTo(0.5, 2);
+    expect(result.events[1].duration).toBeCloseTo(0.08, 2);
+    expect(result.severity).toBe('severe');
+  });
+
+  it('should grade severity by the configured event rates', async () => {
+    const data = recording(0.15);
+    const lenient = new LevelAnalyzer({ sibilance: { SEVERITY_EVENTS_PER_MINUTE: { moderate: 100, severe: 200 } } });
+    lenient.analysisInProgress = true;
+    const result = await lenient.analyzeSibilance([data], 1, data.length, SAMPLE_RATE, speech([[0, 10]]));
+
+    expect(result.eventsPerMinute).toBe(120);
+    expect(result.severity).toBe('moderate');
+  });
+
+  it('should only measure inside speech segments', async () => {
+    const data = recording(0.15);
+    // Ten segments between the bursts
+    const between = Array.from({ length: 10 }, (_, i) => [i * 0.5 + 0.1, i * 0.5 + 0.45]);
+    const result = await analyzer.analyzeSibilance([data], 1, data.length, SAMPLE_RATE, speech(between));
+
+    expect(result.speechDuration).toBeCloseTo(3.5, 1);
+    expect(result.eventCount).toBe(0);
+  });
+
+  it('should rate events per minute of speech, not of the file', async () => {
+    const data = recording(0.15);
+    const result = await analyzer.analyzeSibilance([data], 1, data.length, SAMPLE_RATE, speech([[0, 5]]));
+
+    expect(result.eventCount).toBe(10);
+    expect(result.eventsPerMinute).toBe(120);
+  });
+
+  it('should not analyze without enough speech or bandwidth', async () => {
+    const data = recording(0.15);
+    const noSpeech = await analyzer.analyzeSibilance([data], 1, data.length, SAMPLE_RATE, speech([[0, 0.5]]));
+    const narrowband = await analyzer.analyzeSibilance([data], 1, data.length, 11025, speech([[0, 10]]));
+
+    expect(noSpeech.analyzed).toBe(false);
+    expect(noSpeech.peakRatioDb).toBeNull();
+    expect(narrowband.analyzed).toBe(false);
+  });
+
+  it('should throw AnalysisCancelledError with sibilance stage when cancelled', async () => {
+    const data = recording(0.15, 2);
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzeSibilance([data], 1, data.length, SAMPLE_RATE, speech([[0, 2]]))
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'sibilance' });
+  });
+
+  it('should include sibilance in experimental analyzeAudioBuffer results', async () => {
+    const data = recording(0.15, 4);
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.sibilance).toBeDefined();
+    expect(messages).toContain('Measuring sibilance...');
+  });
+});
+
+describe('CriteriaValidator - Sibilance', () => {
+  const sibilance = { analyzed: true, eventsPerMinute: 12, peakRatioDb: 4.5 };
+
+  it('should skip validation when the preset has no sibilance limits', () => {
+    expect(CriteriaValidator.validateSibilance(sibilance, {})).toBeNull();
+  });
+
+  it('should skip validation when sibilance could not be measured', () => {
+    expect(CriteriaValidator.validateSibilance({ analyzed: false }, { maxSibilanceRateFail: 30 })).toBeNull();
+  });
+
+  it('should warn or fail on either the event rate or the peak ratio', () => {
+    expect(CriteriaValidator.validateSibilance(sibilance, { maxSibilanceRateWarning: 10, maxSibilanceRateFail: 30 }).status).toBe('warning');
+    expect(CriteriaValidator.validateSibilance(sibilance, { maxSibilanceRateWarning: 20, maxSibilancePeakFail: 3 }).status).toBe('fail');
+    expect(CriteriaValidator.validateSibilance(sibilance, { maxSibilanceRateWarning: 20, maxSibilancePeakWarning: 6 }).status).toBe('pass');
+  });
+
+  it('should describe the rate and loudest burst', () => {
+    const result = CriteriaValidator.validateSibilance(sibilance, { maxSibilanceRateWarning: 10 });
+    expect(result.message).toBe('12.0 sibilant bursts/min, peak +4.5 dB vs speech');
+    expect(result.eventsPerMinute).toBe(12);
+  });
+});
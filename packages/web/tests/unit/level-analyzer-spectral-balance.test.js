@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { createNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer low-frequency rumble and proximity-effect analysis
+ *
+ * The test voice is a 120 Hz harmonic-rich tone (1/h amplitudes) from 1s to 9s over faint
+ * room tone, with speech segments passed in directly as analyzeVoiceActivity would produce them:
+ * - rumble: a 40 Hz tone throughout, or only in the pauses
+ * - boom: the lowest three harmonics raised 14 dB, as a close microphone would
+ */
+
+const SAMPLE_RATE = 16000;
+const SPEECH = { segments: [{ startTime: 1, endTime: 9, duration: 8 }] };
+
+function recording({ f0 = 120, lowBoost = 1, rumble = 0, pauseRumble = 0, roomTone = 0.0003 } = {}) {
+  const length = 10 * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  const noise = createNoise();
+  let phase = 0;
+  for (let i = 0; i < length; i++) {
+    const t = i / SAMPLE_RATE;
+    const speaking = t >= 1 && t < 9;
+    phase += 2 * Math.PI * f0 / SAMPLE_RATE;
+    let voice = 0;
+    for (let h = 1; h <= 20; h++) {
+      voice += (h <= 3 ? lowBoost : 1) * Math.sin(h * phase) / h;
+    }
+    data[i] = roomTone * noise() +
+      (speaking ? 0.1 * voice : pauseRumble * Math.sin(2 * Math.PI * 30 * t)) +
+      rumble * Math.sin(2 * Math.PI * 40 * t);
+  }
+  return data;
+}
+
+describe('LevelAnalyzer - Spectral Balance', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should pass a clean voice', async () => {
+    const data = recording();
+    const result = await analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, SPEECH);
+
+    expect(result.analyzed).toBe(true);
+    expect(result.speech.subToSpeechDb).toBeLessThan(-40);
+    expect(result.speech.lowMidToPresenceDb).toBeGreaterThan(5);
+    expect(result.speech.lowMidToPresenceDb).toBeLessThan(10);
+    expect(result.verdict).toBe('clean');
+  });
+
+  it('should not mistake a deep or high voice for rumble or boom', async () => {
+    const deep = recording({ f0: 90 });
+    const high = recording({ f0: 220 });
+    const deepResult = await analyzer.analyzeSpectralBalance([deep], 1, deep.length, SAMPLE_RATE, SPEECH);
+    const highResult = await analyzer.analyzeSpectralBalance([high], 1, high.length, SAMPLE_RATE, SPEECH);
+
+    expect(deepResult.verdict).toBe('clean');
+    expect(highResult.verdict).toBe('clean');
+  });
+
+  it('should flag rumble under speech', async () => {
+    const data = recording({ rumble: 0.02 });
+    const result = await analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, SPEECH);
+
+    expect(result.speech.subToSpeechDb).toBeCloseTo(-16, 0);
+    expect(result.rumble).toBe(true);
+    expect(result.verdict).toBe('rumble');
+    expect(result.label).toBe('Low-frequency rumble');
+  });
+
+  it('should flag rumble that only shows in the pauses', async () => {
+    const data = recording({ pauseRumble: 0.003 });
+    const result = await analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, SPEECH);
+
+    expect(result.speech.subToSpeechDb).toBeLessThan(-40);
+    expect(result.nonSpeech.subLevelDb).toBeCloseTo(-53.5, 0);
+    expect(result.rumble).toBe(true);
+  });
+
+  it('should ignore inaudible low-frequency room tone', async () => {
+    // Dominates the pauses, but 20 dB below where rumble becomes audible
+    const data = recording({ pauseRumble: 0.0003, roomTone: 0.00003 });
+    const result = await analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, SPEECH);
+
+    expect(result.nonSpeech.subToSpeechDb).toBeGreaterThan(LevelAnalyzer.SPECTRAL_BALANCE_CONFIG.RUMBLE_NON_SPEECH_DB);
+    expect(result.rumble).toBe(false);
+  });
+
+  it('should flag low-mid buildup from proximity effect', async () => {
+    const data = recording({ lowBoost: 5 });
+    const result = await analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, SPEECH);
+
+    expect(result.speech.lowMidToPresenceDb).toBeGreaterThan(20);
+    expect(result.boom).toBe(true);
+    expect(result.verdict).toBe('boomy');
+  });
+
+  it('should report rumble and boom together', async () => {
+    const data = recording({ lowBoost: 5, rumble: 0.05 });
+    const result = await analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, SPEECH);
+
+    expect(result.verdict).toBe('rumble-and-boom');
+  });
+
+  it('should measure pauses only when there is no speech', async () => {
+    const data = recording();
+    const result = await analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, { segments: [] });
+
+    expect(result.speech).toBeNull();
+    expect(result.nonSpeech.framesAnalyzed).toBeGreaterThan(0);
+    expect(result.boom).toBe(false);
+  });
+
+  it('should not analyze digital silence', async () => {
+    const silence = new Float32Array(10 * SAMPLE_RATE);
+    const result = await analyzer.analyzeSpectralBalance([silence], 1, silence.length, SAMPLE_RATE, { segments: [] });
+
+    expect(result.analyzed).toBe(false);
+    expect(result.verdict).toBe('unknown');
+  });
+
+  it('should throw AnalysisCancelledError with spectral-balance stage when cancelled', async () => {
+    const data = recording();
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzeSpectralBalance([data], 1, data.length, SAMPLE_RATE, SPEECH)
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'spectral-balance' });
+  });
+
+  it('should include spectral balance in experimental analyzeAudioBuffer results', async () => {
+    const data = recording({ rumble: 0.02 });
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.spectralBalance.rumble).toBe(true);
+    expect(messages).toContain('Checking low-frequency balance...');
+  });
+});
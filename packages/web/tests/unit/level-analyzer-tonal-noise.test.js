@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+import { dbToLinear, createNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer mains hum / tonal noise detection
+ *
+ * Test signals are room tone (low-level noise) with steady tones mixed in.
+ * Passing a noise floor of 0 dB marks every frame as non-speech, so the whole
+ * signal is analysed. Severity follows TONAL_NOISE_CONFIG.SEVERITY_LEVELS_DB:
+ * - >= -50 dB severe, >= -65 dB moderate, anything quieter minor
+ */
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * Room tone at noiseDb plus tones given as [{ frequency, levelDb }]
+ */
+function roomTone(durationSeconds, tones = [], noiseDb = -80) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  const noise = createNoise();
+  const noiseAmplitude = dbToLinear(noiseDb);
+  for (let i = 0; i < length; i++) {
+    let sample = noiseAmplitude * noise();
+    for (const tone of tones) {
+      sample += dbToLinear(tone.levelDb) * Math.sin(2 * Math.PI * tone.frequency * i / SAMPLE_RATE);
+    }
+    data[i] = sample;
+  }
+  return data;
+}
+
+describe('LevelAnalyzer - Tonal Noise', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  describe('interpretTonalSeverity', () => {
+    it('should classify tone levels using the configured thresholds', () => {
+      expect(analyzer.interpretTonalSeverity(-45)).toBe('severe');
+      expect(analyzer.interpretTonalSeverity(-50)).toBe('severe');
+      expect(analyzer.interpretTonalSeverity(-60)).toBe('moderate');
+      expect(analyzer.interpretTonalSeverity(-80)).toBe('minor');
+      expect(analyzer.interpretTonalSeverity(-Infinity)).toBe('none');
+    });
+  });
+
+  describe('analyzeTonalNoise', () => {
+    it('should detect 60 Hz hum and its harmonics', async () => {
+      const data = roomTone(30, [
+        { frequency: 60, levelDb: -45 },
+        { frequency: 180, levelDb: -55 }
+      ]);
+      const result = await analyzer.analyzeTonalNoise([data], 1, data.length, SAMPLE_RATE, 0);
+
+      expect(result.analyzed).toBe(true);
+      expect(result.mainsHum.fundamental).toBe(60);
+      expect(result.mainsHum.harmonics.map(h => h.harmonic)).toEqual([1, 3]);
+      expect(result.mainsHum.harmonics[0].frequency).toBeCloseTo(60, 0);
+      expect(result.mainsHum.levelDb).toBeCloseTo(-45, 0);
+      expect(result.mainsHum.severity).toBe('severe');
+      expect(result.tones).toHaveLength(0);
+      expect(result.severity).toBe('severe');
+    });
+
+    it('should detect 50 Hz hum', async () => {
+      const data = roomTone(30, [
+        { frequency: 50, levelDb: -60 },
+        { frequency: 100, levelDb: -65 }
+      ]);
+      const result = await analyzer.analyzeTonalNoise([data], 1, data.length, SAMPLE_RATE, 0);
+
+      expect(result.mainsHum.fundamental).toBe(50);
+      expect(result.mainsHum.harmonics).toHaveLength(2);
+      expect(result.severity).toBe('moderate');
+    });
+
+    it('should list non-mains tones separately', async () => {
+      const data = roomTone(30, [{ frequency: 1234, levelDb: -60 }]);
+      const result = await analyzer.analyzeTonalNoise([data], 1, data.length, SAMPLE_RATE, 0);
+
+      expect(result.mainsHum).toBeNull();
+      expect(result.tones).toHaveLength(1);
+      expect(result.tones[0].frequency).toBeCloseTo(1234, 0);
+      expect(result.tones[0].levelDb).toBeCloseTo(-60, 0);
+      expect(result.tones[0].prominenceDb).toBeGreaterThan(10);
+      expect(result.worstLevelDb).toBeCloseTo(-60, 0);
+    });
+
+    it('should report no tonal noise for plain room tone', async () => {
+      const data = roomTone(30, [], -60);
+      const result = await analyzer.analyzeTonalNoise([data], 1, data.length, SAMPLE_RATE, 0);
+
+      expect(result.analyzed).toBe(true);
+      expect(result.mainsHum).toBeNull();
+      expect(result.tones).toHaveLength(0);
+      expect(result.severity).toBe('none');
+    });
+
+    it('should only analyse frames near the noise floor', async () => {
+      // Loud 60 Hz "speech" in the first half, quiet room tone in the second
+      const loud = roomTone(15, [{ frequency: 60, levelDb: -10 }]);
+      const quiet = roomTone(15, [], -60);
+      const data = new Float32Array(loud.length + quiet.length);
+      data.set(loud, 0);
+      data.set(quiet, loud.length);
+
+      const result = await analyzer.analyzeTonalNoise([data], 1, data.length, SAMPLE_RATE, -65);
+
+      expect(result.analyzed).toBe(true);
+      expect(result.mainsHum).toBeNull();
+    });
+
+    it('should skip analysis without a measurable noise floor', async () => {
+      const data = new Float32Array(10 * SAMPLE_RATE);
+      const result = await analyzer.analyzeTonalNoise([data], 1, data.length, SAMPLE_RATE, -Infinity);
+
+      expect(result.analyzed).toBe(false);
+      expect(result.severity).toBe('none');
+    });
+
+    it('should throw AnalysisCancelledError with tonal-noise stage when cancelled', async () => {
+      const data = roomTone(10, [{ frequency: 60, levelDb: -45 }]);
+      analyzer.cancelAnalysis();
+
+      await expect(
+        analyzer.analyzeTonalNoise([data], 1, data.length, SAMPLE_RATE, 0)
+      ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'tonal-noise' });
+    });
+  });
+
+  describe('analyzeAudioBuffer integration', () => {
+    it('should include tonal noise in experimental results', async () => {
+      const data = roomTone(10, [{ frequency: 60, levelDb: -50 }], -60);
+      const messages = [];
+      const result = await new LevelAnalyzer().analyzeAudioBuffer(
+        mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+      );
+
+      expect(result.tonalNoise).toBeDefined();
+      expect(messages).toContain('Detecting hum and tonal noise...');
+    });
+  });
+});
+
+describe('CriteriaValidator - Tonal Noise', () => {
+  const hum = {
+    analyzed: true,
+    mainsHum: { fundamental: 60, harmonics: [], levelDb: -58.2, severity: 'moderate' },
+    tones: [],
+    worstLevelDb: -58.2,
+    severity: 'moderate'
+  };
+
+  it('should skip validation when the preset has no tonal noise thresholds', () => {
+    expect(CriteriaValidator.validateTonalNoise(hum, {})).toBeNull();
+  });
+
+  it('should skip validation when no non-speech audio was analyzed', () => {
+    const preset = { tonalNoiseWarningSeverity: 'minor' };
+    expect(CriteriaValidator.validateTonalNoise({ analyzed: false, severity: 'none' }, preset)).toBeNull();
+  });
+
+  it('should warn or fail at the configured severities', () => {
+    expect(CriteriaValidator.validateTonalNoise(hum, {
+      tonalNoiseWarningSeverity: 'moderate', tonalNoiseFailSeverity: 'severe'
+    }).status).toBe('warning');
+    expect(CriteriaValidator.validateTonalNoise(hum, {
+      tonalNoiseWarningSeverity: 'minor', tonalNoiseFailSeverity: 'moderate'
+    }).status).toBe('fail');
+    expect(CriteriaValidator.validateTonalNoise({ ...hum, severity: 'minor' }, {
+      tonalNoiseWarningSeverity: 'moderate'
+    }).status).toBe('pass');
+  });
+
+  it('should describe the loudest tonal component', () => {
+    const result = CriteriaValidator.validateTonalNoise(hum, { tonalNoiseFailSeverity: 'severe' });
+    expect(result.message).toBe('60 Hz hum at -58.2 dB (moderate)');
+    expect(result.severity).toBe('moderate');
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { createNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer click, pop, discontinuity and dropout detection
+ *
+ * The base signal is a 200 Hz "voice" tone over -80 dB room tone, with faults mixed in:
+ * - click: one sample pushed off the waveform
+ * - discontinuity: the waveform shifted by a constant from one sample on
+ * - pop: a 30ms, 20 Hz thump
+ * - dropout: a run of exact zeros in the middle of speech
+ */
+
+const SAMPLE_RATE = 8000;
+
+function voice(durationSeconds, frequency = 200) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  const noise = createNoise();
+  for (let i = 0; i < length; i++) {
+    data[i] = 0.0001 * noise() + 0.3 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+  }
+  return data;
+}
+
+function addPop(data, atSeconds) {
+  const start = Math.round(atSeconds * SAMPLE_RATE);
+  const popLength = Math.round(0.03 * SAMPLE_RATE);
+  for (let i = 0; i < popLength; i++) {
+    data[start + i] += 0.5 * Math.sin(Math.PI * i / popLength);
+  }
+}
+
+// Whole file is one speech segment at a -40 dB threshold
+function speechEverywhere(durationSeconds, channels = 1) {
+  const segments = [{ startTime: 0, endTime: durationSeconds, duration: durationSeconds }];
+  return {
+    segments,
+    perChannel: Array.from({ length: channels }, () => ({ thresholdDb: -40, segments }))
+  };
+}
+
+describe('LevelAnalyzer - Transients', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should report nothing for clean speech', async () => {
+    const data = voice(5);
+    const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(5));
+
+    expect(result.eventCount).toBe(0);
+    expect(result.events).toHaveLength(0);
+    expect(result.severity).toBe('none');
+  });
+
+  it('should detect single-sample clicks with timestamps', async () => {
+    const data = voice(5);
+    data[8000] += 0.2;
+    data[24000] -= 0.2;
+    const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(5));
+
+    expect(result.counts.click).toBe(2);
+    expect(result.eventCount).toBe(2);
+    expect(result.events[0].type).toBe('click');
+    expect(result.events[0].time).toBeCloseTo(1, 2);
+    expect(result.events[1].time).toBeCloseTo(3, 2);
+    expect(result.severity).toBe('minor');
+  });
+
+  it('should classify a waveform jump as a discontinuity', async () => {
+    const data = voice(5);
+    for (let i = 16000; i < data.length; i++) {
+      data[i] += 0.2;
+    }
+    const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(5));
+
+    expect(result.counts.discontinuity).toBe(1);
+    expect(result.counts.click).toBe(0);
+    expect(result.events[0].time).toBeCloseTo(2, 2);
+  });
+
+  it('should detect low-frequency pops', async () => {
+    const data = voice(5);
+    addPop(data, 2.5);
+    const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(5));
+
+    expect(result.counts.pop).toBe(1);
+    expect(result.events[0].type).toBe('pop');
+    expect(result.events[0].time).toBeCloseTo(2.5, 1);
+    expect(result.events[0].duration).toBeLessThanOrEqual(LevelAnalyzer.TRANSIENT_CONFIG.POP_HOLD_MS / 1000);
+  });
+
+  it('should not mistake a low voice for pops', async () => {
+    const data = voice(5, 100);
+    const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(5));
+
+    expect(result.counts.pop).toBe(0);
+  });
+
+  it('should detect dropouts inside speech without reporting their edges as clicks', async () => {
+    const data = voice(5);
+    data.fill(0, 12000, 12080); // 10ms of exact zeros
+    const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(5));
+
+    expect(result.counts.dropout).toBe(1);
+    expect(result.eventCount).toBe(1);
+    expect(result.events[0].time).toBeCloseTo(1.5, 3);
+    expect(result.events[0].duration).toBeCloseTo(0.01, 3);
+    expect(result.severity).toBe('moderate');
+  });
+
+  it('should ignore zero runs outside speech', async () => {
+    const data = voice(5);
+    data.fill(0, 12000, 12080);
+    const voiceActivity = { segments: [], perChannel: [{ thresholdDb: -40, segments: [] }] };
+    const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, voiceActivity);
+
+    expect(result.counts.dropout).toBe(0);
+  });
+
+  it('should count events per channel', async () => {
+    const left = voice(5);
+    const right = voice(5);
+    right[8000] += 0.2;
+    const result = await analyzer.analyzeTransients([left, right], 2, left.length, SAMPLE_RATE, speechEverywhere(5, 2));
+
+    expect(result.perChannel[0].eventCount).toBe(0);
+    expect(result.perChannel[1].counts.click).toBe(1);
+    expect(result.events[0].channelName).toBe('right');
+  });
+
+  it('should cap stored events but keep exact counts', async () => {
+    const data = voice(5);
+    for (let i = 400; i < data.length; i += 400) {
+      data[i] += 0.2;
+    }
+    const original = LevelAnalyzer.TRANSIENT_CONFIG.MAX_EVENTS_PER_CHANNEL;
+    LevelAnalyzer.TRANSIENT_CONFIG.MAX_EVENTS_PER_CHANNEL = 10;
+    try {
+      const result = await analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(5));
+
+      expect(result.counts.click).toBe(99);
+      expect(result.events).toHaveLength(10);
+      expect(result.eventsLimitReached).toBe(true);
+      expect(result.severity).toBe('severe');
+    } finally {
+      LevelAnalyzer.TRANSIENT_CONFIG.MAX_EVENTS_PER_CHANNEL = original;
+    }
+  });
+
+  it('should throw AnalysisCancelledError with transients stage when cancelled', async () => {
+    const data = voice(1);
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzeTransients([data], 1, data.length, SAMPLE_RATE, speechEverywhere(1))
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'transients' });
+  });
+
+  it('should include transients in experimental analyzeAudioBuffer results', async () => {
+    const data = voice(5);
+    data[8000] += 0.2;
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.transients.counts.click).toBe(1);
+    expect(messages).toContain('Detecting clicks and dropouts...');
+  });
+});
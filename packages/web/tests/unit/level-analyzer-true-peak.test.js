@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer } from '@audio-analyzer/core';
+import { sine, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer true-peak measurement (ITU-R BS.1770-4 Annex 2)
+ *
+ * Reference behaviour:
+ * - A sine at fs/4 sampled 45° off its crest has a sample peak 3 dB below its true peak
+ * - Ordinary signals measure a true peak at (or just above) their sample peak
+ * - The whole file is scanned, even after a full-scale sample has been found
+ */
+
+const SAMPLE_RATE = 48000;
+
+describe('LevelAnalyzer - True Peak', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  describe('analyzePeakLevels', () => {
+    it('should detect an intersample peak 3 dB above the sample peak', async () => {
+      // fs/4 sine shifted 45°: every sample lands at ±0.707 of the crest
+      const data = sine(0.5, 1.0, SAMPLE_RATE / 4, { phase: Math.PI / 4 });
+      const result = await analyzer.analyzePeakLevels([data], 1, data.length, SAMPLE_RATE);
+
+      expect(result.peakDb).toBeCloseTo(-3.01, 1);
+      expect(result.truePeakDb).toBeGreaterThan(0);
+      expect(result.truePeakDb).toBeLessThan(0.2);
+    });
+
+    it('should measure a 1 kHz sine at its sample peak', async () => {
+      const data = sine(1, 0.5);
+      const result = await analyzer.analyzePeakLevels([data], 1, data.length, SAMPLE_RATE);
+
+      expect(result.peakDb).toBeCloseTo(-6.02, 1);
+      expect(result.truePeakDb).toBeCloseTo(-6.02, 1);
+      expect(result.truePeakDb).toBeGreaterThanOrEqual(result.peakDb);
+    });
+
+    it('should report per-channel true peak with its sample position', async () => {
+      const left = new Float32Array(SAMPLE_RATE);
+      const right = new Float32Array(SAMPLE_RATE);
+      left[12000] = 0.5;
+      right[30000] = -0.8;
+
+      const result = await analyzer.analyzePeakLevels([left, right], 2, SAMPLE_RATE, SAMPLE_RATE);
+
+      expect(result.perChannel).toHaveLength(2);
+      expect(result.perChannel[0].channelName).toBe('left');
+      expect(result.perChannel[0].truePeakSample).toBe(12000);
+      expect(result.perChannel[0].truePeakTime).toBeCloseTo(0.25, 3);
+      expect(result.perChannel[1].channelName).toBe('right');
+      expect(result.perChannel[1].truePeakSample).toBe(30000);
+      expect(result.perChannel[1].peakDb).toBeCloseTo(20 * Math.log10(0.8), 3);
+      expect(result.truePeakDb).toBeCloseTo(result.perChannel[1].truePeakDb, 6);
+    });
+
+    it('should keep scanning after a full-scale sample', async () => {
+      const data = new Float32Array(SAMPLE_RATE);
+      data[100] = 1.0;
+      // Intersample over later in the file
+      const over = sine(0.1, 1.0, SAMPLE_RATE / 4, { phase: Math.PI / 4 });
+      data.set(over, 24000);
+
+      const result = await analyzer.analyzePeakLevels([data], 1, data.length, SAMPLE_RATE);
+
+      expect(result.peakDb).toBeCloseTo(0, 3);
+      expect(result.truePeakDb).toBeGreaterThan(0);
+      expect(result.perChannel[0].truePeakSample).toBeGreaterThanOrEqual(24000);
+    });
+
+    it('should return -Infinity for digital silence', async () => {
+      const data = new Float32Array(SAMPLE_RATE);
+      const result = await analyzer.analyzePeakLevels([data], 1, data.length, SAMPLE_RATE);
+
+      expect(result.peakDb).toBe(-Infinity);
+      expect(result.truePeakDb).toBe(-Infinity);
+      expect(result.perChannel[0].truePeakSample).toBe(0);
+    });
+
+    it('should throw AnalysisCancelledError with peak-levels stage when cancelled', async () => {
+      const data = sine(1, 0.5);
+      analyzer.cancelAnalysis();
+
+      await expect(
+        analyzer.analyzePeakLevels([data], 1, data.length, SAMPLE_RATE)
+      ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'peak-levels' });
+    });
+  });
+
+  describe('analyzeAudioBuffer integration', () => {
+    const buffer = (data) => (mockAudioBuffer([data], SAMPLE_RATE));
+
+    it('should report true peak next to peakDb in base analysis', async () => {
+      const data = sine(1, 1.0, SAMPLE_RATE / 4, { phase: Math.PI / 4 });
+      const result = await new LevelAnalyzer().analyzeAudioBuffer(mockAudioBuffer([data], SAMPLE_RATE), null, false);
+
+      expect(result.peakDb).toBeCloseTo(-3.01, 1);
+      expect(result.truePeakDb).toBeGreaterThan(0);
+      expect(result.truePeakPerChannel).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LevelAnalyzer, CriteriaValidator } from '@audio-analyzer/core';
+import { createNoise, mockAudioBuffer } from '../helpers/audio-signals.js';
+
+/**
+ * Tests for LevelAnalyzer voice activity detection and net speech duration
+ *
+ * Test signals are -80 dB room tone with -20 dB tone bursts standing in for speech.
+ * Frames 15 dB above the channel noise floor are speech; pauses under 300ms are
+ * bridged and bursts under 100ms are dropped (VOICE_ACTIVITY_CONFIG).
+ * Breaths are -50 dB noise bursts and lip smacks 30ms noise bursts, placed in the pauses.
+ */
+
+const SAMPLE_RATE = 8000;
+const NOISE_FLOOR = { overall: -80, perChannel: [{ noiseFloorDb: -80 }, { noiseFloorDb: -80 }] };
+
+/**
+ * Room tone with 200 Hz bursts given as [[startSeconds, endSeconds], ...]
+ */
+function withBursts(durationSeconds, bursts, noiseDb = -80) {
+  const length = durationSeconds * SAMPLE_RATE;
+  const data = new Float32Array(length);
+  const noise = createNoise();
+  const noiseAmplitude = Math.pow(10, noiseDb / 20);
+  for (let i = 0; i < length; i++) {
+    data[i] = noiseAmplitude * noise();
+  }
+  for (const [start, end] of bursts) {
+    for (let i = Math.round(start * SAMPLE_RATE); i < Math.round(end * SAMPLE_RATE); i++) {
+      data[i] += 0.1 * Math.sin(2 * Math.PI * 200 * i / SAMPLE_RATE);
+    }
+  }
+  return data;
+}
+
+/**
+ * Adds a noise burst (breath, smack) of the given level in dBFS
+ */
+function addNoise(data, start, end, levelDb) {
+  const noise = createNoise(7);
+  const amplitude = Math.pow(10, levelDb / 20) * Math.sqrt(3);
+  for (let i = Math.round(start * SAMPLE_RATE); i < Math.round(end * SAMPLE_RATE); i++) {
+    data[i] += amplitude * noise();
+  }
+}
+
+describe('LevelAnalyzer - Voice Activity', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LevelAnalyzer();
+    analyzer.analysisInProgress = true;
+  });
+
+  it('should find speech segments and net speech duration', async () => {
+    const data = withBursts(10, [[1, 3], [5, 6]]);
+    const result = await analyzer.analyzeVoiceActivity([data], 1, data.length, SAMPLE_RATE, NOISE_FLOOR);
+
+    expect(result.segmentCount).toBe(2);
+    expect(result.segments[0].startTime).toBeCloseTo(1, 1);
+    expect(result.segments[0].endTime).toBeCloseTo(3, 1);
+    expect(result.segments[1].duration).toBeCloseTo(1, 1);
+    expect(result.duration).toBe(10);
+    expect(result.netSpeechDuration).toBeCloseTo(3, 1);
+    expect(result.speechRatio).toBeCloseTo(0.3, 2);
+  });
+
+  it('should bridge short pauses but not long ones', async () => {
+    const short = withBursts(5, [[1, 2], [2.2, 3]]);
+    const long = withBursts(5, [[1, 2], [2.5, 3]]);
+
+    const bridged = await analyzer.analyzeVoiceActivity([short], 1, short.length, SAMPLE_RATE, NOISE_FLOOR);
+    const split = await analyzer.analyzeVoiceActivity([long], 1, long.length, SAMPLE_RATE, NOISE_FLOOR);
+
+    expect(bridged.segmentCount).toBe(1);
+    expect(bridged.netSpeechDuration).toBeCloseTo(2, 1);
+    expect(split.segmentCount).toBe(2);
+    expect(split.netSpeechDuration).toBeCloseTo(1.5, 1);
+  });
+
+  it('should ignore clicks shorter than a speech segment', async () => {
+    const data = withBursts(5, [[2, 2.04]]);
+    const result = await analyzer.analyzeVoiceActivity([data], 1, data.length, SAMPLE_RATE, NOISE_FLOOR);
+
+    expect(result.segmentCount).toBe(0);
+    expect(result.netSpeechDuration).toBe(0);
+  });
+
+  it('should report speech per channel and combine them for net speech', async () => {
+    const left = withBursts(10, [[1, 3]]);
+    const right = withBursts(10, [[2, 5]]);
+    const result = await analyzer.analyzeVoiceActivity([left, right], 2, left.length, SAMPLE_RATE, NOISE_FLOOR);
+
+    expect(result.perChannel[0].channelName).toBe('left');
+    expect(result.perChannel[0].speechDuration).toBeCloseTo(2, 1);
+    expect(result.perChannel[1].speechRatio).toBeCloseTo(0.3, 2);
+    expect(result.netSpeechDuration).toBeCloseTo(4, 1);
+    expect(result.segmentCount).toBe(1);
+  });
+
+  it('should use the fallback threshold without a measurable noise floor', async () => {
+    const data = withBursts(5, [[1, 2]], -Infinity);
+    const result = await analyzer.analyzeVoiceActivity([data], 1, data.length, SAMPLE_RATE, { overall: -Infinity, perChannel: [] });
+
+    expect(result.perChannel[0].thresholdDb).toBe(LevelAnalyzer.VOICE_ACTIVITY_CONFIG.FALLBACK_THRESHOLD_DB);
+    expect(result.netSpeechDuration).toBeCloseTo(1, 1);
+  });
+
+  it('should count breaths and mouth noise in pauses with timestamps', async () => {
+    const data = withBursts(10, [[1, 3], [5, 7]]);
+    addNoise(data, 3.8, 4.2, -50);
+    addNoise(data, 8, 8.03, -40);
+    const result = await analyzer.analyzeVoiceActivity([data], 1, data.length, SAMPLE_RATE, NOISE_FLOOR);
+    const { nonSpeechEvents } = result;
+
+    expect(nonSpeechEvents.counts.breath).toBe(1);
+    expect(nonSpeechEvents.counts['mouth-noise']).toBe(1);
+    expect(nonSpeechEvents.eventCount).toBe(2);
+    expect(nonSpeechEvents.eventsPerMinute).toBe(12);
+    expect(nonSpeechEvents.breathsPerMinute).toBe(6);
+    expect(nonSpeechEvents.events[0]).toMatchObject({ type: 'breath', channelName: 'left' });
+    expect(nonSpeechEvents.events[0].startTime).toBeCloseTo(3.8, 1);
+    expect(nonSpeechEvents.events[0].duration).toBeCloseTo(0.4, 1);
+    expect(nonSpeechEvents.events[1].startTime).toBeCloseTo(8, 1);
+    expect(result.perChannel[0].nonSpeechEventCounts.breath).toBe(1);
+  });
+
+  it('should not count quiet voiced sounds or speech decays as breaths', async () => {
+    // A quiet hum in a pause, and a tail 25 dB down right after speech
+    const data = withBursts(10, [[1, 3], [5, 7]]);
+    for (let i = 4 * SAMPLE_RATE; i < 4.4 * SAMPLE_RATE; i++) {
+      data[i] += 0.003 * Math.sin(2 * Math.PI * 150 * i / SAMPLE_RATE);
+    }
+    addNoise(data, 7, 7.06, -45);
+    const result = await analyzer.analyzeVoiceActivity([data], 1, data.length, SAMPLE_RATE, NOISE_FLOOR);
+
+    expect(result.nonSpeechEvents.eventCount).toBe(0);
+  });
+
+  it('should count an event heard on both channels once', async () => {
+    const left = withBursts(10, [[1, 3]]);
+    const right = withBursts(10, [[1, 3]]);
+    addNoise(left, 5, 5.4, -50);
+    addNoise(right, 5, 5.4, -50);
+    const result = await analyzer.analyzeVoiceActivity([left, right], 2, left.length, SAMPLE_RATE, NOISE_FLOOR);
+
+    expect(result.perChannel[0].nonSpeechEventCounts.breath).toBe(1);
+    expect(result.perChannel[1].nonSpeechEventCounts.breath).toBe(1);
+    expect(result.nonSpeechEvents.counts.breath).toBe(1);
+  });
+
+  it('should throw AnalysisCancelledError with voice-activity stage when cancelled', async () => {
+    const data = withBursts(5, [[1, 2]]);
+    analyzer.cancelAnalysis();
+
+    await expect(
+      analyzer.analyzeVoiceActivity([data], 1, data.length, SAMPLE_RATE, NOISE_FLOOR)
+    ).rejects.toMatchObject({ name: 'AnalysisCancelledError', stage: 'voice-activity' });
+  });
+
+  it('should include voice activity in experimental analyzeAudioBuffer results', async () => {
+    const data = withBursts(10, [[1, 3], [5, 6]]);
+    const messages = [];
+    const result = await new LevelAnalyzer().analyzeAudioBuffer(
+      mockAudioBuffer([data], SAMPLE_RATE), (message) => messages.push(message), true
+    );
+
+    expect(result.voiceActivity.netSpeechDuration).toBeCloseTo(3, 1);
+    expect(messages).toContain('Detecting speech...');
+  });
+});
+
+describe('CriteriaValidator - Net Speech', () => {
+  const voiceActivity = { duration: 120, netSpeechDuration: 30, speechRatio: 0.25 };
+
+  it('should skip validation when the preset has no net speech minimum', () => {
+    expect(CriteriaValidator.validateNetSpeech(voiceActivity, {})).toBeNull();
+  });
+
+  it('should skip validation without voice activity data', () => {
+    expect(CriteriaValidator.validateNetSpeech(undefined, { minNetSpeechFail: 60 })).toBeNull();
+  });
+
+  it('should warn or fail below the configured minimums', () => {
+    expect(CriteriaValidator.validateNetSpeech(voiceActivity, { minNetSpeechWarning: 60, minNetSpeechFail: 20 }).status).toBe('warning');
+    expect(CriteriaValidator.validateNetSpeech(voiceActivity, { minNetSpeechWarning: 90, minNetSpeechFail: 60 }).status).toBe('fail');
+    expect(CriteriaValidator.validateNetSpeech(voiceActivity, { minNetSpeechFail: 30 }).status).toBe('pass');
+  });
+
+  it('should report net speech and the missed minimum', () => {
+    const failed = CriteriaValidator.validateNetSpeech(voiceActivity, { minNetSpeechWarning: 100, minNetSpeechFail: 90 });
+    const passed = CriteriaValidator.validateNetSpeech(voiceActivity, { minNetSpeechWarning: 20 });
+
+    expect(failed.message).toBe('30s net speech (25%), 1m 30s minimum');
+    expect(failed.netSpeechDuration).toBe(30);
+    expect(passed.message).toBe('30s net speech (25%)');
+  });
+});